@@ -0,0 +1,77 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Handling of the "abortSignal" option, for all of the backends.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+
+/*
+ * Calls "func" when "signal" is aborted. The signal can be an AbortSignal or
+ * any EventEmitter with an "aborted" property that emits "abort". Returns a
+ * function that removes the listener again.
+ */
+function onAbort(signal, func) {
+    if (typeof (signal.addEventListener) === 'function') {
+        signal.addEventListener('abort', func);
+        return function _removeAbortListener() {
+            signal.removeEventListener('abort', func);
+        };
+    }
+
+    signal.once('abort', func);
+    return function _removeAbortListener() {
+        signal.removeListener('abort', func);
+    };
+}
+
+/*
+ * Returns an EventEmitter that can be passed as an "abortSignal", which aborts
+ * when "parent" (an optional abortSignal) does, or when its abort() method is
+ * called. Once the operation using it is done, detach() removes the listener
+ * on "parent".
+ */
+function createAbortSignal(parent) {
+    var removeListener;
+    var signal = new EventEmitter();
+
+    signal.aborted = false;
+
+    signal.abort = function abort() {
+        if (signal.aborted) {
+            return;
+        }
+        signal.aborted = true;
+        signal.detach();
+        signal.emit('abort');
+    };
+
+    signal.detach = function detach() {
+        if (removeListener) {
+            removeListener();
+            removeListener = undefined;
+        }
+    };
+
+    if (parent && parent.aborted) {
+        signal.aborted = true;
+    } else if (parent) {
+        removeListener = onAbort(parent, signal.abort);
+    }
+
+    return signal;
+}
+
+
+module.exports = {
+    createAbortSignal: createAbortSignal,
+    onAbort: onAbort
+};
@@ -0,0 +1,1234 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * A dummy version of the vmadm(1M) command line, on top of the DummyVmadm json
+ * files. Pointing the SmartOS backend (index.sunos.js) at bin/dummy-vmadm with
+ * the "vmadmPath" option allows its code paths to be run on systems that don't
+ * have vmadm.
+ *
+ * The dummy server is selected through the environment:
+ *
+ *  - DUMMY_VMADM_SERVER_ROOT: the DummyVmadm serverRoot (required)
+ *  - DUMMY_VMADM_SERVER_UUID: the UUID of the dummy server (required)
+ *
+ * and, as with vmadm, VMADM_DEBUG_LEVEL enables bunyan output on stderr and
+ * REQ_ID is added to each of those log records.
+ *
+ * Since the SmartOS backend checks the zone XML files before operating on a
+ * VM, a <uuid>.xml file is maintained for each VM in:
+ *
+ *     <serverRoot>/<serverUuid>/zones
+ *
+ * which should be passed as the "zonesDir" option.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var util = require('util');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var DummyVmadm = require('./index.dummy');
+var errors = require('./errors');
+var INFO_TYPES = require('./info').INFO_TYPES;
+var migrate = require('./migrate');
+var query = require('./query');
+var validate = require('./validate');
+
+var LOG_LEVELS = {
+    trace: 10,
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50,
+    fatal: 60
+};
+
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+var USAGE = [
+    'Usage: dummy-vmadm <command> [options]',
+    '',
+    '    create [-f <filename>]',
+    '    create-snapshot <uuid> <snapname>',
+    '    delete <uuid>',
+    '    delete-snapshot <uuid> <snapname>',
+    '    events [-rj] [uuid]',
+    '    get <uuid>',
+    '    info <uuid> [type,...]',
+    '    kill [-s SIGNAL] <uuid>',
+    '    lookup [-1] [-j] [-o field,...] [field=value ...]',
+    '    migrate begin <uuid> <target server uuid>',
+    '    migrate <sync|switch|abort|estimate|watch> <uuid>',
+    '    reboot <uuid> [-F]',
+    '    receive',
+    '    reprovision <uuid> [-f <filename>]',
+    '    rollback-snapshot <uuid> <snapname>',
+    '    send <uuid>',
+    '    start <uuid> [option=value ...]',
+    '    stop <uuid> [-F] [-t timeout]',
+    '    sysrq <uuid> <nmi|screenshot>',
+    '    update <uuid> [-f <filename>]',
+    '    update <uuid> property=value [property=value ...]',
+    '    validate create [-f <filename>]',
+    '    validate update <brand> [-f <filename>]'
+].join('\n');
+
+
+// --- logging
+
+/*
+ * A minimal logger with the same interface as the parts of bunyan that
+ * DummyVmadm uses, writing bunyan records to a stream. Records below "level"
+ * are dropped, as vmadm does with VMADM_DEBUG_LEVEL.
+ */
+function StreamLogger(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.fields, 'opts.fields');
+    assert.number(opts.level, 'opts.level');
+    assert.object(opts.stream, 'opts.stream');
+
+    this.fields = opts.fields;
+    this.level = opts.level;
+    this.stream = opts.stream;
+}
+
+StreamLogger.prototype.child = function child(fields) {
+    var self = this;
+    var childFields = {};
+
+    Object.keys(self.fields).forEach(function _copyParent(k) {
+        childFields[k] = self.fields[k];
+    });
+    Object.keys(fields).forEach(function _copyChild(k) {
+        childFields[k] = fields[k];
+    });
+
+    return new StreamLogger({
+        fields: childFields,
+        level: self.level,
+        stream: self.stream
+    });
+};
+
+StreamLogger.prototype._emit = function _emit(levelName, args) {
+    var self = this;
+    var fields = {};
+    var msgArgs = Array.prototype.slice.call(args);
+    var rec = {};
+
+    if (LOG_LEVELS[levelName] < self.level) {
+        return;
+    }
+
+    if (msgArgs[0] instanceof Error) {
+        fields = {err: msgArgs.shift()};
+    } else if (msgArgs[0] === null || (typeof (msgArgs[0]) === 'object' &&
+        !Array.isArray(msgArgs[0]))) {
+
+        fields = msgArgs.shift() || {};
+    }
+
+    Object.keys(self.fields).forEach(function _addLoggerField(k) {
+        rec[k] = self.fields[k];
+    });
+    Object.keys(fields).forEach(function _addRecordField(k) {
+        rec[k] = fields[k];
+    });
+    if (rec.err instanceof Error) {
+        rec.err = {
+            code: rec.err.code,
+            message: rec.err.message,
+            name: rec.err.name,
+            stack: rec.err.stack
+        };
+    }
+    rec.level = LOG_LEVELS[levelName];
+    rec.msg = util.format.apply(util, msgArgs);
+    rec.time = new Date().toISOString();
+    rec.v = 0;
+
+    self.stream.write(JSON.stringify(rec) + '\n');
+};
+
+Object.keys(LOG_LEVELS).forEach(function _addLevelMethod(levelName) {
+    StreamLogger.prototype[levelName] = function _log() {
+        this._emit(levelName, arguments);
+    };
+});
+
+function createLogger(env, stream) {
+    var fields = {
+        hostname: os.hostname(),
+        name: 'vmadm',
+        pid: process.pid
+    };
+    var level = Infinity;
+
+    if (env.VMADM_DEBUG_LEVEL &&
+        LOG_LEVELS.hasOwnProperty(env.VMADM_DEBUG_LEVEL)) {
+
+        level = LOG_LEVELS[env.VMADM_DEBUG_LEVEL];
+    }
+
+    if (env.REQ_ID) {
+        fields.req_id = env.REQ_ID;
+    }
+
+    return new StreamLogger({
+        fields: fields,
+        level: level,
+        stream: stream
+    });
+}
+
+
+// --- helpers
+
+/*
+ * An error that should be reported on stderr as-is, followed by exiting with
+ * "exitCode".
+ */
+function CliError(msg, exitCode) {
+    this.message = msg;
+    this.exitCode = exitCode || 1;
+}
+util.inherits(CliError, Error);
+
+function usageError(msg) {
+    return new CliError(msg + '\n' + USAGE, 2);
+}
+
+function notFoundError(verb, uuid) {
+    return new CliError('Failed to ' + verb + ' VM ' + uuid +
+        ': No such zone configured');
+}
+
+function notRunningError(verb, uuid) {
+    return new CliError('Failed to ' + verb + ' VM ' + uuid +
+        ': Cannot find running init PID for VM ' + uuid);
+}
+
+/*
+ * Returns the reason for "err" as vmadm would print it. DummyVmadm reports
+ * some failures as a VmadmError with the vmadm message on stderrLines.
+ */
+function errorReason(err) {
+    if (err instanceof errors.VmadmError && err.stderrLines.length > 0) {
+        return err.stderrLines[err.stderrLines.length - 1];
+    }
+
+    return err.message;
+}
+
+function getUuidArg(args, idx) {
+    var uuid = args[idx];
+
+    if (uuid === undefined) {
+        throw usageError('Missing UUID');
+    }
+
+    if (!UUID_RE.test(uuid)) {
+        throw usageError('Invalid UUID "' + uuid + '"');
+    }
+
+    return uuid;
+}
+
+/*
+ * Splits the arguments into flags (with the values of those listed in
+ * "withValues") and positional arguments.
+ */
+function parseFlags(args, withValues) {
+    var arg;
+    var flags = {};
+    var idx;
+    var positional = [];
+    var letters;
+    var lidx;
+
+    for (idx = 0; idx < args.length; idx++) {
+        arg = args[idx];
+
+        if (arg.length < 2 || arg[0] !== '-') {
+            positional.push(arg);
+            continue;
+        }
+
+        letters = arg.substr(1);
+        for (lidx = 0; lidx < letters.length; lidx++) {
+            if (withValues.indexOf(letters[lidx]) === -1) {
+                flags[letters[lidx]] = true;
+                continue;
+            }
+
+            if (lidx < letters.length - 1) {
+                flags[letters[lidx]] = letters.substr(lidx + 1);
+            } else if (idx < args.length - 1) {
+                idx++;
+                flags[letters[lidx]] = args[idx];
+            } else {
+                throw usageError('Option -' + letters[lidx] +
+                    ' requires a value');
+            }
+            break;
+        }
+    }
+
+    return {
+        flags: flags,
+        positional: positional
+    };
+}
+
+function readPayload(ctx, filename, callback) {
+    var chunks = [];
+
+    function parse(data) {
+        var payload;
+
+        try {
+            payload = JSON.parse(data);
+        } catch (parseErr) {
+            callback(new CliError('Invalid JSON payload: ' +
+                parseErr.message));
+            return;
+        }
+
+        callback(null, payload);
+    }
+
+    if (filename) {
+        fs.readFile(filename, 'utf8', function _onRead(err, data) {
+            if (err) {
+                callback(new CliError('Failed to read ' + filename + ': ' +
+                    err.message));
+                return;
+            }
+            parse(data);
+        });
+        return;
+    }
+
+    ctx.stdin.on('data', function _onData(chunk) {
+        chunks.push(chunk.toString());
+    });
+    ctx.stdin.on('end', function _onEnd() {
+        parse(chunks.join(''));
+    });
+}
+
+/*
+ * Loads the VM (including do_not_inventory ones, as vmadm does) and calls
+ * back with a "No such zone" error for "verb" if it doesn't exist.
+ */
+function loadVm(ctx, uuid, verb, callback) {
+    ctx.vmadm.load({
+        include_dni: true,
+        uuid: uuid
+    }, function _onLoad(err, vm) {
+        if (err && err.restCode === 'VmNotFound') {
+            callback(notFoundError(verb, uuid));
+            return;
+        }
+        callback(err, vm);
+    });
+}
+
+/*
+ * Returns the sysinfo of the dummy server "serverUuid", from its sysinfo.json
+ * if it has one.
+ */
+function loadSysinfo(serverRoot, serverUuid) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(serverRoot, serverUuid,
+            'sysinfo.json'), 'utf8'));
+    } catch (_err) {
+        return {
+            'Datacenter Name': 'dummy',
+            'Live Image': '20190101T000000Z',
+            'UUID': serverUuid
+        };
+    }
+}
+
+/*
+ * Writes a <uuid>.xml file in the zones directory for each VM, and removes
+ * those for VMs that no longer exist.
+ */
+function syncZonesDir(ctx, callback) {
+    var zonesDir = path.join(ctx.vmadm.serverRoot, ctx.vmadm.serverUuid,
+        'zones');
+
+    ctx.vmadm.lookup({}, {include_dni: true}, function _onLookup(err, vms) {
+        var uuids;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        uuids = vms.map(function _getUuid(vm) {
+            return vm.uuid;
+        });
+
+        try {
+            fs.mkdirSync(zonesDir);
+        } catch (mkdirErr) {
+            if (mkdirErr.code !== 'EEXIST') {
+                callback(mkdirErr);
+                return;
+            }
+        }
+
+        fs.readdirSync(zonesDir).forEach(function _removeStale(filename) {
+            var matches = filename.match(/^(.*)\.xml$/);
+
+            if (matches && uuids.indexOf(matches[1]) === -1) {
+                fs.unlinkSync(path.join(zonesDir, filename));
+            }
+        });
+
+        vms.forEach(function _writeXml(vm) {
+            var lines = [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<!DOCTYPE zone PUBLIC "-//Sun Microsystems Inc//DTD Zones//EN"'
+                    + ' "file:///usr/share/lib/xml/dtd/zonecfg.dtd.1">',
+                '<zone name="' + vm.uuid + '" zonepath="/zones/' + vm.uuid +
+                    '" autoboot="' + Boolean(vm.autoboot) + '" brand="' +
+                    vm.brand + '">'
+            ];
+
+            if (vm.do_not_inventory) {
+                lines.push('  <attr name="do-not-inventory" type="string" ' +
+                    'value="true"/>');
+            }
+            lines.push('</zone>');
+
+            fs.writeFileSync(path.join(zonesDir, vm.uuid + '.xml'),
+                lines.join('\n') + '\n');
+        });
+
+        callback();
+    });
+}
+
+
+// --- commands
+
+function cmdGet(ctx, args, callback) {
+    var uuid = getUuidArg(args, 0);
+
+    loadVm(ctx, uuid, 'get', function _onLoad(err, vm) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        ctx.stdout.write(JSON.stringify(vm, null, 2) + '\n');
+        callback();
+    });
+}
+
+function cmdLookup(ctx, args, callback) {
+    var fields;
+    var parsed = parseFlags(args, ['o']);
+    var search = {};
+
+    if (parsed.flags.o) {
+        fields = parsed.flags.o.split(',');
+    }
+
+    parsed.positional.forEach(function _addFilter(arg) {
+        var cond = query.parseSearchArg(arg);
+
+        if (!cond) {
+            throw usageError('Invalid lookup filter "' + arg + '"');
+        }
+        if (!search.hasOwnProperty(cond.key)) {
+            search[cond.key] = {};
+        }
+        search[cond.key][cond.op] = cond.value;
+    });
+
+    try {
+        query.normalizeSearch(search);
+    } catch (searchErr) {
+        throw usageError('Invalid lookup filter: ' + searchErr.message);
+    }
+
+    ctx.vmadm.lookup(search, {
+        fields: fields,
+        include_dni: true
+    }, function _onLookup(err, vms) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (parsed.flags['1'] && vms.length !== 1) {
+            callback(new CliError('Requested unique lookup but found ' +
+                vms.length + ' results.'));
+            return;
+        }
+
+        if (parsed.flags.j) {
+            ctx.stdout.write(JSON.stringify(vms, null, 2) + '\n');
+        } else {
+            vms.forEach(function _printUuid(vm) {
+                ctx.stdout.write(vm.uuid + '\n');
+            });
+        }
+
+        callback();
+    });
+}
+
+function cmdCreate(ctx, args, callback) {
+    var parsed = parseFlags(args, ['f']);
+
+    readPayload(ctx, parsed.flags.f, function _onPayload(err, payload) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        vasync.pipeline({
+            funcs: [
+                function _checkUnique(_, cb) {
+                    if (!payload.uuid) {
+                        cb();
+                        return;
+                    }
+
+                    ctx.vmadm.exists({
+                        include_dni: true,
+                        uuid: payload.uuid
+                    }, function _onExists(existsErr, exists) {
+                        if (!existsErr && exists) {
+                            existsErr = new CliError('Failed to create VM: ' +
+                                'VM with UUID ' + payload.uuid +
+                                ' already exists');
+                        }
+                        cb(existsErr);
+                    });
+                }, function _create(_, cb) {
+                    ctx.vmadm.create(payload, function _onCreate(createErr,
+                        info) {
+
+                        if (createErr) {
+                            cb(new CliError('Failed to create VM: ' +
+                                errorReason(createErr)));
+                            return;
+                        }
+
+                        ctx.stderr.write('Successfully created VM ' +
+                            info.uuid + '\n');
+                        cb();
+                    });
+                }
+            ]
+        }, callback);
+    });
+}
+
+function cmdUpdate(ctx, args, callback) {
+    var parsed = parseFlags(args, ['f']);
+    var uuid = getUuidArg(parsed.positional, 0);
+    var updates = parsed.positional.slice(1);
+
+    function doUpdate(payload) {
+        loadVm(ctx, uuid, 'update', function _onLoad(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            payload.uuid = uuid;
+            ctx.vmadm.update(payload, function _onUpdate(updateErr) {
+                if (updateErr) {
+                    callback(new CliError('Failed to update VM ' + uuid +
+                        ': ' + errorReason(updateErr)));
+                    return;
+                }
+
+                ctx.stderr.write('Successfully updated VM ' + uuid + '\n');
+                callback();
+            });
+        });
+    }
+
+    if (updates.length > 0) {
+        doUpdate(updates.reduce(function _addUpdate(payload, arg) {
+            var idx = arg.indexOf('=');
+
+            if (idx < 1) {
+                throw usageError('Invalid property "' + arg + '"');
+            }
+            payload[arg.substr(0, idx)] =
+                query.coerceValue(arg.substr(idx + 1));
+
+            return payload;
+        }, {}));
+        return;
+    }
+
+    readPayload(ctx, parsed.flags.f, function _onPayload(err, payload) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        doUpdate(payload);
+    });
+}
+
+function cmdDelete(ctx, args, callback) {
+    var uuid = getUuidArg(args, 0);
+
+    loadVm(ctx, uuid, 'delete', function _onLoad(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        ctx.vmadm.delete({uuid: uuid}, function _onDelete(deleteErr) {
+            if (deleteErr) {
+                callback(new CliError('Failed to delete VM ' + uuid + ': ' +
+                    deleteErr.message));
+                return;
+            }
+
+            ctx.stderr.write('Successfully deleted VM ' + uuid + '\n');
+            callback();
+        });
+    });
+}
+
+function cmdStart(ctx, args, callback) {
+    var uuid = getUuidArg(args, 0);
+
+    // The remaining property=value arguments (cdrom, disk, order and once)
+    // only affect the boot of a KVM VM, so are accepted and ignored.
+
+    loadVm(ctx, uuid, 'start', function _onLoad(err, vm) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (vm.state === 'running') {
+            callback(new CliError('Failed to start VM ' + uuid +
+                ': VM is already running'));
+            return;
+        }
+
+        ctx.vmadm.start({uuid: uuid}, function _onStart(startErr) {
+            if (startErr) {
+                callback(new CliError('Failed to start VM ' + uuid + ': ' +
+                    startErr.message));
+                return;
+            }
+
+            ctx.stderr.write('Successfully started VM ' + uuid + '\n');
+            callback();
+        });
+    });
+}
+
+function cmdStop(ctx, args, callback) {
+    var parsed = parseFlags(args, ['t']);
+    var uuid = getUuidArg(parsed.positional, 0);
+
+    loadVm(ctx, uuid, 'stop', function _onLoad(err, vm) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (vm.state !== 'running') {
+            callback(new CliError('Failed to stop VM ' + uuid + ': VM is ' +
+                'already not \'running\' (currently: ' + vm.state + ')'));
+            return;
+        }
+
+        ctx.vmadm.stop({uuid: uuid}, function _onStop(stopErr) {
+            if (stopErr) {
+                callback(new CliError('Failed to stop VM ' + uuid + ': ' +
+                    stopErr.message));
+                return;
+            }
+
+            ctx.stderr.write('Successfully completed stop for VM ' + uuid +
+                '\n');
+            callback();
+        });
+    });
+}
+
+function cmdReboot(ctx, args, callback) {
+    var parsed = parseFlags(args, []);
+    var uuid = getUuidArg(parsed.positional, 0);
+
+    loadVm(ctx, uuid, 'reboot', function _onLoad(err, vm) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (vm.state !== 'running') {
+            callback(new CliError('Failed to reboot VM ' + uuid + ': VM is ' +
+                'not running (currently: ' + vm.state + ')'));
+            return;
+        }
+
+        ctx.vmadm.reboot({
+            force: Boolean(parsed.flags.F),
+            uuid: uuid
+        }, function _onReboot(rebootErr) {
+            if (rebootErr) {
+                callback(new CliError('Failed to reboot VM ' + uuid + ': ' +
+                    rebootErr.message));
+                return;
+            }
+
+            ctx.stderr.write('Successfully completed reboot for VM ' + uuid +
+                '\n');
+            callback();
+        });
+    });
+}
+
+function cmdKill(ctx, args, callback) {
+    var parsed = parseFlags(args, ['s']);
+    var signal = (parsed.flags.s || 'SIGKILL').toUpperCase();
+    var uuid = getUuidArg(parsed.positional, 0);
+
+    if (signal.indexOf('SIG') !== 0 && isNaN(Number(signal))) {
+        signal = 'SIG' + signal;
+    }
+
+    loadVm(ctx, uuid, 'kill', function _onLoad(err, vm) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (vm.state !== 'running') {
+            callback(notRunningError('kill', uuid));
+            return;
+        }
+
+        function done(killErr) {
+            if (killErr) {
+                callback(new CliError('Failed to kill VM ' + uuid + ': ' +
+                    killErr.message));
+                return;
+            }
+
+            ctx.stderr.write('Successfully sent ' + signal + ' to VM ' + uuid +
+                '\n');
+            callback();
+        }
+
+        // Only the signals that would take down init stop the VM.
+        if (['SIGKILL', 'SIGTERM', '9', '15'].indexOf(signal) === -1) {
+            done();
+            return;
+        }
+
+        ctx.vmadm._updateVmState({
+            state: 'stopped',
+            uuid: uuid
+        }, done);
+    });
+}
+
+function cmdInfo(ctx, args, callback) {
+    var types;
+    var uuid = getUuidArg(args, 0);
+
+    if (args[1]) {
+        types = args[1].split(',');
+        types.forEach(function _checkType(type) {
+            if (INFO_TYPES.indexOf(type) === -1) {
+                throw usageError('Invalid info type "' + type + '"');
+            }
+        });
+    }
+
+    loadVm(ctx, uuid, 'get info for', function _onLoad(err, vm) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (['bhyve', 'kvm'].indexOf(vm.brand) === -1) {
+            callback(new CliError('Failed to get info for VM ' + uuid +
+                ': The info command is only supported for KVM and bhyve VMs'));
+            return;
+        }
+
+        if (vm.state !== 'running') {
+            callback(notRunningError('get info for', uuid));
+            return;
+        }
+
+        ctx.vmadm.info({
+            include_dni: true,
+            types: types,
+            uuid: uuid
+        }, function _onInfo(infoErr, info) {
+            if (infoErr) {
+                callback(new CliError('Failed to get info for VM ' + uuid +
+                    ': ' + errorReason(infoErr)));
+                return;
+            }
+
+            ctx.stdout.write(JSON.stringify(info, null, 2) + '\n');
+            callback();
+        });
+    });
+}
+
+function cmdSend(ctx, args, callback) {
+    var uuid = getUuidArg(args, 0);
+
+    loadVm(ctx, uuid, 'send', function _onLoad(err) {
+        var output;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        output = ctx.vmadm.send({include_dni: true, uuid: uuid});
+        output.once('error', function _onError(sendErr) {
+            callback(new CliError('Failed to send VM ' + uuid + ': ' +
+                errorReason(sendErr)));
+        });
+        output.once('end', function _onEnd() {
+            ctx.stderr.write('Successfully sent VM ' + uuid + '\n');
+            callback();
+        });
+        output.pipe(ctx.stdout, {end: false});
+    });
+}
+
+function cmdReceive(ctx, _args, callback) {
+    ctx.vmadm.receive({stream: ctx.stdin}, function _onReceive(err, vm) {
+        if (err) {
+            callback(new CliError(errorReason(err)));
+            return;
+        }
+
+        ctx.stderr.write('Successfully received VM ' + vm.uuid + '\n');
+        callback();
+    });
+}
+
+function cmdValidate(ctx, args, callback) {
+    var parsed = parseFlags(args, ['f']);
+    var action = parsed.positional[0];
+    var brand = parsed.positional[1];
+
+    if (validate.VALIDATE_ACTIONS.indexOf(action) === -1) {
+        throw usageError('Invalid validate action "' + action + '"');
+    }
+    if (action === 'update' && !brand) {
+        throw usageError('Missing brand');
+    }
+
+    readPayload(ctx, parsed.flags.f, function _onPayload(err, payload) {
+        var problems;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (action === 'create') {
+            brand = payload.brand;
+        }
+
+        problems = validate.checkPayload(action, brand, payload,
+            {strict: true});
+        if (problems) {
+            ctx.stdout.write(JSON.stringify(problems, null, 2) + '\n');
+            callback(new CliError('Invalid payload for ' + action));
+            return;
+        }
+
+        ctx.stdout.write('VALID \'' + action + '\' payload for ' + brand +
+            ' brand VMs.\n');
+        callback();
+    });
+}
+
+function cmdSysrq(ctx, args, callback) {
+    var req = args[1];
+    var uuid = getUuidArg(args, 0);
+
+    if (['nmi', 'screenshot'].indexOf(req) === -1) {
+        throw usageError('Invalid sysrq request "' + req + '"');
+    }
+
+    loadVm(ctx, uuid, 'send sysrq to', function _onLoad(err, vm) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (['bhyve', 'kvm'].indexOf(vm.brand) === -1) {
+            callback(new CliError('Failed to send sysrq to VM ' + uuid +
+                ': The sysrq command is only supported for KVM and bhyve ' +
+                'VMs'));
+            return;
+        }
+
+        if (vm.state !== 'running') {
+            callback(notRunningError('send sysrq to', uuid));
+            return;
+        }
+
+        ctx.stderr.write('Sent ' + req + ' sysrq to VM ' + uuid + '\n');
+        callback();
+    });
+}
+
+/*
+ * Returns a command function for create-snapshot, delete-snapshot and
+ * rollback-snapshot, calling the DummyVmadm method "method".
+ */
+function snapshotCommand(method, verb, done) {
+    return function cmdSnapshot(ctx, args, callback) {
+        var snapname = args[1];
+        var uuid = getUuidArg(args, 0);
+
+        if (!snapname) {
+            throw usageError('Missing snapshot name');
+        }
+
+        loadVm(ctx, uuid, verb + ' snapshot for', function _onLoad(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            ctx.vmadm[method]({
+                snapshot_name: snapname,
+                uuid: uuid
+            }, function _onSnapshot(snapErr) {
+                if (snapErr) {
+                    callback(new CliError('Failed to ' + verb + ' snapshot ' +
+                        snapname + ' for VM ' + uuid + ': ' +
+                        errorReason(snapErr)));
+                    return;
+                }
+
+                ctx.stderr.write(done + ' snapshot ' + snapname + ' for VM ' +
+                    uuid + '\n');
+                callback();
+            });
+        });
+    };
+}
+
+function cmdReprovision(ctx, args, callback) {
+    var parsed = parseFlags(args, ['f']);
+    var uuid = getUuidArg(parsed.positional, 0);
+
+    readPayload(ctx, parsed.flags.f, function _onPayload(err, payload) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (!payload.image_uuid || !UUID_RE.test(payload.image_uuid)) {
+            callback(new CliError('Failed to reprovision VM ' + uuid +
+                ': payload must contain a valid image_uuid'));
+            return;
+        }
+
+        loadVm(ctx, uuid, 'reprovision', function _onLoad(loadErr) {
+            if (loadErr) {
+                callback(loadErr);
+                return;
+            }
+
+            ctx.vmadm.reprovision({
+                image_uuid: payload.image_uuid,
+                uuid: uuid
+            }, function _onReprovision(reprovErr) {
+                if (reprovErr) {
+                    callback(new CliError('Failed to reprovision VM ' + uuid +
+                        ': ' + reprovErr.message));
+                    return;
+                }
+
+                ctx.stderr.write('Successfully reprovisioned VM ' + uuid +
+                    '\n');
+                callback();
+            });
+        });
+    });
+}
+
+function cmdEvents(ctx, args, callback) {
+    var parsed = parseFlags(args, []);
+    var pending = [];
+    var ready = false;
+    var uuid;
+
+    if (parsed.positional.length > 0) {
+        uuid = getUuidArg(parsed.positional, 0);
+    }
+
+    if (!parsed.flags.j) {
+        throw usageError('dummy-vmadm only supports JSON events (-j)');
+    }
+
+    function write(ev) {
+        ctx.stdout.write(JSON.stringify(ev) + '\n');
+    }
+
+    ctx.vmadm.events({}, function _onEvent(ev) {
+        if (uuid && ev.zonename !== uuid) {
+            return;
+        }
+
+        ev.date = new Date().toISOString();
+        if (ready) {
+            write(ev);
+        } else {
+            pending.push(ev);
+        }
+    }, function _onReady(err, obj) {
+        var vms = {};
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        function stop() {
+            obj.stop();
+            callback();
+        }
+
+        ctx.signals.once('SIGINT', stop);
+        ctx.signals.once('SIGTERM', stop);
+
+        if (parsed.flags.r) {
+            Object.keys(obj.ev.vms).forEach(function _filterVms(vmUuid) {
+                if (!uuid || vmUuid === uuid) {
+                    vms[vmUuid] = obj.ev.vms[vmUuid];
+                }
+            });
+            write({
+                date: obj.ev.date,
+                type: 'ready',
+                vms: vms
+            });
+        }
+
+        ready = true;
+        pending.forEach(write);
+        pending = [];
+    });
+}
+
+function cmdMigrate(ctx, args, callback) {
+    var action = args[0];
+    var target = args[2];
+    var uuid;
+
+    if (migrate.MIGRATION_ACTIONS.indexOf(action) === -1) {
+        throw usageError(action === undefined ? 'Missing migrate action' :
+            'Invalid migrate action "' + action + '"');
+    }
+    uuid = getUuidArg(args, 1);
+    if (action === 'begin' && target === undefined) {
+        throw usageError('Missing target server');
+    }
+
+    loadVm(ctx, uuid, 'migrate', function _onLoad(err) {
+        var output;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (action === 'watch') {
+            output = ctx.vmadm.migrate_watch({include_dni: true, uuid: uuid});
+            output.on('data', function _onEvent(ev) {
+                ctx.stdout.write(JSON.stringify(ev) + '\n');
+            });
+            output.once('error', function _onError(watchErr) {
+                callback(new CliError(errorReason(watchErr)));
+            });
+            output.once('end', function _onEnd() {
+                callback();
+            });
+            return;
+        }
+
+        ctx.vmadm['migrate_' + action]({
+            include_dni: true,
+            target: target,
+            uuid: uuid
+        }, function _onMigrate(migrateErr, result) {
+            var targetCtx;
+
+            if (migrateErr) {
+                callback(new CliError(errorReason(migrateErr)));
+                return;
+            }
+
+            ctx.stdout.write(JSON.stringify(result, null, 2) + '\n');
+
+            if (action !== 'switch') {
+                callback();
+                return;
+            }
+
+            // The VM is now on the target server, which needs its XML file.
+            targetCtx = {
+                vmadm: new DummyVmadm({
+                    log: ctx.log,
+                    serverRoot: ctx.vmadm.serverRoot,
+                    sysinfo: loadSysinfo(ctx.vmadm.serverRoot, result.target)
+                })
+            };
+            syncZonesDir(targetCtx, callback);
+        });
+    });
+}
+
+var COMMANDS = {
+    'create': {func: cmdCreate, modifies: true},
+    'create-snapshot': {
+        func: snapshotCommand('create_snapshot', 'create', 'Created'),
+        modifies: true
+    },
+    'delete': {func: cmdDelete, modifies: true},
+    'delete-snapshot': {
+        func: snapshotCommand('delete_snapshot', 'delete', 'Deleted'),
+        modifies: true
+    },
+    'events': {func: cmdEvents},
+    'get': {func: cmdGet},
+    'info': {func: cmdInfo},
+    'kill': {func: cmdKill, modifies: true},
+    'lookup': {func: cmdLookup},
+    'migrate': {func: cmdMigrate, modifies: true},
+    'reboot': {func: cmdReboot, modifies: true},
+    'receive': {func: cmdReceive, modifies: true},
+    'reprovision': {func: cmdReprovision, modifies: true},
+    'rollback-snapshot': {
+        func: snapshotCommand('rollback_snapshot', 'rollback', 'Rolled back'),
+        modifies: true
+    },
+    'send': {func: cmdSend},
+    'start': {func: cmdStart, modifies: true},
+    'stop': {func: cmdStop, modifies: true},
+    'sysrq': {func: cmdSysrq},
+    'update': {func: cmdUpdate, modifies: true},
+    'validate': {func: cmdValidate}
+};
+
+
+/*
+ * Run a dummy vmadm command.
+ *
+ * @param opts {Object} Options
+ *      - argv {Array} The command line arguments (without node and the script)
+ *      - env {Object} The environment, see the top of this file
+ *      - signals {EventEmitter} Emits the signals that should stop "events"
+ *      - stdin {Stream} Payloads are read from here
+ *      - stdout {Stream}
+ *      - stderr {Stream}
+ * @param callback {Function} `function (exitCode)`
+ */
+function main(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.arrayOfString(opts.argv, 'opts.argv');
+    assert.object(opts.env, 'opts.env');
+    assert.object(opts.signals, 'opts.signals');
+    assert.object(opts.stdin, 'opts.stdin');
+    assert.object(opts.stdout, 'opts.stdout');
+    assert.object(opts.stderr, 'opts.stderr');
+    assert.func(callback, 'callback');
+
+    var cmd = COMMANDS[opts.argv[0]];
+    var ctx;
+    var serverRoot = opts.env.DUMMY_VMADM_SERVER_ROOT;
+    var serverUuid = opts.env.DUMMY_VMADM_SERVER_UUID;
+
+    function done(err) {
+        if (err instanceof CliError) {
+            opts.stderr.write(err.message + '\n');
+            callback(err.exitCode);
+            return;
+        } else if (err) {
+            opts.stderr.write(err.stack + '\n');
+            callback(1);
+            return;
+        }
+        callback(0);
+    }
+
+    if (!serverRoot || !serverUuid) {
+        done(new CliError('DUMMY_VMADM_SERVER_ROOT and ' +
+            'DUMMY_VMADM_SERVER_UUID must be set'));
+        return;
+    }
+
+    if (!cmd) {
+        done(usageError(opts.argv[0] === undefined ? 'Missing command' :
+            'Invalid command: "' + opts.argv[0] + '".'));
+        return;
+    }
+
+    ctx = {
+        log: createLogger(opts.env, opts.stderr),
+        signals: opts.signals,
+        stdin: opts.stdin,
+        stdout: opts.stdout,
+        stderr: opts.stderr
+    };
+    ctx.vmadm = new DummyVmadm({
+        log: ctx.log,
+        serverRoot: serverRoot,
+        sysinfo: loadSysinfo(serverRoot, serverUuid)
+    });
+
+    try {
+        cmd.func(ctx, opts.argv.slice(1), function _onCmd(err) {
+            if (!cmd.modifies) {
+                done(err);
+                return;
+            }
+
+            syncZonesDir(ctx, function _onSync(syncErr) {
+                done(err || syncErr);
+            });
+        });
+    } catch (err) {
+        done(err);
+    }
+}
+
+module.exports = {
+    main: main
+};
@@ -0,0 +1,350 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Error types returned by node-vmadm.
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+
+
+/*
+ * Returns the last non-empty plain text line vmadm wrote to stderr, which is
+ * where it writes the reason it failed. When we have them, the bunyan records
+ * in "vmadmLog" are skipped.
+ */
+function failureReason(opts) {
+    var idx;
+    var lines;
+
+    if (opts.vmadmLog) {
+        lines = opts.vmadmLog.filter(function _isPlain(rec) {
+            return (rec.level === undefined);
+        }).map(function _getMsg(rec) {
+            return rec.msg;
+        });
+    } else {
+        lines = opts.stderrLines || [];
+    }
+
+    for (idx = lines.length - 1; idx >= 0; idx--) {
+        if (lines[idx].trim().length > 0) {
+            return lines[idx].trim();
+        }
+    }
+
+    return '';
+}
+
+
+/*
+ * The base for errors relating to a vmadm invocation. All errors returned by
+ * node-vmadm (including those from the dummy backends) inherit from this, and
+ * have the same set of fields.
+ *
+ * @param opts {Object} Options
+ *      - args {Array} cmdline args for vmadm
+ *      - exitCode {Number} exit code of vmadm, if it exited
+ *      - req_id {String} request id of the call
+ *      - signal {String} signal that terminated vmadm, if any
+ *      - stderrLines {Array} lines written to stderr by vmadm
+ *      - vmadmLog {Array} the bunyan records in stderrLines, with plain text
+ *        lines as records with only "msg" set
+ * @param code {String} A stable identifier for the kind of error
+ * @param message {String} The error message
+ */
+function VmadmError(opts, code, message) {
+    assert.object(opts, 'opts');
+    assert.optionalArrayOfString(opts.args, 'opts.args');
+    assert.optionalNumber(opts.exitCode, 'opts.exitCode');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalString(opts.signal, 'opts.signal');
+    assert.optionalArrayOfString(opts.stderrLines, 'opts.stderrLines');
+    assert.optionalArrayOfObject(opts.vmadmLog, 'opts.vmadmLog');
+    assert.string(code, 'code');
+    assert.string(message, 'message');
+
+    Error.call(this, message);
+
+    this.message = message;
+    this.code = code;
+    this.args = opts.args || [];
+    this.exitCode = (opts.exitCode === undefined) ? null : opts.exitCode;
+    this.req_id = opts.req_id;
+    this.signal = opts.signal || null;
+    this.stderrLines = opts.stderrLines || [];
+    this.vmadmLog = opts.vmadmLog || [];
+
+    // Older versions set this (as a string) on some errors.
+    this.stderr = this.stderrLines.join('\n');
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+util.inherits(VmadmError, Error);
+VmadmError.prototype.name = 'VmadmError';
+
+
+/*
+ * vmadm exited non-zero (or was killed) for a reason not covered by one of the
+ * more specific errors below, or couldn't be run at all.
+ *
+ * @param opts {Object} Options, as for VmadmError plus:
+ *      - cause {Error} Optional error vmadm couldn't be spawned with
+ */
+function VmadmExecError(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.cause, 'opts.cause');
+
+    var exitCode = (opts.exitCode === undefined) ? null : opts.exitCode;
+    var reason = opts.cause ? opts.cause.message : failureReason(opts);
+
+    VmadmError.call(this, opts, 'EVMADM', 'vmadm exited with code: ' +
+        exitCode + ' signal: ' + (opts.signal || null) +
+        (reason ? ' -- ' + reason : ''));
+
+    if (opts.cause) {
+        this.cause = opts.cause;
+    }
+}
+util.inherits(VmadmExecError, VmadmError);
+VmadmExecError.prototype.name = 'VmadmExecError';
+
+
+/*
+ * The output of vmadm could not be parsed.
+ *
+ * @param opts {Object} Options, as for VmadmError plus:
+ *      - cause {Error} the error thrown by the parser
+ *      - stdout {String} the output that failed to parse
+ */
+function VmadmParseError(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.cause, 'opts.cause');
+    assert.string(opts.stdout, 'opts.stdout');
+
+    VmadmError.call(this, opts, 'EPARSE', 'failed to parse output of vmadm ' +
+        (opts.args || []).join(' ') + ': ' + opts.cause.message);
+
+    this.cause = opts.cause;
+    this.stdout = opts.stdout;
+}
+util.inherits(VmadmParseError, VmadmError);
+VmadmParseError.prototype.name = 'VmadmParseError';
+
+
+/*
+ * The VM does not exist (or is marked do_not_inventory and include_dni was not
+ * set). For compatibility, these also have restCode set to 'VmNotFound'.
+ *
+ * @param opts {Object} Options, as for VmadmError plus:
+ *      - uuid {String} UUID of the VM
+ */
+function VmNotFoundError(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.uuid, 'opts.uuid');
+
+    // NOTE: destroy depends on this matching ': No such zone'
+    VmadmError.call(this, opts, 'ENOENT', (opts.args && opts.args.length > 0) ?
+        'vmadm ' + opts.args.join(' ') + ' failed: No such zone' :
+        'VM ' + opts.uuid + ' does not exist');
+
+    this.restCode = 'VmNotFound';
+    this.uuid = opts.uuid;
+}
+util.inherits(VmNotFoundError, VmadmError);
+VmNotFoundError.prototype.name = 'VmNotFoundError';
+
+
+/*
+ * The operation requires the VM to be running, and it is not.
+ *
+ * @param opts {Object} Options, as for VmadmError plus:
+ *      - uuid {String} UUID of the VM
+ */
+function VmNotRunningError(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.uuid, 'opts.uuid');
+
+    VmadmError.call(this, opts, 'ENOTRUNNING', 'VM ' + opts.uuid +
+        ' is not running');
+
+    this.uuid = opts.uuid;
+}
+util.inherits(VmNotRunningError, VmadmError);
+VmNotRunningError.prototype.name = 'VmNotRunningError';
+
+
+/*
+ * vmadm was terminated because it didn't finish within "timeout" ms.
+ */
+function VmadmTimeoutError(opts) {
+    assert.object(opts, 'opts');
+    assert.number(opts.timeout, 'opts.timeout');
+
+    VmadmError.call(this, opts, 'ETIMEDOUT', 'vmadm ' +
+        (opts.args || []).join(' ') + ' timed out after ' + opts.timeout +
+        'ms');
+
+    this.timeout = opts.timeout;
+}
+util.inherits(VmadmTimeoutError, VmadmError);
+VmadmTimeoutError.prototype.name = 'VmadmTimeoutError';
+
+
+/*
+ * waitFor() gave up because the VM didn't reach the condition within "timeout"
+ * ms.
+ *
+ * @param opts {Object} Options, as for VmadmError plus:
+ *      - timeout {Number} the time waited, in ms
+ *      - uuid {String} UUID of the VM
+ *      - vm {Object} the VM as last seen, or undefined if it didn't exist
+ */
+function VmWaitTimeoutError(opts) {
+    assert.object(opts, 'opts');
+    assert.number(opts.timeout, 'opts.timeout');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalObject(opts.vm, 'opts.vm');
+
+    VmadmError.call(this, opts, 'ETIMEDOUT', 'timed out after ' +
+        opts.timeout + 'ms waiting for VM ' + opts.uuid +
+        (opts.vm ? ' (state: ' + opts.vm.state + ')' : ' (does not exist)'));
+
+    this.timeout = opts.timeout;
+    this.uuid = opts.uuid;
+    this.vm = opts.vm;
+}
+util.inherits(VmWaitTimeoutError, VmadmError);
+VmWaitTimeoutError.prototype.name = 'VmWaitTimeoutError';
+
+
+/*
+ * A lookup for exactly one VM (lookupOne() or resolve()) found none.
+ *
+ * @param opts {Object} Options, as for VmadmError plus:
+ *      - search {String} the search as `vmadm lookup` arguments, or the
+ *        identifier passed to resolve()
+ */
+function VmLookupNoMatchError(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.search, 'opts.search');
+
+    VmadmError.call(this, opts, 'ENOMATCH', 'no VM matches ' + opts.search);
+
+    this.search = opts.search;
+}
+util.inherits(VmLookupNoMatchError, VmadmError);
+VmLookupNoMatchError.prototype.name = 'VmLookupNoMatchError';
+
+
+/*
+ * A lookup for exactly one VM (lookupOne() or resolve()) found several.
+ *
+ * @param opts {Object} Options, as for VmLookupNoMatchError plus:
+ *      - count {Number} the number of VMs found
+ *      - uuids {Array} Optional UUIDs of the VMs found, when known
+ */
+function VmLookupAmbiguousError(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.search, 'opts.search');
+    assert.number(opts.count, 'opts.count');
+    assert.optionalArrayOfUuid(opts.uuids, 'opts.uuids');
+
+    VmadmError.call(this, opts, 'EAMBIGUOUS', opts.count + ' VMs match ' +
+        opts.search);
+
+    this.count = opts.count;
+    this.search = opts.search;
+    this.uuids = opts.uuids || [];
+}
+util.inherits(VmLookupAmbiguousError, VmadmError);
+VmLookupAmbiguousError.prototype.name = 'VmLookupAmbiguousError';
+
+
+/*
+ * The VM has no migration to act on (`vmadm migrate begin` hasn't been run for
+ * it).
+ *
+ * @param opts {Object} Options, as for VmadmError plus:
+ *      - uuid {String} UUID of the VM
+ */
+function VmMigrationNotFoundError(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.uuid, 'opts.uuid');
+
+    VmadmError.call(this, opts, 'ENOMIGRATION', 'VM ' + opts.uuid +
+        ' has no migration');
+
+    this.uuid = opts.uuid;
+}
+util.inherits(VmMigrationNotFoundError, VmadmError);
+VmMigrationNotFoundError.prototype.name = 'VmMigrationNotFoundError';
+
+
+/*
+ * The VM's migration isn't in a phase and state that allow the action, eg.
+ * syncing a migration that was aborted (see lib/migrate.js).
+ *
+ * @param opts {Object} Options, as for VmMigrationNotFoundError plus:
+ *      - action {String} the migrate action that was attempted
+ *      - phase {String} the phase the migration is in
+ *      - state {String} the state the migration is in
+ */
+function VmMigrationStateError(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.string(opts.action, 'opts.action');
+    assert.string(opts.phase, 'opts.phase');
+    assert.string(opts.state, 'opts.state');
+
+    VmadmError.call(this, opts, 'EMIGRATIONSTATE', 'cannot ' + opts.action +
+        ' migration of VM ' + opts.uuid + ' while it is ' + opts.state +
+        ' in phase ' + opts.phase);
+
+    this.action = opts.action;
+    this.phase = opts.phase;
+    this.state = opts.state;
+    this.uuid = opts.uuid;
+}
+util.inherits(VmMigrationStateError, VmadmError);
+VmMigrationStateError.prototype.name = 'VmMigrationStateError';
+
+
+/*
+ * vmadm was terminated because the caller's abort signal fired, or (with
+ * signal set to "SIGABRT") because `vmadm events` wrote output it shouldn't
+ * have.
+ */
+function VmadmCancelledError(opts) {
+    VmadmError.call(this, opts, 'ECANCELED', 'vmadm ' +
+        (opts.args || []).join(' ') + ' was cancelled');
+}
+util.inherits(VmadmCancelledError, VmadmError);
+VmadmCancelledError.prototype.name = 'VmadmCancelledError';
+
+
+module.exports = {
+    VmadmCancelledError: VmadmCancelledError,
+    VmadmError: VmadmError,
+    VmadmExecError: VmadmExecError,
+    VmadmParseError: VmadmParseError,
+    VmadmTimeoutError: VmadmTimeoutError,
+    VmLookupAmbiguousError: VmLookupAmbiguousError,
+    VmLookupNoMatchError: VmLookupNoMatchError,
+    VmMigrationNotFoundError: VmMigrationNotFoundError,
+    VmMigrationStateError: VmMigrationStateError,
+    VmNotFoundError: VmNotFoundError,
+    VmNotRunningError: VmNotRunningError,
+    VmWaitTimeoutError: VmWaitTimeoutError
+};
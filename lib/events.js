@@ -0,0 +1,497 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Keeping track of the VMs seen on a stream of `vmadm events -rj`, and picking
+ * the events a subscriber asked for, for all of the backends.
+ *
+ * The "ready" event that starts the stream has the VMs at that point in "vms",
+ * keyed by UUID, and each later "create", "modify" or "delete" event describes
+ * a change to one of them:
+ *
+ *     {"type": "modify", "date": ..., "zonename": <uuid>, "uuid": <uuid>,
+ *         "vm": <the VM after the change>, "changes": <diff() of the VM>}
+ *
+ * When a stream is restarted, the events that were missed are made up by
+ * comparing the VMs in the new ready event with the ones known from the old
+ * stream. These synthetic events look the same, but have "synthetic" set.
+ *
+ * A subscriber can also ask for the modify events of a VM that come in a
+ * burst (eg. from a reboot) to be merged into one, whose "changes" are those
+ * between the VM before the first of them and after the last. These coalesced
+ * events have "coalesced" set to the number of events merged.
+ */
+
+var assert = require('assert-plus');
+
+var diff = require('./diff');
+var query = require('./query');
+
+// The event types that can be subscribed to with the "types" option.
+var EVENT_TYPES = ['create', 'modify', 'delete'];
+
+
+/*
+ * Returns the VMs in the "vms" of a ready event as an object keyed by UUID.
+ * vmadm writes them keyed by UUID, but an array of VMs is accepted too.
+ */
+function vmMap(vms) {
+    var map = {};
+
+    assert.object(vms, 'vms');
+
+    if (Array.isArray(vms)) {
+        vms.forEach(function _addVm(vm) {
+            map[vm.uuid] = vm;
+        });
+    } else {
+        Object.keys(vms).forEach(function _addVm(uuid) {
+            map[uuid] = vms[uuid];
+        });
+    }
+
+    return map;
+}
+
+/*
+ * Returns the UUID of the VM the event "ev" is for.
+ */
+function eventUuid(ev) {
+    return (ev.zonename || ev.uuid || (ev.vm && ev.vm.uuid));
+}
+
+/*
+ * Updates "vms", an object of VMs keyed by UUID, with the change described by
+ * the event "ev".
+ */
+function applyEvent(vms, ev) {
+    var uuid;
+
+    assert.object(vms, 'vms');
+    assert.object(ev, 'ev');
+
+    uuid = eventUuid(ev);
+
+    switch (ev.type) {
+    case 'create':
+    case 'modify':
+        if (uuid && ev.vm) {
+            vms[uuid] = ev.vm;
+        }
+        break;
+    case 'delete':
+        delete vms[uuid];
+        break;
+    default:
+        break;
+    }
+}
+
+/*
+ * Returns the synthetic events that turn "oldVms" into "newVms" (both keyed by
+ * UUID), dated "date": a create for each new VM, a delete for each VM that's
+ * gone and a modify with the changes for each VM that differs.
+ */
+function resyncEvents(oldVms, newVms, date) {
+    var created = [];
+    var deleted = [];
+    var evs = [];
+    var modified = [];
+
+    assert.object(oldVms, 'oldVms');
+    assert.object(newVms, 'newVms');
+    assert.date(date, 'date');
+
+    Object.keys(newVms).sort().forEach(function _checkNew(uuid) {
+        var changes;
+
+        if (!oldVms.hasOwnProperty(uuid)) {
+            created.push(uuid);
+            return;
+        }
+
+        changes = diff(oldVms[uuid], newVms[uuid]);
+        if (changes.length > 0) {
+            modified.push({changes: changes, uuid: uuid});
+        }
+    });
+    Object.keys(oldVms).sort().forEach(function _checkOld(uuid) {
+        if (!newVms.hasOwnProperty(uuid)) {
+            deleted.push(uuid);
+        }
+    });
+
+    created.forEach(function _create(uuid) {
+        evs.push({
+            date: date,
+            synthetic: true,
+            type: 'create',
+            uuid: uuid,
+            vm: newVms[uuid],
+            zonename: uuid
+        });
+    });
+    deleted.forEach(function _delete(uuid) {
+        evs.push({
+            date: date,
+            synthetic: true,
+            type: 'delete',
+            uuid: uuid,
+            vm: {},
+            zonename: uuid
+        });
+    });
+    modified.forEach(function _modify(mod) {
+        evs.push({
+            changes: mod.changes,
+            date: date,
+            synthetic: true,
+            type: 'modify',
+            uuid: mod.uuid,
+            vm: newVms[mod.uuid],
+            zonename: mod.uuid
+        });
+    });
+
+    return evs;
+}
+
+/*
+ * Returns true if the change "change" (from diff()) is to the path "pattern",
+ * a dotted path where "*" matches any one property or array element (eg.
+ * "nics.*.ip"). Changes to something inside the path, or to something that
+ * contains it (eg. all of "nics"), match too.
+ */
+function changeMatchesPath(change, pattern) {
+    var changePath;
+    var idx;
+    var patternPath = pattern.split('.');
+
+    if (change.prettyPath !== undefined) {
+        changePath = change.prettyPath.split('.');
+    } else {
+        changePath = change.path.map(function _toKey(key) {
+            return (key === null) ? '*' : String(key);
+        });
+    }
+
+    for (idx = 0; idx < Math.min(changePath.length, patternPath.length);
+        idx++) {
+
+        if (patternPath[idx] !== '*' && changePath[idx] !== '*' &&
+            patternPath[idx] !== changePath[idx]) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/*
+ * Picks the events of one events() subscription that the subscriber asked for,
+ * and projects the VMs in them (and in the ready event) to the fields they
+ * asked for. With none of the options set, events are passed through as they
+ * are.
+ *
+ * @param opts {Object} Options
+ *      - types {Array} Optional event types to pass ("create", "modify" and
+ *        "delete")
+ *      - search {Object} Optional search, as for lookup(), that the VM must
+ *        match. Create and modify events are checked against the VM after the
+ *        change, and delete events against the VM as last seen.
+ *      - paths {Array} Optional paths (see changeMatchesPath()), one of which
+ *        a modify event must change
+ *      - fields {Array} Optional properties of the VMs to keep
+ */
+function EventFilter(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.optionalArrayOfString(opts.types, 'opts.types');
+    assert.optionalObject(opts.search, 'opts.search');
+    assert.optionalArrayOfString(opts.paths, 'opts.paths');
+    assert.optionalArrayOfString(opts.fields, 'opts.fields');
+
+    (opts.types || []).forEach(function _checkType(type) {
+        assert.ok(EVENT_TYPES.indexOf(type) !== -1,
+            'invalid event type "' + type + '"');
+    });
+
+    self.conditions = opts.search ? query.normalizeSearch(opts.search) : null;
+    self.fields = opts.fields || null;
+    self.paths = opts.paths || null;
+    self.types = opts.types || null;
+
+    // The UUIDs of the VMs last seen matching the search.
+    self.matching = {};
+}
+
+/*
+ * Returns the ready event "ev" with only the VMs that match the search, each
+ * projected to the fields.
+ */
+EventFilter.prototype.filterReady = function filterReady(ev) {
+    var self = this;
+    var filtered = {};
+    var vms;
+
+    assert.object(ev, 'ev');
+
+    if (!ev.vms || (self.conditions === null && self.fields === null)) {
+        return ev;
+    }
+
+    Object.keys(ev).forEach(function _copyProp(k) {
+        filtered[k] = ev[k];
+    });
+
+    vms = vmMap(ev.vms);
+    Object.keys(vms).forEach(function _filterVm(uuid) {
+        if (self.conditions !== null &&
+            !query.matchesSearch(vms[uuid], self.conditions)) {
+
+            delete vms[uuid];
+            return;
+        }
+
+        if (self.conditions !== null) {
+            self.matching[uuid] = true;
+        }
+        if (self.fields !== null) {
+            vms[uuid] = query.projectVm(vms[uuid], self.fields);
+        }
+    });
+
+    if (Array.isArray(ev.vms)) {
+        filtered.vms = Object.keys(vms).map(function _getVm(uuid) {
+            return vms[uuid];
+        });
+    } else {
+        filtered.vms = vms;
+    }
+
+    return filtered;
+};
+
+/*
+ * Returns the event "ev", with its VM projected to the fields, or null if the
+ * subscriber didn't ask for it.
+ */
+EventFilter.prototype.filterEvent = function filterEvent(ev) {
+    var self = this;
+    var filtered = {};
+    var matched;
+    var uuid;
+
+    assert.object(ev, 'ev');
+
+    if (self.types !== null && self.types.indexOf(ev.type) === -1) {
+        return null;
+    }
+
+    if (self.conditions !== null) {
+        uuid = eventUuid(ev);
+
+        if (ev.type === 'delete') {
+            matched = self.matching.hasOwnProperty(uuid);
+            delete self.matching[uuid];
+        } else if (ev.vm) {
+            matched = query.matchesSearch(ev.vm, self.conditions);
+            if (matched) {
+                self.matching[uuid] = true;
+            } else {
+                delete self.matching[uuid];
+            }
+        } else {
+            matched = false;
+        }
+
+        if (!matched) {
+            return null;
+        }
+    }
+
+    // Without the changes, the event can't be ruled out.
+    if (self.paths !== null && ev.type === 'modify' && ev.changes &&
+        !ev.changes.some(function _changesPath(change) {
+            return self.paths.some(function _matches(pattern) {
+                return changeMatchesPath(change, pattern);
+            });
+        })) {
+
+        return null;
+    }
+
+    if (self.fields === null || !ev.vm) {
+        return ev;
+    }
+
+    Object.keys(ev).forEach(function _copyProp(k) {
+        filtered[k] = ev[k];
+    });
+    filtered.vm = query.projectVm(ev.vm, self.fields);
+
+    return filtered;
+};
+
+
+/*
+ * Merges the modify events of each VM seen within "opts.coalesce" ms of the
+ * first into one, and passes the events on to "opts.handler". Create and
+ * delete events flush the modify events held back first, so the order of
+ * those is kept.
+ *
+ * seed() must be called with the VMs of the ready event, as the changes are
+ * worked out from the VMs. Until then, and when "opts.coalesce" isn't set, the
+ * events are passed straight on.
+ *
+ * @param opts {Object} Options
+ *      - coalesce {Number} Optional window in ms. default: no coalescing.
+ *      - handler {Function} `function (ev)`, called with each event
+ */
+function EventCoalescer(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.coalesce, 'opts.coalesce');
+    assert.func(opts.handler, 'opts.handler');
+
+    if (opts.coalesce !== undefined) {
+        assert.ok(opts.coalesce >= 0, 'opts.coalesce must be >= 0');
+    }
+
+    self.handler = opts.handler;
+    self.stopped = false;
+    self.vms = null;
+    self.window = opts.coalesce || 0;
+
+    // The modify events held back, by UUID in the order they were first seen.
+    self.pending = {};
+}
+
+/*
+ * Starts keeping track of the VMs, from "vms" (of a ready event).
+ */
+EventCoalescer.prototype.seed = function seed(vms) {
+    var self = this;
+
+    if (self.window > 0) {
+        self.vms = vmMap(vms);
+    }
+};
+
+/*
+ * Passes on "ev", now or once its window is over.
+ */
+EventCoalescer.prototype.add = function add(ev) {
+    var self = this;
+    var pending;
+    var uuid;
+
+    assert.object(ev, 'ev');
+
+    if (self.stopped) {
+        return;
+    }
+
+    if (self.vms === null) {
+        self.handler(ev);
+        return;
+    }
+
+    uuid = eventUuid(ev);
+
+    if (ev.type !== 'modify' || !uuid || !ev.vm) {
+        self.flush();
+        applyEvent(self.vms, ev);
+        self.handler(ev);
+        return;
+    }
+
+    pending = self.pending[uuid];
+    if (pending === undefined) {
+        pending = self.pending[uuid] = {
+            count: 0,
+            ev: null,
+            oldVm: self.vms[uuid],
+            timer: setTimeout(function _onWindowEnd() {
+                self._emit(uuid);
+            }, self.window)
+        };
+    }
+
+    pending.count++;
+    pending.ev = ev;
+    applyEvent(self.vms, ev);
+};
+
+/*
+ * Passes on the modify events held back for the VM "uuid", merged.
+ */
+EventCoalescer.prototype._emit = function _emit(uuid) {
+    var self = this;
+    var merged = {};
+    var pending = self.pending[uuid];
+
+    delete self.pending[uuid];
+    clearTimeout(pending.timer);
+
+    if (pending.count === 1) {
+        self.handler(pending.ev);
+        return;
+    }
+
+    Object.keys(pending.ev).forEach(function _copyProp(k) {
+        merged[k] = pending.ev[k];
+    });
+    merged.changes = diff(pending.oldVm || {}, pending.ev.vm);
+    merged.coalesced = pending.count;
+
+    self.handler(merged);
+};
+
+/*
+ * Passes on all of the modify events held back now, in the order they were
+ * first seen.
+ */
+EventCoalescer.prototype.flush = function flush() {
+    var self = this;
+
+    Object.keys(self.pending).forEach(function _emitPending(uuid) {
+        // The handler may have stopped the events.
+        if (self.pending.hasOwnProperty(uuid)) {
+            self._emit(uuid);
+        }
+    });
+};
+
+/*
+ * Drops the events held back, and passes on no more.
+ */
+EventCoalescer.prototype.stop = function stop() {
+    var self = this;
+
+    self.stopped = true;
+    Object.keys(self.pending).forEach(function _dropPending(uuid) {
+        clearTimeout(self.pending[uuid].timer);
+    });
+    self.pending = {};
+};
+
+
+module.exports = {
+    applyEvent: applyEvent,
+    changeMatchesPath: changeMatchesPath,
+    EventCoalescer: EventCoalescer,
+    EventFilter: EventFilter,
+    eventUuid: eventUuid,
+    resyncEvents: resyncEvents,
+    vmMap: vmMap
+};
@@ -22,7 +22,26 @@ var assert = require('assert-plus');
 var vasync = require('vasync');
 var uuidv4 = require('uuid/v4');
 
+var onAbort = require('./abort').onAbort;
 var diff = require('./diff');
+var errors = require('./errors');
+var EventRecorder = require('./record').EventRecorder;
+var eventsUtil = require('./events');
+var assertInfoTypes = require('./info').assertInfoTypes;
+var VmInfo = require('./info').VmInfo;
+var VmInventory = require('./inventory').VmInventory;
+var migrate = require('./migrate');
+var mkPayload = require('./payload').mkPayload;
+var promises = require('./promises');
+var query = require('./query');
+var resolveVm = require('./resolve').resolveVm;
+var transfer = require('./transfer');
+var checkPayload = require('./validate').checkPayload;
+var ValidationResult = require('./validate').ValidationResult;
+var validatePayload = require('./validate').validatePayload;
+var VmadmQueue = require('./queue').VmadmQueue;
+var waitForVm = require('./wait').waitForVm;
+var watchEvents = require('./watch').watchEvents;
 
 // These are the NIC properties that are boolean flags and we just remove when
 // false.
@@ -34,6 +53,34 @@ var NIC_FLAGS = [
     'allow_unfiltered_promisc',
     'primary'
 ];
+// The payload properties update() uses internally, for the snapshot operations.
+var INTERNAL_UPDATES = [
+    '_add_snapshot',
+    '_del_snapshot',
+    '_rollback_snapshot'
+];
+// The properties of a loaded VM that depend on the server it's on and whether
+// it's running, which a received VM doesn't keep.
+var NODE_PROPERTIES = [
+    'boot_timestamp',
+    'datacenter_name',
+    'exit_status',
+    'exit_timestamp',
+    'last_modified',
+    'pid',
+    'platform_buildstamp',
+    'server_uuid',
+    'zone_state',
+    'zoneid',
+    'zonename'
+];
+// How fast migrations pretend to copy VMs (in bytes per second), the number of
+// progress events for each copy, and how often (in ms) migrate_watch() checks
+// the migration.
+var MIGRATION_TRANSFER_RATE = 100 * 1024 * 1024;
+var MIGRATION_PROGRESS_STEPS = 4;
+var MIGRATION_WATCH_INTERVAL = 100;
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
 // NIC properties from vmadm's proptable.js
 var NIC_PROPERTIES = [
     'allow_dhcp_spoofing',
@@ -173,12 +220,13 @@ DummyVmadm.prototype.load = function vmLoad(opts, vmopts, callback) {
     self._loadVm({
         uuid: opts.uuid
     }, function _onVmLoad(err, vm) {
-        var notFoundErr;
+        var notFoundErr = new errors.VmNotFoundError({
+            args: ['get', opts.uuid],
+            req_id: opts.req_id,
+            uuid: opts.uuid
+        });
 
         if (err && err.code === 'ENOENT') {
-            notFoundErr = new Error('vmadm load ' + opts.uuid +
-                ' failed: No such zone');
-            notFoundErr.restCode = 'VmNotFound';
             callback(notFoundErr);
             return;
         } else if (err) {
@@ -189,9 +237,6 @@ DummyVmadm.prototype.load = function vmLoad(opts, vmopts, callback) {
         if (vm.do_not_inventory && !opts.include_dni) {
             // Unless the caller is specifically asking for VMs that are
             // do_not_inventory, we treat them the same a VMs that don't exist.
-            notFoundErr = new Error('vmadm load ' + opts.uuid +
-                ' failed: No such zone');
-            notFoundErr.restCode = 'VmNotFound';
             callback(notFoundErr);
             return;
         }
@@ -221,19 +266,21 @@ DummyVmadm.prototype.create = function vmCreate(opts, callback) {
     assert.optionalString(opts.req_id, 'opts.req_id');
 
     var self = this;
-    var payload = opts;
+    var payload = mkPayload(opts);
+    var problems;
     var req_id = opts.req_id;
 
-    delete payload.log;
-    delete payload.req_id;
-    delete payload.sysinfo;
-    delete payload.vmadmLogger;
-
     self.log.trace({
         req_id: req_id,
         payload: payload
     }, 'creating VM');
 
+    problems = checkPayload('create', payload.brand, payload);
+    if (problems) {
+        setImmediate(callback, invalidPayloadError(['create'], problems));
+        return;
+    }
+
     assert.optionalUuid(payload.uuid, 'payload.uuid');
     if (!payload.hasOwnProperty('uuid')) {
         payload.uuid = uuidv4();
@@ -347,7 +394,11 @@ DummyVmadm.prototype.delete = function vmDelete(opts, callback) {
         ]
     }, function _onDeleted(err) {
         if (err && err.code === 'ENOENT') {
-            err.restCode = 'VmNotFound';
+            err = new errors.VmNotFoundError({
+                args: ['delete', opts.uuid],
+                req_id: opts.req_id,
+                uuid: opts.uuid
+            });
         }
         self.log.info({err: err, uuid: opts.uuid}, 'delete VM');
         callback(err);
@@ -369,13 +420,9 @@ DummyVmadm.prototype.update = function vmUpdate(opts, callback) {
     assert.optionalBool(opts.include_dni, 'opts.include_dni');
 
     var self = this;
-    var payload = opts;
+    var payload = mkPayload(opts);
     var req_id = opts.req_id;
 
-    delete payload.log;
-    delete payload.req_id;
-    delete payload.vmadmLogger;
-
     self.log.trace({
         payload: payload,
         req_id: req_id,
@@ -387,6 +434,7 @@ DummyVmadm.prototype.update = function vmUpdate(opts, callback) {
     }, function _onLoad(err, vmobj) {
         var idx;
         var modified = false;
+        var problems;
         var routes;
         var SIMPLE_UPDATES = [
             'alias',
@@ -404,6 +452,14 @@ DummyVmadm.prototype.update = function vmUpdate(opts, callback) {
             return;
         }
 
+        // The internal helpers (see below) aren't part of vmadm's payload.
+        problems = checkPayload('update', vmobj.brand,
+            omitProperties(payload, INTERNAL_UPDATES));
+        if (problems) {
+            callback(invalidPayloadError(['update', opts.uuid], problems));
+            return;
+        }
+
         /*
          * For now we support updating:
          *
@@ -522,8 +578,8 @@ DummyVmadm.prototype.update = function vmUpdate(opts, callback) {
             if (snapshots === undefined ||
                 vmobj.snapshots.length === snapshots.length) {
 
-                callback(missingSnapshotError(payload._del_snapshot,
-                    opts.uuid));
+                callback(missingSnapshotError('delete-snapshot',
+                    payload._del_snapshot, opts.uuid));
                 return;
             }
         }
@@ -564,8 +620,8 @@ DummyVmadm.prototype.update = function vmUpdate(opts, callback) {
             }
 
             if (snapshots === undefined || snaptime === null) {
-                callback(missingSnapshotError(payload._rollback_snapshot,
-                    opts.uuid));
+                callback(missingSnapshotError('rollback-snapshot',
+                    payload._rollback_snapshot, opts.uuid));
                 return;
             }
         }
@@ -580,6 +636,35 @@ DummyVmadm.prototype.update = function vmUpdate(opts, callback) {
     });
 };
 
+/**
+ * Check a create or update payload, as `vmadm validate` would. The payload is
+ * checked against the property table in lib/validate.js. Unlike create and
+ * update, which only reject the properties in it that have invalid values or
+ * can't be used, this also reports properties that aren't in it and missing
+ * required properties.
+ *
+ * @param opts {Object} Options
+ *      - action {String} "create" or "update"
+ *      - brand {String} brand of the VM (required for update, for create it
+ *        defaults to payload.brand)
+ *      - payload {Object} the payload to check
+ * @param callback {Function} `function (err, result)`
+ *      - result is a ValidationResult (see lib/validate.js)
+ */
+DummyVmadm.prototype.validate = function vmValidate(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+
+    var payload = validatePayload(opts);
+    var problems;
+
+    problems = checkPayload(opts.action,
+        (opts.action === 'update') ? opts.brand : payload.brand, payload,
+        {strict: true});
+
+    setImmediate(callback, null, new ValidationResult(problems || {}));
+};
+
 /**
  * Call `vmadm reboot <uuid>`.
  *
@@ -641,9 +726,9 @@ DummyVmadm.prototype.reboot = function vmReboot(opts, callback) {
 /**
  * Call `vmadm lookup -j`.
  *
+ * @param search {Object} The VM properties to look for, with the operators
+ *      described in lib/query.js
  * @param opts {Object} Options
- *      - uuid {String} The VM uuid.
- * @param vmopts {Object} Optional vm options
  *      - fields {Array} Return only the keys give in `fields` array
  *      - include_dni {Boolean} If true, return VMs that have do_not_inventory
  *        set. default: false.
@@ -653,34 +738,130 @@ DummyVmadm.prototype.lookup = function vmLookup(search, opts, callback) {
     assert.object(search, 'search');
     assert.object(opts, 'opts');
     assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalArrayOfString(opts.fields, 'opts.fields');
     assert.optionalBool(opts.include_dni, 'opts.include_dni');
 
     var self = this;
 
+    // Check the search before loading the VMs.
+    query.normalizeSearch(search);
+
     self.log.info({
+        fields: opts.fields,
         req_id: opts.req_id,
         search: search
     }, 'lookup VMs');
 
-    // XXX can't we also specify fields in opts?
-
     self._loadVms({}, function _onLoadVms(err, loadedVms) {
         if (err) {
             callback(err);
             return;
         }
 
-        if (JSON.stringify(search) === '{}') {
-            // no search, just return all VMs
-            callback(null, loadedVms);
+        callback(null, query.selectVms(loadedVms, search, {
+            fields: opts.fields,
+            include_dni: opts.include_dni
+        }));
+    });
+};
+
+/**
+ * Call `vmadm lookup -j -1`, which fails unless exactly one VM matches.
+ *
+ * @param search {Object} The VM properties to look for, as for lookup()
+ * @param opts {Object} Options, as for lookup()
+ * @param callback {Function} `function (err, vm)`
+ *      - err is a VmLookupNoMatchError if no VM matched (or only one with
+ *        do_not_inventory set, and include_dni isn't set), and a
+ *        VmLookupAmbiguousError if more than one did
+ */
+DummyVmadm.prototype.lookupOne = function vmLookupOne(search, opts, callback) {
+    assert.object(search, 'search');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalArrayOfString(opts.fields, 'opts.fields');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+
+    var self = this;
+    var fields;
+    var searchDesc = query.renderSearch(search).join(' ');
+
+    if (opts.fields) {
+        // Like vmadm, VMs with do_not_inventory count towards the matches.
+        fields = opts.fields.slice();
+        if (fields.indexOf('do_not_inventory') === -1) {
+            fields.push('do_not_inventory');
+        }
+    }
+
+    self.lookup(search, {
+        fields: fields,
+        include_dni: true,
+        req_id: opts.req_id
+    }, function _onLookup(err, vms) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (vms.length === 0 ||
+            (vms.length === 1 && vms[0].do_not_inventory &&
+            !opts.include_dni)) {
+
+            callback(new errors.VmLookupNoMatchError({
+                req_id: opts.req_id,
+                search: searchDesc
+            }));
+            return;
+        }
+
+        if (vms.length > 1) {
+            callback(new errors.VmLookupAmbiguousError({
+                count: vms.length,
+                req_id: opts.req_id,
+                search: searchDesc
+            }));
             return;
         }
 
-        assert.ok(false, 'Don\'t yet know how to handle search: ' +
-            JSON.stringify(search));
+        callback(null, vms[0]);
     });
 };
 
+/**
+ * Find the UUID of the VM with the given UUID, alias or UUID prefix.
+ *
+ * @param id {String} UUID, alias or UUID prefix of the VM
+ * @param opts {Object} Options, as for lookup()
+ * @param callback {Function} `function (err, uuid)`, see lib/resolve.js
+ */
+DummyVmadm.prototype.resolve = function vmResolve(id, opts, callback) {
+    var self = this;
+
+    resolveVm(self, id, opts, callback);
+};
+
+/**
+ * Wait for a VM to reach a state, or to match a predicate, using events().
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of the VM
+ *      - predicate {Function} `function (vm)`, returns true once done. It's
+ *        called with undefined while the VM doesn't exist.
+ *      - state {String} the state to wait for, if predicate is not set
+ *      - timeout {Number} Optional time in ms to wait before failing with a
+ *        VmWaitTimeoutError. default: no limit.
+ *      - include_dni {Boolean} If true, see VMs that have do_not_inventory
+ *        set. default: false.
+ * @param callback {Function} `function (err, vm)`, see lib/wait.js
+ */
+DummyVmadm.prototype.waitFor = function vmWaitFor(opts, callback) {
+    var self = this;
+
+    waitForVm(self, opts, callback);
+};
+
+
 /**
  * Call `vmadm start <uuid>`.
  *
@@ -743,6 +924,76 @@ DummyVmadm.prototype.stop = function vmStop(opts, callback) {
     }, callback);
 };
 
+/**
+ * Call `vmadm info <uuid>`. The information returned is made up from the VM's
+ * properties.
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of KVM or bhyve VM to run info on
+ *      - types {Array of Strings} Optional array of info types (see
+ *        info.INFO_TYPES). default: all
+ *      - include_dni {Boolean} If true, gather info from VMs that have
+ *        do_not_inventory set. default: false.
+ * @param callback {Function} `function (err, vmInfo)`
+ *      - vmInfo {VmInfo} see lib/info.js
+ */
+DummyVmadm.prototype.info = function vmInfo(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.string(opts.uuid, 'opts.uuid');
+    assertInfoTypes(opts.types, 'opts.types');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+
+    var self = this;
+    var args = ['info', opts.uuid];
+
+    if (opts.types && opts.types.length > 0) {
+        args.push(opts.types.join(','));
+    }
+
+    self.log.trace({
+        req_id: opts.req_id,
+        types: opts.types,
+        uuid: opts.uuid
+    }, 'info for VM');
+
+    self.load({
+        include_dni: opts.include_dni,
+        req_id: opts.req_id,
+        uuid: opts.uuid
+    }, function _onLoad(err, vm) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (['bhyve', 'kvm'].indexOf(vm.brand) === -1) {
+            callback(new errors.VmadmExecError({
+                args: args,
+                exitCode: 1,
+                req_id: opts.req_id,
+                stderrLines: ['Failed to get info for VM ' + opts.uuid +
+                    ': The info command is only supported for KVM and ' +
+                    'bhyve VMs']
+            }));
+            return;
+        }
+
+        if (vm.state !== 'running') {
+            callback(new errors.VmNotRunningError({
+                args: args,
+                exitCode: 1,
+                req_id: opts.req_id,
+                uuid: opts.uuid
+            }));
+            return;
+        }
+
+        callback(null, new VmInfo(synthesizeInfo(vm,
+            opts.types || ['all'], self.sysinfo)));
+    });
+};
+
 DummyVmadm.prototype._loadVmMap = function _loadVmMap(callback) {
     var self = this;
 
@@ -767,6 +1018,15 @@ DummyVmadm.prototype._loadVmMap = function _loadVmMap(callback) {
  *      - uuid {String} UUID of VM to watch, if unset all VMs are watched
  *      - name {String} Identifier string for debugging purposes, this will be
  *      used to construct the user-agent sent to vminfod
+ *      - types {Array} Optional event types to pass to the handler
+ *      - search {Object} Optional search, as for lookup(), that the VM of an
+ *        event must match (see EventFilter in lib/events.js)
+ *      - paths {Array} Optional paths (eg. "nics.*.ip"), one of which a modify
+ *        event must change
+ *      - fields {Array} Optional properties to keep of the VMs in events
+ *      - coalesce {Number} Optional window in ms within which the modify
+ *        events of a VM are merged into one (see EventCoalescer in
+ *        lib/events.js)
  * @param handler {Function} `function (ev)`
  *      - called when an event is seen
  * @param callback {Function} `function (err, obj)`
@@ -777,18 +1037,37 @@ DummyVmadm.prototype._loadVmMap = function _loadVmMap(callback) {
  * @return vs {VmadmCLIEventStream}
  *      - Can be used to listen for errors, ex: `vs.on('error', ...)`
  */
-DummyVmadm.prototype.events = function vmEvents(_opts, handler, callback) {
+DummyVmadm.prototype.events = function vmEvents(opts, handler, callback) {
     var self = this;
 
     var added = [];
     var changed = [];
     var changes;
+    var coalescer;
+    var filter = new eventsUtil.EventFilter(opts);
     var idx;
     var removed = [];
     var vmdiff;
     var vmdir = path.join(self.serverRoot, self.serverUuid, 'vms');
     var vmuuid;
 
+    function filteredHandler(ev) {
+        var filtered = filter.filterEvent(ev);
+
+        if (filtered !== null) {
+            handler(filtered);
+        }
+    }
+
+    coalescer = new eventsUtil.EventCoalescer({
+        coalesce: opts.coalesce,
+        handler: filteredHandler
+    });
+
+    function addEvent(ev) {
+        coalescer.add(ev);
+    }
+
     self.vmCache = {};
 
     // We watch only the vmdir directory, and assume that any changes to files
@@ -847,12 +1126,14 @@ DummyVmadm.prototype.events = function vmEvents(_opts, handler, callback) {
             for (idx = 0; idx < added.length; idx++) {
                 vmobj = vms[added[idx]];
                 self.log.trace({vmUuid: added[idx]}, 'new VM');
-                self._dispatchEvent('create', added[idx], vmobj, {}, handler);
+                self._dispatchEvent('create', added[idx], vmobj, {},
+                    addEvent);
             }
             for (idx = 0; idx < removed.length; idx++) {
                 vmobj = {};
                 self.log.trace({vmUuid: removed[idx]}, 'deleted VM');
-                self._dispatchEvent('delete', removed[idx], vmobj, {}, handler);
+                self._dispatchEvent('delete', removed[idx], vmobj, {},
+                    addEvent);
             }
             for (idx = 0; idx < changed.length; idx++) {
                 vmobj = vms[changed[idx]];
@@ -863,7 +1144,7 @@ DummyVmadm.prototype.events = function vmEvents(_opts, handler, callback) {
                 }, 'changed VM');
                 self._dispatchEvent('modify', changed[idx], vmobj, {
                     changes: changes
-                }, handler);
+                }, addEvent);
             }
 
             added = [];
@@ -884,14 +1165,16 @@ DummyVmadm.prototype.events = function vmEvents(_opts, handler, callback) {
             assert.ifError(err);
 
             self.vmCache = vms;
+            coalescer.seed(vms);
 
             callback(null, {
-                ev: {
+                ev: filter.filterReady({
                     date: (new Date()).toISOString(),
                     type: 'ready',
                     vms: vms
-                },
+                }),
                 stop: function _stop() {
+                    coalescer.stop();
                     self._deleteAllWatchers();
                 }
             });
@@ -901,6 +1184,21 @@ DummyVmadm.prototype.events = function vmEvents(_opts, handler, callback) {
     return new VmadmCLIEventStream();
 };
 
+/**
+ * Returns the events of events() as a stream, which can be consumed with
+ * `for await`. The first object read is the ready event. See lib/watch.js.
+ *
+ * @param opts {Object} Options, as for events() plus:
+ *      - highWaterMark {Number} Optional number of events to buffer before
+ *        pausing the event stream. default: 16.
+ * @return {VmadmWatchStream}
+ */
+DummyVmadm.prototype.watch = function vmWatch(opts) {
+    var self = this;
+
+    return watchEvents(self, opts);
+};
+
 
 /**
  * Call `vmadm create-snapshot <uuid>`.
@@ -979,7 +1277,8 @@ function vmRollbackSnapshot(opts, callback) {
                     }
 
                     if (!foundSnapshot) {
-                        cb(missingSnapshotError(opts.snapshot_name, opts.uuid));
+                        cb(missingSnapshotError('rollback-snapshot',
+                            opts.snapshot_name, opts.uuid));
                         return;
                     }
 
@@ -1067,12 +1366,6 @@ DummyVmadm.prototype.reprovision = function vmReprovision(opts, callback) {
     // currently not used
     assert.optionalBool(opts.include_dni, 'opts.include_dni');
 
-    var payload = opts;
-    delete payload.log;
-    delete payload.vmadmLogger;
-    delete payload.req_id;
-    delete payload.include_dni;
-
     vasync.pipeline({
         arg: {},
         funcs: [
@@ -1132,132 +1425,981 @@ DummyVmadm.prototype.reprovision = function vmReprovision(opts, callback) {
     }, callback);
 };
 
-// --- dummy helper methods
-
-DummyVmadm.prototype._deleteAllWatchers = function _deleteAllWatchers() {
-    var self = this;
-
-    self.log.trace('deleting vmdir watch');
-    self.vmdirWatch.close();
-    delete self.vmdirWatch;
-};
-
-DummyVmadm.prototype._dispatchEvent =
-function _dispatchEvent(evtName, zonename, vmobj, opts, handler) {
-    assert.string(evtName, 'evtName');
-    assert.uuid(zonename, 'vmobj.zonename');
-    assert.object(vmobj, 'vmobj');
+/**
+ * Call `vmadm send <uuid>`. The output is the VM and its snapshots, in the
+ * format described in lib/transfer.js.
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM to send
+ *      - abortSignal {AbortSignal} Optional signal to cancel the send with
+ *      - include_dni {Boolean} If true, send VMs that have do_not_inventory
+ *        set. default: false.
+ * @return {Stream} A readable stream of the VM, which emits "progress" with
+ *      the number of bytes sent so far and "error" if the VM can't be loaded
+ *      or the send is cancelled.
+ */
+DummyVmadm.prototype.send = function vmSend(opts) {
     assert.object(opts, 'opts');
-    assert.func(handler, 'handler');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+    assert.optionalObject(opts.abortSignal, 'opts.abortSignal');
 
-    if (evtName === 'modify') {
-        assert.arrayOfObject(opts.changes, 'opts.changes');
+    var self = this;
+    var output = new transfer.ProgressStream();
+    var removeAbortListener;
+
+    function cancel() {
+        if (!output.destroyed) {
+            output.destroy(new errors.VmadmCancelledError({
+                args: ['send', opts.uuid],
+                req_id: opts.req_id
+            }));
+        }
     }
 
-    var handlerObj;
-
-    if (evtName === 'delete') {
-        handlerObj = {
-            type: 'delete',
-            vm: {},
-            zonename: zonename
-        };
-    } else {
-        handlerObj = {
-            changes: (evtName === 'modify') ? opts.changes : undefined,
-            type: evtName,
-            vm: vmobj,
-            zonename: zonename
-        };
+    function detach() {
+        if (removeAbortListener) {
+            removeAbortListener();
+            removeAbortListener = undefined;
+        }
     }
 
-    handler(handlerObj);
-};
-
-DummyVmadm.prototype._addSystemProperties =
-function _addSystemProperties(arg, callback) {
-    // we know we loaded sysinfo if we got here
-    assert.object(arg, 'arg');
-    assert.object(arg.vmobj, 'arg.vmobj');
+    if (opts.abortSignal && opts.abortSignal.aborted) {
+        setImmediate(cancel);
+        return output;
+    } else if (opts.abortSignal) {
+        removeAbortListener = onAbort(opts.abortSignal, cancel);
+        output.once('end', detach);
+        output.once('close', detach);
+    }
 
-    var self = this;
+    self.load({
+        include_dni: opts.include_dni,
+        req_id: opts.req_id,
+        uuid: opts.uuid
+    }, function _onLoad(err, vm) {
+        if (output.destroyed) {
+            return;
+        }
 
-    arg.vmobj.server_uuid = self.sysinfo.UUID;
-    arg.vmobj.datacenter_name = self.sysinfo['Datacenter Name'];
-    arg.vmobj.platform_buildstamp = self.sysinfo['Live Image'];
+        if (err) {
+            detach();
+            output.destroy(err);
+            return;
+        }
 
-    // zpool?
+        transfer.serializeVm(vm).forEach(function _writeRecord(record) {
+            output.write(record);
+        });
+        output.end();
+    });
 
-    callback();
+    return output;
 };
 
-DummyVmadm.prototype._addInstanceExecutionInfo =
-function _addInstanceExecutionInfo(arg, callback) {
-    assert.object(arg, 'arg');
-    assert.object(arg.vmobj, 'arg.vmobj');
-
-    var last_modified;
-
-    // XXX we just make stuff up for now
+/**
+ * Call `vmadm receive`, creating the VM written to "opts.stream" by send().
+ * The VM is stopped once received.
+ *
+ * @param opts {Object} Options
+ *      - stream {Stream} The output of send()
+ *      - abortSignal {AbortSignal} Optional signal to cancel the receive with
+ * @param callback {Function} `function (err, vm)`
+ *      - err is a VmadmExecError if the stream is invalid, incomplete or has
+ *        a VM that already exists, or the error from opts.stream if reading
+ *        it failed
+ *      - vm is the received VM, as returned by load()
+ * @return {Stream} The data being received, which emits "progress" with the
+ *      number of bytes received so far
+ */
+DummyVmadm.prototype.receive = function vmReceive(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.stream, 'opts.stream');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalObject(opts.abortSignal, 'opts.abortSignal');
+    assert.func(callback, 'callback');
 
-    if (arg.vmobj.state === undefined) {
-        arg.vmobj.state = 'running';
-    }
+    var self = this;
+    var chunks = [];
+    var done = false;
+    var input = new transfer.ProgressStream();
+    var removeAbortListener;
 
-    if (arg.vmobj.state === 'running') {
-        last_modified = (new Date(arg.vmobj.last_modified)).getTime();
-        arg.vmobj.pid = Math.floor(last_modified / 1000) % 100000;
-        if (arg.vmobj.boot_timestamp === undefined) {
-            arg.vmobj.boot_timestamp = arg.vmobj.last_modified;
-        }
-    } else if (arg.vmobj.state === 'stopped') {
-        arg.vmobj.exit_status = 0;
-        if (arg.vmobj.exit_timestamp === undefined) {
-            arg.vmobj.exit_timestamp = arg.vmobj.last_modified;
+    function finish(err, vm) {
+        if (done) {
+            return;
         }
-    }
+        done = true;
 
-    callback();
-};
+        if (removeAbortListener) {
+            removeAbortListener();
+        }
+        opts.stream.unpipe(input);
 
-DummyVmadm.prototype._addHardcodedProperties =
-function _addHardcodedProperties(arg, callback) {
-    // these make no sense here, so we hardcode them to something for compat
-    assert.object(arg, 'arg');
-    assert.object(arg.vmobj, 'arg.vmobj');
+        callback(err, vm);
+    }
 
-    assert.uuid(arg.vmobj.uuid, 'arg.vmobj.uuid');
-    arg.vmobj.zonename = arg.vmobj.uuid;
+    function receiveError(reason) {
+        return new errors.VmadmExecError({
+            args: ['receive'],
+            exitCode: 1,
+            req_id: opts.req_id,
+            stderrLines: ['Failed to receive VM: ' + reason]
+        });
+    }
 
-    assert.string(arg.vmobj.state, 'arg.vmobj.state');
-    if (!arg.vmobj.hasOwnProperty('zone_state')) {
-        arg.vmobj.zone_state = arg.vmobj.state;
+    function cancel() {
+        finish(new errors.VmadmCancelledError({
+            args: ['receive'],
+            req_id: opts.req_id
+        }));
     }
 
-    assert.optionalNumber(arg.vmobj.pid, 'arg.vmobj.pid');
-    if (arg.vmobj.pid !== undefined) {
-        arg.vmobj.zoneid = arg.vmobj.pid;
+    if (opts.abortSignal && opts.abortSignal.aborted) {
+        setImmediate(cancel);
+        return input;
+    } else if (opts.abortSignal) {
+        removeAbortListener = onAbort(opts.abortSignal, cancel);
     }
 
-    callback();
-};
+    opts.stream.once('error', function _onStreamError(err) {
+        finish(err);
+    });
 
-DummyVmadm.prototype._loadTimestamp = function _loadTimestamp(arg, callback) {
-    assert.object(arg, 'arg');
-    assert.string(arg.file, 'arg.file');
-    assert.object(arg.vmobj, 'arg.vmobj');
+    input.on('data', function _onData(chunk) {
+        chunks.push(chunk);
+    });
 
-    fs.stat(arg.file, function _onStat(err, stats) {
-        if (err) {
-            callback(err);
+    input.on('end', function _onEnd() {
+        var vm;
+
+        if (done) {
             return;
         }
 
-        arg.vmobj.last_modified = stats.mtime.toISOString();
+        try {
+            vm = transfer.parseSentVm(Buffer.concat(chunks).toString());
+        } catch (parseErr) {
+            finish(receiveError(parseErr.message));
+            return;
+        }
 
-        callback();
-    });
-};
+        self._loadVm({uuid: vm.uuid}, function _onLoad(loadErr) {
+            if (done) {
+                return;
+            }
+
+            if (!loadErr) {
+                finish(receiveError('VM ' + vm.uuid + ' already exists'));
+                return;
+            } else if (loadErr.code !== 'ENOENT') {
+                finish(loadErr);
+                return;
+            }
+
+            NODE_PROPERTIES.forEach(function _removeProperty(k) {
+                delete vm[k];
+            });
+            vm.state = 'stopped';
+
+            self._writeVm(vm, {}, function _onWrite(writeErr) {
+                if (writeErr) {
+                    finish(writeErr);
+                    return;
+                }
+
+                self.load({
+                    include_dni: true,
+                    req_id: opts.req_id,
+                    uuid: vm.uuid
+                }, finish);
+            });
+        });
+    });
+
+    opts.stream.pipe(input);
+
+    return input;
+};
+
+/**
+ * Call `vmadm migrate begin <uuid> <target>`. The dummy backends keep the
+ * migration in <serverRoot>/<serverUuid>/migrations/<uuid>.json, and "target"
+ * must be the UUID of another server under the same serverRoot, which
+ * migrate_switch() moves the VM to.
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM to migrate
+ *      - target {String} UUID of the server to migrate the VM to
+ *      - include_dni {Boolean} If true, migrate VMs that have do_not_inventory
+ *        set. default: false.
+ * @param callback {Function} `function (err, migration)`
+ */
+DummyVmadm.prototype.migrate_begin = function vmMigrateBegin(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.string(opts.target, 'opts.target');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var args = ['migrate', 'begin', opts.uuid, opts.target];
+
+    self._checkMigration(opts, args, function _onCheck(err) {
+        var migration;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (!UUID_RE.test(opts.target) || opts.target === self.serverUuid) {
+            callback(new errors.VmadmExecError({
+                args: args,
+                exitCode: 1,
+                req_id: opts.req_id,
+                stderrLines: ['Invalid migration target "' + opts.target + '"']
+            }));
+            return;
+        }
+
+        migration = {
+            created_timestamp: new Date().toISOString(),
+            num_sync_phases: 0,
+            phase: 'begin',
+            progress_history: [],
+            state: 'paused',
+            target: opts.target,
+            vm_uuid: opts.uuid
+        };
+
+        self._writeMigration(migration, function _onWrite(writeErr) {
+            self.log.info({err: writeErr, migration: migration},
+                'began migration');
+            callback(writeErr, writeErr ? undefined : migration);
+        });
+    });
+};
+
+/**
+ * Call `vmadm migrate sync <uuid>`, which copies the VM (the size of send()'s
+ * output) to the target while the migration is "running".
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM being migrated
+ *      - include_dni {Boolean} If true, sync VMs that have do_not_inventory
+ *        set. default: false.
+ * @param callback {Function} `function (err, migration)`
+ */
+DummyVmadm.prototype.migrate_sync = function vmMigrateSync(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var args = ['migrate', 'sync', opts.uuid];
+
+    self._checkMigration(opts, args, function _onCheck(err, vm, migration) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        migration.num_sync_phases++;
+
+        self._copyMigration(vm, migration, 'sync', function _onCopy(copyErr) {
+            if (copyErr) {
+                self._failMigration(migration, args, opts, copyErr, callback);
+                return;
+            }
+
+            migration.state = 'paused';
+            self._writeMigration(migration, function _onWrite(writeErr) {
+                callback(writeErr, writeErr ? undefined : migration);
+            });
+        });
+    });
+};
+
+/**
+ * Call `vmadm migrate switch <uuid>`, which does a final sync and then moves
+ * the VM to the target server, keeping its state. If the target already has
+ * the VM, the migration fails (and can then be aborted).
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM being migrated
+ *      - include_dni {Boolean} If true, switch VMs that have do_not_inventory
+ *        set. default: false.
+ * @param callback {Function} `function (err, migration)`
+ */
+DummyVmadm.prototype.migrate_switch =
+function vmMigrateSwitch(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var args = ['migrate', 'switch', opts.uuid];
+
+    self._checkMigration(opts, args, function _onCheck(err, vm, migration) {
+        var targetDir;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        targetDir = path.join(self.serverRoot, migration.target, 'vms');
+
+        vasync.pipeline({
+            funcs: [
+                function _copy(_, cb) {
+                    self._copyMigration(vm, migration, 'switch', cb);
+                }, function _checkTarget(_, cb) {
+                    fs.stat(path.join(targetDir, opts.uuid + '.json'),
+                        function _onStat(statErr) {
+                        if (!statErr) {
+                            cb(new Error('VM ' + opts.uuid +
+                                ' already exists on server ' +
+                                migration.target));
+                            return;
+                        }
+                        cb(statErr.code === 'ENOENT' ? null : statErr);
+                    });
+                }, function _mkTargetDirs(_, cb) {
+                    ensureDir(path.dirname(targetDir), function _onDir(dirErr) {
+                        if (dirErr) {
+                            cb(dirErr);
+                            return;
+                        }
+                        ensureDir(targetDir, cb);
+                    });
+                }, function _moveVm(_, cb) {
+                    var vmdir = path.join(self.serverRoot, self.serverUuid,
+                        'vms');
+
+                    // This keeps the VM as it's stored, without the
+                    // properties load() adds for this server.
+                    fs.readFile(path.join(vmdir, opts.uuid + '.json'),
+                        function _onRead(readErr, data) {
+                        var filename = path.join(targetDir,
+                            opts.uuid + '.json');
+
+                        if (readErr) {
+                            cb(readErr);
+                            return;
+                        }
+
+                        fs.writeFile(filename + '.' + process.pid, data,
+                            function _onWrite(writeErr) {
+                            if (writeErr) {
+                                cb(writeErr);
+                                return;
+                            }
+                            fs.rename(filename + '.' + process.pid, filename,
+                                cb);
+                        });
+                    });
+                }, function _deleteVm(_, cb) {
+                    self.delete({
+                        include_dni: true,
+                        req_id: opts.req_id,
+                        uuid: opts.uuid
+                    }, cb);
+                }
+            ]
+        }, function _onSwitched(switchErr) {
+            if (switchErr) {
+                self._failMigration(migration, args, opts, switchErr,
+                    callback);
+                return;
+            }
+
+            migration.finished_timestamp = new Date().toISOString();
+            migration.state = 'successful';
+
+            self._writeMigration(migration, function _onWrite(writeErr) {
+                self.log.info({err: writeErr, migration: migration},
+                    'switched migration');
+                callback(writeErr, writeErr ? undefined : migration);
+            });
+        });
+    });
+};
+
+/**
+ * Call `vmadm migrate abort <uuid>`.
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM being migrated
+ *      - include_dni {Boolean} If true, abort migrations of VMs that have
+ *        do_not_inventory set. default: false.
+ * @param callback {Function} `function (err, migration)`
+ */
+DummyVmadm.prototype.migrate_abort = function vmMigrateAbort(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var args = ['migrate', 'abort', opts.uuid];
+
+    self._checkMigration(opts, args, function _onCheck(err, _vm, migration) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        migration.finished_timestamp = new Date().toISOString();
+        migration.phase = 'abort';
+        migration.state = 'aborted';
+
+        self._writeMigration(migration, function _onWrite(writeErr) {
+            self.log.info({err: writeErr, migration: migration},
+                'aborted migration');
+            callback(writeErr, writeErr ? undefined : migration);
+        });
+    });
+};
+
+/**
+ * Call `vmadm migrate estimate <uuid>`.
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM to estimate the migration of
+ *      - include_dni {Boolean} If true, estimate VMs that have
+ *        do_not_inventory set. default: false.
+ * @param callback {Function} `function (err, estimate)`
+ *      - estimate has "size", the size of send()'s output for the VM, and
+ *        "eta_ms", the time migrations take to copy that much
+ */
+DummyVmadm.prototype.migrate_estimate =
+function vmMigrateEstimate(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    self.load({
+        include_dni: opts.include_dni,
+        req_id: opts.req_id,
+        uuid: opts.uuid
+    }, function _onLoad(err, vm) {
+        var size;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        size = migrationSize(vm);
+        callback(null, {
+            eta_ms: Math.ceil(size * 1000 / MIGRATION_TRANSFER_RATE),
+            size: size
+        });
+    });
+};
+
+/**
+ * Call `vmadm migrate watch <uuid>`. The migration is checked every
+ * MIGRATION_WATCH_INTERVAL ms until the phase is no longer running.
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM being migrated
+ *      - abortSignal {AbortSignal} Optional signal to stop watching with
+ *      - include_dni {Boolean} If true, watch VMs that have do_not_inventory
+ *        set. default: false.
+ * @return {Stream} A readable stream of the progress events written from then
+ *      on (see lib/migrate.js), ending with an event of type "end"
+ */
+DummyVmadm.prototype.migrate_watch = function vmMigrateWatch(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+    assert.optionalObject(opts.abortSignal, 'opts.abortSignal');
+
+    var self = this;
+    var args = ['migrate', 'watch', opts.uuid];
+    var emitted;
+    var output = new stream.PassThrough({objectMode: true});
+    var removeAbortListener;
+    var timer;
+
+    function stop(err) {
+        clearTimeout(timer);
+        if (removeAbortListener) {
+            removeAbortListener();
+            removeAbortListener = undefined;
+        }
+
+        if (output.destroyed) {
+            return;
+        }
+        if (err) {
+            output.destroy(err);
+            return;
+        }
+        output.end();
+    }
+
+    function poll() {
+        self._loadMigration(opts.uuid, function _onLoad(err, migration) {
+            var history;
+            var idx;
+
+            if (output.destroyed) {
+                return;
+            }
+
+            if (!err && migration === undefined) {
+                err = noMigrationError(args, opts);
+            }
+            if (err) {
+                stop(err);
+                return;
+            }
+
+            history = migration.progress_history;
+            if (emitted === undefined) {
+                emitted = history.length;
+            }
+            for (idx = emitted; idx < history.length; idx++) {
+                output.write(history[idx]);
+            }
+            emitted = history.length;
+
+            if (migration.state === 'running') {
+                timer = setTimeout(poll, MIGRATION_WATCH_INTERVAL);
+                return;
+            }
+
+            output.write(migrate.endEvent(migration));
+            stop();
+        });
+    }
+
+    if (opts.abortSignal && opts.abortSignal.aborted) {
+        setImmediate(stop, new errors.VmadmCancelledError({
+            args: args,
+            req_id: opts.req_id
+        }));
+        return output;
+    } else if (opts.abortSignal) {
+        removeAbortListener = onAbort(opts.abortSignal, function _onAbort() {
+            stop(new errors.VmadmCancelledError({
+                args: args,
+                req_id: opts.req_id
+            }));
+        });
+    }
+
+    output.once('close', function _onClose() {
+        stop();
+    });
+
+    self.load({
+        include_dni: opts.include_dni,
+        req_id: opts.req_id,
+        uuid: opts.uuid
+    }, function _onLoadVm(err) {
+        if (output.destroyed) {
+            return;
+        }
+        if (err) {
+            stop(err);
+            return;
+        }
+        poll();
+    });
+
+    return output;
+};
+
+/*
+ * Calls back with the VM opts.uuid and its migration if migrate action
+ * args[1] can be taken on it, and otherwise with the error vmadm fails with.
+ */
+DummyVmadm.prototype._checkMigration =
+function _checkMigration(opts, args, callback) {
+    var self = this;
+    var action = args[1];
+
+    self.load({
+        include_dni: opts.include_dni,
+        req_id: opts.req_id,
+        uuid: opts.uuid
+    }, function _onLoad(err, vm) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        self._loadMigration(opts.uuid, function _onLoadMigration(loadErr,
+            migration) {
+
+            if (loadErr) {
+                callback(loadErr);
+                return;
+            }
+
+            if (migration === undefined && action !== 'begin') {
+                callback(noMigrationError(args, opts));
+                return;
+            }
+
+            if (!migrate.canTransition(action, migration)) {
+                callback(new errors.VmMigrationStateError({
+                    action: action,
+                    args: args,
+                    exitCode: 1,
+                    phase: migration.phase,
+                    req_id: opts.req_id,
+                    state: migration.state,
+                    stderrLines: [migrate.migrationStateMessage(action,
+                        opts.uuid, migration)],
+                    uuid: opts.uuid
+                }));
+                return;
+            }
+
+            callback(null, vm, migration);
+        });
+    });
+};
+
+/*
+ * Runs "phase" of "migration", copying "vm" to the target with a progress
+ * event for each of MIGRATION_PROGRESS_STEPS. The migration is left running,
+ * for the caller to finish.
+ */
+DummyVmadm.prototype._copyMigration =
+function _copyMigration(vm, migration, phase, callback) {
+    var self = this;
+    var size = migrationSize(vm);
+    var steps = [];
+    var step;
+
+    for (step = 1; step <= MIGRATION_PROGRESS_STEPS; step++) {
+        steps.push(step);
+    }
+
+    migration.phase = phase;
+    migration.state = 'running';
+
+    vasync.forEachPipeline({
+        func: function _writeProgress(n, cb) {
+            var current = Math.round(size * n / MIGRATION_PROGRESS_STEPS);
+
+            if (n > 0) {
+                migration.progress_history.push({
+                    type: 'progress',
+                    phase: phase,
+                    state: 'running',
+                    current_progress: current,
+                    total_progress: size,
+                    message: (phase === 'switch' ? 'final sync' :
+                        'sync') + ' of VM ' + vm.uuid,
+                    transfer_bytes_second: MIGRATION_TRANSFER_RATE,
+                    eta_ms: Math.ceil((size - current) * 1000 /
+                        MIGRATION_TRANSFER_RATE)
+                });
+            }
+
+            self._writeMigration(migration, cb);
+        },
+        inputs: [0].concat(steps)
+    }, function _onCopied(err) {
+        callback(err);
+    });
+};
+
+/*
+ * Records that "migration" failed with "err", and calls back with the error
+ * vmadm fails with.
+ */
+DummyVmadm.prototype._failMigration =
+function _failMigration(migration, args, opts, err, callback) {
+    var self = this;
+
+    migration.error = err.message;
+    migration.finished_timestamp = new Date().toISOString();
+    migration.state = 'failed';
+
+    self._writeMigration(migration, function _onWrite(writeErr) {
+        self.log.error({err: err, migration: migration}, 'migration failed');
+        callback(writeErr || new errors.VmadmExecError({
+            args: args,
+            exitCode: 1,
+            req_id: opts.req_id,
+            stderrLines: ['Failed to ' + args[1] + ' migration of VM ' +
+                opts.uuid + ': ' + err.message]
+        }));
+    });
+};
+
+DummyVmadm.prototype._loadMigration = function _loadMigration(uuid, callback) {
+    var self = this;
+    var filename = path.join(self.serverRoot, self.serverUuid, 'migrations',
+        uuid + '.json');
+
+    fs.readFile(filename, function _onRead(err, data) {
+        var migration;
+
+        if (err && err.code === 'ENOENT') {
+            callback();
+            return;
+        } else if (err) {
+            callback(err);
+            return;
+        }
+
+        try {
+            migration = JSON.parse(data.toString());
+        } catch (parseErr) {
+            callback(parseErr);
+            return;
+        }
+
+        callback(null, migration);
+    });
+};
+
+DummyVmadm.prototype._writeMigration =
+function _writeMigration(migration, callback) {
+    var self = this;
+    var dir = path.join(self.serverRoot, self.serverUuid, 'migrations');
+    var filename = path.join(dir, migration.vm_uuid + '.json');
+
+    ensureDir(dir, function _onDir(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        fs.writeFile(filename + '.' + process.pid,
+            JSON.stringify(migration, null, 2) + '\n',
+            function _onWrite(writeErr) {
+            if (writeErr) {
+                callback(writeErr);
+                return;
+            }
+            fs.rename(filename + '.' + process.pid, filename, callback);
+        });
+    });
+};
+
+/*
+ * Promise-returning versions of the methods above, see lib/promises.js.
+ */
+Object.defineProperty(DummyVmadm.prototype, 'promises', {
+    get: function getPromises() {
+        var self = this;
+
+        if (self._promises === undefined) {
+            self._promises = promises.wrap(self);
+        }
+
+        return self._promises;
+    }
+});
+
+/*
+ * Returns a VmadmQueue (see lib/queue.js) that serializes the operations that
+ * modify a VM, per VM.
+ *
+ * @param opts {Object} Optional options
+ *      - concurrency {Number} Optional maximum number of operations to run at
+ *        once, across all VMs. default: unlimited.
+ */
+DummyVmadm.prototype.createQueue = function createQueue(opts) {
+    assert.optionalObject(opts, 'opts');
+
+    var self = this;
+
+    return new VmadmQueue({
+        backend: self,
+        concurrency: opts ? opts.concurrency : undefined,
+        log: self.log
+    });
+};
+
+/*
+ * Returns a VmInventory (see lib/inventory.js), a copy of the VMs on the server
+ * kept up to date by events(). Call start() on it to seed it.
+ *
+ * @param opts {Object} Optional options
+ *      - name {String} Optional identifier for the event stream
+ */
+DummyVmadm.prototype.createInventory = function createInventory(opts) {
+    assert.optionalObject(opts, 'opts');
+
+    var self = this;
+
+    return new VmInventory({
+        backend: self,
+        log: self.log,
+        name: opts ? opts.name : undefined
+    });
+};
+
+/*
+ * Returns an EventRecorder (see lib/record.js), which has the operations of
+ * this instance and writes the events seen by its events() to "opts.output".
+ *
+ * @param opts {Object} Options
+ *      - output {Stream} the writable stream to write the recording to
+ */
+DummyVmadm.prototype.createEventRecorder =
+function createEventRecorder(opts) {
+    assert.object(opts, 'opts');
+
+    var self = this;
+
+    return new EventRecorder({
+        backend: self,
+        log: self.log,
+        output: opts.output
+    });
+};
+
+// --- dummy helper methods
+
+DummyVmadm.prototype._deleteAllWatchers = function _deleteAllWatchers() {
+    var self = this;
+
+    self.log.trace('deleting vmdir watch');
+    self.vmdirWatch.close();
+    delete self.vmdirWatch;
+};
+
+DummyVmadm.prototype._dispatchEvent =
+function _dispatchEvent(evtName, zonename, vmobj, opts, handler) {
+    assert.string(evtName, 'evtName');
+    assert.uuid(zonename, 'vmobj.zonename');
+    assert.object(vmobj, 'vmobj');
+    assert.object(opts, 'opts');
+    assert.func(handler, 'handler');
+
+    if (evtName === 'modify') {
+        assert.arrayOfObject(opts.changes, 'opts.changes');
+    }
+
+    var handlerObj;
+
+    if (evtName === 'delete') {
+        handlerObj = {
+            type: 'delete',
+            vm: {},
+            zonename: zonename
+        };
+    } else {
+        handlerObj = {
+            changes: (evtName === 'modify') ? opts.changes : undefined,
+            type: evtName,
+            vm: vmobj,
+            zonename: zonename
+        };
+    }
+
+    handler(handlerObj);
+};
+
+DummyVmadm.prototype._addSystemProperties =
+function _addSystemProperties(arg, callback) {
+    // we know we loaded sysinfo if we got here
+    assert.object(arg, 'arg');
+    assert.object(arg.vmobj, 'arg.vmobj');
+
+    var self = this;
+
+    arg.vmobj.server_uuid = self.sysinfo.UUID;
+    arg.vmobj.datacenter_name = self.sysinfo['Datacenter Name'];
+    arg.vmobj.platform_buildstamp = self.sysinfo['Live Image'];
+
+    // zpool?
+
+    callback();
+};
+
+DummyVmadm.prototype._addInstanceExecutionInfo =
+function _addInstanceExecutionInfo(arg, callback) {
+    assert.object(arg, 'arg');
+    assert.object(arg.vmobj, 'arg.vmobj');
+
+    var last_modified;
+
+    // XXX we just make stuff up for now
+
+    if (arg.vmobj.state === undefined) {
+        arg.vmobj.state = 'running';
+    }
+
+    if (arg.vmobj.state === 'running') {
+        last_modified = (new Date(arg.vmobj.last_modified)).getTime();
+        arg.vmobj.pid = Math.floor(last_modified / 1000) % 100000;
+        if (arg.vmobj.boot_timestamp === undefined) {
+            arg.vmobj.boot_timestamp = arg.vmobj.last_modified;
+        }
+    } else if (arg.vmobj.state === 'stopped') {
+        arg.vmobj.exit_status = 0;
+        if (arg.vmobj.exit_timestamp === undefined) {
+            arg.vmobj.exit_timestamp = arg.vmobj.last_modified;
+        }
+    }
+
+    callback();
+};
+
+DummyVmadm.prototype._addHardcodedProperties =
+function _addHardcodedProperties(arg, callback) {
+    // these make no sense here, so we hardcode them to something for compat
+    assert.object(arg, 'arg');
+    assert.object(arg.vmobj, 'arg.vmobj');
+
+    assert.uuid(arg.vmobj.uuid, 'arg.vmobj.uuid');
+    arg.vmobj.zonename = arg.vmobj.uuid;
+
+    assert.string(arg.vmobj.state, 'arg.vmobj.state');
+    if (!arg.vmobj.hasOwnProperty('zone_state')) {
+        arg.vmobj.zone_state = arg.vmobj.state;
+    }
+
+    assert.optionalNumber(arg.vmobj.pid, 'arg.vmobj.pid');
+    if (arg.vmobj.pid !== undefined) {
+        arg.vmobj.zoneid = arg.vmobj.pid;
+    }
+
+    callback();
+};
+
+DummyVmadm.prototype._loadTimestamp = function _loadTimestamp(arg, callback) {
+    assert.object(arg, 'arg');
+    assert.string(arg.file, 'arg.file');
+    assert.object(arg.vmobj, 'arg.vmobj');
+
+    fs.stat(arg.file, function _onStat(err, stats) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        arg.vmobj.last_modified = stats.mtime.toISOString();
+
+        callback();
+    });
+};
 
 DummyVmadm.prototype._ensureSysinfoLoaded =
 function _ensureSysinfoLoaded(arg, callback) {
@@ -1301,7 +2443,13 @@ DummyVmadm.prototype._loadVm = function _loadVm(opts, callback) {
     fs.readFile(filename, function _onRead(err, data) {
         var strData;
 
-        if (err) {
+        if (err && err.code === 'ENOENT') {
+            callback(new errors.VmNotFoundError({
+                args: ['get', opts.uuid],
+                uuid: opts.uuid
+            }));
+            return;
+        } else if (err) {
             callback(err);
             return;
         }
@@ -1319,13 +2467,21 @@ DummyVmadm.prototype._loadVm = function _loadVm(opts, callback) {
             try {
                 fs.statSync(filename);
             } catch (statErr) {
-                callback(statErr);
+                callback((statErr.code === 'ENOENT') ?
+                    new errors.VmNotFoundError({
+                        args: ['get', opts.uuid],
+                        uuid: opts.uuid
+                    }) : statErr);
                 return;
             }
             if (parseErr) {
                 self.log.error({data: strData}, 'bad data parsing JSON');
             }
-            callback(parseErr);
+            callback(new errors.VmadmParseError({
+                args: ['get', opts.uuid],
+                cause: parseErr,
+                stdout: strData
+            }));
             return;
         }
 
@@ -1511,14 +2667,208 @@ function assertSysinfo(sysinfo) {
 }
 
 
-function missingSnapshotError(snapName, vmUuid) {
+/*
+ * Returns the error vmadm fails with when the payload for "args" has the
+ * "problems" found by checkPayload().
+ */
+function invalidPayloadError(args, problems) {
+    var reason;
+
+    if (problems.bad_brand !== undefined) {
+        reason = 'Invalid brand while validating payload: ' +
+            problems.bad_brand;
+    } else if (problems.bad_values.length > 0) {
+        reason = 'Invalid value(s) for: ' + problems.bad_values.join(',');
+    } else if (problems.bad_properties.length > 0) {
+        reason = 'Invalid property(s) for ' + args[0] + ': ' +
+            problems.bad_properties.join(',');
+    } else {
+        reason = 'Missing required properties: ' +
+            problems.missing_properties.join(',');
+    }
+
+    return new errors.VmadmExecError({
+        args: args,
+        exitCode: 1,
+        stderrLines: [reason]
+    });
+}
+
+/*
+ * Returns a copy of "obj" without the properties in "names".
+ */
+function omitProperties(obj, names) {
+    var copy = {};
+
+    Object.keys(obj).forEach(function _copyProperty(k) {
+        if (names.indexOf(k) === -1) {
+            copy[k] = obj[k];
+        }
+    });
+
+    return copy;
+}
+
+/*
+ * Creates the directory "dir", whose parent must exist, unless it already
+ * exists.
+ */
+function ensureDir(dir, callback) {
+    fs.mkdir(dir, function _onMkdir(err) {
+        callback((err && err.code !== 'EEXIST') ? err : null);
+    });
+}
+
+/*
+ * Returns the number of bytes migrating "vm" copies, which is the size of
+ * send()'s output for it.
+ */
+function migrationSize(vm) {
+    return transfer.serializeVm(vm).reduce(function _addRecord(total, rec) {
+        return total + Buffer.byteLength(rec);
+    }, 0);
+}
+
+function noMigrationError(args, opts) {
+    return new errors.VmMigrationNotFoundError({
+        args: args,
+        exitCode: 1,
+        req_id: opts.req_id,
+        stderrLines: [migrate.noMigrationMessage(opts.uuid)],
+        uuid: opts.uuid
+    });
+}
+
+function missingSnapshotError(verb, snapName, vmUuid) {
     var err;
 
-    err = new Error('No snapshot named "' + snapName + '" for ' + vmUuid);
+    err = new errors.VmadmExecError({
+        args: [verb, vmUuid, snapName],
+        exitCode: 1,
+        stderrLines: ['No snapshot named "' + snapName + '" for ' + vmUuid]
+    });
 
     return (err);
 }
 
+/*
+ * Returns plausible `vmadm info` output of the given "types" for the running
+ * KVM or bhyve VM "vm". bhyve VMs only have the types vmadm supports for them.
+ */
+function synthesizeInfo(vm, types, sysinfo) {
+    var bhyve = (vm.brand === 'bhyve');
+    var disks = vm.disks || [];
+    var host = (sysinfo && sysinfo['Admin IP']) || '127.0.0.1';
+    var idx;
+    var result = {};
+    var vcpus = vm.vcpus || 1;
+    var vncPort;
+
+    function wanted(type) {
+        return (types.indexOf('all') !== -1 || types.indexOf(type) !== -1);
+    }
+
+    if (wanted('block')) {
+        result.block = disks.map(function _toBlock(disk, diskIdx) {
+            return {
+                device: (bhyve ? 'disk' : 'virtio') + diskIdx,
+                inserted: {
+                    drv: 'raw',
+                    encrypted: false,
+                    file: disk.path || '/dev/zvol/rdsk/zones/' + vm.uuid +
+                        '/disk' + diskIdx,
+                    ro: false
+                },
+                locked: false,
+                removable: false,
+                type: 'unknown'
+            };
+        });
+    }
+
+    if (wanted('status')) {
+        result.status = 'running';
+    }
+
+    if (wanted('vnc')) {
+        // vmadm picks a free port when vnc_port is 0 or unset.
+        vncPort = vm.vnc_port || (5900 + parseInt(vm.uuid.substr(0, 4), 16) %
+            1000);
+        result.vnc = {
+            display: vncPort - 5900,
+            host: host,
+            port: vncPort
+        };
+    }
+
+    if (bhyve) {
+        return result;
+    }
+
+    if (wanted('chardev')) {
+        result.chardev = ['console', 'qmp', 'vm.ttyb'].map(function _toDev(n) {
+            return {
+                filename: 'unix:/zones/' + vm.uuid + '/root/tmp/vm.' + n +
+                    ',server',
+                label: n
+            };
+        });
+    }
+
+    if (wanted('cpus')) {
+        result.cpus = [];
+        for (idx = 0; idx < vcpus; idx++) {
+            result.cpus.push({
+                CPU: idx,
+                current: (idx === 0),
+                halted: false,
+                pc: 0,
+                thread_id: 1000 + idx
+            });
+        }
+    }
+
+    if (wanted('kvm')) {
+        result.kvm = {enabled: true, present: true};
+    }
+
+    if (wanted('pci')) {
+        result.pci = [ {
+            bus: 0,
+            devices: (vm.nics || []).map(function _nicDevice(_nic, nicIdx) {
+                return {
+                    bus: 0,
+                    class_info: {class: 512, desc: 'Ethernet controller'},
+                    'function': 0,
+                    id: {device: 4096, vendor: 6900},
+                    slot: 3 + nicIdx
+                };
+            }).concat(disks.map(function _diskDevice(_disk, diskIdx) {
+                return {
+                    bus: 0,
+                    class_info: {class: 256, desc: 'SCSI controller'},
+                    'function': 0,
+                    id: {device: 4097, vendor: 6900},
+                    slot: 3 + (vm.nics || []).length + diskIdx
+                };
+            }))
+        } ];
+    }
+
+    if (wanted('spice')) {
+        result.spice = {enabled: false};
+    }
+
+    if (wanted('version')) {
+        result.version = {
+            'package': ' (dummy)',
+            qemu: {major: 2, micro: 0, minor: 0}
+        };
+    }
+
+    return result;
+}
+
 
 /*
  * Converts a dotted IPv4 address (eg: 1.2.3.4) to its integer value
@@ -1802,7 +3152,11 @@ function rebuildNics(vmobj, payload) {
 // This implementation detail is now exposed as of TRITON-571 so we have to do
 // this even though it makes no sense.
 function VmadmCLIEventStream(_opts) {
+    // Nothing is written to it, but it can be paused like the real one.
+    stream.Transform.call(this, {objectMode: true});
 }
 util.inherits(VmadmCLIEventStream, stream.Transform);
 
+DummyVmadm.errors = errors;
+
 module.exports = DummyVmadm;
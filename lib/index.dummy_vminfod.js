@@ -31,6 +31,8 @@ var watershed = require('watershed');
 
 var diff = require('./diff');
 var DummyVmadm = require('./index.dummy');
+var errors = require('./errors');
+var eventsUtil = require('./events');
 
 var ws = new watershed.Watershed();
 
@@ -69,6 +71,15 @@ util.inherits(DummyVminfodVmadm, DummyVmadm);
  *      - uuid {String} UUID of VM to watch, if unset all VMs are watched
  *      - name {String} Identifier string for debugging purposes, this will be
  *      used to construct the user-agent sent to vminfod
+ *      - types {Array} Optional event types to pass to the handler
+ *      - search {Object} Optional search, as for lookup(), that the VM of an
+ *        event must match (see EventFilter in lib/events.js)
+ *      - paths {Array} Optional paths (eg. "nics.*.ip"), one of which a modify
+ *        event must change
+ *      - fields {Array} Optional properties to keep of the VMs in events
+ *      - coalesce {Number} Optional window in ms within which the modify
+ *        events of a VM are merged into one (see EventCoalescer in
+ *        lib/events.js)
  * @param handler {Function} `function (ev)`
  *      - called when an event is seen
  * @param callback {Function} `function (err, obj)`
@@ -80,15 +91,26 @@ util.inherits(DummyVminfodVmadm, DummyVmadm);
  *      - Can be used to listen for errors, ex: `vs.on('error', ...)`
  */
 DummyVminfodVmadm.prototype.events =
-function vmEvents(_opts, handler, callback) {
+function vmEvents(opts, handler, callback) {
     var self = this;
 
-    var opts;
+    var filter = new eventsUtil.EventFilter(opts);
+    var coalescer = new eventsUtil.EventCoalescer({
+        coalesce: opts.coalesce,
+        handler: function _onCoalescedEvent(ev) {
+            var filtered = filter.filterEvent(ev);
+
+            if (filtered !== null) {
+                handler(filtered);
+            }
+        }
+    });
+    var getOpts;
     var shed;
     var stop = false;
     var wskey = ws.generateKey();
 
-    opts = {
+    getOpts = {
         agent: false,
         headers: {
             connection: 'upgrade',
@@ -104,7 +126,7 @@ function vmEvents(_opts, handler, callback) {
             Server: self.serverUuid
         }, 'connecting to dummy vminfod');
 
-        self.vminfodEventClient.get(opts,
+        self.vminfodEventClient.get(getOpts,
             function _onGet(err, res) {
 
             if (err) {
@@ -137,7 +159,7 @@ function vmEvents(_opts, handler, callback) {
                     }, 'saw event from dummy vminfod');
 
                     if (obj.type !== 'info') {
-                        handler(obj);
+                        coalescer.add(obj);
                     }
                 });
 
@@ -160,14 +182,16 @@ function vmEvents(_opts, handler, callback) {
         self._loadVmMap(function _onLoadVms(err, vms) {
             assert.ifError(err);
 
+            coalescer.seed(vms);
             callback(null, {
-                ev: {
+                ev: filter.filterReady({
                     date: (new Date()).toISOString(),
                     type: 'ready',
                     vms: vms
-                },
+                }),
                 stop: function _stop() {
                     stop = true;
+                    coalescer.stop();
                     if (shed) {
                         shed.end();
                         shed = undefined;
@@ -219,8 +243,6 @@ DummyVminfodVmadm.prototype._loadVm = function _loadVm(opts, callback) {
         agent: false,
         path: url
     }, function _onGet(err, req, res, obj) {
-        var notFoundErr;
-
         self.log.trace({
             err: err,
             obj: obj
@@ -232,12 +254,10 @@ DummyVminfodVmadm.prototype._loadVm = function _loadVm(opts, callback) {
             'ResourceNotFound',
             'VmNotFound'
         ].indexOf(err.restCode) !== -1) {
-            // NOTE: destroy depends on this matching ': No such zone'
-            notFoundErr = new Error('vmadm load ' + opts.uuid +
-                ' failed: No such zone');
-            notFoundErr.restCode = 'VmNotFound';
-
-            callback(notFoundErr);
+            callback(new errors.VmNotFoundError({
+                args: ['get', opts.uuid],
+                uuid: opts.uuid
+            }));
             return;
         }
 
@@ -424,7 +444,11 @@ function cleanVmobj(target, vmobj) {
 // This implementation detail is now exposed as of TRITON-571 so we have to do
 // this even though it makes no sense.
 function VmadmCLIEventStream(_opts) {
+    // Nothing is written to it, but it can be paused like the real one.
+    stream.Transform.call(this, {objectMode: true});
 }
 util.inherits(VmadmCLIEventStream, stream.Transform);
 
+DummyVminfodVmadm.errors = errors;
+
 module.exports = DummyVminfodVmadm;
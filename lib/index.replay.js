@@ -0,0 +1,398 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * A backend whose events() plays back a recording of the events of another
+ * backend (see lib/record.js), so that code consuming events can be run
+ * against the events seen in production.
+ */
+
+var fs = require('fs');
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+var LineStream = require('lstream');
+
+var errors = require('./errors');
+var eventsUtil = require('./events');
+var VmInventory = require('./inventory').VmInventory;
+var promises = require('./promises');
+var waitForVm = require('./wait').waitForVm;
+var watchEvents = require('./watch').watchEvents;
+
+// The ways a recording can be played back.
+var PACINGS = ['fast', 'original'];
+
+
+/*
+ * The events in the recording "path", as a stream. "ready" is emitted with the
+ * ready event on the first line (or with an error, if the recording can't be
+ * read or doesn't start with one), and the rest are read from the stream.
+ * With the "original" pacing, each event is held back until as long after the
+ * ready event as it was when recorded.
+ *
+ * The stream ends at the end of the recording, and emits "error" if a line
+ * can't be parsed.
+ *
+ * @param opts {Object} Options
+ *      - path {String} the recording
+ *      - pacing {String} "fast" or "original"
+ *      - log {Logger object}
+ */
+function ReplayEventStream(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.path, 'opts.path');
+    assert.string(opts.pacing, 'opts.pacing');
+    assert.object(opts.log, 'opts.log');
+
+    stream.Readable.call(self, {objectMode: true});
+
+    self.args = ['replay', opts.path];
+    self.held = null;
+    self.lines = new LineStream();
+    self.linesEnded = false;
+    self.log = opts.log;
+    self.pacing = opts.pacing;
+    self.readyDate = null;
+    self.readyTime = null;
+    self.stopped = false;
+    self.timer = null;
+
+    self.input = fs.createReadStream(opts.path, {encoding: 'utf8'});
+    self.input.once('error', function _onInputError(err) {
+        self._fail(err);
+    });
+    self.lines.on('readable', function _onReadable() {
+        self._pump();
+    });
+    self.lines.once('end', function _onEnd() {
+        self.linesEnded = true;
+        self._pump();
+    });
+    self.input.pipe(self.lines);
+}
+util.inherits(ReplayEventStream, stream.Readable);
+
+ReplayEventStream.prototype._read = function _read() {
+    var self = this;
+
+    self._pump();
+};
+
+/*
+ * Passes on the events of the recording, until the reader wants no more or
+ * the next one is held back.
+ */
+ReplayEventStream.prototype._pump = function _pump() {
+    var self = this;
+    var delay;
+    var ev;
+
+    while (!self.stopped && self.timer === null) {
+        ev = self._next();
+        if (ev === null) {
+            return;
+        }
+
+        if (ev.type === 'ready') {
+            if (self.readyDate !== null) {
+                self._fail(self._parseError(new Error(
+                    'more than one ready event'), JSON.stringify(ev)));
+                return;
+            }
+            self.readyDate = ev.date;
+            self.readyTime = Date.now();
+            self.emit('ready', null, ev);
+            continue;
+        }
+
+        if (self.readyDate === null) {
+            self._fail(self._parseError(new Error(
+                'recording does not start with a ready event'),
+                JSON.stringify(ev)));
+            return;
+        }
+
+        delay = 0;
+        if (self.pacing === 'original') {
+            delay = (ev.date - self.readyDate) - (Date.now() - self.readyTime);
+        }
+
+        if (delay > 0) {
+            self.held = ev;
+            self.timer = setTimeout(function _release() {
+                var heldEv = self.held;
+
+                self.timer = null;
+                self.held = null;
+                if (!self.stopped && self.push(heldEv)) {
+                    self._pump();
+                }
+            }, delay);
+            return;
+        }
+
+        if (!self.push(ev)) {
+            return;
+        }
+    }
+};
+
+/*
+ * Returns the next event of the recording, or null if there isn't one yet.
+ * At the end of the recording, ends the stream.
+ */
+ReplayEventStream.prototype._next = function _next() {
+    var self = this;
+    var ev;
+    var line;
+
+    while ((line = self.lines.read()) !== null) {
+        if (line.trim().length === 0) {
+            continue;
+        }
+
+        try {
+            ev = JSON.parse(line);
+            assert.object(ev, 'ev');
+            assert.string(ev.type, 'ev.type');
+            assert.string(ev.date, 'ev.date');
+
+            ev.date = new Date(ev.date);
+            assert.ok(isFinite(ev.date), 'invalid ev.date');
+        } catch (e) {
+            self._fail(self._parseError(e, line));
+            return null;
+        }
+
+        return ev;
+    }
+
+    if (self.linesEnded) {
+        if (self.readyDate === null) {
+            self._fail(self._parseError(new Error('no ready event'), ''));
+        } else {
+            self.stopped = true;
+            self.push(null);
+        }
+    }
+
+    return null;
+};
+
+ReplayEventStream.prototype._parseError = function _parseError(err, line) {
+    var self = this;
+
+    return new errors.VmadmParseError({
+        args: self.args,
+        cause: err,
+        stdout: line
+    });
+};
+
+/*
+ * Fails the stream with "err": before the ready event, as the error of
+ * "ready", and after it as "error".
+ */
+ReplayEventStream.prototype._fail = function _fail(err) {
+    var self = this;
+
+    if (self.stopped) {
+        return;
+    }
+
+    self.log.error({err: err}, 'failed to replay events');
+    self.stop();
+
+    if (self.readyDate === null) {
+        self.emit('ready', err);
+    } else {
+        self.emit('error', err);
+    }
+};
+
+/*
+ * Stops reading the recording.
+ */
+ReplayEventStream.prototype.stop = function stop() {
+    var self = this;
+
+    self.stopped = true;
+    if (self.timer !== null) {
+        clearTimeout(self.timer);
+        self.timer = null;
+        self.held = null;
+    }
+    self.input.unpipe(self.lines);
+    self.input.destroy();
+};
+
+
+/**
+ * A backend that plays back a recording of events (see lib/record.js). It has
+ * the event operations of the other backends: events(), watch(), waitFor()
+ * and createInventory().
+ *
+ * @param opts {Object} Options
+ *      - log {Bunyan} Bunyan logger
+ *      - path {String} the recording to play back
+ *      - pacing {String} Optional, "fast" to pass the events on as fast as
+ *        they're read, or "original" to pass each on as long after the ready
+ *        event as it was seen when recorded. default: "fast".
+ */
+function ReplayVmadm(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.path, 'opts.path');
+    assert.optionalString(opts.pacing, 'opts.pacing');
+
+    if (opts.pacing !== undefined) {
+        assert.ok(PACINGS.indexOf(opts.pacing) !== -1,
+            'opts.pacing must be one of: ' + PACINGS.join(', '));
+    }
+
+    var self = this;
+
+    self.log = opts.log;
+    self.pacing = opts.pacing || 'fast';
+    self.path = opts.path;
+}
+
+/**
+ * Plays back the recording, as `vmadm events -jr` would have.
+ *
+ * @param opts {Object} Options, as for the events() of the other backends
+ *      (the filtering options and coalesce apply, the others are ignored)
+ * @param handler {Function} `function (ev)`
+ *      - called when an event is seen
+ * @param callback {Function} `function (err, obj)`
+ *      - called with the ready event, or the error if the recording couldn't
+ *      be read
+ *      - stop {Function} function to stop the event stream
+ * @return vs {ReplayEventStream}
+ *      - Emits "end" at the end of the recording and "error" if a line can't
+ *      be parsed
+ */
+ReplayVmadm.prototype.events = function vmEvents(opts, handler, callback) {
+    assert.object(opts, 'opts');
+    assert.func(handler, 'handler');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    var filter = new eventsUtil.EventFilter(opts);
+    var coalescer = new eventsUtil.EventCoalescer({
+        coalesce: opts.coalesce,
+        handler: function _onCoalescedEvent(ev) {
+            var filtered = filter.filterEvent(ev);
+
+            if (filtered !== null) {
+                handler(filtered);
+            }
+        }
+    });
+    var vs = new ReplayEventStream({
+        log: self.log,
+        pacing: self.pacing,
+        path: self.path
+    });
+
+    vs.once('ready', function _onReady(err, ev) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        coalescer.seed(ev.vms || {});
+        callback(null, {
+            ev: filter.filterReady(ev),
+            stop: function _stop() {
+                coalescer.stop();
+                vs.stop();
+            }
+        });
+    });
+
+    vs.on('data', function _onEvent(ev) {
+        coalescer.add(ev);
+    });
+
+    // The events held back by the end of the recording aren't waited for.
+    vs.on('end', function _onEnd() {
+        coalescer.flush();
+    });
+
+    return vs;
+};
+
+/**
+ * Returns the events of events() as a stream, which can be consumed with
+ * `for await`. The first object read is the ready event. See lib/watch.js.
+ *
+ * @param opts {Object} Options, as for events() plus:
+ *      - highWaterMark {Number} Optional number of events to buffer before
+ *        pausing the event stream. default: 16.
+ * @return {VmadmWatchStream}
+ */
+ReplayVmadm.prototype.watch = function vmWatch(opts) {
+    var self = this;
+
+    return watchEvents(self, opts);
+};
+
+/**
+ * Wait for a VM to reach a state, or to match a predicate, using events().
+ *
+ * @param opts {Object} Options, as for the waitFor() of the other backends
+ * @param callback {Function} `function (err, vm)`, see lib/wait.js
+ */
+ReplayVmadm.prototype.waitFor = function vmWaitFor(opts, callback) {
+    var self = this;
+
+    waitForVm(self, opts, callback);
+};
+
+/*
+ * Returns a VmInventory (see lib/inventory.js), a copy of the VMs kept up to
+ * date by the events played back. Call start() on it to seed it.
+ *
+ * @param opts {Object} Optional options
+ *      - name {String} Optional identifier for the event stream
+ */
+ReplayVmadm.prototype.createInventory = function createInventory(opts) {
+    assert.optionalObject(opts, 'opts');
+
+    var self = this;
+
+    return new VmInventory({
+        backend: self,
+        log: self.log,
+        name: opts ? opts.name : undefined
+    });
+};
+
+Object.defineProperty(ReplayVmadm.prototype, 'promises', {
+    get: function getPromises() {
+        var self = this;
+
+        if (!self._promises) {
+            self._promises = promises.wrap(self);
+        }
+        return self._promises;
+    }
+});
+
+ReplayVmadm.errors = errors;
+ReplayVmadm.ReplayEventStream = ReplayEventStream;
+
+module.exports = ReplayVmadm;
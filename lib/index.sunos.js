@@ -13,16 +13,151 @@ var cp = require('child_process');
 var fs = require('fs');
 var LineStream = require('lstream');
 var path = require('path');
-var spawn = cp.spawn;
 var stream = require('stream');
 var util = require('util');
+var uuidv4 = require('uuid/v4');
+
+var createAbortSignal = require('./abort').createAbortSignal;
+var onAbort = require('./abort').onAbort;
+var errors = require('./errors');
+var EventRecorder = require('./record').EventRecorder;
+var eventsUtil = require('./events');
+var assertInfoTypes = require('./info').assertInfoTypes;
+var INFO_TYPES = require('./info').INFO_TYPES;
+var VmInventory = require('./inventory').VmInventory;
+var VmInfo = require('./info').VmInfo;
+var MIGRATION_STATE_RE = require('./migrate').MIGRATION_STATE_RE;
+var MigrationWatchStream = require('./migrate').MigrationWatchStream;
+var NO_MIGRATION_RE = require('./migrate').NO_MIGRATION_RE;
+var mkPayload = require('./payload').mkPayload;
+var promises = require('./promises');
+var renderSearch = require('./query').renderSearch;
+var resolveVm = require('./resolve').resolveVm;
+var RetryPolicy = require('./retry').RetryPolicy;
+var ProgressStream = require('./transfer').ProgressStream;
+var ValidationResult = require('./validate').ValidationResult;
+var validatePayload = require('./validate').validatePayload;
+var VmadmQueue = require('./queue').VmadmQueue;
+var waitForVm = require('./wait').waitForVm;
+var VmadmWatchStream = require('./watch').VmadmWatchStream;
+var watchEvents = require('./watch').watchEvents;
+
+var DEFAULT_DEBUG_LEVEL = 'debug';
+var DEFAULT_VMADM_PATH = '/usr/sbin/vmadm';
+var DEFAULT_ZONES_DIR = '/etc/zones';
+
+// bunyan levels, used to re-emit the log records vmadm writes to stderr.
+var LOG_LEVELS = {
+    trace: 10,
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50,
+    fatal: 60
+};
+
+// Fields that every bunyan record has, which the caller's logger adds itself.
+var LOG_CORE_FIELDS = ['hostname', 'level', 'msg', 'name', 'pid', 'req_id',
+    'time', 'v'];
+
+// How long to wait after sending SIGTERM to a timed out or cancelled vmadm
+// before sending SIGKILL.
+var KILL_ESCALATION_DELAY = 5000;
+
+// What `vmadm lookup -1` writes to stderr when it doesn't find exactly one VM.
+var UNIQUE_LOOKUP_RE = /^Requested unique lookup but found (\d+) results/;
 
-var VMADM_PATH = '/usr/sbin/vmadm';
+// What VmadmCLIEventStream can do with a line of output it didn't expect: send
+// vmadm SIGABRT so that it dumps core, log and skip it, or log and skip it and
+// emit "warning".
+var UNEXPECTED_OUTPUT_POLICIES = ['abort', 'log', 'warn'];
 
-var STDERR_TRUNCATE_LENGTH = 10000;
+// The options a VmadmClient can be given defaults for.
+var CLIENT_DEFAULTS = [
+    'debugLevel',
+    'execTimeout',
+    'include_dni',
+    'retry',
+    'zonesDir'
+];
 
 function vmadm() {}
 
+/*
+ * A vmadm client, with the same operations and calling convention as
+ * DummyVmadm. The options the client was created with are used for every call,
+ * unless the call overrides them.
+ *
+ * On success, the operations that run vmadm and call back also pass the
+ * records vmadm logged (the vmadmLog of execVmadmOnce()), as the third
+ * argument: `function (err, result, vmadmLog)`, where "result" is undefined
+ * for operations that otherwise only call back with "err".
+ *
+ * @param opts {Object} Options
+ *      - log {Logger object} Optional logger used when a call doesn't pass
+ *        opts.log
+ *      - vmadmPath {String} Optional path to the vmadm executable
+ *      - defaults {Object} Optional defaults for the debugLevel, execTimeout,
+ *        include_dni, retry and zonesDir options of each call
+ *      - generateReqId {Boolean} Optional, whether to generate a req_id for
+ *        calls that don't pass one. default: true
+ */
+function VmadmClient(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.log, 'opts.log');
+    assert.optionalString(opts.vmadmPath, 'opts.vmadmPath');
+    assert.optionalObject(opts.defaults, 'opts.defaults');
+    assert.optionalBool(opts.generateReqId, 'opts.generateReqId');
+
+    Object.keys(opts.defaults || {}).forEach(function _checkDefault(k) {
+        assert.ok(CLIENT_DEFAULTS.indexOf(k) !== -1,
+            'opts.defaults.' + k + ' is not a supported default');
+    });
+
+    self.log = opts.log;
+    self.vmadmPath = opts.vmadmPath;
+    self.defaults = opts.defaults || {};
+    self.generateReqId = (opts.generateReqId !== false);
+
+    self.promises = promises.wrap(self);
+}
+
+/*
+ * Returns a copy of the options passed to one of the operations, with the
+ * client's log, vmadmPath, defaults and a generated req_id filled in where the
+ * caller didn't set them.
+ */
+VmadmClient.prototype._callOpts = function _callOpts(opts) {
+    var self = this;
+    var callOpts = {};
+
+    assert.object(opts, 'opts');
+
+    Object.keys(self.defaults).forEach(function _addDefault(k) {
+        callOpts[k] = self.defaults[k];
+    });
+
+    Object.keys(opts).forEach(function _addOpt(k) {
+        callOpts[k] = opts[k];
+    });
+
+    if (!callOpts.log) {
+        callOpts.log = self.log;
+    }
+
+    if (!callOpts.vmadmPath && self.vmadmPath) {
+        callOpts.vmadmPath = self.vmadmPath;
+    }
+
+    if (!callOpts.req_id && self.generateReqId) {
+        callOpts.req_id = uuidv4();
+    }
+
+    return callOpts;
+};
+
 function copyEnv() {
     var ret = {};
     Object.keys(process.env).forEach(function processEnvForEach(key) {
@@ -32,46 +167,365 @@ function copyEnv() {
 }
 
 /*
- * Execute vmadm
+ * Returns the path of the vmadm executable to run. An explicit opts.vmadmPath
+ * takes precedence over the VMADM_PATH environment variable, and both over
+ * the platform's vmadm.
+ */
+function getVmadmPath(opts) {
+    if (opts.vmadmPath) {
+        return opts.vmadmPath;
+    }
+    if (process.env.VMADM_PATH) {
+        return process.env.VMADM_PATH;
+    }
+    return DEFAULT_VMADM_PATH;
+}
+
+/*
+ * Returns the directory holding the zone configuration (<uuid>.xml) files, with
+ * the same precedence as getVmadmPath(): opts.zonesDir, then the
+ * VMADM_ZONES_DIR environment variable, then /etc/zones.
+ */
+function getZonesDir(opts) {
+    if (opts.zonesDir) {
+        return opts.zonesDir;
+    }
+    if (process.env.VMADM_ZONES_DIR) {
+        return process.env.VMADM_ZONES_DIR;
+    }
+    return DEFAULT_ZONES_DIR;
+}
+
+/*
+ * Parses a line vmadm wrote to stderr. Returns the bunyan record if the line is
+ * one, and otherwise (for the plain text lines vmadm writes) a record with only
+ * "msg" set to the line.
+ */
+function parseVmadmLogLine(line) {
+    var rec;
+
+    try {
+        rec = JSON.parse(line);
+    } catch (_) {
+        rec = null;
+    }
+
+    if (rec === null || typeof (rec) !== 'object' ||
+        typeof (rec.level) !== 'number' || typeof (rec.msg) !== 'string') {
+
+        return {msg: line};
+    }
+
+    return rec;
+}
+
+/*
+ * Logs "rec", a record from parseVmadmLogLine(), through "log" at the level
+ * vmadm logged it at. Plain text lines are logged at debug level.
+ */
+function emitVmadmLogRecord(log, rec) {
+    var fields = {};
+    var levelName = 'debug';
+
+    Object.keys(LOG_LEVELS).forEach(function _findLevel(name) {
+        if (rec.level >= LOG_LEVELS[name]) {
+            levelName = name;
+        }
+    });
+
+    Object.keys(rec).forEach(function _copyField(field) {
+        if (LOG_CORE_FIELDS.indexOf(field) === -1) {
+            fields[field] = rec[field];
+        }
+    });
+
+    log[levelName](fields, rec.msg);
+}
+
+/*
+ * Returns the error for a unique lookup that found "count" VMs instead of one.
+ */
+function uniqueLookupError(count, errOpts) {
+    if (count === 0) {
+        return new errors.VmLookupNoMatchError(errOpts);
+    }
+
+    errOpts.count = count;
+    return new errors.VmLookupAmbiguousError(errOpts);
+}
+
+/*
+ * Build the options for execVmadm() from the options passed to one of the
+ * vmadm.* functions, carrying over those that control how vmadm is executed.
+ */
+function mkExecOpts(opts, args) {
+    return {
+        abortSignal: opts.abortSignal,
+        args: args,
+        debugLevel: opts.debugLevel,
+        execTimeout: opts.execTimeout,
+        log: opts.log,
+        req_id: opts.req_id,
+        retry: opts.retry,
+        spawn: opts.spawn,
+        uuid: opts.uuid,
+        vmadmPath: opts.vmadmPath
+    };
+}
+
+/*
+ * Execute vmadm, retrying transient failures according to opts.retry.
+ *
+ * @param opts {Object} Options, as for execVmadmOnce() plus:
+ *      - retry {RetryPolicy|Object} Optional retry policy, or the options for
+ *        one (see lib/retry.js). When not set vmadm is only run once.
+ * @param callback {Function} As for execVmadmOnce(), called with the result
+ *      of the last attempt
+ */
+function execVmadm(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.arrayOfString(opts.args, 'opts.args');
+    assert.optionalObject(opts.retry, 'opts.retry');
+
+    var attempt = 0;
+    var policy = opts.retry;
+
+    if (!policy) {
+        execVmadmOnce(opts, callback);
+        return;
+    }
+
+    if (!(policy instanceof RetryPolicy)) {
+        policy = new RetryPolicy(policy);
+    }
+
+    function tryOnce() {
+        attempt++;
+
+        execVmadmOnce(opts, function _onAttempt(result, stdout, stderrLines) {
+            var classification;
+            var delay;
+            var removeAbortListener;
+            var timer;
+
+            if (!result.error) {
+                callback(result, stdout, stderrLines);
+                return;
+            }
+
+            classification = policy.shouldRetry(opts.args, result.error,
+                attempt);
+            if (classification === null) {
+                callback(result, stdout, stderrLines);
+                return;
+            }
+
+            delay = policy.delay(attempt);
+
+            opts.log.warn({
+                attempt: attempt,
+                classification: classification,
+                delay: delay,
+                err: result.error,
+                maxAttempts: policy.maxAttempts,
+                req_id: opts.req_id
+            }, 'transient vmadm failure, retrying');
+
+            timer = setTimeout(function _retry() {
+                if (removeAbortListener) {
+                    removeAbortListener();
+                }
+                tryOnce();
+            }, delay);
+
+            if (opts.abortSignal) {
+                removeAbortListener = onAbort(opts.abortSignal,
+                    function _onRetryAbort() {
+                        clearTimeout(timer);
+                        result.error = new errors.VmadmCancelledError({
+                            args: opts.args,
+                            req_id: opts.req_id
+                        });
+                        callback(result, stdout, stderrLines);
+                    });
+            }
+        });
+    }
+
+    tryOnce();
+}
+
+/*
+ * Execute vmadm once
  *
  * @param opts {Object} Options
+ *      - abortSignal {AbortSignal} Optional signal to cancel vmadm with
  *      - args {Array} cmdline args for vmadm
+ *      - debugLevel {String} Optional VMADM_DEBUG_LEVEL (default: 'debug')
+ *      - execTimeout {Number} Optional number of ms after which vmadm is
+ *        terminated
  *      - log {Logger object}
  *      - req_id {String} request id for this request (to tie to callers)
+ *      - spawn {Function} Optional replacement for child_process.spawn
+ *      - stdinData {String} Optional data to write to vmadm's stdin
+ *      - stdinStream {Stream} Optional stream to pipe to vmadm's stdin, in
+ *        place of stdinData
+ *      - stdoutStream {Stream} Optional stream to pipe vmadm's stdout to (it
+ *        is not ended), in which case stdout is not collected
+ *      - uuid {String} Optional UUID of the VM being operated on
+ *      - vmadmPath {String} Optional path to the vmadm executable
  * @param callback {Function} `function (result, stdout, stderrLines)`
  *      - called on vmadm exit
- *      - result is an Object that contains code: ..., signal: ...
+ *      - result is an Object that contains code: ..., signal: ...,
+ *        vmadmLog: the log records vmadm wrote to stderr and, when vmadm
+ *        failed, error: the VmadmError to return to the caller
  *      - stdout is a string of all data written to stdout
  *      - stderrLines is an array of all the lines written to stderr
  *
  */
-function execVmadm(opts, callback) {
+function execVmadmOnce(opts, callback) {
     assert.object(opts, 'opts');
     assert.object(opts.log, 'opts.log');
     assert.arrayOfString(opts.args, 'opts.args');
     assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalFunc(opts.spawn, 'opts.spawn');
+    assert.optionalString(opts.vmadmPath, 'opts.vmadmPath');
+    assert.optionalObject(opts.abortSignal, 'opts.abortSignal');
+    assert.optionalNumber(opts.execTimeout, 'opts.execTimeout');
+    assert.optionalString(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.debugLevel, 'opts.debugLevel');
+    assert.optionalObject(opts.stdinStream, 'opts.stdinStream');
+    assert.optionalObject(opts.stdoutStream, 'opts.stdoutStream');
+    if (opts.debugLevel !== undefined) {
+        assert.ok(LOG_LEVELS.hasOwnProperty(opts.debugLevel),
+            'opts.debugLevel must be one of: ' +
+            Object.keys(LOG_LEVELS).join(', '));
+    }
 
     var args = opts.args;
     var child;
+    var done = false;
     var execOpts = {};
+    var interruptedBy;
+    var killTimer;
+    var removeAbortListener;
+    var spawn = opts.spawn || cp.spawn;
     var stderrBuffer = '';
     var stderrLines = [];
     var stdoutBuffer = '';
+    var timeoutTimer;
+    var vmadmLog = [];
+    var vmadmLogger = opts.log.child({
+        component: 'vmadm',
+        req_id: opts.req_id
+    }, true);
+    var vmadmPath = getVmadmPath(opts);
+
+    /*
+     * Keep each line of stderr, and re-emit it through our logger.
+     */
+    function addStderrLine(line) {
+        var rec = parseVmadmLogLine(line);
+
+        stderrLines.push(line);
+        vmadmLog.push(rec);
+        emitVmadmLogRecord(vmadmLogger, rec);
+    }
+
+    function cleanup() {
+        clearTimeout(timeoutTimer);
+        clearTimeout(killTimer);
+        if (removeAbortListener) {
+            removeAbortListener();
+            removeAbortListener = undefined;
+        }
+    }
+
+    /*
+     * Calls back, unless that's already been done: a vmadm that can't be
+     * spawned emits "error" and then "close".
+     */
+    function finish(result) {
+        if (done) {
+            return;
+        }
+        done = true;
+
+        callback(result, stdoutBuffer, stderrLines);
+    }
+
+    /*
+     * Terminate vmadm because of a timeout or cancellation, following up with
+     * SIGKILL if it hasn't exited after KILL_ESCALATION_DELAY.
+     */
+    function interrupt(reason) {
+        if (interruptedBy !== undefined) {
+            return;
+        }
+        interruptedBy = reason;
+
+        opts.log.warn({
+            args: args,
+            pid: child.pid,
+            reason: reason
+        }, 'terminating vmadm');
+
+        child.kill('SIGTERM');
+        killTimer = setTimeout(function _escalateKill() {
+            opts.log.warn({args: args, pid: child.pid},
+                'vmadm still running, sending SIGKILL');
+            child.kill('SIGKILL');
+        }, KILL_ESCALATION_DELAY);
+    }
+
+    if (opts.abortSignal && opts.abortSignal.aborted) {
+        setImmediate(function _alreadyAborted() {
+            callback({
+                code: null,
+                error: new errors.VmadmCancelledError({
+                    args: args,
+                    req_id: opts.req_id
+                }),
+                signal: null,
+                vmadmLog: []
+            }, '', []);
+        });
+        return;
+    }
 
     execOpts.env = copyEnv();
     if (opts.req_id) {
         opts.log.info('setting req_id to "%s"', opts.req_id);
         execOpts.env.REQ_ID = opts.req_id;
     }
-    execOpts.env.VMADM_DEBUG_LEVEL = 'debug';
+    execOpts.env.VMADM_DEBUG_LEVEL = opts.debugLevel || DEFAULT_DEBUG_LEVEL;
 
-    opts.log.trace({ args: args, execOpts: execOpts }, 'executing vmadm');
+    opts.log.trace({ args: args, execOpts: execOpts, vmadmPath: vmadmPath },
+        'executing vmadm');
 
-    child = spawn(VMADM_PATH, args, execOpts);
+    child = spawn(vmadmPath, args, execOpts);
 
-    child.stdout.on('data', function _childStdoutHandler(data) {
-        stdoutBuffer += data.toString();
-    });
+    if (opts.execTimeout) {
+        timeoutTimer = setTimeout(function _onExecTimeout() {
+            interrupt('timeout');
+        }, opts.execTimeout);
+    }
+
+    if (opts.abortSignal) {
+        removeAbortListener = onAbort(opts.abortSignal,
+            function _onExecAbort() {
+                interrupt('cancelled');
+            });
+    }
+
+    if (opts.stdoutStream) {
+        child.stdout.pipe(opts.stdoutStream, {end: false});
+    } else {
+        child.stdout.on('data', function _childStdoutHandler(data) {
+            stdoutBuffer += data.toString();
+        });
+    }
 
     child.stderr.on('data', function _childStderrHandler(data) {
         var chunk;
@@ -81,22 +535,82 @@ function execVmadm(opts, callback) {
         chunks = stderrBuffer.split('\n');
         while (chunks.length > 1) {
             chunk = chunks.shift();
-            stderrLines.push(chunk);
+            addStderrLine(chunk);
         }
         stderrBuffer = chunks.pop();
     });
 
+    child.on('error', function _childErrorHandler(err) {
+        var error;
+
+        // Only a child that was never spawned has no pid, otherwise this is a
+        // failure to kill it and "close" is still to come.
+        if (child.pid !== undefined) {
+            opts.log.warn({args: args, err: err, pid: child.pid},
+                'vmadm child process error');
+            return;
+        }
+
+        cleanup();
+
+        error = new errors.VmadmExecError({
+            args: args,
+            cause: err,
+            req_id: opts.req_id
+        });
+
+        opts.log.error({
+            err: error,
+            cmdline: [vmadmPath].concat(args)
+        }, 'error spawning vmadm');
+
+        finish({
+            code: null,
+            error: error,
+            signal: null,
+            vmadmLog: vmadmLog
+        });
+    });
+
     child.on('close', function _childCloseHandler(code, signal) {
-        var errCode;
+        var errOpts;
+        var error;
         var lastLine;
         var logErrorLevel = 'error';
+        var matches;
+
+        cleanup();
+        if (done) {
+            return;
+        }
 
         if (stderrBuffer.length > 0) {
-            opts.log.info('stderr from vmadm: ' + stderrBuffer);
-            stderrLines.push(stderrBuffer);
+            addStderrLine(stderrBuffer);
+        }
+
+        errOpts = {
+            args: args,
+            exitCode: code,
+            req_id: opts.req_id,
+            signal: signal,
+            stderrLines: stderrLines,
+            uuid: opts.uuid,
+            vmadmLog: vmadmLog
+        };
+
+        if (interruptedBy === 'timeout') {
+            errOpts.timeout = opts.execTimeout;
+            error = new errors.VmadmTimeoutError(errOpts);
+        } else if (interruptedBy === 'cancelled') {
+            error = new errors.VmadmCancelledError(errOpts);
         }
 
         if (code !== 0 || signal !== null) {
+            if (args[0] === 'validate' && code !== null) {
+                // An invalid payload isn't an error either, validate()
+                // returns the problems.
+                logErrorLevel = 'debug';
+            }
             if (stderrLines.length > 0) {
                 lastLine = stderrLines[stderrLines.length - 1];
                 if (lastLine
@@ -105,20 +619,34 @@ function execVmadm(opts, callback) {
                     // results, so we'll not write it to the log as an error. We
                     // do log so that it's available when tracing.
                     logErrorLevel = 'trace';
-                } else if (lastLine.match(/No such zone configured/)) {
+                } else if (lastLine.match(/No such zone configured/) &&
+                    opts.uuid !== undefined) {
                     // If a VM doesn't exist, that's also not really an error.
                     logErrorLevel = 'trace';
+                    error = error || new errors.VmNotFoundError(errOpts);
                 } else if (lastLine
-                    .match(/Cannot find running init PID for VM/)) {
-                    // If a VM is not running: return ENOTRUNNING
-                    errCode = 'ENOTRUNNING';
+                    .match(/Cannot find running init PID for VM/) &&
+                    opts.uuid !== undefined) {
+                    error = error || new errors.VmNotRunningError(errOpts);
+                } else if (lastLine.match(NO_MIGRATION_RE) &&
+                    opts.uuid !== undefined) {
+                    error = error ||
+                        new errors.VmMigrationNotFoundError(errOpts);
+                } else if ((matches = lastLine.match(MIGRATION_STATE_RE)) &&
+                    opts.uuid !== undefined) {
+                    errOpts.action = matches[1];
+                    errOpts.state = matches[3];
+                    errOpts.phase = matches[4];
+                    error = error || new errors.VmMigrationStateError(errOpts);
                 }
             }
+            error = error || new errors.VmadmExecError(errOpts);
+
             opts.log[logErrorLevel]({
                 code: code,
-                errCode: errCode,
+                err: error,
                 signal: signal,
-                cmdline: [VMADM_PATH].concat(args),
+                cmdline: [vmadmPath].concat(args),
                 stdout: stdoutBuffer,
                 stderrLines: stderrLines
             }, 'error executing vmadm');
@@ -127,10 +655,24 @@ function execVmadm(opts, callback) {
                 code);
         }
 
-        callback({code: code, errCode: errCode, signal: signal},
-            stdoutBuffer, stderrLines);
+        finish({
+            code: code,
+            error: error,
+            signal: signal,
+            vmadmLog: vmadmLog
+        });
+    });
+
+    // vmadm can exit (or fail to start) before reading all of its input.
+    child.stdin.on('error', function _onStdinError(err) {
+        opts.log.debug(err, 'error writing to vmadm');
     });
 
+    if (opts.stdinStream) {
+        opts.stdinStream.pipe(child.stdin);
+        return;
+    }
+
     if (opts.stdinData) {
         child.stdin.write(opts.stdinData);
     }
@@ -146,6 +688,7 @@ function execVmadm(opts, callback) {
  *      - log {Logger object}
  *      - include_dni {Boolean} If true, return VMs that have do_not_inventory
  *        set. default: false.
+ *      - zonesDir {String} Optional directory holding the zone XML files
  * @param exist_cb {Function} `function (err)`
  *      - called when VM opts.uuid exists
  * @param nonexist_cb {Function} `function (err)`
@@ -156,6 +699,7 @@ function ifExists(opts, exist_cb, nonexist_cb) {
     assert.object(opts.log, 'opts.log');
     assert.string(opts.uuid, 'opts.uuid');
     assert.optionalBool(opts.include_dni, 'opts.include_dni');
+    assert.optionalString(opts.zonesDir, 'opts.zonesDir');
 
     /*
      * Until vminfod (OS-2647) is available, we want a way to quickly filter out
@@ -165,20 +709,19 @@ function ifExists(opts, exist_cb, nonexist_cb) {
 
     var dni = new
         RegExp('<attr name="do-not-inventory" type="string" value="true"/>');
-    var filename = path.join('/etc/zones', opts.uuid + '.xml');
+    var filename = path.join(getZonesDir(opts), opts.uuid + '.xml');
     var log = opts.log;
 
     fs.readFile(filename, function (err, data) {
-        var noExistErr;
-
         if (err && err.code === 'ENOENT') {
             /*
              * VM doesn't exist at all.
              */
             log.trace('ifExists(): ' + filename + ' does not exist');
-            noExistErr = new Error('VM does not exist');
-            noExistErr.restCode = 'VmNotFound';
-            nonexist_cb(noExistErr);
+            nonexist_cb(new errors.VmNotFoundError({
+                req_id: opts.req_id,
+                uuid: opts.uuid
+            }));
         } else if (err) {
             /*
              * Condition we didn't anticipate, not sure what it means. Hopefully
@@ -193,9 +736,10 @@ function ifExists(opts, exist_cb, nonexist_cb) {
              * same as not existing.
              */
             log.trace(err, 'ifExists(): ' + filename + ' has do_not_inventory');
-            noExistErr = new Error('VM does not exist');
-            noExistErr.restCode = 'VmNotFound';
-            nonexist_cb(noExistErr);
+            nonexist_cb(new errors.VmNotFoundError({
+                req_id: opts.req_id,
+                uuid: opts.uuid
+            }));
         } else {
             /*
              * VM exists and do-not-inventory is not set (or we're including).
@@ -221,8 +765,8 @@ function ifExists(opts, exist_cb, nonexist_cb) {
  *      - otherwise; exists will be true or false
  */
 
-vmadm.exists = function vmExists(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.exists = function vmExists(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.string(opts.uuid, 'opts.uuid');
     assert.optionalBool(opts.include_dni, 'opts.include_dni');
@@ -256,8 +800,8 @@ vmadm.exists = function vmExists(opts, callback) {
  * @param callback {Function} `function (err)`
  */
 
-vmadm.load = function vmLoad(opts, vmopts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.load = function vmLoad(opts, vmopts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.string(opts.uuid, 'opts.uuid');
     assert.optionalString(opts.req_id, 'opts.req_id');
@@ -267,53 +811,37 @@ vmadm.load = function vmLoad(opts, vmopts, callback) {
         callback = vmopts;
     }
 
-    var execOpts = {
-        args: ['get', opts.uuid],
-        log: opts.log,
-        req_id: opts.req_id
-    };
+    var execOpts = mkExecOpts(opts, ['get', opts.uuid]);
 
     opts.log.trace('spawning vmadm for load');
 
     execVmadm(execOpts, function (result, stdout, stderrLines) {
-        var err;
         var vm;
 
-        function notFound() {
-            var notFoundErr;
-
-            // NOTE: destroy depends on this matching ': No such zone'
-            notFoundErr = new Error('vmadm load ' + opts.uuid +
-                ' failed: No such zone');
-            notFoundErr.restCode = 'VmNotFound';
-
-            return notFoundErr;
-        }
-
-        if (result.code !== 0 || result.signal !== null) {
-            if (stderrLines[stderrLines.length - 1]
-                .match(/No such zone configured/)) {
-                // VM does not exist.
-                return callback(notFound());
-            }
-            err = new Error('vmadm exited with code: ' + result.code +
-                ' signal: ' + result.signal + ' -- ' +
-                stderrLines.join('\n'));
-            err.stderr = stderrLines.join('\n');
-            return callback(err);
+        if (result.error) {
+            return callback(result.error);
         }
 
         try {
             vm = JSON.parse(stdout);
         } catch (jsonErr) {
-            jsonErr.stdout = stdout;
-            return callback(jsonErr);
+            return callback(new errors.VmadmParseError({
+                args: execOpts.args,
+                cause: jsonErr,
+                req_id: opts.req_id,
+                stderrLines: stderrLines,
+                stdout: stdout
+            }));
         }
 
         if (vm.do_not_inventory && !opts.include_dni) {
             // Unless the caller is specifically asking for VMs that are
             // do_not_inventory, we treat them the same a VMs that don't exist.
-            return callback(notFound());
+            return callback(new errors.VmNotFoundError({
+                args: execOpts.args,
+                req_id: opts.req_id,
+                uuid: opts.uuid
+            }));
         }
 
         if (opts.fields) {
@@ -325,7 +853,7 @@ vmadm.load = function vmLoad(opts, vmopts, callback) {
             });
         }
 
-        return callback(null, vm);
+        return callback(null, vm, result.vmadmLog);
     });
 };
 
@@ -339,42 +867,24 @@ vmadm.load = function vmLoad(opts, vmopts, callback) {
  * @param callback {Function} `function (err, info)`
  */
 
-vmadm.create = function vmCreate(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.create = function vmCreate(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
 
-    var execOpts = {};
+    var execOpts = mkExecOpts(opts, ['create']);
     var log = opts.log;
-    var payload = opts;
-    delete payload.log;
+    var payload = mkPayload(opts);
 
     log.trace('spawning vmadm for create');
 
-    execOpts.log = log;
-    execOpts.args = ['create'];
-    execOpts.req_id = opts.req_id;
-    delete payload.req_id;
-    // Support removed w/ TRITON-985, still deleted for backward compat.
-    delete payload.vmadmLogger;
-
     execOpts.stdinData = JSON.stringify(payload);
 
     execVmadm(execOpts, function (result, stdout, stderrLines) {
         var info = {};
 
-        if (result.code !== 0 || result.signal !== null) {
-            var lastLine = '';
-            var lines = '';
-            if (stderrLines.length > 1) {
-                lastLine = stderrLines[stderrLines.length - 1];
-                lines = stderrLines.join('\n').trim().substr(
-                        -STDERR_TRUNCATE_LENGTH);
-            }
-
-            return callback(
-                new Error('vmadm exited with code: ' + result.code + ': ' +
-                          lastLine + '\n...' + lines));
+        if (result.error) {
+            return callback(result.error);
         }
 
         stderrLines.forEach(function (line) {
@@ -385,7 +895,7 @@ vmadm.create = function vmCreate(opts, callback) {
             }
         });
 
-        return callback(null, info);
+        return callback(null, info, result.vmadmLog);
     });
 };
 
@@ -402,8 +912,8 @@ vmadm.create = function vmCreate(opts, callback) {
  * @param callback {Function} `function (err)`
  */
 
-vmadm.delete = function vmDelete(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.delete = function vmDelete(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
     assert.string(opts.uuid, 'opts.uuid');
@@ -411,25 +921,16 @@ vmadm.delete = function vmDelete(opts, callback) {
 
     var args = ['delete', opts.uuid];
 
-    var execOpts = {
-        args: args,
-        log: opts.log,
-        req_id: opts.req_id
-    };
+    var execOpts = mkExecOpts(opts, args);
 
     ifExists(opts, function _ifExistsCb() {
         opts.log.trace('spawning vmadm for delete');
 
         execVmadm(execOpts, function (result, stdout, stderrLines) {
-            var err;
-
-            if (result.code !== 0 || result.signal !== null) {
-                err = new Error('vmadm exited with code: ' + result.code +
-                    ' signal: ' + result.signal);
-                err.stderrLines = stderrLines.join('\n');
-                return callback(err);
+            if (result.error) {
+                return callback(result.error);
             }
-            return callback();
+            return callback(null, undefined, result.vmadmLog);
         });
     }, callback);
 };
@@ -446,48 +947,97 @@ vmadm.delete = function vmDelete(opts, callback) {
  * @param callback {Function} `function (err)`
  */
 
-vmadm.update = function vmUpdate(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.update = function vmUpdate(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
     assert.string(opts.uuid, 'opts.uuid');
     assert.optionalBool(opts.include_dni, 'opts.include_dni');
 
-    var execOpts = {};
+    var execOpts = mkExecOpts(opts, ['update', opts.uuid]);
     var existsOpts = {};
     var log = opts.log;
-    var payload = opts;
-    delete payload.log;
+    var payload = mkPayload(opts);
 
     log.trace('spawning vmadm for machine update');
 
-    execOpts.log = log;
-    execOpts.args = ['update', opts.uuid];
-    execOpts.req_id = opts.req_id;
-    delete payload.req_id;
-    // Support removed w/ TRITON-985, still deleted for backward compat.
-    delete payload.vmadmLogger;
-
     existsOpts.log = log;
+    existsOpts.req_id = execOpts.req_id;
     existsOpts.uuid = opts.uuid;
     existsOpts.include_dni = opts.include_dni;
-    delete payload.include_dni;
+    existsOpts.zonesDir = opts.zonesDir;
 
     execOpts.stdinData = JSON.stringify(payload);
 
     ifExists(existsOpts, function _ifExistsCb() {
         execVmadm(execOpts, function (result, stdout, stderrLines) {
-            if (result.code !== 0 || result.signal !== null) {
-                callback(new Error(stderrLines.join('\n').trim()));
+            if (result.error) {
+                callback(result.error);
                 return;
             }
-            callback();
+            callback(null, undefined, result.vmadmLog);
         });
     }, callback);
 };
 
 
 
+/**
+ * Call `vmadm validate create` or `vmadm validate update <brand>` to check a
+ * payload without creating or updating a VM.
+ *
+ * @param opts {Object} Options
+ *      - action {String} "create" or "update"
+ *      - brand {String} brand of the VM (required for update, for create it
+ *        defaults to payload.brand)
+ *      - payload {Object} the payload to check
+ *      - log {Logger object}
+ * @param callback {Function} `function (err, result)`
+ *      - result is a ValidationResult (see lib/validate.js). An invalid
+ *        payload is not an error: result.valid is false and the other fields
+ *        describe the problems.
+ */
+
+VmadmClient.prototype.validate = function vmValidate(opts, callback) {
+    opts = this._callOpts(opts);
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+
+    var args = ['validate', opts.action];
+    var execOpts;
+    var payload = validatePayload(opts);
+
+    if (opts.action === 'update') {
+        args.push(opts.brand);
+    }
+
+    execOpts = mkExecOpts(opts, args);
+    execOpts.stdinData = JSON.stringify(payload);
+
+    execVmadm(execOpts, function (result, stdout, stderrLines) {
+        var problems;
+
+        if (!result.error) {
+            return callback(null, new ValidationResult({}), result.vmadmLog);
+        }
+
+        if (!(result.error instanceof errors.VmadmExecError)) {
+            return callback(result.error);
+        }
+
+        // When the payload is invalid, vmadm writes the problems to stdout.
+        try {
+            problems = JSON.parse(stdout);
+        } catch (_) {
+            return callback(result.error);
+        }
+
+        return callback(null, new ValidationResult(problems), result.vmadmLog);
+    });
+};
+
+
+
 /**
  * Call `vmadm reboot <uuid>`.
  *
@@ -500,8 +1050,8 @@ vmadm.update = function vmUpdate(opts, callback) {
  * @param callback {Function} `function (err)`
  */
 
-vmadm.reboot = function vmReboot(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.reboot = function vmReboot(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
     assert.string(opts.uuid, 'opts.uuid');
@@ -513,23 +1063,14 @@ vmadm.reboot = function vmReboot(opts, callback) {
         args.push('-F');
     }
 
-    var execOpts = {
-        args: args,
-        log: opts.log,
-        req_id: opts.req_id
-    };
+    var execOpts = mkExecOpts(opts, args);
 
     ifExists(opts, function _ifExistsCb() {
         execVmadm(execOpts, function (result, stdout, stderrLines) {
-            var err;
-
-            if (result.code !== 0 || result.signal !== null) {
-                err = new Error('vmadm exited with code: ' + result.code +
-                    ' signal: ' + result.signal);
-                err.stderr = stderrLines.join('\n');
-                return callback(err);
+            if (result.error) {
+                return callback(result.error);
             }
-            return callback();
+            return callback(null, undefined, result.vmadmLog);
         });
     }, callback);
 };
@@ -547,40 +1088,33 @@ vmadm.reboot = function vmReboot(opts, callback) {
  * @param callback {Function} `function (err)`
  */
 
-vmadm.reprovision = function vmReprovision(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.reprovision = function vmReprovision(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
     assert.string(opts.uuid, 'opts.uuid');
     assert.optionalBool(opts.include_dni, 'opts.include_dni');
 
-    var execOpts = {};
+    var execOpts = mkExecOpts(opts, ['reprovision', opts.uuid]);
     var existsOpts = {};
     var log = opts.log;
-    var payload = opts;
-    delete payload.log;
-
-    execOpts.log = log;
-    execOpts.args = ['reprovision', opts.uuid];
-    execOpts.req_id = opts.req_id;
-    delete payload.req_id;
-    // Support removed w/ TRITON-985, still deleted for backward compat.
-    delete payload.vmadmLogger;
+    var payload = mkPayload(opts);
 
     existsOpts.log = log;
+    existsOpts.req_id = execOpts.req_id;
     existsOpts.uuid = opts.uuid;
     existsOpts.include_dni = opts.include_dni;
-    delete payload.include_dni;
+    existsOpts.zonesDir = opts.zonesDir;
 
     execOpts.stdinData = JSON.stringify(payload);
 
     ifExists(existsOpts, function _ifExistsCb() {
         execVmadm(execOpts, function (result, stdout, stderrLines) {
-            if (result.code !== 0 || result.signal !== null) {
-                callback(new Error(stderrLines.join('\n').trim()));
+            if (result.error) {
+                callback(result.error);
                 return;
             }
-            callback();
+            callback(null, undefined, result.vmadmLog);
         });
     }, callback);
 };
@@ -590,24 +1124,25 @@ vmadm.reprovision = function vmReprovision(opts, callback) {
 /**
  * Call `vmadm lookup -j`.
  *
+ * @param search {Object} The VM properties to look for, with the operators
+ *      described in lib/query.js
  * @param opts {Object} Options
- *      - uuid {String} The VM uuid.
  *      - log {Logger object}
- * @param vmopts {Object} Optional vm options
  *      - fields {Array} Return only the keys give in `fields` array
  *      - include_dni {Boolean} If true, return VMs that have do_not_inventory
  *        set. default: false.
  * @param callback {Function} `function (err, vms)`
  */
 
-vmadm.lookup = function vmLookup(search, opts, callback) {
+VmadmClient.prototype.lookup = function vmLookup(search, opts, callback) {
     assert.object(search, 'search');
-    assert.object(opts, 'opts');
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
     assert.optionalBool(opts.include_dni, 'opts.include_dni');
 
     var args = ['lookup', '-j'];
+    var fields;
 
     function addargs(newargs) {
         Array.prototype.push.apply(args, newargs);
@@ -617,34 +1152,25 @@ vmadm.lookup = function vmLookup(search, opts, callback) {
         /*
          * Since we want to ignore VMs that have do_not_inventory=true, we add
          * that  if it's not there. Since the field is not returned when it's
-         * not set, there's no need to undo this later. (AGENT-953)
+         * not set, there's no need to undo this later. (AGENT-953) The
+         * caller's array is left alone.
          */
-        if (opts.fields.indexOf('do_not_inventory') === -1) {
-            opts.fields.push('do_not_inventory');
+        fields = opts.fields.slice();
+        if (fields.indexOf('do_not_inventory') === -1) {
+            fields.push('do_not_inventory');
         }
-        addargs(['-o', opts.fields.join(',')]);
+        addargs(['-o', fields.join(',')]);
     }
 
-    Object.keys(search).forEach(function (name) {
-        args.push(name + '=' + search[name]);
-    });
+    addargs(renderSearch(search));
 
-    var execOpts = {
-        args: args,
-        log: opts.log,
-        req_id: opts.req_id
-    };
+    var execOpts = mkExecOpts(opts, args);
 
     execVmadm(execOpts, function (result, stdout, stderrLines) {
-        var err;
         var vms = [];
 
-        if (result.code !== 0 || result.signal !== null) {
-            err = new Error('vmadm exited with code: ' + result.code +
-                ' signal: ' + result.signal + ' -- ' +
-                stderrLines.join('\n'));
-            err.stderr = stderrLines.join('\n');
-            return callback(err);
+        if (result.error) {
+            return callback(result.error);
         }
 
         try {
@@ -655,30 +1181,162 @@ vmadm.lookup = function vmLookup(search, opts, callback) {
                 vms.push(vm);
             });
         } catch (jsonErr) {
-            jsonErr.stdout = stdout;
-            return callback(jsonErr);
+            return callback(new errors.VmadmParseError({
+                args: args,
+                cause: jsonErr,
+                req_id: opts.req_id,
+                stderrLines: stderrLines,
+                stdout: stdout
+            }));
         }
 
-        return callback(null, vms);
+        return callback(null, vms, result.vmadmLog);
     });
 };
 
-
-
 /**
- * Call `vmadm kill <uuid>`.
+ * Call `vmadm lookup -j -1`, which fails unless exactly one VM matches.
  *
- * @param opts {Object} Options
- *      - uuid {String} UUID of VM to kill
- *      - log {Logger object}
- *      - signal {String} Optional signal to send, eg 'SIGTERM'
- *      - include_dni {Boolean} If true, kill VMs that have do_not_inventory
+ * @param search {Object} The VM properties to look for, as for lookup()
+ * @param opts {Object} Options, as for lookup()
+ * @param callback {Function} `function (err, vm)`
+ *      - err is a VmLookupNoMatchError if no VM matched (or only one with
+ *        do_not_inventory set, and include_dni isn't set), and a
+ *        VmLookupAmbiguousError if more than one did
+ */
+
+VmadmClient.prototype.lookupOne = function vmLookupOne(search, opts, callback) {
+    assert.object(search, 'search');
+    opts = this._callOpts(opts);
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalArrayOfString(opts.fields, 'opts.fields');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+
+    var args = ['lookup', '-j', '-1'];
+    var fields;
+    var searchArgs = renderSearch(search);
+
+    if (opts.fields) {
+        // As for lookup(), so that VMs with do_not_inventory can be skipped.
+        fields = opts.fields.slice();
+        if (fields.indexOf('do_not_inventory') === -1) {
+            fields.push('do_not_inventory');
+        }
+        args.push('-o', fields.join(','));
+    }
+
+    Array.prototype.push.apply(args, searchArgs);
+
+    execVmadm(mkExecOpts(opts, args),
+        function (result, stdout, stderrLines) {
+        var matches;
+        var vm;
+
+        if (result.error) {
+            matches = (stderrLines[stderrLines.length - 1] || '')
+                .match(UNIQUE_LOOKUP_RE);
+            if (matches && result.error instanceof errors.VmadmExecError) {
+                return callback(uniqueLookupError(Number(matches[1]), {
+                    args: args,
+                    exitCode: result.code,
+                    req_id: opts.req_id,
+                    search: searchArgs.join(' '),
+                    stderrLines: stderrLines,
+                    vmadmLog: result.vmadmLog
+                }));
+            }
+            return callback(result.error);
+        }
+
+        try {
+            vm = JSON.parse(stdout);
+        } catch (jsonErr) {
+            return callback(new errors.VmadmParseError({
+                args: args,
+                cause: jsonErr,
+                req_id: opts.req_id,
+                stderrLines: stderrLines,
+                stdout: stdout
+            }));
+        }
+
+        if (Array.isArray(vm)) {
+            vm = vm[0];
+        }
+
+        if (vm.do_not_inventory && !opts.include_dni) {
+            return callback(uniqueLookupError(0, {
+                args: args,
+                req_id: opts.req_id,
+                search: searchArgs.join(' ')
+            }));
+        }
+
+        return callback(null, vm, result.vmadmLog);
+    });
+};
+
+
+
+/**
+ * Find the UUID of the VM with the given UUID, alias or UUID prefix.
+ *
+ * @param id {String} UUID, alias or UUID prefix of the VM
+ * @param opts {Object} Options, as for lookup()
+ * @param callback {Function} `function (err, uuid)`, see lib/resolve.js
+ */
+
+VmadmClient.prototype.resolve = function vmResolve(id, opts, callback) {
+    assert.string(id, 'id');
+    opts = this._callOpts(opts);
+    assert.object(opts.log, 'opts.log');
+
+    resolveVm(this, id, opts, callback);
+};
+
+
+
+/**
+ * Wait for a VM to reach a state, or to match a predicate, using events().
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of the VM
+ *      - log {Logger object}
+ *      - predicate {Function} `function (vm)`, returns true once done. It's
+ *        called with undefined while the VM doesn't exist.
+ *      - state {String} the state to wait for, if predicate is not set
+ *      - timeout {Number} Optional time in ms to wait before failing with a
+ *        VmWaitTimeoutError. default: no limit.
+ *      - include_dni {Boolean} If true, see VMs that have do_not_inventory
+ *        set. default: false.
+ * @param callback {Function} `function (err, vm)`, see lib/wait.js
+ */
+
+VmadmClient.prototype.waitFor = function vmWaitFor(opts, callback) {
+    opts = this._callOpts(opts);
+    assert.object(opts.log, 'opts.log');
+
+    waitForVm(this, opts, callback);
+};
+
+
+
+
+/**
+ * Call `vmadm kill <uuid>`.
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM to kill
+ *      - log {Logger object}
+ *      - signal {String} Optional signal to send, eg 'SIGTERM'
+ *      - include_dni {Boolean} If true, kill VMs that have do_not_inventory
  *        set. default: false.
  * @param callback {Function} `function (err)`
  */
 
-vmadm.kill = function vmKill(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.kill = function vmKill(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
     assert.string(opts.uuid, 'opts.uuid');
@@ -697,26 +1355,14 @@ vmadm.kill = function vmKill(opts, callback) {
 
     args.push(opts.uuid);
 
-    var execOpts = {
-        args: args,
-        log: opts.log,
-        req_id: opts.req_id
-    };
+    var execOpts = mkExecOpts(opts, args);
 
     ifExists(opts, function _ifExistsCb() {
         execVmadm(execOpts, function (result, stdout, stderrLines) {
-            var err;
-
-            if (result.code !== 0 || result.signal !== null) {
-                err = new Error('vmadm exited with code: ' + result.code +
-                    ' signal: ' + result.signal);
-                if (result.errCode) {
-                    err.code = result.errCode;
-                }
-                err.stderr = stderrLines.join('\n');
-                return callback(err);
+            if (result.error) {
+                return callback(result.error);
             }
-            return callback();
+            return callback(null, undefined, result.vmadmLog);
         });
     }, callback);
 };
@@ -729,18 +1375,20 @@ vmadm.kill = function vmKill(opts, callback) {
  * @param opts {Object} Options
  *      - uuid {String} UUID of KVM to run info on
  *      - log {Logger object}
- *      - types {Array of Strings} Optional array of type strings
+ *      - types {Array of Strings} Optional array of info types (see
+ *        info.INFO_TYPES). default: all
  *      - include_dni {Boolean} If true, gather info from VMs that have
  *        do_not_inventory set. default: false.
- * @param callback {Function} `function (err)`
+ * @param callback {Function} `function (err, vmInfo)`
+ *      - vmInfo {VmInfo} the parsed output, see lib/info.js
  */
 
-vmadm.info = function vmInfo(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.info = function vmInfo(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
     assert.string(opts.uuid, 'opts.uuid');
-    assert.optionalArrayOfString(opts.types, 'opts.types');
+    assertInfoTypes(opts.types, 'opts.types');
     assert.optionalBool(opts.include_dni, 'opts.include_dni');
 
     var args = ['info', opts.uuid];
@@ -749,23 +1397,30 @@ vmadm.info = function vmInfo(opts, callback) {
         args.push(opts.types.join(','));
     }
 
-    var execOpts = {
-        args: args,
-        log: opts.log,
-        req_id: opts.req_id
-    };
+    var execOpts = mkExecOpts(opts, args);
 
     ifExists(opts, function _ifExistsCb() {
         execVmadm(execOpts, function (result, stdout, stderrLines) {
-            var err;
+            var obj;
+
+            if (result.error) {
+                return callback(result.error);
+            }
 
-            if (result.code !== 0 || result.signal !== null) {
-                err = new Error('vmadm exited with code: ' + result.code +
-                    ' signal: ' + result.signal);
-                err.stderr = stderrLines.join('\n');
-                return callback(err);
+            try {
+                obj = JSON.parse(stdout);
+                assert.object(obj, 'vmadm info output');
+            } catch (jsonErr) {
+                return callback(new errors.VmadmParseError({
+                    args: args,
+                    cause: jsonErr,
+                    req_id: opts.req_id,
+                    stderrLines: stderrLines,
+                    stdout: stdout
+                }));
             }
-            return callback(null, stdout);
+
+            return callback(null, new VmInfo(obj), result.vmadmLog);
         });
     }, callback);
 };
@@ -784,33 +1439,24 @@ vmadm.info = function vmInfo(opts, callback) {
  * @param callback {Function} `function (err)`
  */
 
-vmadm.sysrq = function vmSysrq(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.sysrq = function vmSysrq(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
     assert.string(opts.req, 'opts.req');
     assert.string(opts.uuid, 'opts.uuid');
     assert.optionalBool(opts.include_dni, 'opts.include_dni');
 
-    var args = ['sysreq', opts.uuid, opts.req];
+    var args = ['sysrq', opts.uuid, opts.req];
 
-    var execOpts = {
-        args: args,
-        log: opts.log,
-        req_id: opts.req_id
-    };
+    var execOpts = mkExecOpts(opts, args);
 
     ifExists(opts, function _ifExistsCb() {
         execVmadm(execOpts, function (result, stdout, stderrLines) {
-            var err;
-
-            if (result.code !== 0 || result.signal !== null) {
-                err = new Error('vmadm exited with code: ' + result.code +
-                    ' signal: ' + result.signal);
-                err.stderr = stderrLines.join('\n');
-                return callback(err);
+            if (result.error) {
+                return callback(result.error);
             }
-            return callback();
+            return callback(null, undefined, result.vmadmLog);
         });
     }, callback);
 };
@@ -829,8 +1475,9 @@ vmadm.sysrq = function vmSysrq(opts, callback) {
  * @param callback {Function} `function (err)`
  */
 
-vmadm.create_snapshot = function vmCreateSnapshot(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.create_snapshot =
+function vmCreateSnapshot(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
     assert.string(opts.snapshot_name, 'opts.snapshot_name');
@@ -839,23 +1486,14 @@ vmadm.create_snapshot = function vmCreateSnapshot(opts, callback) {
 
     var args = ['create-snapshot', opts.uuid, opts.snapshot_name];
 
-    var execOpts = {
-        args: args,
-        log: opts.log,
-        req_id: opts.req_id
-    };
+    var execOpts = mkExecOpts(opts, args);
 
     ifExists(opts, function _ifExistsCb() {
         execVmadm(execOpts, function (result, stdout, stderrLines) {
-            var err;
-
-            if (result.code !== 0 || result.signal !== null) {
-                err = new Error('vmadm exited with code: ' + result.code +
-                    ' signal: ' + result.signal);
-                err.stderr = stderrLines.join('\n');
-                return callback(err);
+            if (result.error) {
+                return callback(result.error);
             }
-            return callback();
+            return callback(null, undefined, result.vmadmLog);
         });
     }, callback);
 };
@@ -874,8 +1512,9 @@ vmadm.create_snapshot = function vmCreateSnapshot(opts, callback) {
  * @param callback {Function} `function (err)`
  */
 
-vmadm.rollback_snapshot = function vmRollbackSnapshot(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.rollback_snapshot =
+function vmRollbackSnapshot(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
     assert.string(opts.snapshot_name, 'opts.snapshot_name');
@@ -884,23 +1523,14 @@ vmadm.rollback_snapshot = function vmRollbackSnapshot(opts, callback) {
 
     var args = ['rollback-snapshot', opts.uuid, opts.snapshot_name];
 
-    var execOpts = {
-        args: args,
-        log: opts.log,
-        req_id: opts.req_id
-    };
+    var execOpts = mkExecOpts(opts, args);
 
     ifExists(opts, function _ifExistsCb() {
         execVmadm(execOpts, function (result, stdout, stderrLines) {
-            var err;
-
-            if (result.code !== 0 || result.signal !== null) {
-                err = new Error('vmadm exited with code: ' + result.code +
-                    ' signal: ' + result.signal);
-                err.stderr = stderrLines.join('\n');
-                return callback(err);
+            if (result.error) {
+                return callback(result.error);
             }
-            return callback();
+            return callback(null, undefined, result.vmadmLog);
         });
     }, callback);
 };
@@ -919,8 +1549,9 @@ vmadm.rollback_snapshot = function vmRollbackSnapshot(opts, callback) {
  * @param callback {Function} `function (err)`
  */
 
-vmadm.delete_snapshot = function vmDeleteSnapshot(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.delete_snapshot =
+function vmDeleteSnapshot(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
     assert.string(opts.snapshot_name, 'opts.snapshot_name');
@@ -929,23 +1560,14 @@ vmadm.delete_snapshot = function vmDeleteSnapshot(opts, callback) {
 
     var args = ['delete-snapshot', opts.uuid, opts.snapshot_name];
 
-    var execOpts = {
-        args: args,
-        log: opts.log,
-        req_id: opts.req_id
-    };
+    var execOpts = mkExecOpts(opts, args);
 
     ifExists(opts, function _ifExistsCb() {
         execVmadm(execOpts, function (result, stdout, stderrLines) {
-            var err;
-
-            if (result.code !== 0 || result.signal !== null) {
-                err = new Error('vmadm exited with code: ' + result.code +
-                    ' signal: ' + result.signal);
-                err.stderr = stderrLines.join('\n');
-                return callback(err);
+            if (result.error) {
+                return callback(result.error);
             }
-            return callback();
+            return callback(null, undefined, result.vmadmLog);
         });
     }, callback);
 };
@@ -963,8 +1585,8 @@ vmadm.delete_snapshot = function vmDeleteSnapshot(opts, callback) {
  * @param callback {Function} `function (err)`
  */
 
-vmadm.start = function vmStart(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.start = function vmStart(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
     assert.string(opts.uuid, 'opts.uuid');
@@ -987,25 +1609,16 @@ vmadm.start = function vmStart(opts, callback) {
         }
     });
 
-    var execOpts = {
-        args: args,
-        log: opts.log,
-        req_id: opts.req_id
-    };
+    var execOpts = mkExecOpts(opts, args);
 
     ifExists(opts, function _ifExistsCb() {
         opts.log.trace('spawning vmadm for start');
 
         execVmadm(execOpts, function (result, stdout, stderrLines) {
-            var err;
-
-            if (result.code !== 0 || result.signal !== null) {
-                err = new Error('vmadm exited with code: ' + result.code +
-                    ' signal: ' + result.signal);
-                err.stderrLines = stderrLines.join('\n');
-                return callback(err);
+            if (result.error) {
+                return callback(result.error);
             }
-            return callback();
+            return callback(null, undefined, result.vmadmLog);
         });
     }, callback);
 };
@@ -1026,8 +1639,8 @@ vmadm.start = function vmStart(opts, callback) {
  * @param callback {Function} `function (err)`
  */
 
-vmadm.stop = function vmStop(opts, callback) {
-    assert.object(opts, 'opts');
+VmadmClient.prototype.stop = function vmStop(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
     assert.optionalNumber(opts.timeout, 'opts.timeout');
@@ -1045,200 +1658,824 @@ vmadm.stop = function vmStop(opts, callback) {
         args.push('-t', opts.timeout.toString());
     }
 
-    var execOpts = {
-        args: args,
-        log: opts.log,
-        req_id: opts.req_id
-    };
+    var execOpts = mkExecOpts(opts, args);
 
     ifExists(opts, function _ifExistsCb() {
         opts.log.trace('spawning vmadm for stop');
 
         execVmadm(execOpts, function (result, stdout, stderrLines) {
-            var err;
-
-            if (result.code !== 0 || result.signal !== null) {
-                err = new Error('vmadm exited with code: ' + result.code +
-                    ' signal: ' + result.signal);
-                err.stderrLines = stderrLines.join('\n');
-                return callback(err);
+            if (result.error) {
+                return callback(result.error);
             }
-            return callback();
+            return callback(null, undefined, result.vmadmLog);
         });
     }, callback);
 };
 
-/*
- * Wrapper around `vmadm events -jr [uuid]`
+/**
+ * Call `vmadm send <uuid>`, which writes the VM (its configuration and
+ * datasets) to stdout, for receive() to import.
  *
  * @param opts {Object} Options
- *      - uuid {String} UUID of VM to watch, if unset all VMs are watched
+ *      - uuid {String} UUID of VM to send
  *      - log {Logger object}
- *      - name {String} Identifier string for debugging purposes, this will be
- *      used to construct the user-agent sent to vminfod
- * @param handler {Function} `function (ev)`
- *      - called when an event is seen
- * @param callback {Function} `function (err, obj)`
- *      - called when the stream is ready, or failed to start
- *      - err {Error} set if an error occured that means the stream cannot be
- *      created
- *      - stop {Function} function to stop the event stream
- * @return vs {VmadmCLIEventStream}
- *      - Can be used to listen for errors, ex: `vs.on('error', ...)`
+ *      - include_dni {Boolean} If true, send VMs that have do_not_inventory
+ *        set. default: false.
+ *      - abortSignal {AbortSignal} Optional signal to cancel the send with
+ * @return {Stream} A readable stream of the output of `vmadm send`.
+ *      - emits "progress" with the number of bytes sent so far
+ *      - emits "error" with a VmadmError if vmadm fails (even after some of
+ *        the data has been read), is cancelled with opts.abortSignal, or if
+ *        the VM doesn't exist. Only the end of the stream means that all of
+ *        the VM was sent.
+ *      - destroying the stream terminates vmadm
  */
-vmadm.events = function vmEvents(opts, handler, callback) {
-    var vs;
-    var log;
 
-    assert.object(opts, 'opts');
+VmadmClient.prototype.send = function vmSend(opts) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
-    assert.optionalString(opts.uuid, 'opts.uuid');
-    assert.optionalString(opts.name, 'opts.name');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
 
-    log = opts.log;
-    vs = new VmadmCLIEventStream(opts);
+    var abortSignal = createAbortSignal(opts.abortSignal);
+    var execOpts = mkExecOpts(opts, ['send', opts.uuid]);
+    var finished = false;
+    var output = new ProgressStream();
 
-    vs.once('ready', function vmadmStreamReady(err, ready_ev) {
-        log.debug({err: err}, 'vmadm event stream ready event');
-        var obj = {
-            ev: ready_ev,
-            stop: vmadmEventsStop
-        };
-        callback(err, obj);
-    });
+    function finish(err) {
+        finished = true;
+        abortSignal.detach();
+
+        if (output.destroyed) {
+            return;
+        }
+        if (err) {
+            output.destroy(err);
+            return;
+        }
+        output.end();
+    }
+
+    execOpts.abortSignal = abortSignal;
+    execOpts.stdoutStream = output;
 
-    vs.on('readable', function vmadmStreamReadable() {
-        var ev;
-        while ((ev = vs.read()) !== null) {
-            processVmadmEvent(ev);
+    // The caller gave up on the stream, so there's no point in continuing.
+    output.once('close', function _onClose() {
+        if (!finished) {
+            abortSignal.abort();
         }
     });
 
-    function processVmadmEvent(ev) {
-        log.trace({ev: ev}, 'vmadm event');
-        handler(ev);
-    }
+    ifExists(opts, function _ifExistsCb() {
+        opts.log.trace('spawning vmadm for send');
 
-    function vmadmEventsStop() {
-        log.debug('vmadm events stop called');
-        vs.stop();
-    }
+        execVmadmOnce(execOpts, function (result, stdout, stderrLines) {
+            finish(result.error);
+        });
+    }, finish);
 
-    return vs;
+    return output;
 };
 
-function VmadmCLIEventStream(opts) {
-    var self = this;
 
-    var args = ['events', '-rj'];
-    var spawnOpts = {};
 
-    stream.Transform.call(self, {objectMode: true});
+/**
+ * Call `vmadm receive`, writing the output of send() to it.
+ *
+ * @param opts {Object} Options
+ *      - stream {Stream} The output of send() (or `vmadm send`)
+ *      - log {Logger object}
+ *      - abortSignal {AbortSignal} Optional signal to cancel the receive with
+ * @param callback {Function} `function (err, vm)`
+ *      - err is a VmadmError if vmadm fails or is cancelled, or the error
+ *        from opts.stream if reading it failed
+ *      - vm is the received VM, as returned by load()
+ * @return {Stream} The data on its way to vmadm, which emits "progress" with
+ *      the number of bytes received so far
+ */
 
-    assert.object(opts, 'opts');
+VmadmClient.prototype.receive = function vmReceive(opts, callback) {
+    opts = this._callOpts(opts);
     assert.object(opts.log, 'opts.log');
     assert.optionalString(opts.req_id, 'opts.req_id');
-    assert.optionalString(opts.name, 'opts.name');
-    assert.optionalString(opts.uuid, 'opts.uuid');
-
-    if (opts.uuid) {
-        args.push(opts.uuid);
-    }
-
-    self.stopped = false;
-    self.log = opts.log;
-
-    self.log.info({args: args}, 'calling %s %s',
-        VMADM_PATH, args.join(' '));
-
-    spawnOpts.env = copyEnv();
-    if (opts.req_id) {
-        self.log.info('setting req_id to "%s"', opts.req_id);
-        spawnOpts.env.REQ_ID = opts.req_id;
-    }
-    if (opts.name) {
-        self.log.info('setting name to "%s"', opts.name);
-        spawnOpts.env.VMADM_IDENT = opts.name;
-    }
-    spawnOpts.env.VMADM_DEBUG_LEVEL = 'fatal';
-
-    // fork vmadm
-    self.child = cp.spawn(VMADM_PATH, args, spawnOpts);
-    self.child.stdout.setEncoding('utf8');
-    self.child.stderr.setEncoding('utf8');
+    assert.object(opts.stream, 'opts.stream');
+    assert.func(callback, 'callback');
 
-    // Any child error will be logged and re-emitted
-    self.child.on('error', function vmadmProcessError(e) {
-        self.log.error({err: e}, 'child process error');
-        self.emit('error', e);
-    });
+    var abortSignal = createAbortSignal(opts.abortSignal);
+    var args = ['receive'];
+    var execOpts = mkExecOpts(opts, args);
+    var input = new ProgressStream();
+    var self = this;
+    var streamErr;
 
-    // The child dying is either an info or error message depending
-    // on if it was intentional (ie. .stop() was called)
-    self.child.on('close', function vmadmProcessClose(code, signal) {
-        if (self.stopped) {
-            self.log.info({code: code, signal: signal},
-                'vmadm events stopped');
-            return;
-        }
+    execOpts.abortSignal = abortSignal;
+    execOpts.stdinStream = input;
 
-        var e = new Error('child exited');
-        self.log.error({err: e, code: code, signal: signal},
-            'vmadm events child process closed');
-        self.emit('error', e);
+    opts.stream.once('error', function _onStreamError(err) {
+        opts.log.warn(err, 'error reading stream for vmadm receive');
+        streamErr = err;
+        abortSignal.abort();
     });
+    opts.stream.pipe(input);
 
-    // stdin is not needed
-    self.child.stdin.end();
+    opts.log.trace('spawning vmadm for receive');
 
-    // Parse stdout line by line by piping to ourselves
-    self.child.stdout.pipe(new LineStream()).pipe(self);
+    execVmadmOnce(execOpts, function (result, stdout, stderrLines) {
+        var matches;
+        var uuid;
 
-    /*
-     * Parse stderr line by line - any stderr produced is a fatal error
-     * unexpected by the child process, so we log the error and abort the child
-     * process to generate a core dump.
-     *
-     * The only exception to this rule is if "events" has not been implemented
-     * yet by `vmadm`.
-     */
-    var stderrls = new LineStream();
-    self.child.stderr.pipe(stderrls).on('readable',
-        function vmadmStderrReadable() {
+        abortSignal.detach();
+        opts.stream.unpipe(input);
 
-        var lines = [];
-        var line;
-        while ((line = stderrls.read()) !== null) {
-            lines.push(line);
+        if (streamErr) {
+            callback(streamErr);
+            return;
         }
-
-        // If we have already been stopped don't abort the process
-        if (self.stopped) {
+        if (result.error) {
+            callback(result.error);
             return;
         }
 
-        self.log.error({stderr: lines.join('\n')}, 'stderr produced');
-
-        /*
-         * Check if the `vmadm events` command is unimplemented.  If so, emit
-         * an error object through the "ready" event.
-         */
-        var invalidCmd = lines.some(function stderrFindInvalidCmd(_line) {
-            return (_line === 'Invalid command: "events".');
+        stdout.split('\n').concat(stderrLines).forEach(function (line) {
+            /* JSSTYLED */
+            matches = line.match(/^Successfully received VM ([0-9a-f-]{36})/);
+            if (matches) {
+                uuid = matches[1];
+            }
         });
-        if (invalidCmd) {
-            self.emit('ready', new Error('`vmadm events` not implemented'));
-            self.stop();
+
+        if (!uuid) {
+            callback(new errors.VmadmParseError({
+                args: args,
+                cause: new Error('no VM UUID in the output of vmadm'),
+                req_id: opts.req_id,
+                stderrLines: stderrLines,
+                stdout: stdout
+            }));
             return;
         }
 
-        // If we are here, we didn't expect this stderr so abort the process.
-        self._abort();
+        self.load({
+            debugLevel: opts.debugLevel,
+            include_dni: true,
+            log: opts.log,
+            req_id: opts.req_id,
+            spawn: opts.spawn,
+            uuid: uuid,
+            vmadmPath: opts.vmadmPath,
+            zonesDir: opts.zonesDir
+        }, function _onLoad(loadErr, vm, loadLog) {
+            if (loadErr) {
+                callback(loadErr);
+                return;
+            }
+
+            callback(null, vm, result.vmadmLog.concat(loadLog));
+        });
     });
-}
-util.inherits(VmadmCLIEventStream, stream.Transform);
 
-/*
+    return input;
+};
+
+
+
+/*
+ * Runs `vmadm migrate <action> <uuid> [extraArgs...]` for the VM opts.uuid, and
+ * calls back with the object vmadm writes to stdout and the records it logged.
+ */
+function execMigrate(opts, action, extraArgs, callback) {
+    var execOpts = mkExecOpts(opts,
+        ['migrate', action, opts.uuid].concat(extraArgs));
+
+    ifExists(opts, function _ifExistsCb() {
+        opts.log.trace('spawning vmadm for migrate ' + action);
+
+        execVmadm(execOpts, function (result, stdout, stderrLines) {
+            var obj;
+
+            if (result.error) {
+                callback(result.error);
+                return;
+            }
+
+            try {
+                obj = JSON.parse(stdout);
+                assert.object(obj, 'output');
+            } catch (parseErr) {
+                callback(new errors.VmadmParseError({
+                    args: execOpts.args,
+                    cause: parseErr,
+                    req_id: opts.req_id,
+                    stderrLines: stderrLines,
+                    stdout: stdout
+                }));
+                return;
+            }
+
+            callback(null, obj, result.vmadmLog);
+        });
+    }, callback);
+}
+
+/**
+ * Call `vmadm migrate begin <uuid> <target>`, starting the migration of the VM
+ * to the server "target". See lib/migrate.js for the phases and states of a
+ * migration.
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM to migrate
+ *      - target {String} The server to migrate the VM to
+ *      - log {Logger object}
+ *      - include_dni {Boolean} If true, migrate VMs that have do_not_inventory
+ *        set. default: false.
+ * @param callback {Function} `function (err, migration)`
+ *      - err is a VmMigrationStateError if the VM is already being migrated
+ *      - migration is the migration object written by vmadm
+ */
+
+VmadmClient.prototype.migrate_begin = function vmMigrateBegin(opts, callback) {
+    opts = this._callOpts(opts);
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.string(opts.target, 'opts.target');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+
+    execMigrate(opts, 'begin', [opts.target], callback);
+};
+
+
+
+/**
+ * Call `vmadm migrate sync <uuid>`, copying the VM's data to the target.
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM being migrated
+ *      - log {Logger object}
+ *      - include_dni {Boolean} If true, sync VMs that have do_not_inventory
+ *        set. default: false.
+ * @param callback {Function} `function (err, migration)`
+ *      - err is a VmMigrationNotFoundError if the VM isn't being migrated, or
+ *        a VmMigrationStateError if the migration can't be synced
+ *      - migration is the migration object written by vmadm
+ */
+
+VmadmClient.prototype.migrate_sync = function vmMigrateSync(opts, callback) {
+    opts = this._callOpts(opts);
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+
+    execMigrate(opts, 'sync', [], callback);
+};
+
+
+
+/**
+ * Call `vmadm migrate switch <uuid>`, which does a final sync and then moves
+ * the VM to the target.
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM being migrated
+ *      - log {Logger object}
+ *      - include_dni {Boolean} If true, switch VMs that have do_not_inventory
+ *        set. default: false.
+ * @param callback {Function} `function (err, migration)`
+ *      - err is a VmMigrationNotFoundError if the VM isn't being migrated, or
+ *        a VmMigrationStateError if the migration can't be switched
+ *      - migration is the migration object written by vmadm
+ */
+
+VmadmClient.prototype.migrate_switch =
+function vmMigrateSwitch(opts, callback) {
+    opts = this._callOpts(opts);
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+
+    execMigrate(opts, 'switch', [], callback);
+};
+
+
+
+/**
+ * Call `vmadm migrate abort <uuid>`, abandoning a paused or failed migration.
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM being migrated
+ *      - log {Logger object}
+ *      - include_dni {Boolean} If true, abort migrations of VMs that have
+ *        do_not_inventory set. default: false.
+ * @param callback {Function} `function (err, migration)`
+ *      - err is a VmMigrationNotFoundError if the VM isn't being migrated, or
+ *        a VmMigrationStateError if the migration can't be aborted
+ *      - migration is the migration object written by vmadm
+ */
+
+VmadmClient.prototype.migrate_abort = function vmMigrateAbort(opts, callback) {
+    opts = this._callOpts(opts);
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+
+    execMigrate(opts, 'abort', [], callback);
+};
+
+
+
+/**
+ * Call `vmadm migrate estimate <uuid>`.
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM to estimate the migration of
+ *      - log {Logger object}
+ *      - include_dni {Boolean} If true, estimate VMs that have
+ *        do_not_inventory set. default: false.
+ * @param callback {Function} `function (err, estimate)`
+ *      - estimate is an object with "size", the number of bytes to copy, and
+ *        "eta_ms", how long copying them is expected to take
+ */
+
+VmadmClient.prototype.migrate_estimate =
+function vmMigrateEstimate(opts, callback) {
+    opts = this._callOpts(opts);
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+
+    execMigrate(opts, 'estimate', [],
+        function _onEstimate(err, estimate, vmadmLog) {
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, {eta_ms: estimate.eta_ms, size: estimate.size},
+            vmadmLog);
+    });
+};
+
+
+
+/**
+ * Call `vmadm migrate watch <uuid>`, which writes the progress of the current
+ * phase of the migration.
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM being migrated
+ *      - log {Logger object}
+ *      - include_dni {Boolean} If true, watch VMs that have do_not_inventory
+ *        set. default: false.
+ *      - abortSignal {AbortSignal} Optional signal to stop watching with
+ * @return {Stream} A readable stream of event objects (see lib/migrate.js),
+ *      the last of which has type "end". Emits "error" with a VmadmError if
+ *      the VM or its migration doesn't exist, vmadm fails, is cancelled or
+ *      writes an event that can't be parsed (a VmadmParseError). Destroying
+ *      the stream terminates vmadm.
+ */
+
+VmadmClient.prototype.migrate_watch = function vmMigrateWatch(opts) {
+    opts = this._callOpts(opts);
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+
+    var abortSignal = createAbortSignal(opts.abortSignal);
+    var args = ['migrate', 'watch', opts.uuid];
+    var execOpts = mkExecOpts(opts, args);
+    var finished = false;
+    var lines = new LineStream();
+    var output = new MigrationWatchStream({args: args, req_id: opts.req_id});
+
+    function finish(err) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        abortSignal.detach();
+
+        if (output.destroyed) {
+            return;
+        }
+        if (err) {
+            output.destroy(err);
+            return;
+        }
+        lines.end();
+    }
+
+    execOpts.abortSignal = abortSignal;
+    execOpts.stdoutStream = lines;
+
+    // Output that can't be parsed fails the stream, and ends vmadm.
+    output.once('error', function _onParseError(err) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+
+        opts.log.error(err, 'failed to parse vmadm migrate watch output');
+        abortSignal.abort();
+        abortSignal.detach();
+        output.destroy();
+    });
+
+    // The caller gave up on the stream, so there's no point in continuing.
+    output.once('close', function _onClose() {
+        if (!finished) {
+            abortSignal.abort();
+        }
+    });
+
+    lines.pipe(output);
+
+    ifExists(opts, function _ifExistsCb() {
+        opts.log.trace('spawning vmadm for migrate watch');
+
+        execVmadmOnce(execOpts, function (result, stdout, stderrLines) {
+            finish(result.error);
+        });
+    }, finish);
+
+    return output;
+};
+
+
+
+/*
+ * Wrapper around `vmadm events -jr [uuid]`
+ *
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of VM to watch, if unset all VMs are watched
+ *      - log {Logger object}
+ *      - name {String} Identifier string for debugging purposes, this will be
+ *      used to construct the user-agent sent to vminfod
+ *      - spawn {Function} Optional replacement for child_process.spawn
+ *      - vmadmPath {String} Optional path to the vmadm executable
+ *      - execTimeout {Number} Optional ms to wait for the ready event
+ *      - abortSignal {AbortSignal} Optional signal that stops the stream
+ *      - reconnect {Boolean|Object} Optional, respawn vmadm when it exits
+ *        unexpectedly (see VmadmResilientEventStream). Either true, or the
+ *        options for it.
+ *      - types {Array} Optional event types to pass to the handler
+ *      - search {Object} Optional search, as for lookup(), that the VM of an
+ *        event must match (see EventFilter in lib/events.js)
+ *      - paths {Array} Optional paths (eg. "nics.*.ip"), one of which a modify
+ *        event must change
+ *      - fields {Array} Optional properties to keep of the VMs in events
+ *      - unexpectedOutput {String} Optional, what to do with a line vmadm
+ *        writes to stderr, or that can't be parsed (see VmadmCLIEventStream).
+ *        default: "abort".
+ *      - coalesce {Number} Optional window in ms within which the modify
+ *        events of a VM are merged into one (see EventCoalescer in
+ *        lib/events.js)
+ * @param handler {Function} `function (ev)`
+ *      - called when an event is seen
+ * @param callback {Function} `function (err, obj)`
+ *      - called when the stream is ready, or failed to start
+ *      - err {Error} set if an error occured that means the stream cannot be
+ *      created
+ *      - stop {Function} function to stop the event stream
+ * @return vs {VmadmCLIEventStream}
+ *      - Can be used to listen for errors, ex: `vs.on('error', ...)`, and
+ *      for warnings about the lines skipped
+ */
+VmadmClient.prototype.events = function vmEvents(opts, handler, callback) {
+    var coalescer;
+    var filter;
+    var readyCalled = false;
+    var removeAbortListener;
+    var timer;
+    var vs;
+    var log;
+
+    opts = this._callOpts(opts);
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.name, 'opts.name');
+    assert.optionalObject(opts.abortSignal, 'opts.abortSignal');
+    assert.optionalNumber(opts.execTimeout, 'opts.execTimeout');
+
+    filter = new eventsUtil.EventFilter(opts);
+    coalescer = new eventsUtil.EventCoalescer({
+        coalesce: opts.coalesce,
+        handler: function coalescedVmadmEvent(ev) {
+            var filtered = filter.filterEvent(ev);
+
+            if (filtered !== null) {
+                handler(filtered);
+            }
+        }
+    });
+    log = opts.log;
+    if (opts.reconnect) {
+        vs = new VmadmResilientEventStream(opts);
+    } else {
+        vs = new VmadmCLIEventStream(opts);
+    }
+
+    vs.once('ready', function vmadmStreamReady(err, ready_ev) {
+        log.debug({err: err}, 'vmadm event stream ready event');
+        if (ready_ev) {
+            coalescer.seed(ready_ev.vms || {});
+        }
+        var obj = {
+            ev: ready_ev ? filter.filterReady(ready_ev) : ready_ev,
+            stop: vmadmEventsStop
+        };
+        onReady(err, obj);
+    });
+
+    /*
+     * "execTimeout" only bounds how long we wait for the ready event, the
+     * stream itself is expected to run until it is stopped.  "abortSignal"
+     * cancels the wait for the ready event or stops a running stream.
+     */
+    if (opts.execTimeout !== undefined) {
+        timer = setTimeout(function vmadmEventsTimeout() {
+            timer = null;
+            vs.stop();
+            onReady(new errors.VmadmTimeoutError({
+                args: vs.args,
+                req_id: opts.req_id,
+                timeout: opts.execTimeout
+            }));
+        }, opts.execTimeout);
+    }
+
+    if (opts.abortSignal) {
+        if (opts.abortSignal.aborted) {
+            setImmediate(vmadmEventsAbort);
+        } else {
+            removeAbortListener = onAbort(opts.abortSignal, vmadmEventsAbort);
+        }
+    }
+
+    function vmadmEventsAbort() {
+        log.warn('vmadm events aborted');
+        removeAbortListener = null;
+        vs.stop();
+        onReady(new errors.VmadmCancelledError({
+            args: vs.args,
+            req_id: opts.req_id
+        }));
+    }
+
+    function onReady(err, obj) {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+
+        if (readyCalled) {
+            return;
+        }
+        readyCalled = true;
+
+        if (err && removeAbortListener) {
+            removeAbortListener();
+            removeAbortListener = null;
+        }
+
+        callback(err, obj);
+    }
+
+    // In flowing mode, so that pausing "vs" pauses vmadm (see watch()).
+    vs.on('data', processVmadmEvent);
+
+    function processVmadmEvent(ev) {
+        log.trace({ev: ev}, 'vmadm event');
+        coalescer.add(ev);
+    }
+
+    function vmadmEventsStop() {
+        log.debug('vmadm events stop called');
+        coalescer.stop();
+        if (removeAbortListener) {
+            removeAbortListener();
+            removeAbortListener = null;
+        }
+        vs.stop();
+    }
+
+    return vs;
+};
+
+/**
+ * Returns the events of events() as a stream, which can be consumed with
+ * `for await`. The first object read is the ready event. See lib/watch.js.
+ *
+ * @param opts {Object} Options, as for events() plus:
+ *      - highWaterMark {Number} Optional number of events to buffer before
+ *        pausing the event stream. default: 16.
+ * @return {VmadmWatchStream}
+ */
+VmadmClient.prototype.watch = function vmWatch(opts) {
+    assert.object(this._callOpts(opts).log, 'opts.log');
+
+    return watchEvents(this, opts);
+};
+
+/*
+ * The events written by a `vmadm events -rj`. "ready" is emitted with the
+ * ready event (or with an error if vmadm doesn't support events), and the
+ * rest are read from the stream.
+ *
+ * vmadm isn't expected to write anything to stderr, nor anything but events
+ * to stdout. What's done with a line that it does is up to
+ * opts.unexpectedOutput:
+ *
+ *  - "abort": vmadm is sent SIGABRT, so that it dumps core, and "error" is
+ *    emitted with a VmadmCancelledError. This is the default.
+ *  - "log": the line is logged and skipped.
+ *  - "warn": the line is logged and skipped, and "warning" is emitted with an
+ *    object that has "source" ("stderr" or "stdout"), "line" and for stdout,
+ *    "err", the reason it couldn't be parsed.
+ *
+ * "skipped" counts the lines skipped from each of stderr and stdout.
+ *
+ * The stream ends once vmadm has exited after being stopped. If it exits on its
+ * own, "error" is emitted with a VmadmExecError instead.
+ *
+ * @param opts {Object} Options
+ *      - log {Logger object}
+ *      - req_id {String} Optional request ID, passed to vmadm
+ *      - name {String} Optional identifier, passed to vmadm
+ *      - uuid {String} Optional UUID of the VM to watch
+ *      - spawn {Function} Optional replacement for child_process.spawn
+ *      - vmadmPath {String} Optional path to the vmadm executable
+ *      - unexpectedOutput {String} Optional "abort", "log" or "warn", see
+ *        above. default: "abort".
+ */
+function VmadmCLIEventStream(opts) {
+    var self = this;
+
+    var args = ['events', '-rj'];
+    var spawn;
+    var spawnOpts = {};
+    var vmadmPath;
+
+    stream.Transform.call(self, {objectMode: true});
+
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.optionalString(opts.name, 'opts.name');
+    assert.optionalString(opts.uuid, 'opts.uuid');
+    assert.optionalFunc(opts.spawn, 'opts.spawn');
+    assert.optionalString(opts.vmadmPath, 'opts.vmadmPath');
+    assert.optionalString(opts.unexpectedOutput, 'opts.unexpectedOutput');
+
+    if (opts.unexpectedOutput !== undefined) {
+        assert.ok(UNEXPECTED_OUTPUT_POLICIES.indexOf(opts.unexpectedOutput) !==
+            -1, 'opts.unexpectedOutput must be one of: ' +
+            UNEXPECTED_OUTPUT_POLICIES.join(', '));
+    }
+
+    if (opts.uuid) {
+        args.push(opts.uuid);
+    }
+
+    spawn = opts.spawn || cp.spawn;
+    vmadmPath = getVmadmPath(opts);
+
+    self.args = args;
+    self.exitError = null;
+    self.exited = false;
+    self.flushCallback = null;
+    self.stopped = false;
+    self.log = opts.log;
+    self.req_id = opts.req_id;
+    self.skipped = {stderr: 0, stdout: 0};
+    self.unexpectedOutput = opts.unexpectedOutput || 'abort';
+
+    self.log.info({args: args}, 'calling %s %s',
+        vmadmPath, args.join(' '));
+
+    spawnOpts.env = copyEnv();
+    if (opts.req_id) {
+        self.log.info('setting req_id to "%s"', opts.req_id);
+        spawnOpts.env.REQ_ID = opts.req_id;
+    }
+    if (opts.name) {
+        self.log.info('setting name to "%s"', opts.name);
+        spawnOpts.env.VMADM_IDENT = opts.name;
+    }
+    spawnOpts.env.VMADM_DEBUG_LEVEL = 'fatal';
+
+    // fork vmadm
+    self.child = spawn(vmadmPath, args, spawnOpts);
+    self.child.stdout.setEncoding('utf8');
+    self.child.stderr.setEncoding('utf8');
+
+    // Any child error will be logged and re-emitted
+    self.child.on('error', function vmadmProcessError(e) {
+        self.log.error({err: e}, 'child process error');
+        self.emit('error', e);
+    });
+
+    // The child dying is either an info or error message depending
+    // on if it was intentional (ie. .stop() was called)
+    self.child.on('close', function vmadmProcessClose(code, signal) {
+        var e = null;
+        var flushCallback = self.flushCallback;
+
+        if (self.stopped) {
+            self.log.info({code: code, signal: signal},
+                'vmadm events stopped');
+        } else {
+            e = new errors.VmadmExecError({
+                args: args,
+                exitCode: code,
+                req_id: opts.req_id,
+                signal: signal
+            });
+            self.log.error({err: e, code: code, signal: signal},
+                'vmadm events child process closed');
+        }
+
+        self.exited = true;
+        self.exitError = e;
+
+        // The end of stdout is held back until now (see _flush()).
+        if (flushCallback !== null) {
+            self.flushCallback = null;
+            flushCallback(e);
+        } else if (e !== null) {
+            self.emit('error', e);
+        }
+    });
+
+    // stdin is not needed
+    self.child.stdin.end();
+
+    // Parse stdout line by line by piping to ourselves
+    self.child.stdout.pipe(new LineStream()).pipe(self);
+
+    /*
+     * Parse stderr line by line - any stderr produced is unexpected, so by
+     * default we log the error and abort the child process to generate a core
+     * dump (see _unexpectedOutput()).
+     *
+     * The only exception to this rule is if "events" has not been implemented
+     * yet by `vmadm`.
+     */
+    var stderrls = new LineStream();
+    self.child.stderr.pipe(stderrls).on('readable',
+        function vmadmStderrReadable() {
+
+        var lines = [];
+        var line;
+        while ((line = stderrls.read()) !== null) {
+            lines.push(line);
+        }
+
+        // If we have already been stopped don't abort the process, and there's
+        // nothing to do when stderr is only readable because it has ended.
+        if (self.stopped || lines.length === 0) {
+            return;
+        }
+
+        self.log.error({stderr: lines.join('\n')}, 'stderr produced');
+
+        /*
+         * Check if the `vmadm events` command is unimplemented.  If so, emit
+         * an error object through the "ready" event.
+         */
+        var invalidCmd = lines.some(function stderrFindInvalidCmd(_line) {
+            return (_line === 'Invalid command: "events".');
+        });
+        if (invalidCmd) {
+            self.emit('ready', new errors.VmadmExecError({
+                args: args,
+                req_id: opts.req_id,
+                stderrLines: lines
+            }));
+            self.stop();
+            return;
+        }
+
+        // If we are here, we didn't expect this stderr.
+        if (self.unexpectedOutput === 'abort') {
+            self._abort();
+            return;
+        }
+
+        lines.forEach(function stderrSkipLine(_line) {
+            self._unexpectedOutput({line: _line, source: 'stderr'});
+        });
+    });
+}
+util.inherits(VmadmCLIEventStream, stream.Transform);
+
+/*
  * The transform method to process vmadm stdout line-by-line
  */
 VmadmCLIEventStream.prototype._transform =
@@ -1258,12 +2495,18 @@ VmadmCLIEventStream.prototype._transform =
         assert.ok(isFinite(ev.date), 'invalid ev.date');
     } catch (e) {
         /*
-         * Any JSON parse failure is a fatal error where we abort the child
-         * process to generate a core dump
+         * By default, any JSON parse failure is a fatal error where we abort
+         * the child process to generate a core dump
          */
         self.log.error({err: e, line: line},
             'failed to parse output line');
-        self._abort();
+        if (self.unexpectedOutput === 'abort') {
+            self._abort();
+            return;
+        }
+
+        self._unexpectedOutput({err: e, line: line, source: 'stdout'});
+        cb();
         return;
     }
 
@@ -1278,6 +2521,25 @@ VmadmCLIEventStream.prototype._transform =
     cb();
 };
 
+/*
+ * Called once vmadm's stdout has ended. The stream isn't ended until vmadm has
+ * exited, so that a vmadm that failed is an "error" rather than the end of the
+ * events.
+ */
+VmadmCLIEventStream.prototype._flush = function _flush(cb) {
+    var self = this;
+
+    if (!self.exited) {
+        self.flushCallback = cb;
+        return;
+    }
+
+    // "error" has already been emitted, so the stream doesn't end.
+    if (self.exitError === null) {
+        cb();
+    }
+};
+
 /*
  * Cleanly stop the stream by killing the child process with a SIGTERM
  */
@@ -1288,6 +2550,26 @@ VmadmCLIEventStream.prototype.stop = function stop() {
     self.child.kill();
 };
 
+/*
+ * Skips "warning.line", a line of output from vmadm that we didn't expect, and
+ * emits "warning" if asked to.
+ */
+VmadmCLIEventStream.prototype._unexpectedOutput =
+function _unexpectedOutput(warning) {
+    var self = this;
+
+    self.skipped[warning.source]++;
+    self.log.warn({
+        line: warning.line,
+        skipped: self.skipped,
+        source: warning.source
+    }, 'skipped unexpected vmadm output');
+
+    if (self.unexpectedOutput === 'warn') {
+        self.emit('warning', warning);
+    }
+};
+
 /*
  * Stop the stream and have it dump core.
  */
@@ -1298,8 +2580,453 @@ VmadmCLIEventStream.prototype._abort = function _abort() {
     self.log.error({child: self.child.pid},
         '_abort() called - sending SIGABRT');
     self.child.kill('SIGABRT');
-    var e = new Error('vmadm aborted');
-    self.emit('error', e);
+    self.emit('error', new errors.VmadmCancelledError({
+        args: self.args,
+        req_id: self.req_id,
+        signal: 'SIGABRT'
+    }));
+};
+
+/*
+ * A stream of the same events as VmadmCLIEventStream, that respawns `vmadm
+ * events -rj` (waiting longer after each failure in a row) when it exits
+ * unexpectedly rather than failing. The VMs in the ready event of each new
+ * vmadm are compared with the ones known from the events seen so far, and the
+ * changes that were missed are pushed as synthetic create, delete and modify
+ * events (see lib/events.js).
+ *
+ * "ready" is only emitted for the first vmadm. For each later one that becomes
+ * ready, "reconnect" is emitted before the synthetic events are read, with an
+ * object that has:
+ *
+ *  - attempts {Number} how many times vmadm was respawned until one was ready
+ *  - created {Number} the number of synthetic create events
+ *  - deleted {Number} the number of synthetic delete events
+ *  - modified {Number} the number of synthetic modify events
+ *  - reconnects {Number} how many times the stream has reconnected, in total
+ *
+ * Once vmadm has been respawned opts.reconnect.maxAttempts times in a row
+ * without becoming ready, the stream is stopped and the last error is emitted
+ * as the error of "ready" if the first vmadm never became ready, and as
+ * "error" otherwise. "warning" is passed on from each vmadm, and "skipped"
+ * counts the lines skipped by all of them.
+ *
+ * @param opts {Object} Options, as for VmadmCLIEventStream, plus:
+ *      - reconnect {Boolean|Object} true, or an object with:
+ *          - maxAttempts {Number} Optional maximum number of times to respawn
+ *            vmadm in a row without it becoming ready. default: unlimited
+ *          - minDelay, maxDelay, factor, jitter {Number} Optional backoff
+ *            between spawns, as for RetryPolicy
+ */
+function VmadmResilientEventStream(opts) {
+    var self = this;
+    var reconnect;
+
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+
+    reconnect = (opts.reconnect === true) ? {} : opts.reconnect;
+    assert.object(reconnect, 'opts.reconnect');
+    assert.optionalNumber(reconnect.maxAttempts, 'opts.reconnect.maxAttempts');
+
+    stream.Readable.call(self, {objectMode: true});
+
+    self.attempts = 0;
+    self.backoff = new RetryPolicy({
+        factor: reconnect.factor,
+        jitter: reconnect.jitter,
+        maxAttempts: (reconnect.maxAttempts === undefined) ?
+            Infinity : reconnect.maxAttempts,
+        maxDelay: reconnect.maxDelay,
+        minDelay: reconnect.minDelay
+    });
+    self.current = null;
+    self.log = opts.log;
+    self.opts = opts;
+    self.reconnects = 0;
+    self.skippedBefore = {stderr: 0, stdout: 0};
+    self.stopped = false;
+    self.timer = null;
+    self.vms = null;
+
+    self._spawn();
+}
+util.inherits(VmadmResilientEventStream, stream.Readable);
+
+VmadmResilientEventStream.prototype._read = function _read() {
+    var self = this;
+
+    if (self.current !== null) {
+        self._drain(self.current, false);
+    }
+};
+
+/*
+ * Passes on the events read from "vs", until the reader wants no more (unless
+ * "all" is set).
+ */
+VmadmResilientEventStream.prototype._drain = function _drain(vs, all) {
+    var self = this;
+    var ev;
+
+    while ((ev = vs.read()) !== null) {
+        if (self.stopped) {
+            continue;
+        }
+        if (self.vms !== null) {
+            eventsUtil.applyEvent(self.vms, ev);
+        }
+        if (!self.push(ev) && !all) {
+            return;
+        }
+    }
+};
+
+/*
+ * Starts a new `vmadm events -rj`.
+ */
+VmadmResilientEventStream.prototype._spawn = function _spawn() {
+    var self = this;
+    var vs = new VmadmCLIEventStream(self.opts);
+
+    self.args = vs.args;
+    self.current = vs;
+
+    vs.once('ready', function _onReady(err, ev) {
+        if (vs !== self.current) {
+            return;
+        }
+
+        if (err) {
+            // vmadm doesn't support events, so trying again won't help.
+            self.stop();
+            self.emit('ready', err);
+            return;
+        }
+
+        if (self.vms === null) {
+            self.attempts = 0;
+            self.vms = eventsUtil.vmMap(ev.vms);
+            self.emit('ready', null, ev);
+            return;
+        }
+
+        self._resync(ev);
+    });
+
+    vs.on('readable', function _onReadable() {
+        self._drain(vs, false);
+    });
+
+    vs.on('error', function _onError(err) {
+        self._onStreamError(vs, err);
+    });
+
+    vs.on('warning', function _onWarning(warning) {
+        if (vs === self.current) {
+            self.emit('warning', warning);
+        }
+    });
+};
+
+/*
+ * Called when the current vmadm fails: schedules the next one, or gives up.
+ */
+VmadmResilientEventStream.prototype._onStreamError =
+function _onStreamError(vs, err) {
+    var self = this;
+    var delay;
+
+    if (vs !== self.current || self.stopped) {
+        return;
+    }
+
+    // Events not yet read were still written before this vmadm failed, so
+    // are kept. Make sure it's gone, and that nothing more from it is used.
+    self._drain(vs, true);
+    self.current = null;
+    self._addSkipped(vs);
+    vs.stop();
+
+    self.attempts++;
+    if (self.attempts > self.backoff.maxAttempts) {
+        self.log.error({err: err, attempts: self.attempts},
+            'vmadm events failed, giving up');
+        self.stop();
+        // Whoever is waiting for the first vmadm to be ready is told why not.
+        if (self.vms === null) {
+            self.emit('ready', err);
+        } else {
+            self.emit('error', err);
+        }
+        return;
+    }
+
+    delay = self.backoff.delay(self.attempts);
+    self.log.warn({err: err, attempts: self.attempts, delay: delay},
+        'vmadm events failed, respawning');
+
+    self.timer = setTimeout(function _respawn() {
+        self.timer = null;
+        self._spawn();
+    }, delay);
+};
+
+/*
+ * Pushes the synthetic events for the changes between the VMs known so far and
+ * the ones in the ready event "ev" of a new vmadm.
+ */
+VmadmResilientEventStream.prototype._resync = function _resync(ev) {
+    var self = this;
+    var counts = {create: 0, delete: 0, modify: 0};
+    var info;
+    var newVms = eventsUtil.vmMap(ev.vms);
+    var synthetic = eventsUtil.resyncEvents(self.vms, newVms, ev.date);
+
+    self.vms = newVms;
+    self.reconnects++;
+
+    synthetic.forEach(function _count(sev) {
+        counts[sev.type]++;
+    });
+
+    info = {
+        attempts: self.attempts,
+        created: counts.create,
+        deleted: counts.delete,
+        modified: counts.modify,
+        reconnects: self.reconnects
+    };
+    self.attempts = 0;
+
+    self.log.info(info, 'vmadm events reconnected');
+    self.emit('reconnect', info);
+
+    synthetic.forEach(function _pushEvent(sev) {
+        self.push(sev);
+    });
+};
+
+/*
+ * Stop the stream, and any vmadm it's running or waiting to respawn, and end
+ * it once the events already read have been consumed.
+ */
+VmadmResilientEventStream.prototype.stop = function stop() {
+    var self = this;
+
+    if (self.stopped) {
+        return;
+    }
+
+    self.stopped = true;
+    self.push(null);
+    if (self.timer !== null) {
+        clearTimeout(self.timer);
+        self.timer = null;
+    }
+    if (self.current !== null) {
+        self._addSkipped(self.current);
+        self.current.stop();
+        self.current = null;
+    }
+};
+
+/*
+ * Adds the lines skipped by "vs", a vmadm that's done with, to the count.
+ */
+VmadmResilientEventStream.prototype._addSkipped = function _addSkipped(vs) {
+    var self = this;
+
+    self.skippedBefore.stderr += vs.skipped.stderr;
+    self.skippedBefore.stdout += vs.skipped.stdout;
+};
+
+Object.defineProperty(VmadmResilientEventStream.prototype, 'skipped', {
+    get: function getSkipped() {
+        var self = this;
+        var skipped = {
+            stderr: self.skippedBefore.stderr,
+            stdout: self.skippedBefore.stdout
+        };
+
+        if (self.current !== null) {
+            skipped.stderr += self.current.skipped.stderr;
+            skipped.stdout += self.current.skipped.stdout;
+        }
+
+        return skipped;
+    }
+});
+
+/*
+ * Returns a VmadmQueue (see lib/queue.js) that serializes the operations that
+ * modify a VM, per VM.
+ *
+ * @param opts {Object} Optional options
+ *      - concurrency {Number} Optional maximum number of operations to run at
+ *        once, across all VMs. default: unlimited.
+ *      - log {Logger object} Optional logger
+ */
+vmadm.createQueue = function vmCreateQueue(opts) {
+    assert.optionalObject(opts, 'opts');
+
+    return new VmadmQueue({
+        backend: vmadm,
+        concurrency: opts ? opts.concurrency : undefined,
+        log: opts ? opts.log : undefined
+    });
+};
+
+/*
+ * Returns a VmInventory (see lib/inventory.js), a copy of the VMs on the server
+ * kept up to date by events(). Call start() on it to seed it.
+ *
+ * @param opts {Object} Options
+ *      - log {Logger object}
+ *      - name {String} Optional identifier for the event stream
+ *      - reconnect {Boolean|Object} Optional, as for events()
+ */
+vmadm.createInventory = function vmCreateInventory(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+
+    return new VmInventory({
+        backend: vmadm,
+        log: opts.log,
+        name: opts.name,
+        reconnect: opts.reconnect
+    });
+};
+
+/*
+ * Returns an EventRecorder (see lib/record.js), which has the operations of
+ * vmadm and writes the events seen by its events() to "opts.output".
+ *
+ * @param opts {Object} Options
+ *      - output {Stream} the writable stream to write the recording to
+ *      - log {Logger object} Optional logger, for createInventory()
+ */
+vmadm.createEventRecorder = function vmCreateEventRecorder(opts) {
+    assert.object(opts, 'opts');
+
+    return new EventRecorder({
+        backend: vmadm,
+        log: opts.log,
+        output: opts.output
+    });
+};
+
+/*
+ * The free functions are kept for compatibility. Each uses a client with no
+ * defaults, so callers need to pass opts.log.
+ */
+var SHIM_CLIENT = new VmadmClient({generateReqId: false});
+
+promises.OPERATIONS.forEach(function _addShim(name) {
+    if (typeof (VmadmClient.prototype[name]) !== 'function') {
+        return;
+    }
+
+    vmadm[name] = function _shim() {
+        return SHIM_CLIENT[name].apply(SHIM_CLIENT, arguments);
+    };
+});
+
+// send(), migrate_watch() and watch() return a stream rather than taking a
+// callback, so aren't among them.
+vmadm.send = function _sendShim(opts) {
+    return SHIM_CLIENT.send(opts);
+};
+vmadm.migrate_watch = function _migrateWatchShim(opts) {
+    return SHIM_CLIENT.migrate_watch(opts);
+};
+vmadm.watch = function _watchShim(opts) {
+    return SHIM_CLIENT.watch(opts);
+};
+
+/*
+ * Returns a VmadmQueue (see lib/queue.js) that serializes the operations of
+ * this client that modify a VM, per VM.
+ *
+ * @param opts {Object} Optional options, as for vmadm.createQueue()
+ */
+VmadmClient.prototype.createQueue = function createQueue(opts) {
+    var self = this;
+
+    assert.optionalObject(opts, 'opts');
+
+    return new VmadmQueue({
+        backend: self,
+        concurrency: opts ? opts.concurrency : undefined,
+        log: opts ? opts.log : undefined
+    });
+};
+
+/*
+ * Returns a VmInventory (see lib/inventory.js) using this client's events().
+ *
+ * @param opts {Object} Optional options, as for vmadm.createInventory(), where
+ *      log defaults to the client's
+ */
+VmadmClient.prototype.createInventory = function createInventory(opts) {
+    var self = this;
+
+    assert.optionalObject(opts, 'opts');
+
+    return new VmInventory({
+        backend: self,
+        log: (opts && opts.log) || self.log,
+        name: opts ? opts.name : undefined,
+        reconnect: opts ? opts.reconnect : undefined
+    });
+};
+
+/*
+ * Returns an EventRecorder (see lib/record.js) for this client.
+ *
+ * @param opts {Object} Options, as for vmadm.createEventRecorder(), where log
+ *      defaults to the client's
+ */
+VmadmClient.prototype.createEventRecorder =
+function createEventRecorder(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+
+    return new EventRecorder({
+        backend: self,
+        log: opts.log || self.log,
+        output: opts.output
+    });
+};
+
+/*
+ * Returns a VmadmClient (see above), with the same operations and calling
+ * convention as DummyVmadm.
+ *
+ * @param opts {Object} Options
+ *      - log {Logger object}
+ *      - vmadmPath {String} Optional path to the vmadm executable
+ *      - defaults {Object} Optional defaults for the debugLevel, execTimeout,
+ *        include_dni, retry and zonesDir options of each call
+ *      - generateReqId {Boolean} Optional, whether to generate a req_id for
+ *        calls that don't pass one. default: true
+ */
+vmadm.createClient = function vmCreateClient(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+
+    return new VmadmClient(opts);
 };
 
+vmadm.errors = errors;
+vmadm.EventRecorder = EventRecorder;
+vmadm.INFO_TYPES = INFO_TYPES;
+vmadm.ValidationResult = ValidationResult;
+vmadm.VmInfo = VmInfo;
+vmadm.VmInventory = VmInventory;
+vmadm.VmadmWatchStream = VmadmWatchStream;
+vmadm.RetryPolicy = RetryPolicy;
+vmadm.promises = promises.wrap(vmadm);
+
 module.exports = vmadm;
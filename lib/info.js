@@ -0,0 +1,120 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * The result of `vmadm info`, for all of the backends.
+ */
+
+var assert = require('assert-plus');
+
+// The kinds of information `vmadm info` can be asked for.
+var INFO_TYPES = [
+    'all',
+    'block',
+    'chardev',
+    'cpus',
+    'kvm',
+    'pci',
+    'spice',
+    'status',
+    'version',
+    'vnc'
+];
+
+
+/*
+ * Asserts that each of "types" is one of the INFO_TYPES.
+ */
+function assertInfoTypes(types, name) {
+    assert.optionalArrayOfString(types, name);
+
+    (types || []).forEach(function _checkType(type) {
+        assert.ok(INFO_TYPES.indexOf(type) !== -1, name + ' contains unknown ' +
+            'info type "' + type + '" (expected one of: ' +
+            INFO_TYPES.join(', ') + ')');
+    });
+}
+
+
+/*
+ * The parsed output of `vmadm info`. Each type of information that was
+ * returned is a property named after the type (eg. "vnc", "block"), with the
+ * value vmadm gave for it.
+ *
+ * @param obj {Object} The JSON object written by `vmadm info`
+ */
+function VmInfo(obj) {
+    var self = this;
+
+    assert.object(obj, 'obj');
+
+    Object.keys(obj).forEach(function _copyType(type) {
+        self[type] = obj[type];
+    });
+}
+
+/*
+ * Returns {host, port, display} for connecting to the VM's VNC console, or null
+ * if VNC information wasn't returned or the console isn't listening.
+ */
+VmInfo.prototype.vncAddress = function vncAddress() {
+    var self = this;
+
+    if (!self.vnc || !self.vnc.host || !self.vnc.port) {
+        return null;
+    }
+
+    return {
+        display: self.vnc.display,
+        host: self.vnc.host,
+        port: self.vnc.port
+    };
+};
+
+/*
+ * Returns {host, port} for connecting to the VM's SPICE console, or null if
+ * SPICE information wasn't returned or SPICE is disabled.
+ */
+VmInfo.prototype.spiceAddress = function spiceAddress() {
+    var self = this;
+
+    if (!self.spice || !self.spice.enabled || !self.spice.port) {
+        return null;
+    }
+
+    return {
+        host: self.spice.host,
+        port: self.spice.port
+    };
+};
+
+/*
+ * Returns an array with a {device, file, readOnly} object for each of the VM's
+ * block devices. "file" is undefined for devices with no media (eg. an empty
+ * CD-ROM drive).
+ */
+VmInfo.prototype.blockDevices = function blockDevices() {
+    var self = this;
+
+    return (self.block || []).map(function _toDevice(dev) {
+        return {
+            device: dev.device,
+            file: dev.inserted ? dev.inserted.file : undefined,
+            readOnly: dev.inserted ? Boolean(dev.inserted.ro) : false
+        };
+    });
+};
+
+
+module.exports = {
+    assertInfoTypes: assertInfoTypes,
+    INFO_TYPES: INFO_TYPES,
+    VmInfo: VmInfo
+};
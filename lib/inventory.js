@@ -0,0 +1,286 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * An in-memory copy of the VMs on the server, kept up to date by events(), for
+ * any of the vmadm backends.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var assert = require('assert-plus');
+
+var diff = require('./diff');
+var eventsUtil = require('./events');
+var query = require('./query');
+
+
+/*
+ * Mirrors the VMs on the server: start() seeds it with the VMs in the ready
+ * event of backend.events(), and each create, modify and delete event seen
+ * after that updates it. get(), lookup() and list() answer from the copy,
+ * without running vmadm.
+ *
+ * Besides "ready" once it's seeded, the inventory emits:
+ *
+ *  - "added" (vm) when a VM is created
+ *  - "removed" (vm) when a VM is deleted, with the last copy of it
+ *  - "changed" (vm, changes, oldVm) when a VM is modified, with the diff() of
+ *    the VM (see lib/diff.js)
+ *  - "stateChanged" (vm, oldState) after "changed", when the VM's state changed
+ *  - "reconnect" (info) when the event stream reconnected (see the reconnect
+ *    option of events())
+ *  - "error" (err) when the event stream failed, after which the inventory is
+ *    no longer updated
+ *
+ * The VMs returned and passed to the handlers are the inventory's copies, and
+ * must not be modified.
+ *
+ * @param opts {Object} Options
+ *      - backend {Object} the vmadm module or a client, or a DummyVmadm (or
+ *        DummyVminfodVmadm) instance
+ *      - log {Logger object} Optional logger, passed to events()
+ *      - name {String} Optional identifier for the event stream. default:
+ *        "VmInventory"
+ *      - reconnect {Boolean|Object} Optional, passed to events()
+ */
+function VmInventory(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.ok(opts.backend !== null && (typeof (opts.backend) === 'object' ||
+        typeof (opts.backend) === 'function'), 'opts.backend');
+    assert.func(opts.backend.events, 'opts.backend.events');
+    assert.optionalObject(opts.log, 'opts.log');
+    assert.optionalString(opts.name, 'opts.name');
+
+    EventEmitter.call(self);
+
+    self.backend = opts.backend;
+    self.log = opts.log;
+    self.name = opts.name || 'VmInventory';
+    self.reconnect = opts.reconnect;
+
+    self.pending = [];
+    self.ready = false;
+    self.stopped = false;
+    self.stopStream = null;
+    self.vms = {};
+}
+util.inherits(VmInventory, EventEmitter);
+
+/*
+ * Starts the event stream, and calls "callback" as `callback(err)` once the
+ * inventory has been seeded from its ready event (or the stream failed to
+ * start).
+ */
+VmInventory.prototype.start = function start(callback) {
+    var self = this;
+    var eventOpts = {name: self.name};
+    var vs;
+
+    assert.func(callback, 'callback');
+    assert.ok(self.stopStream === null && !self.stopped,
+        'VmInventory can only be started once');
+
+    if (self.log) {
+        eventOpts.log = self.log;
+    }
+    if (self.reconnect) {
+        eventOpts.reconnect = self.reconnect;
+    }
+
+    vs = self.backend.events(eventOpts, function _onEvent(ev) {
+        if (self.stopped) {
+            return;
+        }
+        if (!self.ready) {
+            // The dummy backends can see events before they're ready.
+            self.pending.push(ev);
+            return;
+        }
+        self._apply(ev);
+    }, function _onReady(err, obj) {
+        var pending;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        self.stopStream = obj.stop;
+        if (self.stopped) {
+            obj.stop();
+            callback();
+            return;
+        }
+
+        self.vms = eventsUtil.vmMap(obj.ev.vms);
+        self.ready = true;
+
+        pending = self.pending;
+        self.pending = [];
+        pending.forEach(function _applyPending(ev) {
+            self._apply(ev);
+        });
+
+        self.emit('ready');
+        callback();
+    });
+
+    if (vs && typeof (vs.on) === 'function') {
+        vs.on('reconnect', function _onReconnect(info) {
+            self.emit('reconnect', info);
+        });
+        vs.on('error', function _onError(err) {
+            if (!self.stopped) {
+                self.emit('error', err);
+            }
+        });
+    }
+};
+
+/*
+ * Stops the event stream. The inventory keeps the VMs it had.
+ */
+VmInventory.prototype.stop = function stop() {
+    var self = this;
+
+    self.stopped = true;
+    if (self.stopStream !== null) {
+        self.stopStream();
+    }
+};
+
+/*
+ * Updates the inventory with the event "ev", and emits the events for it.
+ */
+VmInventory.prototype._apply = function _apply(ev) {
+    var self = this;
+    var changes;
+    var oldVm;
+    var uuid = eventsUtil.eventUuid(ev);
+
+    if (!uuid) {
+        return;
+    }
+
+    oldVm = self.vms[uuid];
+
+    switch (ev.type) {
+    case 'create':
+    case 'modify':
+        if (!ev.vm) {
+            return;
+        }
+
+        self.vms[uuid] = ev.vm;
+
+        if (oldVm === undefined) {
+            self.emit('added', ev.vm);
+            return;
+        }
+
+        changes = (ev.type === 'modify' && ev.changes) ?
+            ev.changes : diff(oldVm, ev.vm);
+        if (changes.length === 0) {
+            return;
+        }
+
+        self.emit('changed', ev.vm, changes, oldVm);
+        if (ev.vm.state !== oldVm.state) {
+            self.emit('stateChanged', ev.vm, oldVm.state);
+        }
+        break;
+    case 'delete':
+        if (oldVm === undefined) {
+            return;
+        }
+
+        delete self.vms[uuid];
+        self.emit('removed', oldVm);
+        break;
+    default:
+        break;
+    }
+};
+
+/*
+ * Returns the VM "uuid", or undefined if there's no such VM.
+ *
+ * @param opts {Object} Optional options
+ *      - include_dni {Boolean} If true, return VMs that have do_not_inventory
+ *        set. default: false.
+ */
+VmInventory.prototype.get = function get(uuid, opts) {
+    var self = this;
+    var vm;
+
+    assert.string(uuid, 'uuid');
+    assert.optionalObject(opts, 'opts');
+
+    vm = self.vms.hasOwnProperty(uuid) ? self.vms[uuid] : undefined;
+    if (vm && vm.do_not_inventory && !(opts && opts.include_dni)) {
+        return undefined;
+    }
+
+    return vm;
+};
+
+/*
+ * Returns the VMs matching "search" (as for lookup() of the backends, see
+ * lib/query.js), in the order they were created.
+ *
+ * @param opts {Object} Optional options
+ *      - fields {Array} Optional properties to return of each VM
+ *      - include_dni {Boolean} If true, include VMs that have do_not_inventory
+ *        set. default: false.
+ */
+VmInventory.prototype.lookup = function lookup(search, opts) {
+    var self = this;
+
+    assert.object(search, 'search');
+    assert.optionalObject(opts, 'opts');
+
+    return query.selectVms(self._allVms(), search, {
+        fields: opts ? opts.fields : undefined,
+        include_dni: opts ? opts.include_dni : undefined
+    });
+};
+
+/*
+ * Returns all of the VMs, in the order they were created.
+ *
+ * @param opts {Object} Optional options
+ *      - include_dni {Boolean} If true, include VMs that have do_not_inventory
+ *        set. default: false.
+ */
+VmInventory.prototype.list = function list(opts) {
+    var self = this;
+
+    assert.optionalObject(opts, 'opts');
+
+    return query.selectVms(self._allVms(), {}, {
+        include_dni: opts ? opts.include_dni : undefined
+    });
+};
+
+VmInventory.prototype._allVms = function _allVms() {
+    var self = this;
+
+    return Object.keys(self.vms).map(function _getVm(uuid) {
+        return self.vms[uuid];
+    });
+};
+
+module.exports = {
+    VmInventory: VmInventory
+};
@@ -0,0 +1,195 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * The migration state machine (`vmadm migrate`), for all of the backends.
+ *
+ * A migration is started by "begin", which leaves it "paused" in the "begin"
+ * phase. Each "sync" copies the VM's data to the target while "running" and
+ * leaves it "paused" again in the "sync" phase, and "switch" does a final sync
+ * and moves the VM, leaving it "successful". A migration that is "paused" or
+ * that "failed" can be aborted. Once a migration is aborted or successful, a
+ * new one can be begun:
+ *
+ *     begin -> sync* -> switch
+ *       \        \        \
+ *        +--------+--------+--> abort
+ *
+ * `vmadm migrate <begin|sync|switch|abort> <uuid>` writes the migration to
+ * stdout as JSON:
+ *
+ *     {
+ *         "created_timestamp": "2019-01-01T00:00:00.000Z",
+ *         "finished_timestamp": "...",   (once aborted, failed or successful)
+ *         "error": "...",                (only if the migration failed)
+ *         "num_sync_phases": 1,
+ *         "phase": "sync",
+ *         "progress_history": [<progress event>, ...],
+ *         "state": "paused",
+ *         "target": "<the server the VM is being migrated to>",
+ *         "vm_uuid": "<uuid>"
+ *     }
+ *
+ * `vmadm migrate estimate <uuid>` writes {"size": <bytes to copy>, "eta_ms":
+ * <how long copying them should take>}, and `vmadm migrate watch <uuid>`
+ * writes a JSON progress event per line as the running phase progresses,
+ * followed by an end event once the phase is no longer running (right away if
+ * it isn't):
+ *
+ *     {"type": "progress", "phase": "sync", "state": "running",
+ *         "current_progress": 1024, "total_progress": 4096, "message": "..."}
+ *     {"type": "end", "phase": "sync", "state": "paused"}
+ *
+ * The failures that depend on the state of the migration are written to stderr
+ * as the messages matched by NO_MIGRATION_RE and MIGRATION_STATE_RE.
+ */
+
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+
+var errors = require('./errors');
+
+var MIGRATION_ACTIONS = ['abort', 'begin', 'estimate', 'switch', 'sync',
+    'watch'];
+var MIGRATION_PHASES = ['abort', 'begin', 'switch', 'sync'];
+var MIGRATION_STATES = ['aborted', 'failed', 'paused', 'running',
+    'successful'];
+
+// The phases and states of an existing migration that allow each action.
+// "begin" needs there to be no migration, or a finished one.
+var TRANSITIONS = {
+    abort: {phases: ['begin', 'switch', 'sync'], states: ['failed', 'paused']},
+    begin: {phases: ['abort', 'switch'], states: ['aborted', 'successful']},
+    switch: {phases: ['begin', 'sync'], states: ['paused']},
+    sync: {phases: ['begin', 'sync'], states: ['paused']}
+};
+
+var MIGRATION_STATE_RE = new RegExp('^Cannot (\\w+) migration of VM ' +
+    '([0-9a-f-]{36}): migration is (\\w+) in phase (\\w+)');
+var NO_MIGRATION_RE = /^No migration for VM ([0-9a-f-]{36})/;
+
+
+/*
+ * Returns whether "action" can be taken on a VM whose migration is
+ * "migration", which is undefined if the VM has none.
+ */
+function canTransition(action, migration) {
+    var allowed = TRANSITIONS[action];
+
+    assert.object(allowed, 'allowed');
+    assert.optionalObject(migration, 'migration');
+
+    if (migration === undefined) {
+        return (action === 'begin');
+    }
+
+    return (allowed.phases.indexOf(migration.phase) !== -1 &&
+        allowed.states.indexOf(migration.state) !== -1);
+}
+
+/*
+ * Returns the message vmadm writes to stderr when "action" can't be taken on
+ * the migration of the VM "uuid".
+ */
+function migrationStateMessage(action, uuid, migration) {
+    return ('Cannot ' + action + ' migration of VM ' + uuid +
+        ': migration is ' + migration.state + ' in phase ' + migration.phase);
+}
+
+/*
+ * Returns the message vmadm writes to stderr when the VM "uuid" has no
+ * migration.
+ */
+function noMigrationMessage(uuid) {
+    return ('No migration for VM ' + uuid);
+}
+
+/*
+ * Returns the event that ends `vmadm migrate watch` for "migration".
+ */
+function endEvent(migration) {
+    var ev = {
+        type: 'end',
+        phase: migration.phase,
+        state: migration.state
+    };
+
+    if (migration.error !== undefined) {
+        ev.error = migration.error;
+    }
+
+    return ev;
+}
+
+
+/*
+ * Turns lines of `vmadm migrate watch` output into event objects, checking
+ * that each is valid. A line that isn't fails the stream with a
+ * VmadmParseError.
+ *
+ * @param opts {Object} Options
+ *      - args {Array} cmdline args for vmadm
+ *      - req_id {String} Optional request id of the call
+ */
+function MigrationWatchStream(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfString(opts.args, 'opts.args');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+
+    stream.Transform.call(this, {objectMode: true});
+
+    this.args = opts.args;
+    this.req_id = opts.req_id;
+}
+util.inherits(MigrationWatchStream, stream.Transform);
+
+MigrationWatchStream.prototype._transform =
+function _transform(chunk, _encoding, callback) {
+    var self = this;
+    var ev;
+    var line = chunk.toString('utf8');
+
+    try {
+        ev = JSON.parse(line);
+        assert.object(ev, 'ev');
+        assert.ok(ev.type === 'end' || ev.type === 'progress',
+            'ev.type must be "end" or "progress"');
+        assert.ok(MIGRATION_PHASES.indexOf(ev.phase) !== -1, 'ev.phase');
+        assert.ok(MIGRATION_STATES.indexOf(ev.state) !== -1, 'ev.state');
+        if (ev.type === 'progress') {
+            assert.number(ev.current_progress, 'ev.current_progress');
+            assert.number(ev.total_progress, 'ev.total_progress');
+        }
+    } catch (err) {
+        callback(new errors.VmadmParseError({
+            args: self.args,
+            cause: err,
+            req_id: self.req_id,
+            stdout: line
+        }));
+        return;
+    }
+
+    callback(null, ev);
+};
+
+
+module.exports = {
+    canTransition: canTransition,
+    endEvent: endEvent,
+    MIGRATION_ACTIONS: MIGRATION_ACTIONS,
+    MIGRATION_STATE_RE: MIGRATION_STATE_RE,
+    migrationStateMessage: migrationStateMessage,
+    MigrationWatchStream: MigrationWatchStream,
+    NO_MIGRATION_RE: NO_MIGRATION_RE,
+    noMigrationMessage: noMigrationMessage
+};
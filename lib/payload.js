@@ -0,0 +1,62 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Separates the payload sent to vmadm from the options controlling how it's
+ * run, for all of the backends.
+ */
+
+var assert = require('assert-plus');
+
+/*
+ * The options create, update and reprovision accept alongside the VM's
+ * properties, which must not be sent to vmadm.
+ */
+var CONTROL_OPTIONS = [
+    'abortSignal',
+    'debugLevel',
+    'execTimeout',
+    'include_dni',
+    'log',
+    'req_id',
+    'retry',
+    'spawn',
+    'sysinfo',
+    // Support removed w/ TRITON-985, still removed for backward compat.
+    'vmadmLogger',
+    'vmadmPath',
+    'zonesDir'
+];
+
+
+/*
+ * Returns a copy of "opts" without the CONTROL_OPTIONS. The copy shares
+ * nothing with "opts", so it can be modified without changing the caller's
+ * objects.
+ */
+function mkPayload(opts) {
+    assert.object(opts, 'opts');
+
+    var payload = {};
+
+    Object.keys(opts).forEach(function _copyProperty(k) {
+        if (CONTROL_OPTIONS.indexOf(k) === -1) {
+            payload[k] = opts[k];
+        }
+    });
+
+    return JSON.parse(JSON.stringify(payload));
+}
+
+
+module.exports = {
+    CONTROL_OPTIONS: CONTROL_OPTIONS,
+    mkPayload: mkPayload
+};
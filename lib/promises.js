@@ -0,0 +1,103 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Promise-returning versions of the vmadm operations, for use by all of the
+ * backends.
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+
+/*
+ * The operations that are wrapped, if the backend implements them. Each takes
+ * a callback as its last argument.
+ */
+var OPERATIONS = [
+    'create',
+    'create_snapshot',
+    'delete',
+    'delete_snapshot',
+    'events',
+    'exists',
+    'info',
+    'kill',
+    'load',
+    'lookup',
+    'lookupOne',
+    'migrate_abort',
+    'migrate_begin',
+    'migrate_estimate',
+    'migrate_switch',
+    'migrate_sync',
+    'reboot',
+    'receive',
+    'reprovision',
+    'resolve',
+    'rollback_snapshot',
+    'start',
+    'stop',
+    'sysrq',
+    'update',
+    'validate',
+    'waitFor'
+];
+
+/*
+ * The operations that aren't wrapped, because they return a stream the caller
+ * needs as well as taking a callback: the errors of the events() stream (which
+ * must be listened for) and the progress of receive() would be lost. watch()
+ * is the alternative to events() for promise users.
+ */
+var UNWRAPPED_OPERATIONS = [
+    'events',
+    'receive'
+];
+
+
+/*
+ * Returns an object with a promise-returning version of each of the operations
+ * "backend" implements, apart from UNWRAPPED_OPERATIONS. Each takes the same
+ * arguments as the original, minus the callback, and resolves with what the
+ * original would have passed to its callback (or rejects with the same
+ * error).
+ *
+ * The operation is looked up on "backend" at call time, so that the wrappers
+ * see any later changes to it.
+ *
+ * @param backend {Object} the vmadm module, or a DummyVmadm instance
+ */
+function wrap(backend) {
+    assert.ok(backend !== null && (typeof (backend) === 'object' ||
+        typeof (backend) === 'function'), 'backend must be an object');
+
+    var wrapped = {};
+
+    OPERATIONS.forEach(function _wrapOperation(name) {
+        if (typeof (backend[name]) !== 'function' ||
+            UNWRAPPED_OPERATIONS.indexOf(name) !== -1) {
+            return;
+        }
+
+        wrapped[name] = function _promiseOperation() {
+            return util.promisify(backend[name]).apply(backend, arguments);
+        };
+    });
+
+    return wrapped;
+}
+
+
+module.exports = {
+    OPERATIONS: OPERATIONS,
+    UNWRAPPED_OPERATIONS: UNWRAPPED_OPERATIONS,
+    wrap: wrap
+};
@@ -0,0 +1,323 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * The search objects passed to lookup(), for all of the backends.
+ *
+ * A search maps VM property names to the value to look for. Nested properties
+ * are named with dots (eg. "tags.role"), and "*" matches any element of an
+ * array or object (eg. "nics.*.ip"). The value can be:
+ *
+ *  - a string, number or boolean, matching properties equal to it
+ *  - a RegExp, matching properties it matches (vmadm's "~" operator)
+ *  - an object with one or more of the operators as keys:
+ *
+ *      {'=': value}    equal to value
+ *      {'~': regexp}   matching regexp, given as a RegExp or a string
+ *      {'<': number}   less than number
+ *      {'>': number}   greater than number
+ *
+ * For example: {brand: 'bhyve', alias: /^web/, ram: {'>': 1024, '<': 8192}}
+ */
+
+var assert = require('assert-plus');
+
+var OPERATORS = ['=', '~', '<', '>'];
+
+// Property names can't contain the characters vmadm uses for operators.
+var KEY_RE = /^[^.=<>~*\s]+(\.([^.=<>~*\s]+|\*))*$/;
+
+// Splits a vmadm lookup argument into the key, operator and value.
+var ARG_RE = /^([^=<>~]+)(=~|=|<|>)([\s\S]*)$/;
+
+
+/*
+ * Converts "value" from a property=value argument to the type vmadm would.
+ */
+function coerceValue(value) {
+    if (value === 'true') {
+        return true;
+    } else if (value === 'false') {
+        return false;
+    } else if (value !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+
+    return value;
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+}
+
+function mkCondition(key, op, value) {
+    var raw = String(value);
+    var source;
+
+    switch (op) {
+    case '=':
+        // Not coerced: an alias "007" has to be looked up as "007", not 7.
+        assert.ok(['boolean', 'number', 'string'].indexOf(typeof (value)) !==
+            -1, 'search.' + key + ' must be a string, number or boolean');
+        break;
+    case '~':
+        if (value instanceof RegExp) {
+            assert.equal(value.flags, '', 'search.' + key +
+                ' must be a RegExp without flags');
+            source = value.source;
+        } else {
+            assert.string(value, 'search.' + key);
+            source = value;
+        }
+        // Throws a SyntaxError for invalid patterns.
+        value = new RegExp(source);
+        break;
+    case '<':
+    case '>':
+        if (typeof (value) === 'string') {
+            value = coerceValue(value);
+        }
+        assert.finite(value, 'search.' + key + ' (' + op + ')');
+        break;
+    default:
+        assert.ok(false, 'unknown operator "' + op + '" for search.' + key +
+            ' (expected one of: ' + OPERATORS.join(', ') + ')');
+        break;
+    }
+
+    return {
+        key: key,
+        op: op,
+        raw: raw,
+        value: value
+    };
+}
+
+
+/*
+ * Returns the conditions of "search" as an array of {key, op, raw, value}
+ * objects, where "value" has been converted to the type it's compared as (a
+ * RegExp for "~" and a number for "<" and ">", while values for "=" are left
+ * as given) and "raw" is the value as given, as a string. Invalid searches
+ * fail an assertion.
+ */
+function normalizeSearch(search) {
+    var conditions = [];
+
+    assert.object(search, 'search');
+
+    Object.keys(search).forEach(function _addCondition(key) {
+        var value = search[key];
+
+        assert.ok(KEY_RE.test(key), 'invalid search key "' + key + '"');
+
+        if (value instanceof RegExp) {
+            conditions.push(mkCondition(key, '~', value));
+        } else if (value !== null && typeof (value) === 'object' &&
+            !Array.isArray(value)) {
+
+            assert.ok(Object.keys(value).length > 0,
+                'search.' + key + ' has no operators');
+            Object.keys(value).forEach(function _addOp(op) {
+                conditions.push(mkCondition(key, op, value[op]));
+            });
+        } else {
+            conditions.push(mkCondition(key, '=', value));
+        }
+    });
+
+    return conditions;
+}
+
+/*
+ * Returns the arguments for `vmadm lookup` that search for "search".
+ */
+function renderSearch(search) {
+    return normalizeSearch(search).map(function _render(cond) {
+        switch (cond.op) {
+        case '~':
+            return cond.key + '=~' + cond.value.source;
+        case '=':
+            /*
+             * vmadm treats a value starting with "~" as a regular expression,
+             * so those are looked up with one matching exactly that string.
+             */
+            if (typeof (cond.value) === 'string' &&
+                cond.value.charAt(0) === '~') {
+
+                return cond.key + '=~^' + escapeRegExp(cond.value) + '$';
+            }
+            return cond.key + '=' + cond.raw;
+        default:
+            return cond.key + cond.op + String(cond.value);
+        }
+    });
+}
+
+/*
+ * Parses a `vmadm lookup` argument (eg. "alias=~^web", "ram>1024") into a
+ * {key, op, value} object, or returns null if it isn't one. The value is left
+ * as a string.
+ */
+function parseSearchArg(arg) {
+    var matches = arg.match(ARG_RE);
+
+    if (!matches || !KEY_RE.test(matches[1])) {
+        return null;
+    }
+
+    return {
+        key: matches[1],
+        op: (matches[2] === '=~') ? '~' : matches[2],
+        value: matches[3]
+    };
+}
+
+/*
+ * Returns the values in "vm" named by "key", expanding "*" over the elements of
+ * arrays and the values of objects.
+ */
+function getValues(vm, key) {
+    var values = [vm];
+
+    key.split('.').forEach(function _descend(part) {
+        var next = [];
+
+        values.forEach(function _expand(value) {
+            if (value === null || typeof (value) !== 'object') {
+                return;
+            }
+
+            if (part === '*') {
+                Object.keys(value).forEach(function _addElement(k) {
+                    next.push(value[k]);
+                });
+            } else if (value.hasOwnProperty(part)) {
+                next.push(value[part]);
+            }
+        });
+
+        values = next;
+    });
+
+    return values.filter(function _isSet(value) {
+        return (value !== undefined && value !== null);
+    });
+}
+
+function matchesCondition(vm, cond) {
+    return getValues(vm, cond.key).some(function _matches(value) {
+        if (typeof (value) === 'object') {
+            return false;
+        }
+
+        switch (cond.op) {
+        case '=':
+            /*
+             * Either the same value, or the same string (eg. a ram of 1024
+             * for "1024", or an alias "007" only for "007").
+             */
+            return (value === cond.value || String(value) === cond.raw);
+        case '~':
+            return cond.value.test(String(value));
+        case '<':
+            return (Number(value) < cond.value);
+        case '>':
+            return (Number(value) > cond.value);
+        default:
+            return false;
+        }
+    });
+}
+
+/*
+ * Returns true if "vm" matches all of the conditions in "search", the way
+ * `vmadm lookup` would.
+ */
+function matchesSearch(vm, search) {
+    var conditions = Array.isArray(search) ? search : normalizeSearch(search);
+
+    assert.object(vm, 'vm');
+
+    return conditions.every(function _check(cond) {
+        return matchesCondition(vm, cond);
+    });
+}
+
+/*
+ * Returns an object with only the properties of "vm" named in "fields" (that it
+ * has), like `vmadm lookup -o`.
+ */
+function projectVm(vm, fields) {
+    var obj = {};
+
+    assert.object(vm, 'vm');
+    assert.arrayOfString(fields, 'fields');
+
+    fields.forEach(function _copyField(field) {
+        if (vm.hasOwnProperty(field)) {
+            obj[field] = vm[field];
+        }
+    });
+
+    return obj;
+}
+
+/*
+ * Returns the VMs in the array "vms" that `vmadm lookup` would return for
+ * "search", in the order they were created.
+ *
+ * @param opts {Object} Options
+ *      - fields {Array} Optional properties to return of each VM
+ *      - include_dni {Boolean} If true, include VMs that have do_not_inventory
+ *        set. default: false.
+ */
+function selectVms(vms, search, opts) {
+    var conditions = normalizeSearch(search);
+    var selected;
+
+    assert.arrayOfObject(vms, 'vms');
+    assert.object(opts, 'opts');
+    assert.optionalArrayOfString(opts.fields, 'opts.fields');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+
+    selected = vms.filter(function _matches(vm) {
+        if (vm.do_not_inventory && !opts.include_dni) {
+            return false;
+        }
+        return matchesSearch(vm, conditions);
+    }).sort(function _byCreation(a, b) {
+        if (a.create_timestamp === b.create_timestamp) {
+            return 0;
+        }
+        return (a.create_timestamp < b.create_timestamp ? -1 : 1);
+    });
+
+    if (opts.fields) {
+        selected = selected.map(function _project(vm) {
+            return projectVm(vm, opts.fields);
+        });
+    }
+
+    return selected;
+}
+
+
+module.exports = {
+    coerceValue: coerceValue,
+    getValues: getValues,
+    matchesSearch: matchesSearch,
+    normalizeSearch: normalizeSearch,
+    OPERATORS: OPERATORS,
+    parseSearchArg: parseSearchArg,
+    projectVm: projectVm,
+    renderSearch: renderSearch,
+    selectVms: selectVms
+};
@@ -0,0 +1,265 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * A queue that serializes the operations that modify a VM, per VM, for any of
+ * the vmadm backends.
+ */
+
+var assert = require('assert-plus');
+
+var promises = require('./promises');
+
+// The operations that modify the VM named by opts.uuid, and so are queued.
+var MUTATING_OPERATIONS = [
+    'create',
+    'create_snapshot',
+    'delete',
+    'delete_snapshot',
+    'kill',
+    'migrate_abort',
+    'migrate_begin',
+    'migrate_switch',
+    'migrate_sync',
+    'reboot',
+    'reprovision',
+    'rollback_snapshot',
+    'start',
+    'stop',
+    'sysrq',
+    'update'
+];
+
+// The operations that return a stream rather than taking a callback. None of
+// them modify the VM.
+var STREAM_OPERATIONS = [
+    'migrate_watch',
+    'send',
+    'watch'
+];
+
+
+/*
+ * Wraps "backend" so that at most one modifying operation runs at a time for
+ * each VM, and at most "concurrency" modifying operations run overall. Other
+ * operations for a VM wait in the order they were called. Operations that
+ * don't modify VMs (load, lookup, events, ...) are passed straight through.
+ *
+ * The VmadmQueue has the same operations as the backend, with the same
+ * signatures, and a "promises" property like the backends.
+ *
+ * @param opts {Object} Options
+ *      - backend {Object} the vmadm module, or a DummyVmadm instance
+ *      - concurrency {Number} Optional maximum number of operations to run at
+ *        once, across all VMs. default: unlimited.
+ *      - log {Logger object} Optional logger
+ */
+function VmadmQueue(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.ok(opts.backend !== null && (typeof (opts.backend) === 'object' ||
+        typeof (opts.backend) === 'function'), 'opts.backend');
+    assert.optionalNumber(opts.concurrency, 'opts.concurrency');
+    assert.optionalObject(opts.log, 'opts.log');
+
+    if (opts.concurrency !== undefined) {
+        assert.ok(opts.concurrency >= 1, 'opts.concurrency must be >= 1');
+    }
+
+    self.backend = opts.backend;
+    self.concurrency = opts.concurrency || Infinity;
+    self.log = opts.log;
+
+    self.active = {};
+    self.pending = [];
+    self.running = 0;
+
+    promises.OPERATIONS.forEach(function _addOperation(name) {
+        if (typeof (self.backend[name]) !== 'function') {
+            return;
+        }
+
+        if (MUTATING_OPERATIONS.indexOf(name) === -1) {
+            self[name] = function _passThrough() {
+                return self.backend[name].apply(self.backend, arguments);
+            };
+            return;
+        }
+
+        self[name] = function _queued(opts_, callback) {
+            assert.object(opts_, 'opts');
+            assert.func(callback, 'callback');
+
+            self._push({
+                args: [opts_],
+                callback: callback,
+                name: name,
+                uuid: opts_.uuid
+            });
+        };
+    });
+
+    STREAM_OPERATIONS.forEach(function _addStreamOperation(name) {
+        if (typeof (self.backend[name]) !== 'function') {
+            return;
+        }
+
+        self[name] = function _passThroughStream() {
+            return self.backend[name].apply(self.backend, arguments);
+        };
+    });
+
+    self.promises = promises.wrap(self);
+}
+
+/*
+ * Returns the number of operations waiting or running for the VM "uuid", or
+ * across all VMs when "uuid" is not given.
+ */
+VmadmQueue.prototype.depth = function depth(uuid) {
+    var self = this;
+
+    assert.optionalString(uuid, 'uuid');
+
+    if (uuid === undefined) {
+        return self.pending.length + self.running;
+    }
+
+    return self.pending.filter(function _forVm(task) {
+        return (task.uuid === uuid);
+    }).length + (self.active[uuid] ? 1 : 0);
+};
+
+/*
+ * Returns the current state of the queue:
+ *
+ *  - concurrency: the configured limit
+ *  - pending: the number of operations waiting to run
+ *  - running: the number of operations running
+ *  - vms: an object mapping each VM uuid with operations waiting or running
+ *    to the depth() for that VM
+ */
+VmadmQueue.prototype.stats = function stats() {
+    var self = this;
+    var vms = {};
+
+    Object.keys(self.active).forEach(function _countActive(uuid) {
+        vms[uuid] = 1;
+    });
+
+    self.pending.forEach(function _countPending(task) {
+        if (task.uuid !== undefined) {
+            vms[task.uuid] = (vms[task.uuid] || 0) + 1;
+        }
+    });
+
+    return {
+        concurrency: self.concurrency,
+        pending: self.pending.length,
+        running: self.running,
+        vms: vms
+    };
+};
+
+VmadmQueue.prototype._push = function _push(task) {
+    var self = this;
+
+    if (self.log) {
+        self.log.trace({
+            depth: self.depth(task.uuid),
+            operation: task.name,
+            uuid: task.uuid
+        }, 'queueing vmadm operation');
+    }
+
+    self.pending.push(task);
+    self._dispatch();
+};
+
+/*
+ * Starts the oldest waiting operations whose VM has nothing running, until
+ * "concurrency" operations are running. Operations without a uuid (eg. create
+ * without one) are only subject to the concurrency limit.
+ */
+VmadmQueue.prototype._dispatch = function _dispatch() {
+    var self = this;
+    var idx = 0;
+    var task;
+
+    while (idx < self.pending.length && self.running < self.concurrency) {
+        task = self.pending[idx];
+
+        if (task.uuid !== undefined && self.active[task.uuid]) {
+            idx++;
+            continue;
+        }
+
+        self.pending.splice(idx, 1);
+        self._run(task);
+    }
+};
+
+/*
+ * Runs "task" on the backend. Once it's done, its slot is released and the
+ * next operations are started before task.callback is called, so that a throw
+ * from the callback can't leave them waiting.
+ */
+VmadmQueue.prototype._run = function _run(task) {
+    var self = this;
+    var finished = false;
+
+    self.running++;
+    if (task.uuid !== undefined) {
+        self.active[task.uuid] = true;
+    }
+
+    function _onDone() {
+        if (finished) {
+            return;
+        }
+        finished = true;
+
+        self.running--;
+        if (task.uuid !== undefined) {
+            delete self.active[task.uuid];
+        }
+
+        self._dispatch();
+        task.callback.apply(null, arguments);
+    }
+
+    try {
+        self.backend[task.name].apply(self.backend,
+            task.args.concat(_onDone));
+    } catch (err) {
+        // Thrown by the callback, when the backend called back synchronously.
+        if (finished) {
+            throw err;
+        }
+
+        if (self.log) {
+            self.log.error({
+                err: err,
+                operation: task.name,
+                uuid: task.uuid
+            }, 'vmadm operation threw');
+        }
+
+        // Called back on a later tick, as the backend would have.
+        setImmediate(_onDone, err);
+    }
+};
+
+
+module.exports = {
+    MUTATING_OPERATIONS: MUTATING_OPERATIONS,
+    VmadmQueue: VmadmQueue
+};
@@ -0,0 +1,179 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Recording the events seen by events() to a file, for all of the backends.
+ * The recording can be played back by the replay backend (lib/index.replay.js).
+ *
+ * A recording is NDJSON: the ready event on the first line, and then one event
+ * per line, as `vmadm events -rj` writes them. Each has its "date", which is
+ * set to when the event was recorded if the backend didn't set one.
+ */
+
+var assert = require('assert-plus');
+
+var VmInventory = require('./inventory').VmInventory;
+var promises = require('./promises');
+var waitForVm = require('./wait').waitForVm;
+var watchEvents = require('./watch').watchEvents;
+
+
+/*
+ * Returns the line for "ev" in a recording.
+ */
+function eventLine(ev) {
+    var obj = ev;
+
+    if (ev.date === undefined) {
+        obj = {};
+        Object.keys(ev).forEach(function _copyProp(k) {
+            obj[k] = ev[k];
+        });
+        obj.date = new Date();
+    }
+
+    return JSON.stringify(obj) + '\n';
+}
+
+
+/*
+ * Wraps "backend" so that the events passed to the handlers of its events()
+ * (and of watch(), waitFor() and createInventory(), which use it) are also
+ * written to "output". The other operations are passed straight through.
+ *
+ * Each call of events() writes its ready event followed by its events, so a
+ * recorder should only have one stream of events running at a time to get a
+ * recording that can be played back. The events recorded are those passed to
+ * the handler, after any filtering asked for in the options of events().
+ *
+ * @param opts {Object} Options
+ *      - backend {Object} the vmadm module or a client, or a DummyVmadm (or
+ *        DummyVminfodVmadm) instance
+ *      - output {Stream} the writable stream to write the recording to. It's
+ *        not ended when the event stream is stopped.
+ *      - log {Logger object} Optional logger
+ */
+function EventRecorder(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.ok(opts.backend !== null && (typeof (opts.backend) === 'object' ||
+        typeof (opts.backend) === 'function'), 'opts.backend');
+    assert.func(opts.backend.events, 'opts.backend.events');
+    assert.object(opts.output, 'opts.output');
+    assert.func(opts.output.write, 'opts.output.write');
+    assert.optionalObject(opts.log, 'opts.log');
+
+    self.backend = opts.backend;
+    self.log = opts.log;
+    self.output = opts.output;
+
+    promises.OPERATIONS.forEach(function _addOperation(name) {
+        if (typeof (self.backend[name]) !== 'function' ||
+            typeof (self[name]) === 'function') {
+            return;
+        }
+
+        self[name] = function _passThrough() {
+            return self.backend[name].apply(self.backend, arguments);
+        };
+    });
+
+    ['migrate_watch', 'send'].forEach(function _addStreamOperation(name) {
+        if (typeof (self.backend[name]) !== 'function') {
+            return;
+        }
+
+        self[name] = function _passThroughStream() {
+            return self.backend[name].apply(self.backend, arguments);
+        };
+    });
+
+    self.promises = promises.wrap(self);
+}
+
+/*
+ * Calls backend.events(), writing the ready event and the events to the
+ * output as they're passed on.
+ */
+EventRecorder.prototype.events = function events(opts, handler, callback) {
+    var self = this;
+    var pending = [];
+    var ready = false;
+
+    assert.func(handler, 'handler');
+    assert.func(callback, 'callback');
+
+    return self.backend.events(opts, function _recordEvent(ev) {
+        if (ready) {
+            self.output.write(eventLine(ev));
+        } else {
+            // The dummy backends can see events before they're ready, and
+            // the ready event has to come first.
+            pending.push(eventLine(ev));
+        }
+        handler(ev);
+    }, function _recordReady(err, obj) {
+        if (!err) {
+            ready = true;
+            self.output.write(eventLine(obj.ev));
+            pending.forEach(function _writePending(line) {
+                self.output.write(line);
+            });
+            pending = [];
+        }
+        callback(err, obj);
+    });
+};
+
+/*
+ * Returns the events as a stream, as for the watch() of the backends.
+ */
+EventRecorder.prototype.watch = function watch(opts) {
+    var self = this;
+
+    return watchEvents(self, opts);
+};
+
+/*
+ * Waits for a VM to match a condition, as for the waitFor() of the backends.
+ */
+EventRecorder.prototype.waitFor = function waitFor(opts, callback) {
+    var self = this;
+
+    waitForVm(self, opts, callback);
+};
+
+/*
+ * Returns a VmInventory (see lib/inventory.js) kept up to date by the
+ * recorded events.
+ *
+ * @param opts {Object} Optional options
+ *      - name {String} Optional identifier for the event stream
+ *      - reconnect {Boolean|Object} Optional, as for events()
+ */
+EventRecorder.prototype.createInventory = function createInventory(opts) {
+    var self = this;
+
+    assert.optionalObject(opts, 'opts');
+
+    return new VmInventory({
+        backend: self,
+        log: self.log,
+        name: opts ? opts.name : undefined,
+        reconnect: opts ? opts.reconnect : undefined
+    });
+};
+
+
+module.exports = {
+    EventRecorder: EventRecorder,
+    eventLine: eventLine
+};
@@ -0,0 +1,104 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Maps the identifiers people use for VMs (aliases and UUID prefixes) to VM
+ * UUIDs, for all of the backends.
+ */
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var errors = require('./errors');
+
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+var UUID_PREFIX_RE = /^[0-9a-f][0-9a-f-]*$/;
+
+
+/*
+ * Calls back with the UUID of the one VM that "id" refers to. "id" can be a
+ * full UUID, a VM's alias or a prefix of a VM's UUID. Fails with a
+ * VmLookupNoMatchError if no VM matches, or a VmLookupAmbiguousError if more
+ * than one does (eg. an alias that's also the start of another VM's UUID).
+ *
+ * @param backend {Object} the backend to look VMs up with
+ * @param id {String} UUID, alias or UUID prefix
+ * @param opts {Object} Options for backend.lookup() (fields is ignored)
+ * @param callback {Function} `function (err, uuid)`
+ */
+function resolveVm(backend, id, opts, callback) {
+    assert.object(backend, 'backend');
+    assert.string(id, 'id');
+    assert.ok(id.length > 0, 'id must not be empty');
+    assert.object(opts, 'opts');
+    assert.func(callback, 'callback');
+
+    var lookupOpts = {};
+    var searches = [ {alias: id} ];
+
+    Object.keys(opts).forEach(function _copyOpt(k) {
+        lookupOpts[k] = opts[k];
+    });
+    lookupOpts.fields = ['uuid', 'alias'];
+
+    if (UUID_RE.test(id)) {
+        searches = [ {uuid: id} ];
+    } else if (UUID_PREFIX_RE.test(id)) {
+        searches.push({uuid: {'~': '^' + id}});
+    }
+
+    vasync.forEachParallel({
+        inputs: searches,
+        func: function _lookup(search, cb) {
+            backend.lookup(search, lookupOpts, cb);
+        }
+    }, function _onLookups(err, results) {
+        var uuids = [];
+
+        if (err) {
+            // forEachParallel wraps the errors, there's only one that matters.
+            callback(err.ase_errors ? err.ase_errors[0] : err);
+            return;
+        }
+
+        results.successes.forEach(function _addVms(vms) {
+            vms.forEach(function _addVm(vm) {
+                if (uuids.indexOf(vm.uuid) === -1) {
+                    uuids.push(vm.uuid);
+                }
+            });
+        });
+
+        if (uuids.length === 0) {
+            callback(new errors.VmLookupNoMatchError({
+                req_id: opts.req_id,
+                search: id
+            }));
+            return;
+        }
+
+        if (uuids.length > 1) {
+            callback(new errors.VmLookupAmbiguousError({
+                count: uuids.length,
+                req_id: opts.req_id,
+                search: id,
+                uuids: uuids.sort()
+            }));
+            return;
+        }
+
+        callback(null, uuids[0]);
+    });
+}
+
+
+module.exports = {
+    resolveVm: resolveVm
+};
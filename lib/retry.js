@@ -0,0 +1,177 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * The policy deciding whether, and when, a failed vmadm invocation is retried.
+ */
+
+var assert = require('assert-plus');
+
+var errors = require('./errors');
+
+/*
+ * The failures that are considered transient. A failed vmadm is retried when
+ * one of the lines it wrote to stderr matches one of these patterns.
+ */
+var RETRYABLE_FAILURES = [
+    {
+        // Another vmadm holds the lock on the VM's configuration.
+        name: 'lock',
+        pattern: /(could not|unable to|failed to) (get|acquire|obtain) lock/i
+    },
+    {
+        name: 'lock_timeout',
+        pattern: /timed out (waiting|trying) (for|to get) (the )?lock/i
+    },
+    {
+        // zoneadm is already operating on the zone, eg. while it boots.
+        name: 'zoneadm_busy',
+        pattern: /zoneadm.*(busy|already in progress|operation in progress)/i
+    },
+    {
+        name: 'resource_busy',
+        pattern: /\b(EAGAIN|EBUSY)\b|resource temporarily unavailable/i
+    }
+];
+
+/*
+ * The vmadm commands that can be repeated without changing the result, and so
+ * are retried by default.
+ */
+var IDEMPOTENT_COMMANDS = [
+    'get',
+    'info',
+    'lookup',
+    'start',
+    'stop'
+];
+
+
+/*
+ * @param opts {Object} Options
+ *      - maxAttempts {Number} Optional maximum number of times to run vmadm,
+ *        including the first. default: 3
+ *      - minDelay {Number} Optional ms to wait before the first retry.
+ *        default: 200
+ *      - maxDelay {Number} Optional maximum ms to wait between attempts.
+ *        default: 5000
+ *      - factor {Number} Optional factor the delay grows by after each
+ *        attempt. default: 2
+ *      - jitter {Number} Optional fraction (0 to 1) of each delay that is
+ *        randomized. default: 0.5
+ *      - commands {Array} Optional vmadm commands to retry. default:
+ *        IDEMPOTENT_COMMANDS
+ *      - retryable {Array} Optional table of {name, pattern} objects
+ *        classifying failures as transient. default: RETRYABLE_FAILURES
+ */
+function RetryPolicy(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.maxAttempts, 'opts.maxAttempts');
+    assert.optionalNumber(opts.minDelay, 'opts.minDelay');
+    assert.optionalNumber(opts.maxDelay, 'opts.maxDelay');
+    assert.optionalNumber(opts.factor, 'opts.factor');
+    assert.optionalNumber(opts.jitter, 'opts.jitter');
+    assert.optionalArrayOfString(opts.commands, 'opts.commands');
+    assert.optionalArrayOfObject(opts.retryable, 'opts.retryable');
+
+    if (opts.jitter !== undefined) {
+        assert.ok(opts.jitter >= 0 && opts.jitter <= 1,
+            'opts.jitter must be between 0 and 1');
+    }
+
+    (opts.retryable || []).forEach(function _checkEntry(entry, idx) {
+        assert.string(entry.name, 'opts.retryable[' + idx + '].name');
+        assert.ok(entry.pattern instanceof RegExp,
+            'opts.retryable[' + idx + '].pattern must be a RegExp');
+    });
+
+    self.maxAttempts = (opts.maxAttempts === undefined) ? 3 : opts.maxAttempts;
+    self.minDelay = (opts.minDelay === undefined) ? 200 : opts.minDelay;
+    self.maxDelay = (opts.maxDelay === undefined) ? 5000 : opts.maxDelay;
+    self.factor = (opts.factor === undefined) ? 2 : opts.factor;
+    self.jitter = (opts.jitter === undefined) ? 0.5 : opts.jitter;
+    self.commands = opts.commands || IDEMPOTENT_COMMANDS;
+    self.retryable = opts.retryable || RETRYABLE_FAILURES;
+}
+
+/*
+ * Returns the name of the entry in the retryable table matching the stderr of
+ * the failed vmadm, or null if the failure isn't transient.
+ */
+RetryPolicy.prototype.classify = function classify(err) {
+    var self = this;
+    var idx;
+    var line;
+    var lineIdx;
+
+    if (!(err instanceof errors.VmadmExecError)) {
+        // Timeouts, cancellation and missing VMs won't go away by retrying.
+        return null;
+    }
+
+    for (lineIdx = 0; lineIdx < err.stderrLines.length; lineIdx++) {
+        line = err.stderrLines[lineIdx];
+        for (idx = 0; idx < self.retryable.length; idx++) {
+            if (self.retryable[idx].pattern.test(line)) {
+                return self.retryable[idx].name;
+            }
+        }
+    }
+
+    return null;
+};
+
+/*
+ * Returns the number of ms to wait before making attempt number "attempt + 1",
+ * having made "attempt" attempts so far.
+ */
+RetryPolicy.prototype.delay = function delay(attempt) {
+    var self = this;
+    var ms;
+
+    assert.number(attempt, 'attempt');
+
+    ms = Math.min(self.maxDelay,
+        self.minDelay * Math.pow(self.factor, attempt - 1));
+
+    return Math.round(ms * (1 - self.jitter * Math.random()));
+};
+
+/*
+ * Returns the classification of "err" if the vmadm invocation with "args" that
+ * failed with it on attempt number "attempt" should be retried, and otherwise
+ * null.
+ */
+RetryPolicy.prototype.shouldRetry = function shouldRetry(args, err, attempt) {
+    var self = this;
+
+    assert.arrayOfString(args, 'args');
+    assert.object(err, 'err');
+    assert.number(attempt, 'attempt');
+
+    if (attempt >= self.maxAttempts) {
+        return null;
+    }
+
+    if (self.commands.indexOf(args[0]) === -1) {
+        return null;
+    }
+
+    return self.classify(err);
+};
+
+
+module.exports = {
+    IDEMPOTENT_COMMANDS: IDEMPOTENT_COMMANDS,
+    RETRYABLE_FAILURES: RETRYABLE_FAILURES,
+    RetryPolicy: RetryPolicy
+};
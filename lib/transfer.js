@@ -0,0 +1,156 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * The streams for send() and receive() (exporting and importing VMs), for all
+ * of the backends.
+ *
+ * The dummy backends' equivalent of the `vmadm send` stream is newline
+ * separated JSON records:
+ *
+ *     {"type": "vm", "version": 1, "vm": <the VM, without "snapshots">}
+ *     {"type": "snapshot", "snapshot": <one of the VM's snapshots>}
+ *     ...
+ *     {"type": "end", "snapshots": <the number of snapshot records>}
+ *
+ * where the "end" record allows a stream that was cut short to be detected.
+ */
+
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+
+var DUMMY_STREAM_VERSION = 1;
+
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+
+/*
+ * A pass-through stream that counts the bytes written to it. After each chunk
+ * it emits "progress" with the total so far, which is also kept in "bytes".
+ */
+function ProgressStream() {
+    stream.Transform.call(this);
+
+    this.bytes = 0;
+}
+util.inherits(ProgressStream, stream.Transform);
+
+ProgressStream.prototype._transform =
+function _transform(chunk, _encoding, callback) {
+    var self = this;
+
+    self.bytes += chunk.length;
+    self.emit('progress', self.bytes);
+
+    callback(null, chunk);
+};
+
+
+/*
+ * Returns the records of the dummy send stream for "vm", each as a string
+ * ending in a newline.
+ */
+function serializeVm(vm) {
+    var records = [];
+    var snapshots = vm.snapshots || [];
+    var vmobj = {};
+
+    assert.object(vm, 'vm');
+
+    Object.keys(vm).forEach(function _copyProperty(k) {
+        if (k !== 'snapshots') {
+            vmobj[k] = vm[k];
+        }
+    });
+
+    records.push({type: 'vm', version: DUMMY_STREAM_VERSION, vm: vmobj});
+    snapshots.forEach(function _addSnapshot(snapshot) {
+        records.push({type: 'snapshot', snapshot: snapshot});
+    });
+    records.push({type: 'end', snapshots: snapshots.length});
+
+    return records.map(function _toLine(record) {
+        return JSON.stringify(record) + '\n';
+    });
+}
+
+/*
+ * Parses "data", a complete dummy send stream, and returns the VM with its
+ * snapshots. Throws an Error describing the problem if the stream is invalid
+ * or incomplete.
+ */
+function parseSentVm(data) {
+    var end;
+    var snapshots = [];
+    var vm;
+
+    assert.string(data, 'data');
+
+    data.split('\n').forEach(function _parseLine(line, idx) {
+        var record;
+
+        if (line.length === 0) {
+            return;
+        }
+
+        try {
+            record = JSON.parse(line);
+        } catch (parseErr) {
+            throw new Error('invalid record ' + (idx + 1) + ': ' +
+                parseErr.message);
+        }
+
+        if (end !== undefined) {
+            throw new Error('unexpected data after the end of the stream');
+        }
+
+        if (vm === undefined) {
+            if (record.type !== 'vm' ||
+                record.version !== DUMMY_STREAM_VERSION) {
+
+                throw new Error('not a send stream');
+            }
+            if (record.vm === null || typeof (record.vm) !== 'object' ||
+                !UUID_RE.test(record.vm.uuid)) {
+
+                throw new Error('send stream has no VM UUID');
+            }
+            vm = record.vm;
+        } else if (record.type === 'snapshot') {
+            snapshots.push(record.snapshot);
+        } else if (record.type === 'end') {
+            end = record;
+        } else {
+            throw new Error('unknown record type "' + record.type + '"');
+        }
+    });
+
+    if (vm === undefined) {
+        throw new Error('empty send stream');
+    }
+    if (end === undefined || end.snapshots !== snapshots.length) {
+        throw new Error('send stream is incomplete');
+    }
+
+    if (snapshots.length > 0) {
+        vm.snapshots = snapshots;
+    }
+
+    return vm;
+}
+
+
+module.exports = {
+    parseSentVm: parseSentVm,
+    ProgressStream: ProgressStream,
+    serializeVm: serializeVm
+};
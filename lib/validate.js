@@ -0,0 +1,309 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Checking create and update payloads (`vmadm validate`), for all of the
+ * backends.
+ *
+ * vmadm reports the problems with a payload as a JSON object:
+ *
+ *     {
+ *         "bad_brand": "foo",             (only if the brand is unknown)
+ *         "bad_properties": ["bogus"],    (properties that can't be set)
+ *         "bad_values": ["ram"],          (properties with invalid values)
+ *         "missing_properties": ["brand"]
+ *     }
+ *
+ * which is what checkPayload() returns for the dummy backends, and what
+ * ValidationResult is built from.
+ */
+
+var assert = require('assert-plus');
+
+var VALIDATE_ACTIONS = ['create', 'update'];
+
+var BRANDS = ['bhyve', 'joyent', 'joyent-minimal', 'kvm', 'lx'];
+var HVM_BRANDS = ['bhyve', 'kvm'];
+var ZONE_BRANDS = ['joyent', 'joyent-minimal', 'lx'];
+
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/*
+ * The payload properties the dummy backends accept. Each has a "type" (see
+ * VALUE_CHECKS) and optionally:
+ *
+ *  - brands: the brands that support it (default: all)
+ *  - create: false if it can only be given to update
+ *  - update: false if it can only be given to create
+ *  - required: the brands for which create requires it
+ *
+ * This is a subset of the properties vmadm supports, covering the ones Triton
+ * sets.
+ */
+var PROPERTIES = {
+    add_disks: {type: 'object-array', brands: HVM_BRANDS, create: false},
+    add_nics: {type: 'object-array', create: false},
+    alias: {type: 'string'},
+    archive_on_delete: {type: 'boolean'},
+    autoboot: {type: 'boolean'},
+    billing_id: {type: 'string'},
+    bootrom: {type: 'string', brands: ['bhyve']},
+    brand: {type: 'string', required: BRANDS, update: false},
+    cpu_cap: {type: 'integer'},
+    cpu_shares: {type: 'integer'},
+    cpu_type: {type: 'string', brands: ['kvm']},
+    customer_metadata: {type: 'object'},
+    delegate_dataset: {type: 'boolean', brands: ZONE_BRANDS, update: false},
+    disks: {type: 'object-array', brands: HVM_BRANDS, update: false},
+    dns_domain: {type: 'string'},
+    do_not_inventory: {type: 'boolean'},
+    filesystems: {type: 'object-array', brands: ZONE_BRANDS, update: false},
+    firewall_enabled: {type: 'boolean'},
+    flexible_disk_size: {type: 'integer', brands: ['bhyve']},
+    fs_allowed: {type: 'list', brands: ZONE_BRANDS},
+    hostname: {type: 'string'},
+    image_uuid: {type: 'uuid', required: ZONE_BRANDS},
+    indestructible_delegated: {type: 'boolean', brands: ZONE_BRANDS},
+    indestructible_zoneroot: {type: 'boolean'},
+    internal_metadata: {type: 'object'},
+    kernel_version: {type: 'string', brands: ['lx']},
+    limit_priv: {type: 'list'},
+    maintain_resolvers: {type: 'boolean'},
+    max_locked_memory: {type: 'integer'},
+    max_lwps: {type: 'integer'},
+    max_physical_memory: {type: 'integer'},
+    max_swap: {type: 'integer'},
+    mdata_exec_timeout: {type: 'integer'},
+    nics: {type: 'object-array', update: false},
+    nowait: {type: 'boolean', update: false},
+    owner_uuid: {type: 'uuid'},
+    package_name: {type: 'string'},
+    package_version: {type: 'string'},
+    qemu_extra_opts: {type: 'string', brands: ['kvm']},
+    quota: {type: 'integer'},
+    ram: {type: 'integer'},
+    remove_customer_metadata: {type: 'list', create: false},
+    remove_disks: {type: 'list', brands: HVM_BRANDS, create: false},
+    remove_internal_metadata: {type: 'list', create: false},
+    remove_nics: {type: 'list', create: false},
+    remove_routes: {type: 'list', create: false},
+    remove_tags: {type: 'list', create: false},
+    resolvers: {type: 'list'},
+    routes: {type: 'object', update: false},
+    set_customer_metadata: {type: 'object', create: false},
+    set_internal_metadata: {type: 'object', create: false},
+    set_routes: {type: 'object', create: false},
+    set_tags: {type: 'object', create: false},
+    spice_opts: {type: 'string', brands: ['kvm']},
+    spice_password: {type: 'string', brands: ['kvm']},
+    spice_port: {type: 'integer', brands: ['kvm']},
+    tags: {type: 'object', update: false},
+    tmpfs: {type: 'integer', brands: ZONE_BRANDS},
+    update_disks: {type: 'object-array', brands: HVM_BRANDS, create: false},
+    update_nics: {type: 'object-array', create: false},
+    // Ignored by update, which takes the UUID as an argument.
+    uuid: {type: 'uuid'},
+    vcpus: {type: 'integer', brands: HVM_BRANDS},
+    vga: {type: 'string', brands: ['kvm']},
+    vnc_password: {type: 'string', brands: HVM_BRANDS},
+    vnc_port: {type: 'integer', brands: HVM_BRANDS},
+    zfs_data_compression: {type: 'string', brands: ZONE_BRANDS},
+    zfs_io_priority: {type: 'integer'},
+    zfs_root_compression: {type: 'string'},
+    zfs_root_recsize: {type: 'integer'},
+    zpool: {type: 'string', update: false}
+};
+
+/*
+ * Whether a value is acceptable for each type. Like vmadm, booleans and numbers
+ * can also be given as strings, and lists as comma-separated strings.
+ */
+var VALUE_CHECKS = {
+    'boolean': function _isBoolean(value) {
+        return ([true, false, 'true', 'false'].indexOf(value) !== -1);
+    },
+    'integer': function _isInteger(value) {
+        return ((typeof (value) === 'number' ||
+            (typeof (value) === 'string' && value !== '')) &&
+            Number.isInteger(Number(value)) && Number(value) >= 0);
+    },
+    'list': function _isList(value) {
+        return (typeof (value) === 'string' ||
+            (Array.isArray(value) && value.every(function _isString(v) {
+                return (typeof (v) === 'string');
+            })));
+    },
+    'object': function _isObject(value) {
+        return (value !== null && typeof (value) === 'object' &&
+            !Array.isArray(value));
+    },
+    'object-array': function _isObjectArray(value) {
+        return (Array.isArray(value) && value.every(function _isObject(v) {
+            return (v !== null && typeof (v) === 'object' &&
+                !Array.isArray(v));
+        }));
+    },
+    'string': function _isString(value) {
+        return (typeof (value) === 'string');
+    },
+    'uuid': function _isUuid(value) {
+        return (typeof (value) === 'string' && UUID_RE.test(value));
+    }
+};
+
+
+/*
+ * Asserts that "opts" are valid options for validate(), and returns the
+ * payload to send to `vmadm validate`: for create, "brand" is added to a copy
+ * of the payload if it doesn't have one.
+ */
+function validatePayload(opts) {
+    var payload;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.action, 'opts.action');
+    assert.ok(VALIDATE_ACTIONS.indexOf(opts.action) !== -1,
+        'opts.action must be one of: ' + VALIDATE_ACTIONS.join(', '));
+    assert.object(opts.payload, 'opts.payload');
+
+    if (opts.action === 'update') {
+        assert.string(opts.brand, 'opts.brand');
+        return opts.payload;
+    }
+
+    assert.optionalString(opts.brand, 'opts.brand');
+    if (opts.brand === undefined || opts.payload.hasOwnProperty('brand')) {
+        return opts.payload;
+    }
+
+    payload = JSON.parse(JSON.stringify(opts.payload));
+    payload.brand = opts.brand;
+
+    return payload;
+}
+
+
+/*
+ * Checks "payload" for "action" ("create" or "update") on a VM with "brand"
+ * against PROPERTIES, the way `vmadm validate` would. Returns null if the
+ * payload is valid, and otherwise an object describing the problems in the
+ * format vmadm writes (see the top of this file).
+ *
+ * For create, "brand" should be the payload's brand (which might be missing or
+ * not a string). For update, it can be undefined if the VM's brand isn't known,
+ * in which case properties are not checked against the brand.
+ *
+ * PROPERTIES only covers some of vmadm's properties, so unless "strict" is
+ * set, only the properties in it are checked: others are passed through, and
+ * missing properties aren't reported.
+ *
+ * @param opts {Object} Optional options
+ *      - strict {Boolean} Optional, whether to report properties that aren't
+ *        in PROPERTIES and missing required properties, as validate() does.
+ *        default: false.
+ */
+function checkPayload(action, brand, payload, opts) {
+    var problems = {
+        bad_properties: [],
+        bad_values: [],
+        missing_properties: []
+    };
+    var strict;
+
+    assert.ok(VALIDATE_ACTIONS.indexOf(action) !== -1, 'action');
+    assert.object(payload, 'payload');
+    assert.optionalObject(opts, 'opts');
+
+    strict = Boolean(opts && opts.strict);
+
+    if (brand !== undefined && BRANDS.indexOf(brand) === -1) {
+        return {bad_brand: String(brand)};
+    }
+
+    Object.keys(payload).sort().forEach(function _checkProperty(name) {
+        var prop = PROPERTIES[name];
+
+        if (!prop && !strict) {
+            return;
+        }
+
+        if (!prop || prop[action] === false ||
+            (brand !== undefined && prop.brands &&
+            prop.brands.indexOf(brand) === -1)) {
+
+            problems.bad_properties.push(name);
+        } else if (!VALUE_CHECKS[prop.type](payload[name])) {
+            problems.bad_values.push(name);
+        }
+    });
+
+    if (action === 'create' && strict) {
+        Object.keys(PROPERTIES).sort().forEach(function _checkRequired(name) {
+            var required = PROPERTIES[name].required;
+
+            if (required && !payload.hasOwnProperty(name) &&
+                (brand === undefined || required.indexOf(brand) !== -1)) {
+
+                problems.missing_properties.push(name);
+            }
+        });
+    }
+
+    if (problems.bad_properties.length === 0 &&
+        problems.bad_values.length === 0 &&
+        problems.missing_properties.length === 0) {
+
+        return null;
+    }
+
+    return problems;
+}
+
+
+/*
+ * The result of validating a payload. "problems" is the JSON object vmadm
+ * wrote, or an empty object if the payload is valid. Has the properties:
+ *
+ *  - valid {Boolean} whether the payload can be used
+ *  - badBrand {String} the brand, if vmadm doesn't know it
+ *  - badValues {Array} properties whose values are invalid
+ *  - missingProperties {Array} properties the action requires that are missing
+ *  - unknownProperties {Array} properties that can't be set by the action for
+ *    the brand (vmadm's "bad_properties")
+ *
+ * @param problems {Object} The JSON object written by `vmadm validate`
+ */
+function ValidationResult(problems) {
+    assert.object(problems, 'problems');
+    assert.optionalString(problems.bad_brand, 'problems.bad_brand');
+    assert.optionalArrayOfString(problems.bad_properties,
+        'problems.bad_properties');
+    assert.optionalArrayOfString(problems.bad_values, 'problems.bad_values');
+    assert.optionalArrayOfString(problems.missing_properties,
+        'problems.missing_properties');
+
+    this.badBrand = problems.bad_brand;
+    this.badValues = (problems.bad_values || []).slice();
+    this.missingProperties = (problems.missing_properties || []).slice();
+    this.unknownProperties = (problems.bad_properties || []).slice();
+    this.valid = (this.badBrand === undefined &&
+        this.badValues.length === 0 &&
+        this.missingProperties.length === 0 &&
+        this.unknownProperties.length === 0);
+}
+
+
+module.exports = {
+    BRANDS: BRANDS,
+    checkPayload: checkPayload,
+    VALIDATE_ACTIONS: VALIDATE_ACTIONS,
+    validatePayload: validatePayload,
+    ValidationResult: ValidationResult
+};
@@ -0,0 +1,188 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Waiting for a VM to reach a condition (eg. a state) using events(), for all
+ * of the backends.
+ */
+
+var assert = require('assert-plus');
+
+var errors = require('./errors');
+var eventsUtil = require('./events');
+
+// The options of waitForVm() that aren't passed on to events().
+var WAIT_OPTIONS = ['include_dni', 'predicate', 'state', 'timeout'];
+
+
+/*
+ * Calls back once the VM "opts.uuid" matches "opts.predicate" (or has the
+ * state "opts.state"), as seen by backend.events(). The VM is first checked as
+ * it was in the ready event, so a change made before the call isn't missed.
+ *
+ * The predicate is called with the VM, or with undefined when the VM doesn't
+ * exist (so `function (vm) { return (vm === undefined); }` waits for the VM to
+ * be deleted). A VM that has do_not_inventory set is treated as not existing,
+ * unless opts.include_dni is set.
+ *
+ * If "opts.timeout" ms pass first, fails with a VmWaitTimeoutError that has
+ * the last copy of the VM seen as its "vm".
+ *
+ * @param backend {Object} the backend to watch events with
+ * @param opts {Object} Options
+ *      - uuid {String} UUID of the VM
+ *      - predicate {Function} `function (vm)`, returns true once done
+ *      - state {String} the state to wait for, if predicate is not set
+ *      - timeout {Number} Optional time in ms to wait. default: no limit.
+ *      - include_dni {Boolean} Optional, see above. default: false.
+ *      Any other options (log, req_id, ...) are passed to events().
+ * @param callback {Function} `function (err, vm)`
+ */
+function waitForVm(backend, opts, callback) {
+    assert.object(backend, 'backend');
+    assert.object(opts, 'opts');
+    assert.uuid(opts.uuid, 'opts.uuid');
+    assert.optionalFunc(opts.predicate, 'opts.predicate');
+    assert.optionalString(opts.state, 'opts.state');
+    assert.ok(opts.predicate || opts.state,
+        'one of opts.predicate or opts.state is required');
+    assert.optionalNumber(opts.timeout, 'opts.timeout');
+    assert.optionalBool(opts.include_dni, 'opts.include_dni');
+    assert.optionalObject(opts.log, 'opts.log');
+    assert.optionalString(opts.req_id, 'opts.req_id');
+    assert.func(callback, 'callback');
+
+    var done = false;
+    var eventOpts = {name: 'waitFor'};
+    var lastVm;
+    var pending = [];
+    var predicate = opts.predicate || function _hasState(vm) {
+        return (vm !== undefined && vm.state === opts.state);
+    };
+    var ready = false;
+    var stopStream = null;
+    var timer = null;
+    var vs;
+
+    Object.keys(opts).forEach(function _copyOpt(k) {
+        if (WAIT_OPTIONS.indexOf(k) === -1) {
+            eventOpts[k] = opts[k];
+        }
+    });
+    eventOpts.uuid = opts.uuid;
+
+    function finish(err, vm) {
+        if (done) {
+            return;
+        }
+        done = true;
+
+        if (timer !== null) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        if (stopStream !== null) {
+            stopStream();
+        }
+
+        callback(err, vm);
+    }
+
+    function check() {
+        var vm = lastVm;
+
+        if (vm !== undefined && vm.do_not_inventory && !opts.include_dni) {
+            vm = undefined;
+        }
+
+        if (predicate(vm)) {
+            finish(null, vm);
+        }
+    }
+
+    function apply(ev) {
+        if (eventsUtil.eventUuid(ev) !== opts.uuid) {
+            return;
+        }
+
+        switch (ev.type) {
+        case 'create':
+        case 'modify':
+            if (ev.vm) {
+                lastVm = ev.vm;
+            }
+            break;
+        case 'delete':
+            lastVm = undefined;
+            break;
+        default:
+            return;
+        }
+
+        check();
+    }
+
+    if (opts.timeout !== undefined) {
+        timer = setTimeout(function _onTimeout() {
+            timer = null;
+            finish(new errors.VmWaitTimeoutError({
+                req_id: opts.req_id,
+                timeout: opts.timeout,
+                uuid: opts.uuid,
+                vm: lastVm
+            }));
+        }, opts.timeout);
+    }
+
+    vs = backend.events(eventOpts, function _onEvent(ev) {
+        if (done) {
+            return;
+        }
+        if (!ready) {
+            // The dummy backends can see events before they're ready.
+            pending.push(ev);
+            return;
+        }
+        apply(ev);
+    }, function _onReady(err, obj) {
+        var vms;
+
+        if (err) {
+            finish(err);
+            return;
+        }
+
+        stopStream = obj.stop;
+        if (done) {
+            stopStream();
+            return;
+        }
+
+        ready = true;
+        vms = eventsUtil.vmMap(obj.ev.vms || {});
+        lastVm = vms[opts.uuid];
+        check();
+
+        while (!done && pending.length > 0) {
+            apply(pending.shift());
+        }
+    });
+
+    if (vs && typeof (vs.on) === 'function') {
+        vs.on('error', function _onError(err) {
+            finish(err);
+        });
+    }
+}
+
+
+module.exports = {
+    waitForVm: waitForVm
+};
@@ -0,0 +1,223 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * events() as a stream of events, for all of the backends. Being a Readable,
+ * it can also be consumed with `for await` on node versions that support it.
+ */
+
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+
+
+/*
+ * A stream of the events of backend.events(), started when it is first read.
+ * The first object read is the ready event, and the rest are the events passed
+ * to the handler.
+ *
+ * When the reader falls behind, the stream pauses the one returned by
+ * backend.events() (if it can be paused), so that on SmartOS `vmadm events`
+ * blocks rather than the events piling up in memory. Breaking out of a
+ * `for await` loop destroys the stream, which stops the event stream, as
+ * stop() does. Errors from events() (including the one it fails to start
+ * with) are emitted as "error", and so thrown by the loop. If the event stream
+ * ends (as a replay does), so does this one.
+ *
+ * @param opts {Object} Options
+ *      - backend {Object} the backend to call events() on
+ *      - eventOpts {Object} the options for events()
+ *      - highWaterMark {Number} Optional number of events to buffer before
+ *        pausing the event stream. default: 16.
+ */
+function VmadmWatchStream(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.ok(opts.backend !== null && (typeof (opts.backend) === 'object' ||
+        typeof (opts.backend) === 'function'), 'opts.backend');
+    assert.func(opts.backend.events, 'opts.backend.events');
+    assert.object(opts.eventOpts, 'opts.eventOpts');
+    assert.optionalNumber(opts.highWaterMark, 'opts.highWaterMark');
+
+    stream.Readable.call(self, {
+        highWaterMark: opts.highWaterMark,
+        objectMode: true
+    });
+
+    self.backend = opts.backend;
+    self.eventOpts = opts.eventOpts;
+
+    self.pending = [];
+    self.ready = false;
+    self.source = null;
+    self.stopStream = null;
+    self.stopped = false;
+}
+util.inherits(VmadmWatchStream, stream.Readable);
+
+VmadmWatchStream.prototype._read = function _read() {
+    var self = this;
+
+    if (self.source === null) {
+        self._start();
+    } else if (typeof (self.source.resume) === 'function' &&
+        typeof (self.source.isPaused) === 'function' &&
+        self.source.isPaused()) {
+
+        self.source.resume();
+    }
+};
+
+VmadmWatchStream.prototype._start = function _start() {
+    var self = this;
+
+    self.source = self.backend.events(self.eventOpts, function _onEvent(ev) {
+        if (self.stopped) {
+            return;
+        }
+        if (!self.ready) {
+            // The dummy backends can see events before they're ready.
+            self.pending.push(ev);
+            return;
+        }
+        self._push(ev);
+    }, function _onReady(err, obj) {
+        var pending;
+
+        if (err) {
+            self._fail(err);
+            return;
+        }
+
+        self.stopStream = obj.stop;
+        if (self.stopped) {
+            obj.stop();
+            return;
+        }
+
+        self.ready = true;
+        self._push(obj.ev);
+
+        pending = self.pending;
+        self.pending = [];
+        pending.forEach(function _pushPending(ev) {
+            self._push(ev);
+        });
+    });
+
+    if (self.source && typeof (self.source.on) === 'function') {
+        self.source.on('reconnect', function _onReconnect(info) {
+            self.emit('reconnect', info);
+        });
+        self.source.on('warning', function _onWarning(warning) {
+            self.emit('warning', warning);
+        });
+        self.source.on('error', function _onError(err) {
+            self._fail(err);
+        });
+        /*
+         * A replay runs out of events, and the others end once stopped. A
+         * vmadm that exits on its own emits "error" instead.
+         */
+        self.source.on('end', function _onEnd() {
+            self.stop();
+        });
+    } else {
+        self.source = {};
+    }
+};
+
+/*
+ * Passes "ev" to the reader, and pauses the event stream if the reader has
+ * enough to be going on with.
+ */
+VmadmWatchStream.prototype._push = function _push(ev) {
+    var self = this;
+
+    if (!self.push(ev) && typeof (self.source.pause) === 'function') {
+        self.source.pause();
+    }
+};
+
+VmadmWatchStream.prototype._fail = function _fail(err) {
+    var self = this;
+
+    if (self.stopped) {
+        return;
+    }
+
+    self.destroy(err);
+};
+
+VmadmWatchStream.prototype._stopSource = function _stopSource() {
+    var self = this;
+
+    self.stopped = true;
+    self.pending = [];
+    if (self.stopStream !== null) {
+        self.stopStream();
+        self.stopStream = null;
+    }
+};
+
+VmadmWatchStream.prototype._destroy = function _destroy(err, callback) {
+    var self = this;
+
+    self._stopSource();
+    callback(err);
+};
+
+/*
+ * Stops the event stream, and ends this stream once the events already read
+ * have been consumed.
+ */
+VmadmWatchStream.prototype.stop = function stop() {
+    var self = this;
+
+    if (self.stopped) {
+        return;
+    }
+
+    self._stopSource();
+    self.push(null);
+};
+
+/*
+ * Returns a VmadmWatchStream of the events of backend.events().
+ *
+ * @param backend {Object} the backend to call events() on
+ * @param opts {Object} Options for events(), plus:
+ *      - highWaterMark {Number} Optional, see VmadmWatchStream
+ */
+function watchEvents(backend, opts) {
+    var eventOpts = {};
+
+    assert.object(opts, 'opts');
+
+    Object.keys(opts).forEach(function _copyOpt(k) {
+        if (k !== 'highWaterMark') {
+            eventOpts[k] = opts[k];
+        }
+    });
+
+    return new VmadmWatchStream({
+        backend: backend,
+        eventOpts: eventOpts,
+        highWaterMark: opts.highWaterMark
+    });
+}
+
+
+module.exports = {
+    VmadmWatchStream: VmadmWatchStream,
+    watchEvents: watchEvents
+};
@@ -0,0 +1,635 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+/*
+ * Runs the SmartOS backend (index.sunos.js) against bin/dummy-vmadm.
+ */
+
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+
+const fse = require('fs-extra');
+const tap = require('tap');
+const vasync = require('vasync');
+
+const vmadm = require('../../lib/index.sunos');
+const testutil = require('./testutil');
+
+const SERVER_UUID = 'a54cf694-4e7d-4fa4-a697-ae949b91a957';
+const SERVER_ROOT = path.join(os.tmpdir(), 'dummy-vmadm-test');
+const VMADM_PATH = path.join(__dirname, '..', '..', 'bin', 'dummy-vmadm');
+const ZONES_DIR = path.join(SERVER_ROOT, SERVER_UUID, 'zones');
+
+const PAYLOAD = {
+    alias: 'e2e0',
+    autoboot: true,
+    brand: 'joyent',
+    image_uuid: '643de2c0-672e-11e7-9a3f-ff62fd3708f8',
+    max_physical_memory: 512,
+    nics: [
+        {
+            gateway: '10.88.88.2',
+            ip: '10.88.88.60',
+            netmask: '255.255.255.0',
+            nic_tag: 'admin'
+        }
+    ],
+    quota: 20
+};
+
+
+function vmOpts(t, extra) {
+    const opts = {
+        log: testutil.createBunyanLogger(t),
+        vmadmPath: VMADM_PATH,
+        zonesDir: ZONES_DIR
+    };
+
+    Object.keys(extra || {}).forEach(function (k) {
+        opts[k] = extra[k];
+    });
+
+    return opts;
+}
+
+
+tap.test('dummy-vmadm', function (suite) {
+    suite.jobs = 1;
+
+    suite.beforeEach(function (cb) {
+        process.env.DUMMY_VMADM_SERVER_ROOT = SERVER_ROOT;
+        process.env.DUMMY_VMADM_SERVER_UUID = SERVER_UUID;
+        fse.emptyDir(path.join(SERVER_ROOT, SERVER_UUID, 'vms'), cb);
+    });
+
+    suite.test('lifecycle', function (t) {
+        vasync.pipeline({
+            arg: {},
+            funcs: [
+                function _create(ctx, cb) {
+                    const payload = JSON.parse(JSON.stringify(PAYLOAD));
+
+                    vmadm.create(vmOpts(t, payload),
+                        function onCreate(err, info) {
+                            t.error(err, 'create');
+                            t.ok(info.uuid, 'got uuid from create');
+                            ctx.uuid = info.uuid;
+                            cb(err);
+                        });
+                }, function _exists(ctx, cb) {
+                    vmadm.exists(vmOpts(t, {uuid: ctx.uuid}),
+                        function onExists(err, exists) {
+                            t.error(err, 'exists');
+                            t.ok(exists, 'VM exists');
+                            cb(err);
+                        });
+                }, function _lookup(ctx, cb) {
+                    vmadm.lookup({alias: 'e2e0'}, vmOpts(t, {
+                        fields: ['uuid', 'alias', 'state']
+                    }), function onLookup(err, vms) {
+                        t.error(err, 'lookup');
+                        t.deepEqual(vms, [
+                            {alias: 'e2e0', state: 'running', uuid: ctx.uuid}
+                        ], 'lookup found the VM');
+                        cb(err);
+                    });
+                }, function _lookupOperators(ctx, cb) {
+                    vmadm.lookup({
+                        alias: /^e2e/,
+                        max_physical_memory: {'>': 256, '<': 1024},
+                        'nics.*.ip': '10.88.88.60'
+                    }, vmOpts(t, {fields: ['uuid']}),
+                        function onLookup(err, vms) {
+                            t.error(err, 'lookup with operators');
+                            t.deepEqual(vms, [ {uuid: ctx.uuid} ],
+                                'operators matched the VM');
+                            cb(err);
+                        });
+                }, function _lookupOne(ctx, cb) {
+                    vmadm.lookupOne({alias: /^e2e/}, vmOpts(t, {}),
+                        function onLookup(err, vm) {
+                            t.error(err, 'lookupOne');
+                            t.equal(vm.uuid, ctx.uuid, 'found the VM');
+                            cb(err);
+                        });
+                }, function _lookupOneMissing(_, cb) {
+                    vmadm.lookupOne({alias: 'nope'}, vmOpts(t, {}),
+                        function onLookup(err) {
+                            t.ok(err instanceof
+                                vmadm.errors.VmLookupNoMatchError,
+                                'lookupOne of missing VM fails');
+                            cb();
+                        });
+                }, function _resolve(ctx, cb) {
+                    vmadm.resolve(ctx.uuid.substr(0, 8), vmOpts(t, {}),
+                        function onResolve(err, uuid) {
+                            t.error(err, 'resolve');
+                            t.equal(uuid, ctx.uuid, 'resolved uuid prefix');
+                            cb(err);
+                        });
+                }, function _stop(ctx, cb) {
+                    vmadm.stop(vmOpts(t, {uuid: ctx.uuid}),
+                        function onStop(err) {
+                            t.error(err, 'stop');
+                            cb(err);
+                        });
+                }, function _kill(ctx, cb) {
+                    vmadm.kill(vmOpts(t, {uuid: ctx.uuid}),
+                        function onKill(err) {
+                            t.ok(err instanceof vmadm.errors.VmNotRunningError,
+                                'kill of stopped VM fails');
+                            t.equal(err.code, 'ENOTRUNNING', 'ENOTRUNNING');
+                            cb();
+                        });
+                }, function _start(ctx, cb) {
+                    vmadm.start(vmOpts(t, {uuid: ctx.uuid}),
+                        function onStart(err) {
+                            t.error(err, 'start');
+                            cb(err);
+                        });
+                }, function _update(ctx, cb) {
+                    vmadm.update(vmOpts(t, {alias: 'e2e1', uuid: ctx.uuid}),
+                        function onUpdate(err) {
+                            t.error(err, 'update');
+                            cb(err);
+                        });
+                }, function _snapshot(ctx, cb) {
+                    vmadm.create_snapshot(vmOpts(t, {
+                        snapshot_name: 'snap1',
+                        uuid: ctx.uuid
+                    }), function onSnapshot(err) {
+                        t.error(err, 'create_snapshot');
+                        cb(err);
+                    });
+                }, function _load(ctx, cb) {
+                    vmadm.load(vmOpts(t, {uuid: ctx.uuid}),
+                        function onLoad(err, vm) {
+                            t.error(err, 'load');
+                            t.equal(vm.alias, 'e2e1', 'alias was updated');
+                            t.equal(vm.state, 'running', 'VM is running');
+                            t.deepEqual(vm.snapshots.map(function (s) {
+                                return s.name;
+                            }), ['snap1'], 'VM has snapshot');
+                            cb(err);
+                        });
+                }, function _delete(ctx, cb) {
+                    vmadm.delete(vmOpts(t, {uuid: ctx.uuid}),
+                        function onDelete(err) {
+                            t.error(err, 'delete');
+                            cb(err);
+                        });
+                }, function _loadDeleted(ctx, cb) {
+                    vmadm.load(vmOpts(t, {uuid: ctx.uuid}),
+                        function onLoad(err) {
+                            t.ok(err instanceof vmadm.errors.VmNotFoundError,
+                                'load of deleted VM fails');
+                            t.equal(err.restCode, 'VmNotFound', 'VmNotFound');
+                            cb();
+                        });
+                }, function _existsDeleted(ctx, cb) {
+                    vmadm.exists(vmOpts(t, {uuid: ctx.uuid}),
+                        function onExists(err, exists) {
+                            t.error(err, 'exists');
+                            t.notOk(exists, 'VM no longer exists');
+                            cb(err);
+                        });
+                }
+            ]
+        }, function (err) {
+            t.error(err, 'lifecycle');
+            t.end();
+        });
+    });
+
+    suite.test('info', function (t) {
+        const payload = JSON.parse(JSON.stringify(PAYLOAD));
+
+        payload.brand = 'kvm';
+        payload.disks = [ {path: '/dev/zvol/rdsk/zones/e2e-disk0'} ];
+        payload.vnc_port = 5901;
+
+        vmadm.create(vmOpts(t, payload), function onCreate(createErr, vm) {
+            t.error(createErr, 'create');
+
+            vmadm.info(vmOpts(t, {
+                types: ['block', 'vnc'],
+                uuid: vm.uuid
+            }), function onInfo(err, info) {
+                t.error(err, 'info');
+                t.ok(info instanceof vmadm.VmInfo, 'VmInfo');
+                t.deepEqual(Object.keys(info).sort(), ['block', 'vnc'],
+                    'only requested types');
+                t.deepEqual(info.vncAddress(), {
+                    display: 1,
+                    host: '127.0.0.1',
+                    port: 5901
+                }, 'vncAddress');
+                t.deepEqual(info.blockDevices(), [ {
+                    device: 'virtio0',
+                    file: '/dev/zvol/rdsk/zones/e2e-disk0',
+                    readOnly: false
+                } ], 'blockDevices');
+                t.throws(function () {
+                    vmadm.info(vmOpts(t, {types: ['vga'], uuid: vm.uuid}),
+                        function () {});
+                }, /unknown info type "vga"/, 'unknown types are rejected');
+                t.end();
+            });
+        });
+    });
+
+    suite.test('validate', function (t) {
+        const payload = JSON.parse(JSON.stringify(PAYLOAD));
+
+        payload.vcpus = 2;
+
+        vmadm.validate(vmOpts(t, {
+            action: 'create',
+            payload: payload
+        }), function onInvalid(err, result) {
+            t.error(err, 'validate');
+            t.notOk(result.valid, 'invalid');
+            t.deepEqual(result.unknownProperties, ['vcpus'],
+                'vcpus not supported for joyent');
+
+            vmadm.validate(vmOpts(t, {
+                action: 'update',
+                brand: 'joyent',
+                payload: {alias: 'e2e2', set_tags: {role: 'web'}}
+            }), function onValid(err2, result2) {
+                t.error(err2, 'validate');
+                t.ok(result2.valid, 'valid');
+                t.end();
+            });
+        });
+    });
+
+    suite.test('send and receive', function (t) {
+        vasync.pipeline({
+            arg: {},
+            funcs: [
+                function _create(ctx, cb) {
+                    const payload = JSON.parse(JSON.stringify(PAYLOAD));
+
+                    vmadm.create(vmOpts(t, payload),
+                        function onCreate(err, info) {
+                            t.error(err, 'create');
+                            ctx.uuid = info.uuid;
+                            cb(err);
+                        });
+                }, function _send(ctx, cb) {
+                    const chunks = [];
+                    const output = vmadm.send(vmOpts(t, {uuid: ctx.uuid}));
+
+                    output.on('data', function (chunk) {
+                        chunks.push(chunk);
+                    });
+                    output.on('error', cb);
+                    output.on('end', function () {
+                        ctx.data = Buffer.concat(chunks);
+                        t.equal(output.bytes, ctx.data.length, 'sent bytes');
+                        cb();
+                    });
+                }, function _delete(ctx, cb) {
+                    vmadm.delete(vmOpts(t, {uuid: ctx.uuid}),
+                        function onDelete(err) {
+                            t.error(err, 'delete');
+                            cb(err);
+                        });
+                }, function _receive(ctx, cb) {
+                    const input = new stream.PassThrough();
+
+                    vmadm.receive(vmOpts(t, {stream: input}),
+                        function onReceive(err, vm) {
+                            t.error(err, 'receive');
+                            t.equal(vm.uuid, ctx.uuid, 'received the VM');
+                            t.equal(vm.alias, PAYLOAD.alias, 'alias');
+                            t.equal(vm.state, 'stopped', 'VM is stopped');
+                            cb(err);
+                        });
+                    input.end(ctx.data);
+                }
+            ]
+        }, function done(err) {
+            t.error(err, 'send and receive');
+            t.end();
+        });
+    });
+
+    suite.test('migrate', function (t) {
+        const target = '11111111-2222-3333-4444-555555555555';
+
+        t.tearDown(function () {
+            fse.removeSync(path.join(SERVER_ROOT, target));
+        });
+
+        vasync.pipeline({
+            arg: {},
+            funcs: [
+                function _create(ctx, cb) {
+                    const payload = JSON.parse(JSON.stringify(PAYLOAD));
+
+                    vmadm.create(vmOpts(t, payload),
+                        function onCreate(err, info) {
+                            t.error(err, 'create');
+                            ctx.uuid = info.uuid;
+                            cb(err);
+                        });
+                }, function _syncWithoutMigration(ctx, cb) {
+                    vmadm.migrate_sync(vmOpts(t, {uuid: ctx.uuid}),
+                        function onSync(err) {
+                            t.ok(err instanceof
+                                vmadm.errors.VmMigrationNotFoundError,
+                                'VmMigrationNotFoundError');
+                            cb();
+                        });
+                }, function _begin(ctx, cb) {
+                    vmadm.migrate_begin(vmOpts(t, {
+                        target: target,
+                        uuid: ctx.uuid
+                    }), function onBegin(err, migration) {
+                        t.error(err, 'begin');
+                        t.equal(migration.target, target, 'target');
+                        cb(err);
+                    });
+                }, function _beginAgain(ctx, cb) {
+                    vmadm.migrate_begin(vmOpts(t, {
+                        target: target,
+                        uuid: ctx.uuid
+                    }), function onBegin(err) {
+                        t.ok(err instanceof vmadm.errors.VmMigrationStateError,
+                            'VmMigrationStateError');
+                        t.equal(err.phase, 'begin', 'phase');
+                        t.equal(err.state, 'paused', 'state');
+                        cb();
+                    });
+                }, function _sync(ctx, cb) {
+                    vmadm.migrate_sync(vmOpts(t, {uuid: ctx.uuid}),
+                        function onSync(err, migration) {
+                            t.error(err, 'sync');
+                            t.equal(migration.phase, 'sync', 'sync phase');
+                            cb(err);
+                        });
+                }, function _watch(ctx, cb) {
+                    const evs = [];
+                    const output = vmadm.migrate_watch(vmOpts(t, {
+                        uuid: ctx.uuid
+                    }));
+
+                    output.on('data', function (ev) {
+                        evs.push(ev);
+                    });
+                    output.on('error', cb);
+                    output.on('end', function () {
+                        t.deepEqual(evs, [
+                            {type: 'end', phase: 'sync', state: 'paused'}
+                        ], 'watch events');
+                        cb();
+                    });
+                }, function _switch(ctx, cb) {
+                    vmadm.migrate_switch(vmOpts(t, {uuid: ctx.uuid}),
+                        function onSwitch(err, migration) {
+                            t.error(err, 'switch');
+                            t.equal(migration.state, 'successful', 'state');
+                            cb(err);
+                        });
+                }, function _load(ctx, cb) {
+                    vmadm.load(vmOpts(t, {uuid: ctx.uuid}),
+                        function onLoad(err) {
+                            t.ok(err instanceof vmadm.errors.VmNotFoundError,
+                                'VM moved away');
+                            cb();
+                        });
+                }
+            ]
+        }, function done(err) {
+            t.error(err, 'migrate');
+            t.end();
+        });
+    });
+
+    suite.test('inventory', function (t) {
+        const client = vmadm.createClient({
+            defaults: {zonesDir: ZONES_DIR},
+            log: testutil.createBunyanLogger(t),
+            vmadmPath: VMADM_PATH
+        });
+        const inventory = client.createInventory({
+            name: 'unit-test:dummy-vmadm-inventory'
+        });
+
+        // Calls "callback" with the arguments of the first "name" event of
+        // the inventory for which "check" returns true.
+        function waitForEvent(name, check, callback) {
+            function onEvent() {
+                if (!check.apply(null, arguments)) {
+                    return;
+                }
+                inventory.removeListener(name, onEvent);
+                callback.apply(null, arguments);
+            }
+            inventory.on(name, onEvent);
+        }
+
+        t.tearDown(function () {
+            inventory.stop();
+        });
+
+        vasync.pipeline({
+            arg: {},
+            funcs: [
+                function _start(_, cb) {
+                    inventory.start(function onStart(err) {
+                        t.error(err, 'start');
+                        t.deepEqual(inventory.list(), [], 'no VMs yet');
+                        cb(err);
+                    });
+                }, function _create(ctx, cb) {
+                    const payload = JSON.parse(JSON.stringify(PAYLOAD));
+                    const barrier = vasync.barrier();
+
+                    barrier.start('added');
+                    barrier.start('create');
+                    barrier.on('drain', cb);
+
+                    waitForEvent('added', function () {
+                        return true;
+                    }, function (vm) {
+                        ctx.uuid = vm.uuid;
+                        t.equal(vm.alias, PAYLOAD.alias, 'added');
+                        barrier.done('added');
+                    });
+                    client.create(payload, function onCreate(err) {
+                        t.error(err, 'create');
+                        barrier.done('create');
+                    });
+                }, function _query(ctx, cb) {
+                    t.equal(inventory.get(ctx.uuid).alias, PAYLOAD.alias,
+                        'get');
+                    t.deepEqual(inventory.lookup({alias: PAYLOAD.alias}, {
+                        fields: ['uuid']
+                    }), [ {uuid: ctx.uuid} ], 'lookup');
+                    t.deepEqual(inventory.lookup({alias: 'nope'}), [],
+                        'lookup without matches');
+                    t.equal(inventory.list().length, 1, 'list');
+                    cb();
+                }, function _stop(ctx, cb) {
+                    const barrier = vasync.barrier();
+
+                    barrier.start('stateChanged');
+                    barrier.start('stop');
+                    barrier.on('drain', cb);
+
+                    waitForEvent('stateChanged', function (vm) {
+                        return (vm.state === 'stopped');
+                    }, function (_vm, oldState) {
+                        t.equal(oldState, 'running', 'old state');
+                        t.equal(inventory.get(ctx.uuid).state, 'stopped',
+                            'inventory has the new state');
+                        barrier.done('stateChanged');
+                    });
+                    client.stop({uuid: ctx.uuid}, function onStop(err) {
+                        t.error(err, 'stop');
+                        barrier.done('stop');
+                    });
+                }, function _delete(ctx, cb) {
+                    const barrier = vasync.barrier();
+
+                    barrier.start('removed');
+                    barrier.start('delete');
+                    barrier.on('drain', cb);
+
+                    waitForEvent('removed', function () {
+                        return true;
+                    }, function (vm) {
+                        t.equal(vm.uuid, ctx.uuid, 'removed');
+                        t.equal(inventory.get(ctx.uuid), undefined,
+                            'no longer in the inventory');
+                        barrier.done('removed');
+                    });
+                    client.delete({uuid: ctx.uuid}, function onDelete(err) {
+                        t.error(err, 'delete');
+                        barrier.done('delete');
+                    });
+                }
+            ]
+        }, function done(err) {
+            t.error(err, 'inventory');
+            t.end();
+        });
+    });
+
+    suite.test('waitFor', function (t) {
+        vasync.pipeline({
+            arg: {},
+            funcs: [
+                function _create(ctx, cb) {
+                    const payload = JSON.parse(JSON.stringify(PAYLOAD));
+
+                    vmadm.create(vmOpts(t, payload),
+                        function onCreate(err, info) {
+                            t.error(err, 'create');
+                            ctx.uuid = info.uuid;
+                            cb(err);
+                        });
+                }, function _alreadyRunning(ctx, cb) {
+                    vmadm.waitFor(vmOpts(t, {
+                        state: 'running',
+                        timeout: 5000,
+                        uuid: ctx.uuid
+                    }), function onWait(err, vm) {
+                        t.error(err, 'waitFor');
+                        t.equal(vm.uuid, ctx.uuid, 'already running');
+                        cb(err);
+                    });
+                }, function _stopped(ctx, cb) {
+                    const barrier = vasync.barrier();
+
+                    barrier.start('stop');
+                    barrier.start('waitFor');
+                    barrier.on('drain', cb);
+
+                    vmadm.waitFor(vmOpts(t, {
+                        predicate: function (vm) {
+                            return (vm !== undefined && vm.state === 'stopped');
+                        },
+                        uuid: ctx.uuid
+                    }), function onWait(err, vm) {
+                        t.error(err, 'waitFor');
+                        t.equal(vm.state, 'stopped', 'stopped');
+                        barrier.done('waitFor');
+                    });
+                    vmadm.stop(vmOpts(t, {
+                        uuid: ctx.uuid
+                    }), function onStop(err) {
+                        t.error(err, 'stop');
+                        barrier.done('stop');
+                    });
+                }, function _timeout(ctx, cb) {
+                    vmadm.waitFor(vmOpts(t, {
+                        state: 'running',
+                        timeout: 500,
+                        uuid: ctx.uuid
+                    }), function onWait(err) {
+                        t.equal(err.code, 'ETIMEDOUT', 'timed out');
+                        t.equal(err.vm.state, 'stopped', 'last seen VM');
+                        cb();
+                    });
+                }, function _delete(ctx, cb) {
+                    vmadm.delete(vmOpts(t, {
+                        uuid: ctx.uuid
+                    }), function onDelete(err) {
+                        t.error(err, 'delete');
+                        cb(err);
+                    });
+                }
+            ]
+        }, function done(err) {
+            t.error(err, 'waitFor');
+            t.end();
+        });
+    });
+
+    suite.test('events', function (t) {
+        const barrier = vasync.barrier();
+
+        barrier.start('create');
+        barrier.start('event');
+        barrier.on('drain', function () {
+            t.end();
+        });
+
+        vmadm.events(vmOpts(t, {name: 'unit-test:dummy-vmadm-events'}),
+            function handler(ev) {
+                if (ev.type !== 'create') {
+                    return;
+                }
+                t.equal(ev.vm.alias, PAYLOAD.alias, 'create event for the VM');
+                t.ok(ev.date instanceof Date, 'event has a date');
+                barrier.done('event');
+            }, function onReady(err, obj) {
+                t.error(err, 'events ready');
+                t.deepEqual(obj.ev.vms, {}, 'no VMs yet');
+                t.tearDown(obj.stop);
+
+                const payload = JSON.parse(JSON.stringify(PAYLOAD));
+
+                vmadm.create(vmOpts(t, payload),
+                    function onCreate(createErr) {
+                        t.error(createErr, 'create');
+                        barrier.done('create');
+                    });
+            });
+    });
+
+    suite.end();
+});
@@ -12,6 +12,7 @@
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const stream = require('stream');
 
 const fse = require('fs-extra');
 const mockfs = require('mock-fs');
@@ -112,7 +113,7 @@ tap.test('DummyVmadm', function (suite) {
     suite.test('simple create', function (t) {
         mockfs({[path.join(SERVER_ROOT, SERVER_UUID, 'vms')]: {}});
         const vmadm = testSubject(SERVER_ROOT);
-        t.plan(7);
+        t.plan(8);
         vmadm.create(payloads.web00, function onCreate(err, info) {
             t.error(err);
             t.ok(info);
@@ -124,7 +125,8 @@ tap.test('DummyVmadm', function (suite) {
             fs.readFile(vmFname, 'utf8', function onRead(err2, data) {
                 t.error(err2);
                 const vm = JSON.parse(data);
-                t.equal(payloads.web00.uuid, uuid);
+                t.equal(vm.uuid, uuid);
+                t.notOk(payloads.web00.uuid, 'payload not modified');
                 t.equal(payloads.web00.hostname, vm.hostname);
                 t.end();
             });
@@ -143,6 +145,136 @@ tap.test('DummyVmadm', function (suite) {
         });
     });
 
+    suite.test('typed errors', function (t) {
+        mockfs({[path.join(SERVER_ROOT, SERVER_UUID, 'vms')]: {}});
+        const vmadm = testSubject(SERVER_ROOT);
+        const errors = DummyVmadm.errors;
+        const uuid = uuidv1();
+        t.plan(15);
+
+        vasync.pipeline({
+            arg: {},
+            funcs: [
+                function _loadMissing(_, cb) {
+                    vmadm.load({uuid: uuid}, function onLoad(err) {
+                        t.ok(err instanceof errors.VmNotFoundError,
+                            'load of missing VM is VmNotFoundError');
+                        t.ok(err instanceof errors.VmadmError,
+                            'and a VmadmError');
+                        t.equal(err.code, 'ENOENT', 'code');
+                        t.equal(err.restCode, 'VmNotFound', 'restCode');
+                        t.equal(err.uuid, uuid, 'uuid');
+                        t.deepEqual(err.args, ['get', uuid], 'args');
+                        cb();
+                    });
+                }, function _stopMissing(_, cb) {
+                    vmadm.stop({uuid: uuid}, function onStop(err) {
+                        t.ok(err instanceof errors.VmNotFoundError,
+                            'stop of missing VM is VmNotFoundError');
+                        t.equal(err.message, 'vmadm get ' + uuid +
+                            ' failed: No such zone', 'message');
+                        cb();
+                    });
+                }, function _deleteMissing(_, cb) {
+                    vmadm.delete({uuid: uuid}, function onDelete(err) {
+                        t.ok(err instanceof errors.VmNotFoundError,
+                            'delete of missing VM is VmNotFoundError');
+                        cb();
+                    });
+                }, function _createVm(ctx, cb) {
+                    vmadm.create(payloads.web00, function onCreate(err, info) {
+                        t.error(err, 'create');
+                        ctx.uuid = info.uuid;
+                        cb(err);
+                    });
+                }, function _deleteMissingSnapshot(ctx, cb) {
+                    vmadm.delete_snapshot({
+                        snapshot_name: 'nope',
+                        uuid: ctx.uuid
+                    }, function onDelete(err) {
+                        t.ok(err instanceof errors.VmadmExecError,
+                            'missing snapshot is VmadmExecError');
+                        t.equal(err.code, 'EVMADM', 'code');
+                        t.equal(err.exitCode, 1, 'exitCode');
+                        t.deepEqual(err.stderrLines, ['No snapshot named ' +
+                            '"nope" for ' + ctx.uuid], 'stderrLines');
+                        cb();
+                    });
+                }
+            ]
+        }, function donePipeline(err) {
+            t.error(err, 'pipeline');
+            t.end();
+        });
+    });
+
+    suite.test('promises', function (t) {
+        mockfs({[path.join(SERVER_ROOT, SERVER_UUID, 'vms')]: {}});
+        const vmadm = testSubject(SERVER_ROOT);
+        t.plan(4);
+
+        vmadm.promises.create(Object.assign({}, payloads.web00, {
+            alias: 'promised'
+        })).then(
+            function (info) {
+                t.ok(info.uuid, 'create resolves with uuid');
+                return vmadm.promises.load({uuid: info.uuid});
+            }).then(function (vm) {
+                t.equal(vm.alias, 'promised', 'load resolves with VM');
+                return vmadm.promises.load({uuid: uuidv1()});
+            }).then(function () {
+                t.fail('load of missing VM should fail');
+            }, function (err) {
+                t.ok(err instanceof DummyVmadm.errors.VmNotFoundError,
+                    'rejects with VmNotFoundError');
+                t.notOk(vmadm.promises.kill, 'only implemented operations');
+            }).then(function () {
+                t.end();
+            });
+    });
+
+    suite.test('queue', function (t) {
+        mockfs({[path.join(SERVER_ROOT, SERVER_UUID, 'vms')]: {}});
+        const vmadm = testSubject(SERVER_ROOT);
+        const queue = vmadm.createQueue({concurrency: 2});
+        t.plan(8);
+
+        vmadm.create(Object.assign({}, payloads.web00, {
+            alias: 'queued'
+        }), function (err, info) {
+            t.error(err, 'create');
+            const uuid = info.uuid;
+
+            // Without the queue, these race on writing the VM's file.
+            vasync.parallel({
+                funcs: [
+                    function (cb) {
+                        queue.update({alias: 'requeued', uuid: uuid}, cb);
+                    }, function (cb) {
+                        queue.create_snapshot({
+                            snapshot_name: 'snap1',
+                            uuid: uuid
+                        }, cb);
+                    }, function (cb) {
+                        queue.stop({uuid: uuid}, cb);
+                    }
+                ]
+            }, function (parallelErr) {
+                t.error(parallelErr, 'queued operations');
+                t.equal(queue.depth(uuid), 0, 'queue is empty');
+                queue.load({uuid: uuid}, function (loadErr, vm) {
+                    t.error(loadErr, 'load');
+                    t.equal(vm.alias, 'requeued', 'alias updated');
+                    t.equal(vm.snapshots.length, 1, 'snapshot created');
+                    t.equal(vm.state, 'stopped', 'VM stopped');
+                    t.end();
+                });
+            });
+
+            t.equal(queue.depth(uuid), 3, 'queued operations');
+        });
+    });
+
     suite.test('create->exists', function (t) {
         mockfs({[path.join(SERVER_ROOT, SERVER_UUID, 'vms')]: {}});
         const vmadm = testSubject(SERVER_ROOT);
@@ -242,6 +374,233 @@ tap.test('DummyVmadm', function (suite) {
         });
     });
 
+    suite.test('search lookup', function (t) {
+        mockfs({[path.join(SERVER_ROOT, SERVER_UUID, 'vms')]: {}});
+        const vmadm = testSubject(SERVER_ROOT);
+        t.plan(7);
+
+        vasync.forEachPipeline({
+            inputs: [payloads.web00, payloads.web01, payloads.ghost],
+            func: function _create(payload, cb) {
+                vmadm.create(Object.assign({}, payload, {
+                    tags: {role: payload.alias === 'web00' ? 'db' : 'web'}
+                }), cb);
+            }
+        }, function onCreated(err) {
+            t.error(err, 'created VMs');
+
+            function aliases(search, opts, name, expected, cb) {
+                vmadm.lookup(search, opts, function onLookup(lookupErr, vms) {
+                    t.error(lookupErr, name);
+                    t.deepEqual(vms.map(function (vm) {
+                        return vm.alias;
+                    }).sort(), expected, name);
+                    cb();
+                });
+            }
+
+            vasync.pipeline({
+                funcs: [
+                    function _coerced(_, cb) {
+                        aliases({autoboot: 'true', quota: '20'}, {},
+                            'coerced values, dni excluded',
+                            ['web00', 'web01'], cb);
+                    }, function _nested(_, cb) {
+                        aliases({
+                            'nics.*.ip': /\.5[03]$/,
+                            'tags.role': 'web'
+                        }, {include_dni: true}, 'nested keys',
+                            ['ghost', 'web01'], cb);
+                    }, function _fields(_, cb) {
+                        vmadm.lookup({alias: 'web00'}, {
+                            fields: ['alias', 'max_physical_memory', 'nope']
+                        }, function onLookup(lookupErr, vms) {
+                            t.error(lookupErr, 'fields');
+                            t.deepEqual(vms, [ {
+                                alias: 'web00',
+                                max_physical_memory: 512
+                            } ], 'only the requested fields');
+                            cb();
+                        });
+                    }
+                ]
+            }, function onDone() {
+                t.end();
+            });
+        });
+    });
+
+    suite.test('unique lookup', function (t) {
+        mockfs({[path.join(SERVER_ROOT, SERVER_UUID, 'vms')]: {}});
+        const vmadm = testSubject(SERVER_ROOT);
+        t.plan(10);
+
+        vasync.forEachPipeline({
+            inputs: [payloads.web00, payloads.web01, payloads.ghost],
+            func: vmadm.create.bind(vmadm)
+        }, function onCreated(err, results) {
+            t.error(err, 'created VMs');
+            const web00 = results.successes[0].uuid;
+
+            vasync.pipeline({
+                funcs: [
+                    function _one(_, cb) {
+                        vmadm.lookupOne({alias: 'web00'}, {},
+                            function onLookup(lookupErr, vm) {
+                            t.error(lookupErr, 'lookupOne');
+                            t.equal(vm.uuid, web00, 'found web00');
+                            cb();
+                        });
+                    }, function _several(_, cb) {
+                        vmadm.lookupOne({alias: /^web/}, {},
+                            function onLookup(lookupErr) {
+                            t.equal(lookupErr.code, 'EAMBIGUOUS',
+                                'several VMs match');
+                            cb();
+                        });
+                    }, function _dni(_, cb) {
+                        vmadm.lookupOne({alias: 'ghost'}, {},
+                            function onLookup(lookupErr) {
+                            t.equal(lookupErr.code, 'ENOMATCH',
+                                'dni VM not found');
+                            cb();
+                        });
+                    }, function _byAlias(_, cb) {
+                        vmadm.resolve('web00', {}, function onResolve(
+                            resolveErr, uuid) {
+                            t.error(resolveErr, 'resolve alias');
+                            t.equal(uuid, web00, 'alias resolved');
+                            cb();
+                        });
+                    }, function _byPrefix(_, cb) {
+                        vmadm.resolve(web00.substr(0, 8), {},
+                            function onResolve(resolveErr, uuid) {
+                            t.error(resolveErr, 'resolve prefix');
+                            t.equal(uuid, web00, 'prefix resolved');
+                            cb();
+                        });
+                    }, function _none(_, cb) {
+                        vmadm.resolve('web02', {}, function onResolve(
+                            resolveErr) {
+                            t.equal(resolveErr.code, 'ENOMATCH',
+                                'unknown alias');
+                            cb();
+                        });
+                    }
+                ]
+            }, function onDone() {
+                t.end();
+            });
+        });
+    });
+
+    suite.test('invalid payloads', function (t) {
+        mockfs({[path.join(SERVER_ROOT, SERVER_UUID, 'vms')]: {}});
+        const vmadm = testSubject(SERVER_ROOT);
+        t.plan(10);
+
+        vmadm.validate({
+            action: 'create',
+            payload: Object.assign({}, payloads.web00, {
+                bogus: true,
+                quota: 'lots'
+            })
+        }, function onValidate(err, result) {
+            t.error(err, 'validate');
+            t.notOk(result.valid, 'payload is invalid');
+            t.deepEqual(result.badValues, ['quota'], 'badValues');
+            t.deepEqual(result.unknownProperties, ['bogus'],
+                'unknownProperties');
+
+            vmadm.create(Object.assign({}, payloads.web00, {quota: 'lots'}),
+                function onCreate(createErr) {
+                t.ok(createErr instanceof DummyVmadm.errors.VmadmExecError,
+                    'create fails');
+                t.deepEqual(createErr.stderrLines,
+                    ['Invalid value(s) for: quota'], 'reason');
+
+                vmadm.create(payloads.web00, function onCreate2(err2, info) {
+                    t.error(err2, 'create valid VM');
+                    vmadm.update({
+                        brand: 'kvm',
+                        uuid: info.uuid
+                    }, function onUpdate(updateErr) {
+                        t.deepEqual(updateErr.stderrLines,
+                            ['Invalid property(s) for update: brand'],
+                            'update of create-only property fails');
+
+                        vmadm.validate({
+                            action: 'update',
+                            brand: 'joyent',
+                            payload: {alias: 'web02'}
+                        }, function onValidate2(err3, result2) {
+                            t.error(err3, 'validate update');
+                            t.ok(result2.valid, 'update payload is valid');
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    suite.test('properties not in the table', function (t) {
+        mockfs({[path.join(SERVER_ROOT, SERVER_UUID, 'vms')]: {}});
+        const vmadm = testSubject(SERVER_ROOT);
+        t.plan(6);
+
+        vmadm.create({
+            alias: 'kvm00',
+            autoboot: false,
+            brand: 'kvm',
+            cpu_burst_ratio: 0.5,
+            disk_driver: 'virtio',
+            disks: [ {boot: true, model: 'virtio', size: 10240} ],
+            nic_driver: 'virtio',
+            nics: [],
+            server_uuid: SERVER_UUID
+        }, function onCreate(err, info) {
+            t.error(err, 'create kvm VM with unknown properties');
+
+            vmadm.update({
+                uuid: info.uuid,
+                zfs_filesystem_limit: 10
+            }, function onUpdate(updateErr) {
+                t.error(updateErr, 'update with an unknown property');
+
+                vmadm.create({
+                    alias: 'minimal00',
+                    autoboot: false,
+                    brand: 'joyent-minimal',
+                    nics: []
+                }, function onCreate2(err2) {
+                    t.error(err2, 'create without image_uuid');
+
+                    vmadm.create({
+                        brand: 'joyent-minimal',
+                        nics: [],
+                        vcpus: 2
+                    }, function onCreate3(err3) {
+                        t.deepEqual(err3.stderrLines,
+                            ['Invalid property(s) for create: vcpus'],
+                            'property not supported by the brand');
+
+                        vmadm.validate({
+                            action: 'create',
+                            payload: {brand: 'joyent', disk_driver: 'virtio'}
+                        }, function onValidate(err4, result) {
+                            t.error(err4, 'validate');
+                            t.deepEqual(result.unknownProperties,
+                                ['disk_driver'],
+                                'validate reports unknown properties');
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
     suite.test('stop', function (t) {
         mockfs({[path.join(SERVER_ROOT, SERVER_UUID, 'vms')]: {}});
         const vmadm = testSubject(SERVER_ROOT);
@@ -404,6 +763,239 @@ tap.test('DummyVmadm', function (suite) {
     //  * modifying some properties with a vmadm.update
     //  * loading the VM again to ensure properties changed as expected
     //
+    suite.test('send->receive', function (t) {
+        mockfs({[path.join(SERVER_ROOT, SERVER_UUID, 'vms')]: {}});
+        const vmadm = testSubject(SERVER_ROOT);
+        t.plan(14);
+
+        function _receive(data, callback) {
+            const input = new stream.PassThrough();
+
+            vmadm.receive({stream: input}, callback);
+            input.end(data);
+        }
+
+        vasync.pipeline({
+            arg: {},
+            funcs: [
+                function _createVm(ctx, cb) {
+                    vmadm.create(payloads.web00, function onCreate(err, info) {
+                        t.error(err, 'create VM to send');
+                        ctx.uuid = info.uuid;
+                        cb(err);
+                    });
+                }, function _createSnapshot(ctx, cb) {
+                    vmadm.create_snapshot({
+                        snapshot_name: 'snap1',
+                        uuid: ctx.uuid
+                    }, function onSnapCreate(err) {
+                        t.error(err, 'create snapshot');
+                        cb(err);
+                    });
+                }, function _send(ctx, cb) {
+                    const chunks = [];
+                    const output = vmadm.send({uuid: ctx.uuid});
+                    let progress = 0;
+
+                    output.on('progress', function onProgress(bytes) {
+                        progress = bytes;
+                    });
+                    output.on('data', function onData(chunk) {
+                        chunks.push(chunk);
+                    });
+                    output.on('end', function onEnd() {
+                        ctx.data = Buffer.concat(chunks);
+                        t.equal(progress, ctx.data.length,
+                            'progress counted all bytes');
+                        cb();
+                    });
+                }, function _receiveExisting(ctx, cb) {
+                    _receive(ctx.data, function onReceive(err) {
+                        t.ok(err instanceof DummyVmadm.errors.VmadmExecError,
+                            'receive of existing VM fails');
+                        t.deepEqual(err.stderrLines, ['Failed to receive VM: ' +
+                            'VM ' + ctx.uuid + ' already exists'], 'reason');
+                        cb();
+                    });
+                }, function _delete(ctx, cb) {
+                    vmadm.delete({uuid: ctx.uuid}, function onDelete(err) {
+                        t.error(err, 'delete sent VM');
+                        cb(err);
+                    });
+                }, function _receiveIncomplete(ctx, cb) {
+                    _receive(ctx.data.slice(0, ctx.data.length - 20),
+                        function onReceive(err) {
+                        t.ok(err instanceof DummyVmadm.errors.VmadmExecError,
+                            'receive of incomplete stream fails');
+                        cb();
+                    });
+                }, function _receiveVm(ctx, cb) {
+                    _receive(ctx.data, function onReceive(err, vm) {
+                        t.error(err, 'receive');
+                        t.equal(vm.uuid, ctx.uuid, 'received VM uuid');
+                        t.equal(vm.alias, 'web00', 'received VM alias');
+                        t.equal(vm.state, 'stopped', 'received VM is stopped');
+                        t.deepEqual(vm.snapshots.map(function (snap) {
+                            return snap.name;
+                        }), ['snap1'], 'received VM has snapshot');
+                        cb(err);
+                    });
+                }, function _sendMissing(_, cb) {
+                    vmadm.send({uuid: uuidv4()}).on('error', function (err) {
+                        t.ok(err instanceof DummyVmadm.errors.VmNotFoundError,
+                            'send of missing VM fails');
+                        cb();
+                    }).resume();
+                }
+            ]
+        }, function _done(err) {
+            t.error(err, 'send->receive');
+            t.end();
+        });
+    });
+
+    suite.test('migrate', function (t) {
+        const targetUuid = uuidv4();
+        const targetVms = path.join(SERVER_ROOT, targetUuid, 'vms');
+        mockfs({[path.join(SERVER_ROOT, SERVER_UUID, 'vms')]: {}});
+        const vmadm = testSubject(SERVER_ROOT);
+        t.plan(25);
+
+        vasync.pipeline({
+            arg: {},
+            funcs: [
+                function _createVm(ctx, cb) {
+                    vmadm.create(payloads.web00, function onCreate(err, info) {
+                        t.error(err, 'create VM to migrate');
+                        ctx.uuid = info.uuid;
+                        cb(err);
+                    });
+                }, function _estimate(ctx, cb) {
+                    vmadm.migrate_estimate({
+                        uuid: ctx.uuid
+                    }, function onEstimate(err, estimate) {
+                        t.error(err, 'estimate');
+                        t.ok(estimate.size > 0, 'estimate size');
+                        t.ok(estimate.eta_ms > 0, 'estimate eta_ms');
+                        cb(err);
+                    });
+                }, function _syncWithoutMigration(ctx, cb) {
+                    vmadm.migrate_sync({uuid: ctx.uuid}, function onSync(err) {
+                        t.ok(err instanceof
+                            DummyVmadm.errors.VmMigrationNotFoundError,
+                            'sync without migration fails');
+                        cb();
+                    });
+                }, function _beginToSelf(ctx, cb) {
+                    vmadm.migrate_begin({
+                        target: SERVER_UUID,
+                        uuid: ctx.uuid
+                    }, function onBegin(err) {
+                        t.ok(err instanceof DummyVmadm.errors.VmadmExecError,
+                            'begin with own server as target fails');
+                        cb();
+                    });
+                }, function _begin(ctx, cb) {
+                    vmadm.migrate_begin({
+                        target: targetUuid,
+                        uuid: ctx.uuid
+                    }, function onBegin(err, migration) {
+                        t.error(err, 'begin');
+                        t.equal(migration.phase, 'begin', 'begin phase');
+                        t.equal(migration.state, 'paused', 'begin state');
+                        cb(err);
+                    });
+                }, function _beginAgain(ctx, cb) {
+                    vmadm.migrate_begin({
+                        target: targetUuid,
+                        uuid: ctx.uuid
+                    }, function onBegin(err) {
+                        t.ok(err instanceof
+                            DummyVmadm.errors.VmMigrationStateError,
+                            'begin while migrating fails');
+                        t.equal(err.state, 'paused', 'error has state');
+                        cb();
+                    });
+                }, function _sync(ctx, cb) {
+                    vmadm.migrate_sync({
+                        uuid: ctx.uuid
+                    }, function onSync(err, migration) {
+                        t.error(err, 'sync');
+                        t.equal(migration.num_sync_phases, 1, 'sync count');
+                        t.equal(migration.progress_history.length, 4,
+                            'sync progress');
+                        t.equal(migration.state, 'paused', 'sync state');
+                        cb(err);
+                    });
+                }, function _watch(ctx, cb) {
+                    const evs = [];
+
+                    vmadm.migrate_watch({
+                        uuid: ctx.uuid
+                    }).on('data', function onData(ev) {
+                        evs.push(ev);
+                    }).on('end', function onEnd() {
+                        t.deepEqual(evs, [
+                            {type: 'end', phase: 'sync', state: 'paused'}
+                        ], 'watch of paused migration ends');
+                        cb();
+                    });
+                }, function _switchConflict(ctx, cb) {
+                    fs.mkdirSync(path.dirname(targetVms));
+                    fs.mkdirSync(targetVms);
+                    fs.writeFileSync(path.join(targetVms, ctx.uuid + '.json'),
+                        '{}');
+
+                    vmadm.migrate_switch({
+                        uuid: ctx.uuid
+                    }, function onSwitch(err) {
+                        t.ok(err instanceof DummyVmadm.errors.VmadmExecError,
+                            'switch to server with the VM fails');
+                        fs.unlinkSync(path.join(targetVms,
+                            ctx.uuid + '.json'));
+                        cb();
+                    });
+                }, function _abort(ctx, cb) {
+                    vmadm.migrate_abort({
+                        uuid: ctx.uuid
+                    }, function onAbort(err, migration) {
+                        t.error(err, 'abort failed migration');
+                        t.equal(migration.state, 'aborted', 'abort state');
+                        cb(err);
+                    });
+                }, function _beginAfterAbort(ctx, cb) {
+                    vmadm.migrate_begin({
+                        target: targetUuid,
+                        uuid: ctx.uuid
+                    }, function onBegin(err) {
+                        t.error(err, 'begin after abort');
+                        cb(err);
+                    });
+                }, function _switch(ctx, cb) {
+                    vmadm.migrate_switch({
+                        uuid: ctx.uuid
+                    }, function onSwitch(err, migration) {
+                        t.error(err, 'switch');
+                        t.equal(migration.state, 'successful',
+                            'switch state');
+                        cb(err);
+                    });
+                }, function _checkMoved(ctx, cb) {
+                    t.ok(fs.existsSync(path.join(targetVms,
+                        ctx.uuid + '.json')), 'VM moved to target');
+                    vmadm.load({uuid: ctx.uuid}, function onLoad(err) {
+                        t.ok(err instanceof DummyVmadm.errors.VmNotFoundError,
+                            'VM no longer on source');
+                        cb();
+                    });
+                }
+            ]
+        }, function _done(err) {
+            t.error(err, 'migrate');
+            t.end();
+        });
+    });
+
     suite.test('update', function (t) {
         mockfs({[path.join(SERVER_ROOT, SERVER_UUID, 'vms')]: {}});
         var updatePayload = {
@@ -529,6 +1121,36 @@ tap.test('DummyVmadmRealFs', function (suite) {
                      });
     });
 
+    suite.test('watch', function (t) {
+        const vmadm = testSubject(path.join(os.tmpdir(), SERVER_ROOT));
+        const watcher = vmadm.watch({
+            name: 'unit-test:watch',
+            types: ['create']
+        });
+        let uuid = null;
+        t.plan(6);
+
+        watcher.on('data', function onEvent(ev) {
+            if (ev.type === 'ready') {
+                t.deepEqual(ev.vms, {}, 'ready event first');
+                vmadm.create(payloads.web00, function onC(err, info) {
+                    t.error(err);
+                    t.ok(info.uuid);
+                    uuid = info.uuid;
+                });
+                return;
+            }
+
+            t.equal(ev.type, 'create');
+            t.equal(ev.vm.alias, payloads.web00.alias);
+            watcher.destroy();
+        });
+        watcher.on('close', function onClose() {
+            t.ok(uuid, 'create called back first');
+            t.end();
+        });
+    });
+
     //
     // This test starts a vmadm.events watcher, and when that emits the "ready"
     // event, creates a VM (A). From that point, each event seen by the handler
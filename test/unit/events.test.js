@@ -0,0 +1,291 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+const tap = require('tap');
+
+const eventsUtil = require('../../lib/events');
+
+const VM_A = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a001';
+const VM_B = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a002';
+const VM_C = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a003';
+
+
+tap.test('vmMap', function (t) {
+    const vms = {[VM_A]: {uuid: VM_A}};
+    const map = eventsUtil.vmMap(vms);
+
+    t.deepEqual(map, vms, 'object keyed by UUID');
+    t.notEqual(map, vms, 'copied');
+    t.deepEqual(eventsUtil.vmMap([ {uuid: VM_A}, {uuid: VM_B} ]), {
+        [VM_A]: {uuid: VM_A},
+        [VM_B]: {uuid: VM_B}
+    }, 'array of VMs');
+    t.end();
+});
+
+tap.test('applyEvent', function (t) {
+    const vms = {[VM_A]: {state: 'running', uuid: VM_A}};
+
+    eventsUtil.applyEvent(vms, {
+        type: 'create',
+        vm: {state: 'running', uuid: VM_B},
+        zonename: VM_B
+    });
+    eventsUtil.applyEvent(vms, {
+        type: 'modify',
+        vm: {state: 'stopped', uuid: VM_A},
+        zonename: VM_A
+    });
+    t.deepEqual(vms, {
+        [VM_A]: {state: 'stopped', uuid: VM_A},
+        [VM_B]: {state: 'running', uuid: VM_B}
+    }, 'create and modify');
+
+    eventsUtil.applyEvent(vms, {type: 'delete', vm: {}, zonename: VM_B});
+    eventsUtil.applyEvent(vms, {type: 'ready', vms: {}});
+    t.deepEqual(Object.keys(vms), [VM_A], 'delete, and ready ignored');
+    t.end();
+});
+
+tap.test('resyncEvents', function (t) {
+    const date = new Date();
+    const evs = eventsUtil.resyncEvents({
+        [VM_A]: {state: 'running', uuid: VM_A},
+        [VM_B]: {state: 'running', uuid: VM_B},
+        [VM_C]: {state: 'stopped', uuid: VM_C}
+    }, {
+        [VM_A]: {state: 'stopped', uuid: VM_A},
+        [VM_C]: {state: 'stopped', uuid: VM_C}
+    }, date);
+
+    t.deepEqual(evs, [ {
+        date: date,
+        synthetic: true,
+        type: 'delete',
+        uuid: VM_B,
+        vm: {},
+        zonename: VM_B
+    }, {
+        changes: [ {
+            action: 'changed',
+            newValue: 'stopped',
+            oldValue: 'running',
+            path: ['state'],
+            prettyPath: 'state'
+        } ],
+        date: date,
+        synthetic: true,
+        type: 'modify',
+        uuid: VM_A,
+        vm: {state: 'stopped', uuid: VM_A},
+        zonename: VM_A
+    } ], 'delete and modify, unchanged VM skipped');
+
+    t.deepEqual(eventsUtil.resyncEvents({}, {[VM_C]: {uuid: VM_C}}, date), [ {
+        date: date,
+        synthetic: true,
+        type: 'create',
+        uuid: VM_C,
+        vm: {uuid: VM_C},
+        zonename: VM_C
+    } ], 'create');
+    t.deepEqual(eventsUtil.resyncEvents({}, {}, date), [], 'nothing missed');
+    t.end();
+});
+
+tap.test('changeMatchesPath', function (t) {
+    function change(prettyPath) {
+        return {action: 'changed', prettyPath: prettyPath};
+    }
+
+    t.ok(eventsUtil.changeMatchesPath(change('state'), 'state'), 'same path');
+    t.notOk(eventsUtil.changeMatchesPath(change('alias'), 'state'),
+        'other path');
+    t.ok(eventsUtil.changeMatchesPath(change('nics.*.ip'), 'nics.*.ip'),
+        'array element');
+    t.ok(eventsUtil.changeMatchesPath(change('nics.*'), 'nics.*.ip'),
+        'change containing the path');
+    t.ok(eventsUtil.changeMatchesPath(change('customer_metadata.foo'),
+        'customer_metadata'), 'change inside the path');
+    t.ok(eventsUtil.changeMatchesPath(change('customer_metadata.foo'),
+        'customer_metadata.*'), 'wildcard property');
+    t.notOk(eventsUtil.changeMatchesPath(change('nics.*.netmask'),
+        'nics.*.ip'), 'other property of an array element');
+    t.ok(eventsUtil.changeMatchesPath({path: ['disks', null, 'size']},
+        'disks.*.size'), 'path without prettyPath');
+    t.end();
+});
+
+tap.test('EventFilter', function (t) {
+    const ready = {
+        type: 'ready',
+        vms: {
+            [VM_A]: {alias: 'a', state: 'running', uuid: VM_A},
+            [VM_B]: {alias: 'b', state: 'stopped', uuid: VM_B}
+        }
+    };
+    const modifyA = {
+        changes: [ {action: 'changed', prettyPath: 'state'} ],
+        type: 'modify',
+        vm: {alias: 'a', state: 'stopped', uuid: VM_A},
+        zonename: VM_A
+    };
+    const none = new eventsUtil.EventFilter({});
+    const byType = new eventsUtil.EventFilter({types: ['create', 'delete']});
+    const bySearch = new eventsUtil.EventFilter({
+        fields: ['alias'],
+        search: {state: 'running'}
+    });
+    const byPath = new eventsUtil.EventFilter({paths: ['nics.*.ip']});
+
+    t.equal(none.filterReady(ready), ready, 'ready passed through');
+    t.equal(none.filterEvent(modifyA), modifyA, 'event passed through');
+
+    t.equal(byType.filterEvent(modifyA), null, 'type filtered');
+    t.equal(byType.filterEvent({type: 'delete', vm: {}, zonename: VM_A}).type,
+        'delete', 'type passed');
+
+    t.deepEqual(bySearch.filterReady(ready).vms, {[VM_A]: {alias: 'a'}},
+        'ready VMs searched and projected');
+    t.equal(Object.keys(ready.vms).length, 2, 'ready event not modified');
+    t.equal(bySearch.filterEvent(modifyA), null,
+        'VM no longer matching filtered');
+    t.equal(bySearch.filterEvent({type: 'delete', vm: {}, zonename: VM_A}),
+        null, 'delete of VM not matching filtered');
+    t.deepEqual(bySearch.filterEvent({
+        type: 'create',
+        vm: {alias: 'c', state: 'running', uuid: VM_C},
+        zonename: VM_C
+    }), {type: 'create', vm: {alias: 'c'}, zonename: VM_C},
+        'create projected');
+    t.deepEqual(bySearch.filterEvent({type: 'delete', vm: {},
+        zonename: VM_C}), {type: 'delete', vm: {}, zonename: VM_C},
+        'delete of VM that matched');
+
+    t.equal(byPath.filterEvent(modifyA), null, 'other path filtered');
+    t.equal(byPath.filterEvent({type: 'modify', vm: {}, zonename: VM_A}).type,
+        'modify', 'modify without changes passed');
+    t.equal(byPath.filterEvent({type: 'create', vm: {}, zonename: VM_A}).type,
+        'create', 'create passed');
+
+    t.throws(function () {
+        return new eventsUtil.EventFilter({types: ['ready']});
+    }, /invalid event type "ready"/, 'invalid type');
+    t.end();
+});
+
+tap.test('EventCoalescer', function (suite) {
+    function modify(uuid, vm) {
+        return {type: 'modify', vm: vm, zonename: uuid};
+    }
+
+    suite.test('modify events merged within the window', function (t) {
+        const seen = [];
+        const coalescer = new eventsUtil.EventCoalescer({
+            coalesce: 20,
+            handler: function (ev) {
+                seen.push(ev);
+            }
+        });
+
+        coalescer.seed({
+            [VM_A]: {state: 'running', uuid: VM_A},
+            [VM_B]: {state: 'running', uuid: VM_B}
+        });
+
+        coalescer.add(modify(VM_A, {state: 'stopping', uuid: VM_A}));
+        coalescer.add(modify(VM_B, {state: 'stopped', uuid: VM_B}));
+        coalescer.add(modify(VM_A, {state: 'stopped', uuid: VM_A}));
+        coalescer.add(modify(VM_A, {
+            alias: 'a',
+            state: 'stopped',
+            uuid: VM_A
+        }));
+        t.equal(seen.length, 0, 'held back');
+
+        setTimeout(function () {
+            t.equal(seen.length, 2, 'one event per VM');
+            t.equal(seen[0].zonename, VM_A, 'in the order first seen');
+            t.equal(seen[0].coalesced, 3, 'merged count');
+            t.deepEqual(seen[0].vm, {alias: 'a', state: 'stopped', uuid: VM_A},
+                'last VM');
+            t.deepEqual(seen[0].changes.map(function (change) {
+                return [change.action, change.prettyPath, change.newValue];
+            }).sort(), [
+                ['added', 'alias', 'a'],
+                ['changed', 'state', 'stopped']
+            ], 'changes between the first old and the last new VM');
+            t.deepEqual(seen[1], modify(VM_B, {state: 'stopped', uuid: VM_B}),
+                'single event passed as it was');
+            t.end();
+        }, 50);
+    });
+
+    suite.test('create and delete keep their order', function (t) {
+        const seen = [];
+        const coalescer = new eventsUtil.EventCoalescer({
+            coalesce: 1000,
+            handler: function (ev) {
+                seen.push([ev.type, ev.zonename, ev.coalesced]);
+            }
+        });
+
+        coalescer.seed([ {state: 'running', uuid: VM_A} ]);
+
+        coalescer.add(modify(VM_A, {state: 'stopping', uuid: VM_A}));
+        coalescer.add(modify(VM_A, {state: 'stopped', uuid: VM_A}));
+        coalescer.add({type: 'delete', vm: {}, zonename: VM_A});
+        coalescer.add({
+            type: 'create',
+            vm: {state: 'running', uuid: VM_B},
+            zonename: VM_B
+        });
+        coalescer.add(modify(VM_B, {state: 'stopped', uuid: VM_B}));
+
+        t.deepEqual(seen, [
+            ['modify', VM_A, 2],
+            ['delete', VM_A, undefined],
+            ['create', VM_B, undefined]
+        ], 'modify flushed before the delete');
+
+        coalescer.stop();
+        coalescer.add(modify(VM_B, {state: 'running', uuid: VM_B}));
+        t.equal(seen.length, 3, 'nothing after stop');
+        t.end();
+    });
+
+    suite.test('passed straight on', function (t) {
+        const seen = [];
+        const handler = function (ev) {
+            seen.push(ev.type);
+        };
+        const unseeded = new eventsUtil.EventCoalescer({
+            coalesce: 1000,
+            handler: handler
+        });
+        const off = new eventsUtil.EventCoalescer({handler: handler});
+
+        off.seed({});
+        off.add(modify(VM_A, {uuid: VM_A}));
+        unseeded.add(modify(VM_A, {uuid: VM_A}));
+        t.deepEqual(seen, ['modify', 'modify'], 'not held back');
+
+        t.throws(function () {
+            return new eventsUtil.EventCoalescer({
+                coalesce: -1,
+                handler: handler
+            });
+        }, /opts.coalesce must be >= 0/, 'invalid window');
+        t.end();
+    });
+
+    suite.end();
+});
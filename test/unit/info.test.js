@@ -0,0 +1,57 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+const tap = require('tap');
+
+const info = require('../../lib/info');
+
+
+tap.test('VmInfo', function (t) {
+    const vmInfo = new info.VmInfo({
+        block: [ {
+            device: 'virtio0',
+            inserted: {file: '/dev/zvol/rdsk/zones/disk0', ro: false}
+        }, {
+            device: 'ide1-cd0'
+        } ],
+        spice: {enabled: true, host: '10.0.0.5', port: 5930},
+        status: 'running',
+        vnc: {display: 1, host: '10.0.0.5', port: 5901}
+    });
+
+    t.equal(vmInfo.status, 'running', 'types are properties');
+    t.deepEqual(vmInfo.vncAddress(), {display: 1, host: '10.0.0.5',
+        port: 5901}, 'vncAddress');
+    t.deepEqual(vmInfo.spiceAddress(), {host: '10.0.0.5', port: 5930},
+        'spiceAddress');
+    t.deepEqual(vmInfo.blockDevices(), [
+        {device: 'virtio0', file: '/dev/zvol/rdsk/zones/disk0',
+            readOnly: false},
+        {device: 'ide1-cd0', file: undefined, readOnly: false}
+    ], 'blockDevices');
+
+    const empty = new info.VmInfo({vnc: {}, spice: {enabled: false}});
+    t.equal(empty.vncAddress(), null, 'no VNC listener');
+    t.equal(empty.spiceAddress(), null, 'SPICE disabled');
+    t.deepEqual(empty.blockDevices(), [], 'no block info');
+    t.end();
+});
+
+tap.test('assertInfoTypes', function (t) {
+    t.doesNotThrow(function () {
+        info.assertInfoTypes(undefined, 'types');
+        info.assertInfoTypes(['all', 'vnc'], 'types');
+    }, 'known types');
+    t.throws(function () {
+        info.assertInfoTypes(['vnc', 'bogus'], 'types');
+    }, /unknown info type "bogus"/, 'unknown type');
+    t.end();
+});
@@ -0,0 +1,239 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+/*
+ * Checks that the backends leave the objects passed to them unchanged, so that
+ * callers can reuse them.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+
+const fse = require('fs-extra');
+const tap = require('tap');
+const vasync = require('vasync');
+
+const DummyVmadm = require('../../lib/index.dummy');
+const sunos = require('../../lib/index.sunos');
+const testutil = require('./testutil');
+
+const IMAGE_UUID = '643de2c0-672e-11e7-9a3f-ff62fd3708f8';
+const NEW_IMAGE_UUID = 'a2ef2b6c-1b1a-11e9-8d7e-4b1a8e5e3b1e';
+const SERVER_UUID = 'a54cf694-4e7d-4fa4-a697-ae949b91a957';
+const VM_UUID = '3a7c4ba4-4ad9-4a5d-a2cb-7bc1a0d2a8d0';
+
+
+function createPayload(log) {
+    return {
+        alias: 'web00',
+        autoboot: false,
+        brand: 'joyent',
+        image_uuid: IMAGE_UUID,
+        include_dni: false,
+        log: log,
+        max_physical_memory: 512,
+        nics: [ {
+            gateway: '10.88.88.2',
+            ip: '10.88.88.52',
+            netmask: '255.255.255.0',
+            nic_tag: 'admin'
+        } ],
+        req_id: 'create-req',
+        tags: {role: 'web'},
+        uuid: VM_UUID
+    };
+}
+
+function updatePayload(log) {
+    return {
+        alias: 'web01',
+        include_dni: false,
+        log: log,
+        req_id: 'update-req',
+        set_tags: {role: 'db'},
+        uuid: VM_UUID
+    };
+}
+
+function reprovisionPayload(log) {
+    return {
+        image_uuid: NEW_IMAGE_UUID,
+        include_dni: false,
+        log: log,
+        req_id: 'reprovision-req',
+        uuid: VM_UUID
+    };
+}
+
+/*
+ * Runs "func" with "input" and checks that "input" is unchanged once func calls
+ * back. The logger is compared by identity, and everything else by value.
+ */
+function checkUnchanged(t, name, input, func, callback) {
+    const log = input.log;
+    const before = JSON.stringify(Object.assign({}, input, {log: undefined}));
+
+    func(input, function onDone(err) {
+        t.error(err, name);
+        t.equal(input.log, log, name + ': log unchanged');
+        t.equal(JSON.stringify(Object.assign({}, input, {log: undefined})),
+            before, name + ': input unchanged');
+        callback();
+    });
+}
+
+
+/*
+ * Returns a replacement for child_process.spawn that succeeds, writing
+ * "stdout" for the commands it has output for.
+ */
+function fakeSpawner(stdout) {
+    return function fakeSpawn(_cmd, args) {
+        const child = new EventEmitter();
+
+        child.stdout = new stream.PassThrough();
+        child.stderr = new stream.PassThrough();
+        child.stdin = new stream.PassThrough();
+        child.stdin.resume();
+
+        setImmediate(function () {
+            child.stdout.end(stdout[args[0]] || '');
+            child.stderr.end();
+            setImmediate(function () {
+                child.emit('close', 0, null);
+            });
+        });
+
+        return child;
+    };
+}
+
+
+tap.test('SmartOS backend', function (t) {
+    const log = testutil.createBunyanLogger(t);
+    const spawn = fakeSpawner({
+        get: JSON.stringify({uuid: VM_UUID}),
+        lookup: '[]'
+    });
+    const zonesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmadm-inputs-'));
+
+    fs.writeFileSync(path.join(zonesDir, VM_UUID + '.xml'), '');
+
+    function withExecOpts(input) {
+        return Object.assign(input, {
+            execTimeout: 10000,
+            spawn: spawn,
+            zonesDir: zonesDir
+        });
+    }
+
+    vasync.pipeline({
+        funcs: [
+            function _create(_, cb) {
+                checkUnchanged(t, 'create', withExecOpts(createPayload(log)),
+                    sunos.create, cb);
+            }, function _update(_, cb) {
+                checkUnchanged(t, 'update', withExecOpts(updatePayload(log)),
+                    sunos.update, cb);
+            }, function _reprovision(_, cb) {
+                checkUnchanged(t, 'reprovision',
+                    withExecOpts(reprovisionPayload(log)), sunos.reprovision,
+                    cb);
+            }, function _load(_, cb) {
+                checkUnchanged(t, 'load', withExecOpts({
+                    fields: ['uuid'],
+                    log: log,
+                    uuid: VM_UUID
+                }), sunos.load, cb);
+            }, function _lookup(_, cb) {
+                const search = {brand: 'joyent'};
+
+                checkUnchanged(t, 'lookup', withExecOpts({
+                    fields: ['uuid', 'alias'],
+                    log: log
+                }), function (opts, done) {
+                    sunos.lookup(search, opts, done);
+                }, function () {
+                    t.deepEqual(search, {brand: 'joyent'},
+                        'lookup: search unchanged');
+                    cb();
+                });
+            }, function _client(_, cb) {
+                const client = sunos.createClient({
+                    defaults: {include_dni: true},
+                    log: log
+                });
+
+                checkUnchanged(t, 'client create',
+                    withExecOpts(createPayload(log)),
+                    client.create.bind(client), cb);
+            }
+        ]
+    }, function onDone(err) {
+        t.error(err);
+        fse.removeSync(zonesDir);
+        t.end();
+    });
+});
+
+
+tap.test('dummy backend', function (t) {
+    const serverRoot = fs.mkdtempSync(path.join(os.tmpdir(),
+        'vmadm-inputs-'));
+    const vmadm = new DummyVmadm({
+        log: testutil.createBunyanLogger(t),
+        serverRoot: serverRoot,
+        serverUuid: SERVER_UUID,
+        sysinfo: {
+            'Datacenter Name': 'testdc',
+            'Live Image': '20180806T115631Z',
+            'UUID': SERVER_UUID
+        }
+    });
+    const log = vmadm.log;
+
+    fse.mkdirsSync(path.join(serverRoot, SERVER_UUID, 'vms'));
+
+    vasync.pipeline({
+        funcs: [
+            function _create(_, cb) {
+                checkUnchanged(t, 'create', createPayload(log),
+                    vmadm.create.bind(vmadm), cb);
+            }, function _update(_, cb) {
+                checkUnchanged(t, 'update', updatePayload(log),
+                    vmadm.update.bind(vmadm), cb);
+            }, function _reprovision(_, cb) {
+                checkUnchanged(t, 'reprovision', reprovisionPayload(log),
+                    vmadm.reprovision.bind(vmadm), cb);
+            }, function _load(_, cb) {
+                checkUnchanged(t, 'load', {
+                    fields: ['uuid'],
+                    log: log,
+                    uuid: VM_UUID
+                }, vmadm.load.bind(vmadm), cb);
+            }, function _lookup(_, cb) {
+                checkUnchanged(t, 'lookup', {
+                    fields: ['uuid', 'alias'],
+                    log: log
+                }, function (opts, done) {
+                    vmadm.lookup({}, opts, done);
+                }, cb);
+            }
+        ]
+    }, function onDone(err) {
+        t.error(err);
+        fse.removeSync(serverRoot);
+        t.end();
+    });
+});
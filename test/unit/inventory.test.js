@@ -0,0 +1,238 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+
+const tap = require('tap');
+
+const VmInventory = require('../../lib/inventory').VmInventory;
+
+const VM_A = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a001';
+const VM_B = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a002';
+const VM_C = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a003';
+
+
+/*
+ * Returns a backend whose events() becomes ready with "vms" when ready() is
+ * called. Events are sent with emit(ev), and the returned stream is "stream".
+ */
+function fakeBackend(vms) {
+    const backend = {
+        stopped: false,
+        stream: new EventEmitter()
+    };
+
+    backend.events = function (opts, handler, callback) {
+        backend.opts = opts;
+        backend.emit = handler;
+        backend.ready = function () {
+            callback(null, {
+                ev: {date: new Date(), type: 'ready', vms: vms},
+                stop: function () {
+                    backend.stopped = true;
+                }
+            });
+        };
+        return backend.stream;
+    };
+
+    return backend;
+}
+
+function vm(uuid, extra) {
+    const obj = {
+        alias: 'vm-' + uuid.substr(-1),
+        create_timestamp: '2019-01-0' + uuid.substr(-1) + 'T00:00:00.000Z',
+        state: 'running',
+        uuid: uuid
+    };
+
+    Object.keys(extra || {}).forEach(function (k) {
+        obj[k] = extra[k];
+    });
+
+    return obj;
+}
+
+
+tap.test('seeded from the ready event', function (t) {
+    const backend = fakeBackend({
+        [VM_B]: vm(VM_B),
+        [VM_A]: vm(VM_A),
+        [VM_C]: vm(VM_C, {do_not_inventory: true})
+    });
+    const inventory = new VmInventory({backend: backend, name: 'test'});
+    let ready = false;
+
+    inventory.on('ready', function () {
+        ready = true;
+    });
+    inventory.start(function (err) {
+        t.error(err, 'start');
+        t.ok(ready, 'ready emitted');
+        t.equal(backend.opts.name, 'test', 'name passed to events');
+
+        t.equal(inventory.get(VM_A).alias, 'vm-1', 'get');
+        t.equal(inventory.get(VM_C), undefined, 'get skips DNI VMs');
+        t.equal(inventory.get(VM_C, {include_dni: true}).uuid, VM_C,
+            'get with include_dni');
+        t.equal(inventory.get('nope'), undefined, 'get missing VM');
+
+        t.deepEqual(inventory.list().map(function (v) {
+            return v.uuid;
+        }), [VM_A, VM_B], 'list in creation order');
+        t.equal(inventory.list({include_dni: true}).length, 3,
+            'list with include_dni');
+
+        t.deepEqual(inventory.lookup({alias: /^vm-[12]$/}, {
+            fields: ['alias']
+        }), [ {alias: 'vm-1'}, {alias: 'vm-2'} ], 'lookup with fields');
+        t.deepEqual(inventory.lookup({alias: 'vm-3'}), [],
+            'lookup skips DNI VMs');
+        t.equal(inventory.lookup({alias: 'vm-3'}, {include_dni: true}).length,
+            1, 'lookup with include_dni');
+
+        inventory.stop();
+        t.ok(backend.stopped, 'stop stops the stream');
+        t.end();
+    });
+    backend.ready();
+});
+
+tap.test('events update the inventory', function (t) {
+    const backend = fakeBackend([ vm(VM_A), vm(VM_B) ]);
+    const inventory = new VmInventory({backend: backend});
+    const seen = [];
+
+    inventory.on('added', function (v) {
+        seen.push(['added', v.uuid]);
+    });
+    inventory.on('changed', function (v, changes, oldVm) {
+        seen.push(['changed', v.uuid, changes.length, oldVm.state]);
+    });
+    inventory.on('stateChanged', function (v, oldState) {
+        seen.push(['stateChanged', v.uuid, oldState, v.state]);
+    });
+    inventory.on('removed', function (v) {
+        seen.push(['removed', v.uuid, v.alias]);
+    });
+
+    inventory.start(function (err) {
+        t.error(err, 'start');
+
+        backend.emit({type: 'create', vm: vm(VM_C), zonename: VM_C});
+        backend.emit({
+            changes: [ {action: 'changed', path: ['state']} ],
+            type: 'modify',
+            uuid: VM_A,
+            vm: vm(VM_A, {state: 'stopped'}),
+            zonename: VM_A
+        });
+        // Without changes, they're worked out.
+        backend.emit({type: 'modify', vm: vm(VM_B, {alias: 'renamed'}),
+            zonename: VM_B});
+        // No change at all.
+        backend.emit({type: 'modify', vm: vm(VM_B, {alias: 'renamed'}),
+            zonename: VM_B});
+        backend.emit({type: 'delete', vm: {}, zonename: VM_C});
+        backend.emit({type: 'delete', vm: {}, zonename: VM_C});
+
+        t.deepEqual(seen, [
+            ['added', VM_C],
+            ['changed', VM_A, 1, 'running'],
+            ['stateChanged', VM_A, 'running', 'stopped'],
+            ['changed', VM_B, 1, 'running'],
+            ['removed', VM_C, 'vm-3']
+        ], 'events');
+        t.equal(inventory.get(VM_A).state, 'stopped', 'VM updated');
+        t.equal(inventory.get(VM_B).alias, 'renamed', 'VM updated');
+        t.equal(inventory.get(VM_C), undefined, 'VM removed');
+        t.end();
+    });
+    backend.ready();
+});
+
+tap.test('events before ready are applied after seeding', function (t) {
+    const backend = fakeBackend({[VM_A]: vm(VM_A)});
+    const inventory = new VmInventory({backend: backend});
+    const added = [];
+
+    inventory.on('added', function (v) {
+        added.push(v.uuid);
+    });
+
+    inventory.start(function (err) {
+        t.error(err, 'start');
+        t.deepEqual(added, [VM_B], 'only the new VM was added');
+        t.equal(inventory.list().length, 2, 'both VMs');
+        t.end();
+    });
+
+    backend.emit({type: 'create', vm: vm(VM_A), zonename: VM_A});
+    backend.emit({type: 'create', vm: vm(VM_B), zonename: VM_B});
+    backend.ready();
+});
+
+tap.test('stream notifications', function (t) {
+    const backend = fakeBackend({});
+    const inventory = new VmInventory({
+        backend: backend,
+        reconnect: {maxAttempts: 3}
+    });
+    const streamErr = new Error('vmadm aborted');
+
+    inventory.start(function (err) {
+        t.error(err, 'start');
+        t.deepEqual(backend.opts.reconnect, {maxAttempts: 3},
+            'reconnect passed to events');
+
+        inventory.once('reconnect', function (info) {
+            t.deepEqual(info, {reconnects: 1}, 'reconnect');
+        });
+        inventory.once('error', function (e) {
+            t.equal(e, streamErr, 'error');
+        });
+        backend.stream.emit('reconnect', {reconnects: 1});
+        backend.stream.emit('error', streamErr);
+
+        inventory.stop();
+        backend.stream.emit('error', streamErr);
+        t.end();
+    });
+    backend.ready();
+});
+
+tap.test('start errors and stopping early', function (t) {
+    const failing = {
+        events: function (_opts, _handler, callback) {
+            setImmediate(callback, new Error('Invalid command'));
+            return new EventEmitter();
+        }
+    };
+    const backend = fakeBackend({[VM_A]: vm(VM_A)});
+    const inventory = new VmInventory({backend: backend});
+
+    new VmInventory({backend: failing}).start(function (err) {
+        t.equal(err.message, 'Invalid command', 'error from events');
+
+        inventory.start(function (startErr) {
+            t.error(startErr, 'start');
+            t.ok(backend.stopped, 'stream stopped once ready');
+            t.deepEqual(inventory.list(), [], 'not seeded');
+            t.throws(function () {
+                inventory.start(function () {});
+            }, /only be started once/, 'cannot restart');
+            t.end();
+        });
+        inventory.stop();
+        backend.ready();
+    });
+});
@@ -0,0 +1,137 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+const tap = require('tap');
+
+const errors = require('../../lib/errors');
+const migrate = require('../../lib/migrate');
+
+const UUID = '3a2c3a1e-09c5-4ad0-8f3d-2a5f3b7f6c01';
+
+
+tap.test('canTransition', function (t) {
+    const paused = {phase: 'begin', state: 'paused'};
+
+    t.ok(migrate.canTransition('begin', undefined), 'begin without migration');
+    t.notOk(migrate.canTransition('sync', undefined),
+        'sync without migration');
+    t.notOk(migrate.canTransition('abort', undefined),
+        'abort without migration');
+
+    t.notOk(migrate.canTransition('begin', paused), 'begin while paused');
+    t.ok(migrate.canTransition('sync', paused), 'sync after begin');
+    t.ok(migrate.canTransition('switch', paused), 'switch after begin');
+    t.ok(migrate.canTransition('abort', paused), 'abort after begin');
+
+    t.notOk(migrate.canTransition('abort',
+        {phase: 'sync', state: 'running'}), 'abort while running');
+    t.ok(migrate.canTransition('abort', {phase: 'switch', state: 'failed'}),
+        'abort failed switch');
+    t.notOk(migrate.canTransition('sync', {phase: 'switch', state: 'failed'}),
+        'sync after failed switch');
+    t.ok(migrate.canTransition('begin',
+        {phase: 'switch', state: 'successful'}), 'begin after success');
+    t.ok(migrate.canTransition('begin', {phase: 'abort', state: 'aborted'}),
+        'begin after abort');
+    t.notOk(migrate.canTransition('abort',
+        {phase: 'abort', state: 'aborted'}), 'abort twice');
+    t.end();
+});
+
+tap.test('stderr messages', function (t) {
+    const stateMsg = migrate.migrationStateMessage('sync', UUID,
+        {phase: 'switch', state: 'successful'});
+    let matches;
+
+    matches = migrate.MIGRATION_STATE_RE.exec(stateMsg);
+    t.ok(matches, 'state message matches');
+    t.deepEqual(matches.slice(1),
+        ['sync', UUID, 'successful', 'switch'], 'state message fields');
+
+    matches = migrate.NO_MIGRATION_RE.exec(migrate.noMigrationMessage(UUID));
+    t.ok(matches, 'no migration message matches');
+    t.equal(matches[1], UUID, 'no migration uuid');
+    t.end();
+});
+
+tap.test('endEvent', function (t) {
+    t.deepEqual(migrate.endEvent({
+        phase: 'sync',
+        state: 'paused',
+        target: UUID
+    }), {type: 'end', phase: 'sync', state: 'paused'}, 'paused');
+    t.deepEqual(migrate.endEvent({
+        error: 'out of space',
+        phase: 'switch',
+        state: 'failed'
+    }), {
+        type: 'end',
+        phase: 'switch',
+        state: 'failed',
+        error: 'out of space'
+    }, 'failed');
+    t.end();
+});
+
+tap.test('MigrationWatchStream', function (t) {
+    const evs = [];
+    const s = new migrate.MigrationWatchStream({
+        args: ['migrate', 'watch', UUID]
+    });
+    const progress = {
+        type: 'progress',
+        phase: 'sync',
+        state: 'running',
+        current_progress: 10,
+        total_progress: 100,
+        message: 'syncing'
+    };
+
+    s.on('data', function (ev) {
+        evs.push(ev);
+    });
+    s.on('end', function () {
+        t.deepEqual(evs, [
+            progress,
+            {type: 'end', phase: 'sync', state: 'paused'}
+        ], 'events');
+        t.end();
+    });
+
+    s.write(JSON.stringify(progress));
+    s.end('{"type": "end", "phase": "sync", "state": "paused"}');
+});
+
+tap.test('MigrationWatchStream parse errors', function (t) {
+    const lines = [
+        'not json',
+        '["progress"]',
+        '{"type": "start", "phase": "sync", "state": "running"}',
+        '{"type": "end", "phase": "sync", "state": "done"}',
+        '{"type": "progress", "phase": "sync", "state": "running"}'
+    ];
+
+    t.plan(lines.length * 3);
+
+    lines.forEach(function (line) {
+        const s = new migrate.MigrationWatchStream({
+            args: ['migrate', 'watch', UUID],
+            req_id: 'abc'
+        });
+
+        s.on('error', function (err) {
+            t.ok(err instanceof errors.VmadmParseError, line + ': type');
+            t.equal(err.stdout, line, line + ': stdout');
+            t.equal(err.req_id, 'abc', line + ': req_id');
+        });
+        s.write(line);
+    });
+});
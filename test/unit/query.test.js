@@ -0,0 +1,142 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+const tap = require('tap');
+
+const query = require('../../lib/query');
+
+const VM = {
+    alias: '007',
+    autoboot: true,
+    brand: 'bhyve',
+    nics: [
+        {ip: '10.0.0.5', nic_tag: 'admin'},
+        {ip: '192.168.1.5', nic_tag: 'external'}
+    ],
+    ram: 2048,
+    tags: {role: 'web', tier: 2}
+};
+
+
+tap.test('renderSearch', function (t) {
+    t.deepEqual(query.renderSearch({
+        alias: /^web/,
+        autoboot: true,
+        'nics.*.ip': '10.0.0.5',
+        ram: {'>': 1024, '<': '8192'},
+        'tags.role': {'~': 'we+b'}
+    }), [
+        'alias=~^web',
+        'autoboot=true',
+        'nics.*.ip=10.0.0.5',
+        'ram>1024',
+        'ram<8192',
+        'tags.role=~we+b'
+    ], 'operators');
+
+    t.deepEqual(query.renderSearch({alias: '~web.1'}),
+        ['alias=~^~web\\.1$'], 'a leading "~" is not taken as a regexp');
+    t.deepEqual(query.renderSearch({alias: '007', ram: '1024.0'}),
+        ['alias=007', 'ram=1024.0'], 'values for "=" are not coerced');
+    t.end();
+});
+
+tap.test('invalid searches', function (t) {
+    t.throws(function () {
+        query.renderSearch({'ram>1': 2});
+    }, /invalid search key/, 'operator in key');
+    t.throws(function () {
+        query.renderSearch({'*.ip': '10.0.0.5'});
+    }, /invalid search key/, 'leading "*"');
+    t.throws(function () {
+        query.renderSearch({ram: {'>': 'lots'}});
+    }, /search.ram \(>\)/, 'non-numeric comparison');
+    t.throws(function () {
+        query.renderSearch({ram: {'>=': 1}});
+    }, /unknown operator/, 'unknown operator');
+    t.throws(function () {
+        query.renderSearch({alias: /web/i});
+    }, /without flags/, 'RegExp with flags');
+    t.throws(function () {
+        query.renderSearch({alias: {'~': '('}});
+    }, SyntaxError, 'bad regexp');
+    t.throws(function () {
+        query.renderSearch({nics: []});
+    }, /must be a string, number or boolean/, 'array value');
+    t.end();
+});
+
+tap.test('parseSearchArg', function (t) {
+    t.deepEqual(query.parseSearchArg('alias=~^web'),
+        {key: 'alias', op: '~', value: '^web'}, 'regexp');
+    t.deepEqual(query.parseSearchArg('ram<1024'),
+        {key: 'ram', op: '<', value: '1024'}, 'less than');
+    t.deepEqual(query.parseSearchArg('tags.a=b=c'),
+        {key: 'tags.a', op: '=', value: 'b=c'}, 'value with "="');
+    t.equal(query.parseSearchArg('alias'), null, 'no operator');
+    t.equal(query.parseSearchArg('=web'), null, 'no key');
+    t.end();
+});
+
+tap.test('matchesSearch', function (t) {
+    function matches(search) {
+        return query.matchesSearch(VM, search);
+    }
+
+    t.ok(matches({}), 'empty search');
+    t.ok(matches({brand: 'bhyve', ram: '2048'}), 'numbers are coerced');
+    t.ok(matches({autoboot: 'true'}), 'booleans are coerced');
+    t.ok(matches({alias: '007'}), 'numeric looking strings');
+    t.notOk(matches({alias: '7'}), 'but not loosely');
+    t.ok(matches({'tags.role': 'web', 'tags.tier': 2}), 'nested keys');
+    t.ok(matches({'nics.*.ip': '192.168.1.5'}), 'any array element');
+    t.ok(matches({'tags.*': 'web'}), 'any object value');
+    t.ok(matches({'nics.*.nic_tag': /^ext/}), 'regexp');
+    t.ok(matches({ram: {'>': 1024, '<': 4096}}), 'range');
+    t.notOk(matches({ram: {'>': 2048}}), 'greater than is strict');
+    t.notOk(matches({brand: 'bhyve', alias: 'web'}), 'all must match');
+    t.notOk(matches({quota: {'<': 100}}), 'missing property');
+    t.notOk(matches({nics: 'x'}), 'objects do not match');
+    t.end();
+});
+
+tap.test('selectVms', function (t) {
+    const vms = [
+        {alias: 'b', create_timestamp: '2019-01-02T00:00:00.000Z', uuid: '2'},
+        {alias: 'a', create_timestamp: '2019-01-01T00:00:00.000Z', uuid: '1'},
+        {
+            alias: 'c',
+            create_timestamp: '2019-01-03T00:00:00.000Z',
+            do_not_inventory: true,
+            uuid: '3'
+        }
+    ];
+
+    t.deepEqual(query.selectVms(vms, {}, {}).map(function (vm) {
+        return vm.uuid;
+    }), ['1', '2'], 'in creation order, without DNI VMs');
+    t.equal(query.selectVms(vms, {}, {include_dni: true}).length, 3,
+        'include_dni');
+    t.deepEqual(query.selectVms(vms, {alias: /^[bc]$/}, {
+        fields: ['uuid', 'nope'],
+        include_dni: true
+    }), [ {uuid: '2'}, {uuid: '3'} ], 'search and fields');
+    t.deepEqual(query.selectVms([
+        {create_timestamp: vms[0].create_timestamp, uuid: '4'},
+        vms[0],
+        {create_timestamp: vms[0].create_timestamp, uuid: '5'}
+    ], {}, {}).map(function (vm) {
+        return vm.uuid;
+    }), ['4', '2', '5'], 'VMs created at the same time keep their order');
+    t.deepEqual(query.projectVm(VM, ['alias']), {alias: VM.alias},
+        'projectVm');
+    t.end();
+});
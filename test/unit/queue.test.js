@@ -0,0 +1,175 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+const tap = require('tap');
+
+const VmadmQueue = require('../../lib/queue').VmadmQueue;
+
+const UUID_A = '0c7ab6e2-8d5e-4a1e-9a89-2fb4c6b6b1a1';
+const UUID_B = '5e1d1f6e-3f57-4cb4-8b0b-7a7f6e0a3c22';
+
+
+/*
+ * A backend whose operations don't finish until finish(idx) is called, and
+ * which records the order operations start in.
+ */
+function FakeBackend() {
+    this.started = [];
+    this.callbacks = [];
+}
+
+['start', 'stop', 'update'].forEach(function (name) {
+    FakeBackend.prototype[name] = function (opts, callback) {
+        this.started.push(name + ':' + opts.uuid);
+        this.callbacks.push(callback);
+    };
+});
+
+FakeBackend.prototype.load = function (opts, callback) {
+    callback(null, {uuid: opts.uuid});
+};
+
+FakeBackend.prototype.watch = function (opts) {
+    return {watching: opts.uuid};
+};
+
+FakeBackend.prototype.finish = function (idx, err, result) {
+    this.callbacks[idx](err, result);
+};
+
+
+tap.test('VmadmQueue', function (suite) {
+    suite.test('serializes operations per VM', function (t) {
+        const backend = new FakeBackend();
+        const queue = new VmadmQueue({backend: backend});
+        const done = [];
+
+        queue.update({uuid: UUID_A}, function (err, result) {
+            t.error(err, 'update');
+            t.equal(result, 'updated', 'result passed through');
+            done.push('update:' + UUID_A);
+        });
+        queue.stop({uuid: UUID_A}, function () {
+            done.push('stop:' + UUID_A);
+        });
+        queue.start({uuid: UUID_B}, function () {
+            done.push('start:' + UUID_B);
+        });
+
+        t.deepEqual(backend.started, ['update:' + UUID_A, 'start:' + UUID_B],
+            'second operation for A waits, B runs');
+        t.equal(queue.depth(UUID_A), 2, 'depth for A');
+        t.equal(queue.depth(UUID_B), 1, 'depth for B');
+        t.equal(queue.depth(), 3, 'total depth');
+        t.deepEqual(queue.stats(), {
+            concurrency: Infinity,
+            pending: 1,
+            running: 2,
+            vms: {[UUID_A]: 2, [UUID_B]: 1}
+        }, 'stats');
+
+        backend.finish(0, null, 'updated');
+        t.deepEqual(backend.started, ['update:' + UUID_A, 'start:' + UUID_B,
+            'stop:' + UUID_A], 'stop for A runs once update is done');
+
+        backend.finish(2);
+        backend.finish(1);
+        t.deepEqual(done, ['update:' + UUID_A, 'stop:' + UUID_A,
+            'start:' + UUID_B], 'all done');
+        t.equal(queue.depth(), 0, 'queue is empty');
+        t.end();
+    });
+
+    suite.test('concurrency limits operations across VMs', function (t) {
+        const backend = new FakeBackend();
+        const queue = new VmadmQueue({backend: backend, concurrency: 1});
+
+        queue.stop({uuid: UUID_A}, function () {});
+        queue.stop({uuid: UUID_B}, function () {});
+
+        t.deepEqual(backend.started, ['stop:' + UUID_A], 'only one runs');
+        t.equal(queue.stats().pending, 1, 'one pending');
+
+        backend.finish(0);
+        t.deepEqual(backend.started, ['stop:' + UUID_A, 'stop:' + UUID_B],
+            'next one runs');
+        backend.finish(1);
+        t.end();
+    });
+
+    suite.test('other operations pass through', function (t) {
+        const backend = new FakeBackend();
+        const queue = new VmadmQueue({backend: backend});
+
+        queue.update({uuid: UUID_A}, function () {});
+        queue.load({uuid: UUID_A}, function (err, vm) {
+            t.error(err, 'load');
+            t.equal(vm.uuid, UUID_A, 'load is not queued behind update');
+            t.notOk(queue.kill, 'unimplemented operations are not added');
+            t.deepEqual(queue.watch({uuid: UUID_A}), {watching: UUID_A},
+                'watch passes through');
+            backend.finish(0);
+            t.end();
+        });
+    });
+
+    suite.test('operations that throw', function (t) {
+        const backend = new FakeBackend();
+        const queue = new VmadmQueue({backend: backend});
+
+        backend.stop = function () {
+            throw new Error('stop threw');
+        };
+
+        queue.update({uuid: UUID_A}, function () {
+            throw new Error('callback threw');
+        });
+        queue.stop({uuid: UUID_A}, function (err) {
+            t.equal(err.message, 'stop threw', 'called back with the error');
+            t.equal(queue.depth(), 1, 'slot released');
+            t.deepEqual(backend.started, ['update:' + UUID_A,
+                'start:' + UUID_A], 'next operation runs');
+            backend.finish(1);
+            t.end();
+        });
+        queue.start({uuid: UUID_A}, function (err) {
+            t.error(err, 'start');
+        });
+
+        t.throws(function () {
+            backend.finish(0);
+        }, /callback threw/, 'throw from the callback passed on');
+        t.equal(queue.stats().running, 1, 'stop runs until called back');
+    });
+
+    suite.test('promises', function (t) {
+        const backend = new FakeBackend();
+        const queue = new VmadmQueue({backend: backend});
+
+        const first = queue.promises.update({uuid: UUID_A});
+        const second = queue.promises.update({uuid: UUID_A});
+
+        t.equal(backend.started.length, 1, 'second update waits');
+        backend.finish(0, null, 'first');
+
+        return first.then(function (result) {
+            t.equal(result, 'first', 'first resolved');
+            backend.finish(1, new Error('second failed'));
+            return second;
+        }).then(function () {
+            t.fail('second should reject');
+        }, function (err) {
+            t.equal(err.message, 'second failed', 'second rejected');
+        });
+    });
+
+    suite.end();
+});
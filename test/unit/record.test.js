@@ -0,0 +1,180 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const stream = require('stream');
+
+const tap = require('tap');
+
+const record = require('../../lib/record');
+
+const VM_A = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a001';
+
+
+/*
+ * Returns a backend whose events() becomes ready when ready() is called.
+ * Events are sent with emit(ev).
+ */
+function fakeBackend() {
+    const backend = {
+        loaded: [],
+        stopped: false
+    };
+
+    backend.events = function (opts, handler, callback) {
+        backend.opts = opts;
+        backend.emit = handler;
+        backend.ready = function () {
+            callback(null, {
+                ev: {
+                    date: new Date('2019-06-01T00:00:00Z'),
+                    type: 'ready',
+                    vms: {}
+                },
+                stop: function () {
+                    backend.stopped = true;
+                }
+            });
+        };
+        return new EventEmitter();
+    };
+
+    backend.load = function (opts, callback) {
+        backend.loaded.push(opts);
+        setImmediate(callback, null, {uuid: opts.uuid});
+    };
+
+    return backend;
+}
+
+/*
+ * Returns a stream collecting the lines written to it in "lines".
+ */
+function output() {
+    const out = new stream.PassThrough({encoding: 'utf8'});
+
+    out.lines = [];
+    out.on('data', function (chunk) {
+        out.lines.push(chunk);
+    });
+
+    return out;
+}
+
+
+tap.test('eventLine', function (t) {
+    const date = new Date('2019-06-01T00:00:01Z');
+    const ev = {type: 'delete', zonename: VM_A};
+    const line = record.eventLine(ev);
+
+    t.equal(record.eventLine({date: date, type: 'delete', zonename: VM_A}),
+        '{"date":"2019-06-01T00:00:01.000Z","type":"delete","zonename":"' +
+        VM_A + '"}\n', 'line for an event with a date');
+    t.equal(line[line.length - 1], '\n', 'ends with a newline');
+    t.ok(isFinite(new Date(JSON.parse(line).date)), 'date added');
+    t.equal(ev.date, undefined, 'event not changed');
+    t.end();
+});
+
+tap.test('events are written as they are passed on', function (t) {
+    const backend = fakeBackend();
+    const out = output();
+    const recorder = new record.EventRecorder({
+        backend: backend,
+        output: out
+    });
+    const seen = [];
+    const date = new Date('2019-06-01T00:00:02Z');
+
+    recorder.events({name: 'test'}, function (ev) {
+        seen.push(ev.type);
+    }, function (err, obj) {
+        t.ifError(err, 'ready');
+        t.equal(obj.ev.type, 'ready', 'ready event passed on');
+
+        backend.emit({date: date, type: 'modify', zonename: VM_A});
+        obj.stop();
+
+        t.ok(backend.stopped, 'stop() stops the backend events');
+        t.deepEqual(backend.opts, {name: 'test'}, 'options passed on');
+        t.deepEqual(seen, ['create', 'modify'], 'events passed on');
+        t.deepEqual(out.lines.map(function (line) {
+            return JSON.parse(line).type;
+        }), ['ready', 'create', 'modify'], 'ready event written first');
+        t.equal(JSON.parse(out.lines[2]).date, date.toISOString(),
+            'date kept');
+        t.end();
+    });
+
+    // As the dummy backends can.
+    backend.emit({date: date, type: 'create', zonename: VM_A});
+    t.equal(out.lines.length, 0, 'nothing written before ready');
+    backend.ready();
+});
+
+tap.test('other operations are passed through', function (t) {
+    const backend = fakeBackend();
+    const recorder = new record.EventRecorder({
+        backend: backend,
+        output: output()
+    });
+
+    t.equal(recorder.create, undefined, 'only operations of the backend');
+
+    recorder.load({uuid: VM_A}, function (err, vm) {
+        t.ifError(err, 'load');
+        t.deepEqual(vm, {uuid: VM_A}, 'result of load');
+
+        recorder.promises.load({uuid: VM_A}).then(function (loaded) {
+            t.deepEqual(loaded, {uuid: VM_A}, 'result of promises.load');
+            t.equal(backend.loaded.length, 2, 'backend called');
+            t.end();
+        }).catch(t.threw);
+    });
+});
+
+tap.test('waitFor and watch use the recorded events', function (t) {
+    const backend = fakeBackend();
+    const out = output();
+    const recorder = new record.EventRecorder({
+        backend: backend,
+        output: out
+    });
+
+    recorder.waitFor({
+        state: 'running',
+        uuid: VM_A
+    }, function (err, vm) {
+        t.ifError(err, 'waitFor');
+        t.equal(vm.state, 'running', 'VM running');
+        t.ok(backend.stopped, 'events stopped');
+        t.equal(out.lines.length, 2, 'ready and modify written');
+
+        const watcher = recorder.watch({});
+
+        watcher.once('data', function (ev) {
+            t.equal(ev.type, 'ready', 'ready event read');
+            t.equal(out.lines.length, 3, 'ready written');
+            watcher.stop();
+            t.end();
+        });
+        setImmediate(function () {
+            backend.ready();
+        });
+    });
+
+    backend.ready();
+    backend.emit({
+        type: 'modify',
+        vm: {state: 'running', uuid: VM_A},
+        zonename: VM_A
+    });
+});
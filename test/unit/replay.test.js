@@ -0,0 +1,298 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tap = require('tap');
+
+const EventRecorder = require('../../lib/record').EventRecorder;
+const ReplayVmadm = require('../../lib/index.replay');
+const testutil = require('./testutil');
+
+const VM_A = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a001';
+const VM_B = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a002';
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'vmadm-replay-'));
+
+
+/*
+ * Writes "lines" (events, or strings written as they are) to a recording, and
+ * returns its path.
+ */
+function recording(name, lines) {
+    const file = path.join(DIR, name + '.ndjson');
+
+    fs.writeFileSync(file, lines.map(function (line) {
+        return (typeof (line) === 'string' ? line : JSON.stringify(line)) +
+            '\n';
+    }).join(''));
+
+    return file;
+}
+
+function at(ms) {
+    return new Date(Date.parse('2019-06-01T00:00:00Z') + ms).toISOString();
+}
+
+function vm(uuid, state, brand) {
+    return {brand: brand || 'joyent', state: state, uuid: uuid};
+}
+
+const EVENTS = [
+    {date: at(0), type: 'ready', vms: [vm(VM_A, 'stopped')]},
+    {date: at(100), type: 'create', vm: vm(VM_B, 'running', 'bhyve'),
+        zonename: VM_B},
+    {
+        changes: [ {
+            newValue: 'running',
+            oldValue: 'stopped',
+            path: ['state'],
+            prettyPath: 'state'
+        } ],
+        date: at(200),
+        type: 'modify',
+        vm: vm(VM_A, 'running'),
+        zonename: VM_A
+    }
+];
+
+
+tap.test('replayed as fast as they are read', function (t) {
+    const vmadm = new ReplayVmadm({
+        log: testutil.createBunyanLogger(t),
+        path: recording('fast', EVENTS)
+    });
+    const seen = [];
+
+    const vs = vmadm.events({}, function (ev) {
+        t.ok(ev.date instanceof Date, 'date is a Date');
+        seen.push(ev.type);
+    }, function (err, obj) {
+        t.ifError(err, 'ready');
+        t.equal(obj.ev.type, 'ready', 'ready event');
+        t.deepEqual(obj.ev.vms, EVENTS[0].vms, 'VMs of the ready event');
+        t.equal(typeof (obj.stop), 'function', 'stop()');
+    });
+
+    vs.on('end', function () {
+        t.deepEqual(seen, ['create', 'modify'], 'all of the events');
+        t.end();
+    });
+});
+
+tap.test('replayed with the original pacing', function (t) {
+    const vmadm = new ReplayVmadm({
+        log: testutil.createBunyanLogger(t),
+        pacing: 'original',
+        path: recording('original', EVENTS)
+    });
+    const seen = [];
+    let start;
+
+    const vs = vmadm.events({}, function (ev) {
+        seen.push({elapsed: Date.now() - start, type: ev.type});
+    }, function (err) {
+        t.ifError(err, 'ready');
+        start = Date.now();
+    });
+
+    vs.on('end', function () {
+        t.equal(seen.length, 2, 'all of the events');
+        // Timers can fire a little early.
+        t.ok(seen[0].elapsed >= 90, 'create after 100ms');
+        t.ok(seen[1].elapsed >= 190, 'modify after 200ms');
+        t.end();
+    });
+});
+
+tap.test('filtered as for the other backends', function (t) {
+    const vmadm = new ReplayVmadm({
+        log: testutil.createBunyanLogger(t),
+        path: recording('filtered', EVENTS)
+    });
+    const seen = [];
+
+    const vs = vmadm.events({
+        fields: ['uuid', 'state'],
+        search: {brand: 'joyent'}
+    }, function (ev) {
+        seen.push(ev);
+    }, function (err, obj) {
+        t.ifError(err, 'ready');
+        t.deepEqual(obj.ev.vms, [ {state: 'stopped', uuid: VM_A} ],
+            'VMs of the ready event filtered');
+    });
+
+    vs.on('end', function () {
+        t.equal(seen.length, 1, 'one event');
+        t.equal(seen[0].type, 'modify', 'the modify event');
+        t.deepEqual(seen[0].vm, {state: 'running', uuid: VM_A},
+            'VM projected');
+        t.end();
+    });
+});
+
+tap.test('coalesced', function (t) {
+    const vmadm = new ReplayVmadm({
+        log: testutil.createBunyanLogger(t),
+        path: recording('coalesced', EVENTS.concat([ {
+            date: at(300),
+            type: 'modify',
+            vm: vm(VM_A, 'stopped'),
+            zonename: VM_A
+        } ]))
+    });
+    const seen = [];
+
+    const vs = vmadm.events({coalesce: 60000}, function (ev) {
+        seen.push([ev.type, ev.coalesced]);
+    }, function (err) {
+        t.ifError(err, 'ready');
+    });
+
+    vs.on('end', function () {
+        t.deepEqual(seen, [ ['create', undefined], ['modify', 2] ],
+            'held back events passed on at the end');
+        t.end();
+    });
+});
+
+tap.test('stopped', function (t) {
+    const vmadm = new ReplayVmadm({
+        log: testutil.createBunyanLogger(t),
+        pacing: 'original',
+        path: recording('stopped', EVENTS)
+    });
+
+    vmadm.events({}, function () {
+        t.fail('should not have seen an event');
+    }, function (err, obj) {
+        t.ifError(err, 'ready');
+        obj.stop();
+        setTimeout(t.end, 300);
+    });
+});
+
+tap.test('invalid recordings', function (t) {
+    const log = testutil.createBunyanLogger(t);
+
+    t.throws(function () {
+        return new ReplayVmadm({log: log, pacing: 'slow', path: 'x'});
+    }, /opts.pacing must be one of/, 'invalid pacing');
+    t.throws(function () {
+        new ReplayVmadm({log: log, path: 'x'}).events(undefined,
+            function () {}, function () {});
+    }, /opts \(object\) is required/, 'events() requires opts');
+
+    new ReplayVmadm({
+        log: log,
+        path: recording('no-ready', EVENTS.slice(1))
+    }).events({}, function () {
+        t.fail('should not have seen an event');
+    }, function (err) {
+        t.equal(err.code, 'EPARSE', 'not starting with ready');
+
+        new ReplayVmadm({
+            log: log,
+            path: path.join(DIR, 'missing.ndjson')
+        }).events({}, function () {
+            t.fail('should not have seen an event');
+        }, function (missingErr) {
+            t.equal(missingErr.code, 'ENOENT', 'missing recording');
+
+            const vs = new ReplayVmadm({
+                log: log,
+                path: recording('bad-line', [EVENTS[0], EVENTS[1], '{"type'])
+            }).events({}, function (ev) {
+                t.equal(ev.type, 'create', 'events before the bad line');
+            }, function (readyErr) {
+                t.ifError(readyErr, 'ready');
+            });
+
+            vs.on('error', function (lineErr) {
+                t.equal(lineErr.code, 'EPARSE', 'bad line');
+                t.end();
+            });
+        });
+    });
+});
+
+tap.test('waitFor, watch and createInventory', function (t) {
+    const vmadm = new ReplayVmadm({
+        log: testutil.createBunyanLogger(t),
+        path: recording('operations', EVENTS)
+    });
+
+    vmadm.promises.waitFor({state: 'running', uuid: VM_A}).then(function (a) {
+        t.equal(a.state, 'running', 'waitFor');
+
+        const types = [];
+        const watcher = vmadm.watch({});
+
+        watcher.on('data', function (ev) {
+            types.push(ev.type);
+        });
+        watcher.on('end', function () {
+            t.deepEqual(types, ['ready', 'create', 'modify'], 'watch');
+
+            const inventory = vmadm.createInventory();
+
+            inventory.start(function (err) {
+                t.ifError(err, 'inventory started');
+                t.equal(inventory.get(VM_A).state, 'stopped',
+                    'inventory seeded');
+                inventory.stop();
+                t.end();
+            });
+        });
+    }).catch(t.threw);
+});
+
+tap.test('recording played back', function (t) {
+    const log = testutil.createBunyanLogger(t);
+    const source = new ReplayVmadm({
+        log: log,
+        path: recording('source', EVENTS)
+    });
+    const file = path.join(DIR, 'recorded.ndjson');
+    const out = fs.createWriteStream(file);
+    const recorder = new EventRecorder({backend: source, output: out});
+
+    recorder.events({}, function () {}, function (err) {
+        t.ifError(err, 'recording');
+    }).on('end', function () {
+        out.end(function () {
+            const seen = [];
+
+            new ReplayVmadm({log: log, path: file}).events({},
+                function (ev) {
+                    seen.push(JSON.parse(JSON.stringify(ev)));
+                }, function (err, obj) {
+                    t.ifError(err, 'ready');
+                    t.deepEqual(JSON.parse(JSON.stringify(obj.ev)), EVENTS[0],
+                        'ready event played back');
+                }).on('end', function () {
+                    t.deepEqual(seen, EVENTS.slice(1),
+                        'events played back');
+                    t.end();
+                });
+        });
+    });
+});
+
+tap.teardown(function () {
+    fs.readdirSync(DIR).forEach(function (name) {
+        fs.unlinkSync(path.join(DIR, name));
+    });
+    fs.rmdirSync(DIR);
+});
@@ -0,0 +1,131 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+const tap = require('tap');
+
+const errors = require('../../lib/errors');
+const query = require('../../lib/query');
+const resolveVm = require('../../lib/resolve').resolveVm;
+
+const VMS = [
+    {alias: 'web00', uuid: '3a2c3a1e-09c5-4ad0-8f3d-2a5f3b7f6c01'},
+    {alias: 'web01', uuid: '3a9b0c44-6e1f-4a52-9d0e-7c1f0e3e2b02'},
+    {alias: 'c0ffee', uuid: '8e2d4a55-3f6b-4c7e-a1d9-0b5e6c7d8f03'},
+    {alias: 'db', uuid: 'c0ffee12-1b2c-4d3e-8f4a-5b6c7d8e9f04'},
+    {alias: '007', uuid: 'e5a7d1b2-4c3e-4f5a-9b6c-7d8e9f0a1b05'}
+];
+
+
+/*
+ * A backend whose lookup() searches VMS, recording each search.
+ */
+function fakeBackend(searches) {
+    return {
+        lookup: function (search, opts, callback) {
+            searches.push({fields: opts.fields, search: search});
+            setImmediate(callback, null, VMS.filter(function (vm) {
+                return query.matchesSearch(vm, search);
+            }));
+        }
+    };
+}
+
+
+tap.test('resolveVm', function (suite) {
+    suite.test('alias', function (t) {
+        const searches = [];
+
+        resolveVm(fakeBackend(searches), 'db', {}, function (err, uuid) {
+            t.error(err, 'resolve should succeed');
+            t.equal(uuid, VMS[3].uuid, 'uuid');
+            t.deepEqual(searches[0].fields, ['uuid', 'alias'], 'fields');
+            t.end();
+        });
+    });
+
+    suite.test('numeric alias', function (t) {
+        const searches = [];
+
+        resolveVm(fakeBackend(searches), '007', {}, function (err, uuid) {
+            t.error(err, 'resolve should succeed');
+            t.equal(uuid, VMS[4].uuid, 'uuid');
+            t.deepEqual(query.renderSearch(searches[0].search),
+                ['alias=007'], 'alias looked up as given');
+            t.end();
+        });
+    });
+
+    suite.test('uuid prefix', function (t) {
+        resolveVm(fakeBackend([]), '3a2c', {}, function (err, uuid) {
+            t.error(err, 'resolve should succeed');
+            t.equal(uuid, VMS[0].uuid, 'uuid');
+            t.end();
+        });
+    });
+
+    suite.test('full uuid', function (t) {
+        const searches = [];
+
+        resolveVm(fakeBackend(searches), VMS[1].uuid, {},
+            function (err, uuid) {
+            t.error(err, 'resolve should succeed');
+            t.equal(uuid, VMS[1].uuid, 'uuid');
+            t.deepEqual(searches.map(function (s) {
+                return s.search;
+            }), [ {uuid: VMS[1].uuid} ], 'only looked up the uuid');
+            t.end();
+        });
+    });
+
+    suite.test('no match', function (t) {
+        resolveVm(fakeBackend([]), 'nope', {req_id: 'r1'}, function (err) {
+            t.ok(err instanceof errors.VmLookupNoMatchError,
+                'VmLookupNoMatchError');
+            t.equal(err.search, 'nope', 'search');
+            t.equal(err.req_id, 'r1', 'req_id');
+            t.end();
+        });
+    });
+
+    suite.test('ambiguous prefix', function (t) {
+        resolveVm(fakeBackend([]), '3a', {}, function (err) {
+            t.ok(err instanceof errors.VmLookupAmbiguousError,
+                'VmLookupAmbiguousError');
+            t.equal(err.count, 2, 'count');
+            t.deepEqual(err.uuids, [VMS[0].uuid, VMS[1].uuid], 'uuids');
+            t.end();
+        });
+    });
+
+    suite.test('alias that is also a uuid prefix', function (t) {
+        resolveVm(fakeBackend([]), 'c0ffee', {}, function (err) {
+            t.ok(err instanceof errors.VmLookupAmbiguousError,
+                'VmLookupAmbiguousError');
+            t.deepEqual(err.uuids, [VMS[2].uuid, VMS[3].uuid], 'uuids');
+            t.end();
+        });
+    });
+
+    suite.test('lookup errors', function (t) {
+        const lookupErr = new Error('boom');
+
+        resolveVm({
+            lookup: function (_search, _opts, callback) {
+                setImmediate(callback, lookupErr);
+            }
+        }, 'web00', {}, function (err) {
+            t.equal(err, lookupErr, 'lookup error passed through');
+            t.end();
+        });
+    });
+
+    suite.end();
+});
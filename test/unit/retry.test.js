@@ -0,0 +1,78 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+const tap = require('tap');
+
+const errors = require('../../lib/errors');
+const RetryPolicy = require('../../lib/retry').RetryPolicy;
+
+
+function execError(stderr) {
+    return new errors.VmadmExecError({
+        args: ['start', 'uuid'],
+        exitCode: 1,
+        stderrLines: stderr
+    });
+}
+
+
+tap.test('RetryPolicy', function (suite) {
+    suite.test('classify', function (t) {
+        const policy = new RetryPolicy({});
+
+        t.equal(policy.classify(execError(['could not get lock on zone'])),
+            'lock', 'lock');
+        t.equal(policy.classify(execError([
+            'first line',
+            'zoneadm: zone is busy'
+        ])), 'zoneadm_busy', 'zoneadm busy');
+        t.equal(policy.classify(execError(['spawn failed: EAGAIN'])),
+            'resource_busy', 'EAGAIN');
+        t.equal(policy.classify(execError(['Invalid value for ram'])), null,
+            'permanent failure');
+        t.equal(policy.classify(new errors.VmadmTimeoutError({
+            args: ['start', 'uuid'],
+            timeout: 10
+        })), null, 'timeouts are not retried');
+        t.end();
+    });
+
+    suite.test('delay', function (t) {
+        const policy = new RetryPolicy({
+            factor: 3,
+            jitter: 0,
+            maxDelay: 1000,
+            minDelay: 100
+        });
+
+        t.deepEqual([1, 2, 3, 4].map(policy.delay.bind(policy)),
+            [100, 300, 900, 1000], 'grows by factor up to maxDelay');
+        t.end();
+    });
+
+    suite.test('shouldRetry', function (t) {
+        const policy = new RetryPolicy({
+            maxAttempts: 2,
+            retryable: [ {name: 'flaky', pattern: /flaky/} ]
+        });
+        const err = execError(['flaky vmadm']);
+
+        t.equal(policy.shouldRetry(['start', 'uuid'], err, 1), 'flaky',
+            'custom table');
+        t.equal(policy.shouldRetry(['start', 'uuid'], err, 2), null,
+            'no attempts left');
+        t.equal(policy.shouldRetry(['update', 'uuid'], err, 1), null,
+            'update is not idempotent');
+        t.end();
+    });
+
+    suite.end();
+});
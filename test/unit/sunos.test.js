@@ -0,0 +1,1885 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+/* eslint-env es6 */
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const util = require('util');
+
+const bunyan = require('bunyan');
+const tap = require('tap');
+
+const vmadm = require('../../lib/index.sunos');
+const testutil = require('./testutil');
+
+const VM_UUID = '3a7c4ba4-4ad9-4a5d-a2cb-7bc1a0d2a8d0';
+
+
+/*
+ * A stand-in for AbortSignal, which isn't available in older versions of node.
+ */
+function FakeAbortSignal() {
+    EventEmitter.call(this);
+    this.aborted = false;
+}
+util.inherits(FakeAbortSignal, EventEmitter);
+
+FakeAbortSignal.prototype.abort = function () {
+    this.aborted = true;
+    this.emit('abort');
+};
+
+
+/*
+ * Returns a function that can be passed as the "spawn" option. Each call
+ * records the command and arguments in `calls` and returns a fake child that
+ * writes `output.stdout` and `output.stderr` then exits with `output.code`.
+ */
+function fakeSpawner(calls, output) {
+    return function fakeSpawn(cmd, args, spawnOpts) {
+        const child = new EventEmitter();
+        const stdin = [];
+
+        child.stdout = new stream.PassThrough();
+        child.stderr = new stream.PassThrough();
+        child.stdin = new stream.Writable({
+            write: function (chunk, _enc, cb) {
+                stdin.push(chunk.toString());
+                cb();
+            }
+        });
+        child.kill = function (signal) {
+            if (child.killed) {
+                return;
+            }
+            child.killed = true;
+            setImmediate(function () {
+                child.emit('close', null, signal || 'SIGTERM');
+            });
+        };
+
+        calls.push({
+            args: args,
+            cmd: cmd,
+            env: spawnOpts.env,
+            stdin: stdin
+        });
+
+        if (output.keepOpen) {
+            setImmediate(function () {
+                child.stdout.write(output.stdout || '');
+                child.stderr.write(output.stderr || '');
+            });
+            return child;
+        }
+
+        setImmediate(function () {
+            child.stdout.end(output.stdout || '');
+            child.stderr.end(output.stderr || '');
+            setImmediate(function () {
+                child.emit('close', output.code || 0, null);
+            });
+        });
+
+        return child;
+    };
+}
+
+
+/*
+ * Like fakeSpawner(), but the nth call to spawn uses outputs[n], with the last
+ * entry being used for any further calls.
+ */
+function sequenceSpawner(calls, outputs) {
+    return function sequenceSpawn(cmd, args, spawnOpts) {
+        const output = outputs[Math.min(calls.length, outputs.length - 1)];
+
+        return fakeSpawner(calls, output)(cmd, args, spawnOpts);
+    };
+}
+
+
+/*
+ * Returns a zones directory with VM_UUID in it, so that the commands that check
+ * the VM exists before running vmadm find it.
+ */
+function mkZonesDir(t) {
+    const zonesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zones-'));
+
+    fs.writeFileSync(path.join(zonesDir, VM_UUID + '.xml'), '<zone/>\n');
+    t.tearDown(function () {
+        fs.unlinkSync(path.join(zonesDir, VM_UUID + '.xml'));
+        fs.rmdirSync(zonesDir);
+    });
+
+    return zonesDir;
+}
+
+
+tap.test('vmadmPath and spawn', function (suite) {
+    suite.test('load uses opts.vmadmPath and opts.spawn', function (t) {
+        const calls = [];
+
+        vmadm.load({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {
+                stdout: JSON.stringify({uuid: VM_UUID, state: 'running'})
+            }),
+            uuid: VM_UUID,
+            vmadmPath: '/opt/fake/vmadm'
+        }, function onLoad(err, vm) {
+            t.error(err, 'load should succeed');
+            t.equal(vm.uuid, VM_UUID, 'should get VM back');
+            t.equal(calls.length, 1, 'spawn called once');
+            t.equal(calls[0].cmd, '/opt/fake/vmadm', 'used vmadmPath');
+            t.deepEqual(calls[0].args, ['get', VM_UUID], 'args');
+            t.end();
+        });
+    });
+
+    suite.test('nonexistent vmadmPath is VmadmExecError', function (t) {
+        const log = testutil.createBunyanLogger(t);
+        const vmadmPath = '/nonexistent/vmadm';
+        const zonesDir = mkZonesDir(t);
+
+        function checkErr(err, args, what) {
+            t.ok(err instanceof vmadm.errors.VmadmExecError,
+                what + ' is VmadmExecError');
+            t.deepEqual(err.args, args, what + ' args');
+            t.equal(err.cause.code, 'ENOENT', what + ' cause');
+        }
+
+        vmadm.load({
+            log: log,
+            req_id: 'r1',
+            uuid: VM_UUID,
+            vmadmPath: vmadmPath
+        }, function onLoad(err) {
+            checkErr(err, ['get', VM_UUID], 'load');
+            t.equal(err.req_id, 'r1', 'req_id');
+            t.ok(/ENOENT/.test(err.message), 'message has the reason');
+
+            vmadm.send({
+                log: log,
+                uuid: VM_UUID,
+                vmadmPath: vmadmPath,
+                zonesDir: zonesDir
+            }).on('error', function onSendError(sendErr) {
+                checkErr(sendErr, ['send', VM_UUID], 'send');
+
+                const input = new stream.PassThrough();
+
+                vmadm.receive({
+                    log: log,
+                    stream: input,
+                    vmadmPath: vmadmPath
+                }, function onReceive(receiveErr) {
+                    checkErr(receiveErr, ['receive'], 'receive');
+
+                    vmadm.migrate_watch({
+                        log: log,
+                        uuid: VM_UUID,
+                        vmadmPath: vmadmPath,
+                        zonesDir: zonesDir
+                    }).on('error', function onWatchError(watchErr) {
+                        checkErr(watchErr, ['migrate', 'watch', VM_UUID],
+                            'migrate_watch');
+                        t.end();
+                    });
+                });
+                input.end('zfs send data');
+            });
+        });
+    });
+
+    suite.test('VMADM_PATH environment variable', function (t) {
+        const calls = [];
+        const oldPath = process.env.VMADM_PATH;
+
+        process.env.VMADM_PATH = '/opt/env/vmadm';
+
+        vmadm.lookup({brand: 'joyent'}, {
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {stdout: '[]'})
+        }, function onLookup(err, vms) {
+            if (oldPath === undefined) {
+                delete process.env.VMADM_PATH;
+            } else {
+                process.env.VMADM_PATH = oldPath;
+            }
+
+            t.error(err, 'lookup should succeed');
+            t.deepEqual(vms, [], 'no VMs');
+            t.equal(calls[0].cmd, '/opt/env/vmadm', 'used $VMADM_PATH');
+            t.deepEqual(calls[0].args, ['lookup', '-j', 'brand=joyent'],
+                'args');
+            t.end();
+        });
+    });
+
+    suite.test('lookup renders search operators', function (t) {
+        const calls = [];
+
+        vmadm.lookup({
+            alias: /^web/,
+            'nics.*.nic_tag': 'admin',
+            ram: {'>': 1024}
+        }, {
+            fields: ['uuid'],
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {stdout: '[]'})
+        }, function onLookup(err) {
+            t.error(err, 'lookup should succeed');
+            t.deepEqual(calls[0].args, ['lookup', '-j', '-o',
+                'uuid,do_not_inventory', 'alias=~^web',
+                'nics.*.nic_tag=admin', 'ram>1024'], 'args');
+            t.end();
+        });
+    });
+
+    suite.test('validate', function (t) {
+        const calls = [];
+        const problems = {
+            bad_properties: ['bogus'],
+            bad_values: ['ram'],
+            missing_properties: []
+        };
+
+        vmadm.validate({
+            action: 'update',
+            brand: 'joyent',
+            log: testutil.createBunyanLogger(t),
+            payload: {bogus: true, ram: 'lots'},
+            spawn: fakeSpawner(calls, {
+                code: 1,
+                stdout: JSON.stringify(problems, null, 2) + '\n'
+            })
+        }, function onInvalid(err, result) {
+            t.error(err, 'invalid payload is not an error');
+            t.ok(result instanceof vmadm.ValidationResult,
+                'ValidationResult');
+            t.notOk(result.valid, 'invalid');
+            t.deepEqual(result.badValues, ['ram'], 'badValues');
+            t.deepEqual(result.unknownProperties, ['bogus'],
+                'unknownProperties');
+            t.deepEqual(calls[0].args, ['validate', 'update', 'joyent'],
+                'update args');
+            t.deepEqual(JSON.parse(calls[0].stdin.join('')),
+                {bogus: true, ram: 'lots'}, 'payload sent on stdin');
+
+            vmadm.validate({
+                action: 'create',
+                brand: 'joyent',
+                log: testutil.createBunyanLogger(t),
+                payload: {alias: 'web00'},
+                spawn: fakeSpawner(calls, {
+                    stdout: 'VALID \'create\' payload for joyent brand VMs.\n'
+                })
+            }, function onValid(err2, result2) {
+                t.error(err2, 'validate');
+                t.ok(result2.valid, 'valid');
+                t.deepEqual(calls[1].args, ['validate', 'create'],
+                    'create args');
+                t.deepEqual(JSON.parse(calls[1].stdin.join('')),
+                    {alias: 'web00', brand: 'joyent'}, 'brand added');
+                t.end();
+            });
+        });
+    });
+
+    suite.test('validate failures are errors', function (t) {
+        vmadm.validate({
+            action: 'create',
+            log: testutil.createBunyanLogger(t),
+            payload: {brand: 'joyent'},
+            spawn: fakeSpawner([], {code: 2, stderr: 'Usage: vmadm ...\n'})
+        }, function onValidate(err) {
+            t.ok(err instanceof vmadm.errors.VmadmExecError,
+                'VmadmExecError');
+            t.end();
+        });
+    });
+
+    suite.test('create does not send spawn options to vmadm', function (t) {
+        const calls = [];
+
+        vmadm.create({
+            alias: 'spawned',
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {
+                stderr: 'Successfully created VM ' + VM_UUID + '\n'
+            }),
+            vmadmPath: '/opt/fake/vmadm'
+        }, function onCreate(err, info) {
+            t.error(err, 'create should succeed');
+            t.equal(info.uuid, VM_UUID, 'uuid from stderr');
+            t.equal(calls[0].cmd, '/opt/fake/vmadm', 'used vmadmPath');
+            t.deepEqual(JSON.parse(calls[0].stdin.join('')),
+                {alias: 'spawned'}, 'payload sent on stdin');
+            t.end();
+        });
+    });
+
+    suite.test('events uses opts.vmadmPath and opts.spawn', function (t) {
+        const calls = [];
+        const ready = {
+            date: new Date().toISOString(),
+            type: 'ready',
+            vms: []
+        };
+
+        vmadm.events({
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:events-spawn',
+            spawn: fakeSpawner(calls, {
+                keepOpen: true,
+                stdout: JSON.stringify(ready) + '\n'
+            }),
+            vmadmPath: '/opt/fake/vmadm'
+        }, function handler() {
+        }, function onReady(err, obj) {
+            t.error(err, 'events should become ready');
+            t.equal(obj.ev.type, 'ready', 'ready event');
+            t.equal(calls[0].cmd, '/opt/fake/vmadm', 'used vmadmPath');
+            t.deepEqual(calls[0].args, ['events', '-rj'], 'args');
+            obj.stop();
+            t.end();
+        });
+    });
+
+    suite.test('watch streams the events', function (t) {
+        const calls = [];
+        const lines = [ {
+            date: new Date().toISOString(),
+            type: 'ready',
+            vms: []
+        }, {
+            date: new Date().toISOString(),
+            type: 'create',
+            vm: {alias: 'a', uuid: VM_UUID},
+            zonename: VM_UUID
+        } ];
+        const seen = [];
+        const watcher = vmadm.watch({
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:watch',
+            spawn: fakeSpawner(calls, {
+                keepOpen: true,
+                stdout: lines.map(function (line) {
+                    return JSON.stringify(line) + '\n';
+                }).join('')
+            }),
+            types: ['create']
+        });
+
+        watcher.on('data', function (ev) {
+            seen.push(ev.type);
+            if (ev.type !== 'create') {
+                return;
+            }
+
+            t.deepEqual(calls[0].args, ['events', '-rj'], 'args');
+            t.deepEqual(seen, ['ready', 'create'], 'ready event first');
+            t.ok(ev.date instanceof Date, 'event has a date');
+            watcher.destroy();
+            t.ok(watcher.source.stopped, 'vmadm events stopped');
+            t.end();
+        });
+    });
+
+    suite.test('watch rejects when vmadm exits', function (t) {
+        const lines = [ {
+            date: new Date().toISOString(),
+            type: 'ready',
+            vms: []
+        }, {
+            date: new Date().toISOString(),
+            type: 'create',
+            vm: {alias: 'a', uuid: VM_UUID},
+            zonename: VM_UUID
+        } ];
+        const seen = [];
+        const it = vmadm.watch({
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:watch-exit',
+            spawn: fakeSpawner([], {
+                code: 3,
+                stdout: lines.map(function (line) {
+                    return JSON.stringify(line) + '\n';
+                }).join('')
+            })
+        })[Symbol.asyncIterator]();
+
+        function next() {
+            return it.next().then(function (res) {
+                if (res.done) {
+                    t.fail('iteration should not finish');
+                    return undefined;
+                }
+                seen.push(res.value.type);
+                return next();
+            });
+        }
+
+        next().then(t.end, function (err) {
+            t.ok(err instanceof vmadm.errors.VmadmExecError,
+                'VmadmExecError');
+            t.equal(err.exitCode, 3, 'exit code');
+            t.deepEqual(seen, ['ready', 'create'], 'events before the exit');
+            t.end();
+        });
+    });
+
+    suite.test('events filters and projects', function (t) {
+        const OTHER_UUID = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a002';
+        const calls = [];
+        const seen = [];
+        const vmA = {alias: 'a', state: 'running', uuid: VM_UUID};
+        const vmB = {alias: 'b', state: 'stopped', uuid: OTHER_UUID};
+        const lines = [ {
+            date: new Date().toISOString(),
+            type: 'ready',
+            vms: [vmA, vmB]
+        }, {
+            changes: [ {
+                action: 'changed',
+                path: ['alias'],
+                prettyPath: 'alias'
+            } ],
+            date: new Date().toISOString(),
+            type: 'modify',
+            vm: Object.assign({}, vmA, {alias: 'renamed'}),
+            zonename: VM_UUID
+        }, {
+            changes: [ {
+                action: 'changed',
+                path: ['state'],
+                prettyPath: 'state'
+            } ],
+            date: new Date().toISOString(),
+            type: 'modify',
+            vm: Object.assign({}, vmB, {state: 'running'}),
+            zonename: OTHER_UUID
+        }, {
+            changes: [ {
+                action: 'changed',
+                path: ['nics', null, 'ip'],
+                prettyPath: 'nics.*.ip'
+            } ],
+            date: new Date().toISOString(),
+            type: 'modify',
+            vm: vmA,
+            zonename: VM_UUID
+        }, {
+            date: new Date().toISOString(),
+            type: 'delete',
+            vm: {},
+            zonename: VM_UUID
+        } ];
+
+        vmadm.events({
+            fields: ['state', 'uuid'],
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:events-filter',
+            paths: ['state', 'nics.*.ip'],
+            search: {state: 'running'},
+            spawn: fakeSpawner(calls, {
+                keepOpen: true,
+                stdout: lines.map(function (line) {
+                    return JSON.stringify(line) + '\n';
+                }).join('')
+            })
+        }, function handler(ev) {
+            seen.push([ev.type, ev.zonename, ev.vm]);
+            if (ev.type === 'delete') {
+                t.deepEqual(seen, [
+                    ['modify', OTHER_UUID, {
+                        state: 'running',
+                        uuid: OTHER_UUID
+                    }],
+                    ['modify', VM_UUID, {state: 'running', uuid: VM_UUID}],
+                    ['delete', VM_UUID, {}]
+                ], 'events filtered and projected');
+                t.end();
+            }
+        }, function onReady(err, obj) {
+            t.error(err, 'events should become ready');
+            t.deepEqual(obj.ev.vms, [ {state: 'running', uuid: VM_UUID} ],
+                'ready VMs filtered and projected');
+            t.tearDown(obj.stop);
+        });
+    });
+
+    suite.test('events coalesces modify events', function (t) {
+        const date = new Date().toISOString();
+        const lines = [ {
+            date: date,
+            type: 'ready',
+            vms: {[VM_UUID]: {state: 'running', uuid: VM_UUID}}
+        }, {
+            date: date,
+            type: 'modify',
+            vm: {state: 'stopping', uuid: VM_UUID},
+            zonename: VM_UUID
+        }, {
+            date: date,
+            type: 'modify',
+            vm: {state: 'stopped', uuid: VM_UUID},
+            zonename: VM_UUID
+        }, {
+            date: date,
+            type: 'delete',
+            vm: {},
+            zonename: VM_UUID
+        } ];
+        const seen = [];
+
+        vmadm.events({
+            coalesce: 1000,
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:events-coalesce',
+            paths: ['state'],
+            spawn: fakeSpawner([], {
+                keepOpen: true,
+                stdout: lines.map(function (line) {
+                    return JSON.stringify(line) + '\n';
+                }).join('')
+            })
+        }, function handler(ev) {
+            seen.push(ev);
+            if (ev.type !== 'delete') {
+                return;
+            }
+
+            t.equal(seen.length, 2, 'one modify event');
+            t.equal(seen[0].coalesced, 2, 'merged');
+            t.deepEqual(seen[0].changes.map(function (change) {
+                return [change.prettyPath, change.oldValue, change.newValue];
+            }), [ ['state', 'running', 'stopped'] ], 'changes');
+            t.end();
+        }, function onReady(err, obj) {
+            t.error(err, 'events should become ready');
+            t.tearDown(obj.stop);
+        });
+    });
+
+    suite.end();
+});
+
+
+tap.test('execTimeout and abortSignal', function (suite) {
+    suite.test('execTimeout terminates vmadm', function (t) {
+        const calls = [];
+
+        vmadm.create({
+            alias: 'slow',
+            execTimeout: 50,
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {
+                keepOpen: true,
+                stderr: 'still creating\n'
+            }),
+            req_id: 'e3a4c5e0-95e8-4f3b-9c71-7d6b0a6c8b11'
+        }, function onCreate(err) {
+            t.ok(err, 'create should fail');
+            t.equal(err.code, 'ETIMEDOUT', 'ETIMEDOUT');
+            t.equal(err.name, 'VmadmTimeoutError', 'VmadmTimeoutError');
+            t.equal(err.timeout, 50, 'timeout');
+            t.equal(err.req_id, 'e3a4c5e0-95e8-4f3b-9c71-7d6b0a6c8b11',
+                'req_id');
+            t.deepEqual(err.stderrLines, ['still creating'], 'stderrLines');
+            t.end();
+        });
+    });
+
+    suite.test('abortSignal terminates vmadm', function (t) {
+        const calls = [];
+        const signal = new FakeAbortSignal();
+
+        vmadm.load({
+            abortSignal: signal,
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {keepOpen: true}),
+            uuid: VM_UUID
+        }, function onLoad(err) {
+            t.ok(err, 'load should fail');
+            t.equal(err.code, 'ECANCELED', 'ECANCELED');
+            t.equal(err.name, 'VmadmCancelledError', 'VmadmCancelledError');
+            t.deepEqual(err.args, ['get', VM_UUID], 'args');
+            t.equal(calls.length, 1, 'vmadm was run');
+            t.equal(signal.listenerCount('abort'), 0, 'listener removed');
+            t.end();
+        });
+
+        setImmediate(function () {
+            signal.abort();
+        });
+    });
+
+    suite.test('already aborted signal does not run vmadm', function (t) {
+        const calls = [];
+        const signal = new FakeAbortSignal();
+
+        signal.abort();
+
+        vmadm.lookup({}, {
+            abortSignal: signal,
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {stdout: '[]'})
+        }, function onLookup(err) {
+            t.ok(err, 'lookup should fail');
+            t.equal(err.code, 'ECANCELED', 'ECANCELED');
+            t.equal(calls.length, 0, 'vmadm was not run');
+            t.end();
+        });
+    });
+
+    suite.test('events execTimeout bounds the wait for ready', function (t) {
+        const calls = [];
+
+        vmadm.events({
+            execTimeout: 50,
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:events-timeout',
+            spawn: fakeSpawner(calls, {keepOpen: true})
+        }, function handler() {
+        }, function onReady(err) {
+            t.ok(err, 'events should fail');
+            t.equal(err.code, 'ETIMEDOUT', 'ETIMEDOUT');
+            t.end();
+        });
+    });
+
+    suite.test('events abortSignal stops the stream', function (t) {
+        const calls = [];
+        const signal = new FakeAbortSignal();
+        const ready = {
+            date: new Date().toISOString(),
+            type: 'ready',
+            vms: []
+        };
+
+        const vs = vmadm.events({
+            abortSignal: signal,
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:events-abort',
+            spawn: fakeSpawner(calls, {
+                keepOpen: true,
+                stdout: JSON.stringify(ready) + '\n'
+            })
+        }, function handler() {
+        }, function onReady(err) {
+            t.error(err, 'events should become ready');
+            signal.abort();
+            t.ok(vs.stopped, 'stream was stopped');
+            t.end();
+        });
+    });
+
+    suite.end();
+});
+
+
+tap.test('errors', function (suite) {
+    const errors = vmadm.errors;
+    const REQ_ID = '0b3f0fd8-2c1e-4c3d-8dfb-35ad7b0fbbc5';
+
+    suite.test('missing VM is VmNotFoundError', function (t) {
+        vmadm.load({
+            log: testutil.createBunyanLogger(t),
+            req_id: REQ_ID,
+            spawn: fakeSpawner([], {
+                code: 1,
+                stderr: 'Failed to get VM ' + VM_UUID +
+                    ': No such zone configured\n'
+            }),
+            uuid: VM_UUID
+        }, function onLoad(err) {
+            t.ok(err instanceof errors.VmNotFoundError, 'VmNotFoundError');
+            t.ok(err instanceof errors.VmadmError, 'VmadmError');
+            t.equal(err.code, 'ENOENT', 'code');
+            t.equal(err.restCode, 'VmNotFound', 'restCode');
+            t.equal(err.exitCode, 1, 'exitCode');
+            t.equal(err.signal, null, 'signal');
+            t.equal(err.req_id, REQ_ID, 'req_id');
+            t.deepEqual(err.args, ['get', VM_UUID], 'args');
+            t.deepEqual(err.stderrLines, ['Failed to get VM ' + VM_UUID +
+                ': No such zone configured'], 'stderrLines');
+            t.ok(err.message.match(/: No such zone/), 'message');
+            t.end();
+        });
+    });
+
+    suite.test('stopped VM is VmNotRunningError', function (t) {
+        const zonesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zones-'));
+
+        fs.writeFileSync(path.join(zonesDir, VM_UUID + '.xml'), '<zone/>\n');
+        t.tearDown(function () {
+            fs.unlinkSync(path.join(zonesDir, VM_UUID + '.xml'));
+            fs.rmdirSync(zonesDir);
+        });
+
+        vmadm.kill({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner([], {
+                code: 1,
+                stderr: 'Failed to kill VM ' + VM_UUID +
+                    ': Cannot find running init PID for VM ' + VM_UUID +
+                    '\n'
+            }),
+            uuid: VM_UUID,
+            zonesDir: zonesDir
+        }, function onKill(err) {
+            t.ok(err instanceof errors.VmNotRunningError,
+                'VmNotRunningError');
+            t.equal(err.code, 'ENOTRUNNING', 'code');
+            t.equal(err.uuid, VM_UUID, 'uuid');
+            t.deepEqual(err.args, ['kill', VM_UUID], 'args');
+            t.end();
+        });
+    });
+
+    suite.test('other failures are VmadmExecError', function (t) {
+        vmadm.create({
+            alias: 'broken',
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner([], {
+                code: 1,
+                stderr: '{"level":50,"msg":"bad"}\nInvalid value for ram\n'
+            })
+        }, function onCreate(err) {
+            t.ok(err instanceof errors.VmadmExecError, 'VmadmExecError');
+            t.equal(err.code, 'EVMADM', 'code');
+            t.equal(err.exitCode, 1, 'exitCode');
+            t.deepEqual(err.stderrLines, [
+                '{"level":50,"msg":"bad"}',
+                'Invalid value for ram'
+            ], 'stderrLines is an array');
+            t.equal(err.message, 'vmadm exited with code: 1 signal: null' +
+                ' -- Invalid value for ram', 'message has last line');
+            t.end();
+        });
+    });
+
+    suite.test('bad output is VmadmParseError', function (t) {
+        vmadm.lookup({}, {
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner([], {stdout: '[{'})
+        }, function onLookup(err) {
+            t.ok(err instanceof errors.VmadmParseError, 'VmadmParseError');
+            t.equal(err.code, 'EPARSE', 'code');
+            t.equal(err.stdout, '[{', 'stdout');
+            t.ok(err.cause instanceof SyntaxError, 'cause');
+            t.end();
+        });
+    });
+
+    suite.test('unique lookup errors', function (t) {
+        const calls = [];
+
+        vmadm.lookupOne({alias: 'web'}, {
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {
+                code: 1,
+                stderr: 'Requested unique lookup but found 2 results.\n'
+            })
+        }, function onAmbiguous(err) {
+            t.ok(err instanceof errors.VmLookupAmbiguousError,
+                'VmLookupAmbiguousError');
+            t.equal(err.code, 'EAMBIGUOUS', 'code');
+            t.equal(err.count, 2, 'count');
+            t.equal(err.search, 'alias=web', 'search');
+            t.deepEqual(calls[0].args, ['lookup', '-j', '-1', 'alias=web'],
+                'args');
+
+            vmadm.lookupOne({alias: 'web'}, {
+                log: testutil.createBunyanLogger(t),
+                spawn: fakeSpawner([], {
+                    code: 1,
+                    stderr: 'Requested unique lookup but found 0 results.\n'
+                })
+            }, function onNoMatch(err2) {
+                t.ok(err2 instanceof errors.VmLookupNoMatchError,
+                    'VmLookupNoMatchError');
+                t.equal(err2.code, 'ENOMATCH', 'code');
+                t.end();
+            });
+        });
+    });
+
+    suite.test('lookupOne skips do_not_inventory VMs', function (t) {
+        vmadm.lookupOne({alias: 'ghost'}, {
+            fields: ['uuid'],
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner([], {
+                stdout: JSON.stringify([ {
+                    do_not_inventory: true,
+                    uuid: VM_UUID
+                } ])
+            })
+        }, function onLookup(err) {
+            t.ok(err instanceof errors.VmLookupNoMatchError,
+                'VmLookupNoMatchError');
+            t.end();
+        });
+    });
+
+    suite.end();
+});
+
+
+tap.test('send and receive', function (suite) {
+    const errors = vmadm.errors;
+
+    suite.test('send streams the output of vmadm', function (t) {
+        const calls = [];
+        const progress = [];
+        let data = '';
+
+        const output = vmadm.send({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {stdout: 'zfs send data'}),
+            uuid: VM_UUID,
+            zonesDir: mkZonesDir(t)
+        });
+
+        output.on('progress', function (bytes) {
+            progress.push(bytes);
+        });
+        output.on('data', function (chunk) {
+            data += chunk.toString();
+        });
+        output.on('end', function () {
+            t.deepEqual(calls[0].args, ['send', VM_UUID], 'args');
+            t.equal(data, 'zfs send data', 'data');
+            t.deepEqual(progress, [13], 'progress');
+            t.end();
+        });
+    });
+
+    suite.test('send failures after data are errors', function (t) {
+        let data = '';
+
+        const output = vmadm.send({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner([], {
+                code: 1,
+                stderr: 'Failed to send VM ' + VM_UUID + ': broken pipe\n',
+                stdout: 'partial'
+            }),
+            uuid: VM_UUID,
+            zonesDir: mkZonesDir(t)
+        });
+
+        output.on('data', function (chunk) {
+            data += chunk.toString();
+        });
+        output.on('end', function () {
+            t.fail('stream should not end');
+        });
+        output.on('error', function (err) {
+            t.ok(err instanceof errors.VmadmExecError, 'VmadmExecError');
+            t.deepEqual(err.args, ['send', VM_UUID], 'args');
+            t.equal(data, 'partial', 'data before the failure was read');
+            t.end();
+        });
+    });
+
+    suite.test('send abortSignal terminates vmadm', function (t) {
+        const signal = new FakeAbortSignal();
+
+        const output = vmadm.send({
+            abortSignal: signal,
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner([], {keepOpen: true, stdout: 'partial'}),
+            uuid: VM_UUID,
+            zonesDir: mkZonesDir(t)
+        });
+
+        output.once('data', function () {
+            signal.abort();
+        });
+        output.on('error', function (err) {
+            t.equal(err.code, 'ECANCELED', 'ECANCELED');
+            t.equal(signal.listenerCount('abort'), 0, 'listener removed');
+            t.end();
+        });
+    });
+
+    suite.test('destroying the send stream terminates vmadm', function (t) {
+        const calls = [];
+        const spawn = fakeSpawner(calls, {keepOpen: true, stdout: 'partial'});
+        let child;
+
+        const output = vmadm.send({
+            log: testutil.createBunyanLogger(t),
+            spawn: function (cmd, args, spawnOpts) {
+                child = spawn(cmd, args, spawnOpts);
+                child.on('close', function () {
+                    t.ok(child.killed, 'vmadm was killed');
+                    t.end();
+                });
+                return child;
+            },
+            uuid: VM_UUID,
+            zonesDir: mkZonesDir(t)
+        });
+
+        output.once('data', function () {
+            output.destroy();
+        });
+    });
+
+    suite.test('send of missing VM does not run vmadm', function (t) {
+        const calls = [];
+        const zonesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zones-'));
+
+        t.tearDown(function () {
+            fs.rmdirSync(zonesDir);
+        });
+
+        vmadm.send({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {}),
+            uuid: VM_UUID,
+            zonesDir: zonesDir
+        }).on('error', function (err) {
+            t.ok(err instanceof errors.VmNotFoundError, 'VmNotFoundError');
+            t.equal(calls.length, 0, 'vmadm was not run');
+            t.end();
+        });
+    });
+
+    suite.test('receive writes the stream to vmadm', function (t) {
+        const calls = [];
+        const input = new stream.PassThrough();
+
+        const received = vmadm.receive({
+            log: testutil.createBunyanLogger(t),
+            spawn: sequenceSpawner(calls, [
+                {stderr: 'Successfully received VM ' + VM_UUID + '\n'},
+                {stdout: JSON.stringify({state: 'stopped', uuid: VM_UUID})}
+            ]),
+            stream: input
+        }, function onReceive(err, vm, vmadmLog) {
+            t.error(err, 'receive');
+            t.deepEqual(vmadmLog, [ {msg: 'Successfully received VM ' +
+                VM_UUID} ], 'vmadmLog of receive and get');
+            t.deepEqual(calls[0].args, ['receive'], 'receive args');
+            t.equal(calls[0].stdin.join(''), 'zfs send data', 'stdin');
+            t.deepEqual(calls[1].args, ['get', VM_UUID], 'VM was loaded');
+            t.equal(vm.uuid, VM_UUID, 'uuid');
+            t.equal(received.bytes, 13, 'bytes');
+            t.end();
+        });
+
+        input.end('zfs send data');
+    });
+
+    suite.test('receive without a VM UUID is VmadmParseError', function (t) {
+        const input = new stream.PassThrough();
+
+        vmadm.receive({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner([], {}),
+            stream: input
+        }, function onReceive(err) {
+            t.ok(err instanceof errors.VmadmParseError, 'VmadmParseError');
+            t.end();
+        });
+
+        input.end('zfs send data');
+    });
+
+    suite.test('receive stream errors terminate vmadm', function (t) {
+        const input = new stream.PassThrough();
+        const streamErr = new Error('connection reset');
+
+        vmadm.receive({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner([], {keepOpen: true}),
+            stream: input
+        }, function onReceive(err) {
+            t.equal(err, streamErr, 'stream error returned');
+            t.end();
+        });
+
+        input.write('zfs send');
+        setImmediate(function () {
+            input.emit('error', streamErr);
+        });
+    });
+
+    suite.end();
+});
+
+
+tap.test('migrate', function (suite) {
+    const errors = vmadm.errors;
+    const TARGET = '11111111-2222-3333-4444-555555555555';
+
+    suite.test('begin returns the migration', function (t) {
+        const calls = [];
+        const migration = {
+            num_sync_phases: 0,
+            phase: 'begin',
+            state: 'paused',
+            target: TARGET,
+            vm_uuid: VM_UUID
+        };
+
+        vmadm.migrate_begin({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {stdout: JSON.stringify(migration)}),
+            target: TARGET,
+            uuid: VM_UUID,
+            zonesDir: mkZonesDir(t)
+        }, function onBegin(err, obj) {
+            t.error(err, 'begin');
+            t.deepEqual(calls[0].args, ['migrate', 'begin', VM_UUID, TARGET],
+                'args');
+            t.deepEqual(obj, migration, 'migration');
+            t.end();
+        });
+    });
+
+    suite.test('estimate', function (t) {
+        const calls = [];
+
+        vmadm.migrate_estimate({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {
+                stdout: '{"eta_ms": 10, "size": 1024, "extra": true}'
+            }),
+            uuid: VM_UUID,
+            zonesDir: mkZonesDir(t)
+        }, function onEstimate(err, estimate) {
+            t.error(err, 'estimate');
+            t.deepEqual(calls[0].args, ['migrate', 'estimate', VM_UUID],
+                'args');
+            t.deepEqual(estimate, {eta_ms: 10, size: 1024}, 'estimate');
+            t.end();
+        });
+    });
+
+    suite.test('missing migration is VmMigrationNotFoundError', function (t) {
+        vmadm.migrate_sync({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner([], {
+                code: 1,
+                stderr: 'No migration for VM ' + VM_UUID + '\n'
+            }),
+            uuid: VM_UUID,
+            zonesDir: mkZonesDir(t)
+        }, function onSync(err) {
+            t.ok(err instanceof errors.VmMigrationNotFoundError,
+                'VmMigrationNotFoundError');
+            t.equal(err.code, 'ENOMIGRATION', 'code');
+            t.equal(err.uuid, VM_UUID, 'uuid');
+            t.end();
+        });
+    });
+
+    suite.test('wrong state is VmMigrationStateError', function (t) {
+        vmadm.migrate_switch({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner([], {
+                code: 1,
+                stderr: 'Cannot switch migration of VM ' + VM_UUID +
+                    ': migration is running in phase sync\n'
+            }),
+            uuid: VM_UUID,
+            zonesDir: mkZonesDir(t)
+        }, function onSwitch(err) {
+            t.ok(err instanceof errors.VmMigrationStateError,
+                'VmMigrationStateError');
+            t.equal(err.code, 'EMIGRATIONSTATE', 'code');
+            t.equal(err.action, 'switch', 'action');
+            t.equal(err.phase, 'sync', 'phase');
+            t.equal(err.state, 'running', 'state');
+            t.end();
+        });
+    });
+
+    suite.test('watch streams events', function (t) {
+        const calls = [];
+        const evs = [];
+        const progress = {
+            type: 'progress',
+            phase: 'sync',
+            state: 'running',
+            current_progress: 512,
+            total_progress: 1024
+        };
+
+        const output = vmadm.migrate_watch({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {
+                stdout: JSON.stringify(progress) + '\n' +
+                    '{"type": "end", "phase": "sync", "state": "paused"}\n'
+            }),
+            uuid: VM_UUID,
+            zonesDir: mkZonesDir(t)
+        });
+
+        output.on('data', function (ev) {
+            evs.push(ev);
+        });
+        output.on('end', function () {
+            t.deepEqual(calls[0].args, ['migrate', 'watch', VM_UUID], 'args');
+            t.deepEqual(evs, [
+                progress,
+                {type: 'end', phase: 'sync', state: 'paused'}
+            ], 'events');
+            t.end();
+        });
+    });
+
+    suite.test('watch output that fails to parse terminates vmadm',
+        function (t) {
+
+        const spawn = fakeSpawner([], {keepOpen: true, stdout: 'bogus\n'});
+        let child;
+
+        const output = vmadm.migrate_watch({
+            log: testutil.createBunyanLogger(t),
+            spawn: function (cmd, args, spawnOpts) {
+                child = spawn(cmd, args, spawnOpts);
+                return child;
+            },
+            uuid: VM_UUID,
+            zonesDir: mkZonesDir(t)
+        });
+
+        output.on('error', function (err) {
+            t.ok(err instanceof errors.VmadmParseError, 'VmadmParseError');
+            t.equal(err.stdout, 'bogus', 'stdout');
+            child.on('close', function () {
+                t.ok(child.killed, 'vmadm was killed');
+                t.end();
+            });
+        });
+    });
+
+    suite.test('watch abortSignal terminates vmadm', function (t) {
+        const signal = new FakeAbortSignal();
+
+        const output = vmadm.migrate_watch({
+            abortSignal: signal,
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner([], {
+                keepOpen: true,
+                stdout: '{"type": "progress", "phase": "sync", ' +
+                    '"state": "running", "current_progress": 1, ' +
+                    '"total_progress": 2}\n'
+            }),
+            uuid: VM_UUID,
+            zonesDir: mkZonesDir(t)
+        });
+
+        output.once('data', function () {
+            signal.abort();
+        });
+        output.on('error', function (err) {
+            t.equal(err.code, 'ECANCELED', 'ECANCELED');
+            t.equal(signal.listenerCount('abort'), 0, 'listener removed');
+            t.end();
+        });
+    });
+
+    suite.end();
+});
+
+
+tap.test('events reconnect', function (suite) {
+    const errors = vmadm.errors;
+    const VM_A = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a001';
+    const VM_B = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a002';
+    const VM_C = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a003';
+
+    function line(ev) {
+        return JSON.stringify(ev) + '\n';
+    }
+
+    suite.test('respawned vmadm is resynced', function (t) {
+        const calls = [];
+        const date = new Date().toISOString();
+        const evs = [];
+        const reconnects = [];
+
+        const vs = vmadm.events({
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:events-reconnect',
+            reconnect: {jitter: 0, minDelay: 1},
+            spawn: sequenceSpawner(calls, [
+                {
+                    code: 1,
+                    stdout: line({
+                        date: date,
+                        type: 'ready',
+                        vms: {
+                            [VM_A]: {state: 'running', uuid: VM_A},
+                            [VM_B]: {state: 'running', uuid: VM_B}
+                        }
+                    }) + line({
+                        date: date,
+                        type: 'modify',
+                        uuid: VM_A,
+                        vm: {state: 'stopped', uuid: VM_A},
+                        zonename: VM_A
+                    })
+                }, {
+                    keepOpen: true,
+                    stdout: line({
+                        date: date,
+                        type: 'ready',
+                        vms: {
+                            [VM_A]: {state: 'running', uuid: VM_A},
+                            [VM_C]: {state: 'running', uuid: VM_C}
+                        }
+                    })
+                }
+            ])
+        }, function handler(ev) {
+            evs.push(ev);
+            if (evs.length < 4) {
+                return;
+            }
+
+            vs.stop();
+            t.equal(calls.length, 2, 'vmadm was respawned');
+            t.deepEqual(reconnects, [ {
+                attempts: 1,
+                created: 1,
+                deleted: 1,
+                modified: 1,
+                reconnects: 1
+            } ], 'reconnect notification');
+            t.deepEqual(evs.map(function (e) {
+                return [e.type, e.zonename, Boolean(e.synthetic)];
+            }), [
+                ['modify', VM_A, false],
+                ['create', VM_C, true],
+                ['delete', VM_B, true],
+                ['modify', VM_A, true]
+            ], 'events');
+            t.deepEqual(evs[3].changes, [ {
+                action: 'changed',
+                newValue: 'running',
+                oldValue: 'stopped',
+                path: ['state'],
+                prettyPath: 'state'
+            } ], 'synthetic modify has the changes');
+            t.end();
+        }, function onReady(err, obj) {
+            t.error(err, 'events should become ready');
+            t.equal(obj.ev.type, 'ready', 'first ready event');
+        });
+
+        vs.on('reconnect', function (info) {
+            reconnects.push(info);
+        });
+    });
+
+    suite.test('maxAttempts is honoured', function (t) {
+        const calls = [];
+
+        const vs = vmadm.events({
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:events-reconnect-fail',
+            reconnect: {maxAttempts: 2, minDelay: 1},
+            spawn: fakeSpawner(calls, {
+                code: 1,
+                stderr: 'vminfod went away\n'
+            })
+        }, function handler() {
+            t.fail('no events expected');
+        }, function onReady(err) {
+            t.ok(err instanceof errors.VmadmCancelledError, 'last error');
+            t.equal(err.signal, 'SIGABRT', 'vmadm aborted');
+            t.equal(calls.length, 3, 'respawned twice');
+            t.ok(vs.stopped, 'stream was stopped');
+            t.end();
+        });
+
+        vs.on('error', function () {
+            t.fail('error is only emitted once ready');
+        });
+    });
+
+    suite.test('unsupported events are not retried', function (t) {
+        const calls = [];
+
+        vmadm.events({
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:events-reconnect-invalid',
+            reconnect: true,
+            spawn: fakeSpawner(calls, {
+                code: 1,
+                keepOpen: true,
+                stderr: 'Invalid command: "events".\n'
+            })
+        }, function handler() {
+            t.fail('no events expected');
+        }, function onReady(err) {
+            t.ok(err instanceof errors.VmadmExecError, 'VmadmExecError');
+            setTimeout(function () {
+                t.equal(calls.length, 1, 'vmadm was not respawned');
+                t.end();
+            }, 50);
+        });
+    });
+
+    suite.test('stop cancels the respawn', function (t) {
+        const calls = [];
+        const ready = {
+            date: new Date().toISOString(),
+            type: 'ready',
+            vms: {}
+        };
+        let ended = false;
+
+        const vs = vmadm.events({
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:events-reconnect-stop',
+            reconnect: {minDelay: 20},
+            spawn: fakeSpawner(calls, {
+                code: 1,
+                stdout: JSON.stringify(ready) + '\n'
+            })
+        }, function handler() {
+        }, function onReady(err, obj) {
+            t.error(err, 'events should become ready');
+            // Stop once the first vmadm has exited.
+            setTimeout(function () {
+                obj.stop();
+                setTimeout(function () {
+                    t.equal(calls.length, 1, 'vmadm was not respawned');
+                    t.ok(vs.stopped, 'stream was stopped');
+                    t.ok(ended, 'stream ended');
+                    t.end();
+                }, 50);
+            }, 5);
+        });
+
+        vs.on('end', function () {
+            ended = true;
+        });
+    });
+
+    suite.end();
+});
+
+
+tap.test('events unexpected output', function (suite) {
+    const VM_A = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a001';
+    const date = new Date().toISOString();
+    const READY = JSON.stringify({date: date, type: 'ready', vms: {}}) + '\n';
+    const MODIFY = JSON.stringify({
+        date: date,
+        type: 'modify',
+        vm: {state: 'running', uuid: VM_A},
+        zonename: VM_A
+    }) + '\n';
+
+    suite.test('aborts by default', function (t) {
+        const vs = vmadm.events({
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:events-abort',
+            spawn: fakeSpawner([], {
+                keepOpen: true,
+                stdout: READY + 'not an event\n' + MODIFY
+            })
+        }, function handler() {
+            t.fail('no events expected');
+        }, function onReady(err) {
+            t.error(err, 'events should become ready');
+        });
+
+        vs.on('error', function (err) {
+            t.ok(err instanceof vmadm.errors.VmadmCancelledError,
+                'VmadmCancelledError');
+            t.equal(err.signal, 'SIGABRT', 'aborted');
+            t.ok(vs.stopped, 'stream was stopped');
+            t.end();
+        });
+    });
+
+    suite.test('warn skips and emits warning', function (t) {
+        const evs = [];
+        const warnings = [];
+
+        const vs = vmadm.events({
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:events-warn',
+            spawn: fakeSpawner([], {
+                keepOpen: true,
+                stderr: 'something odd\n',
+                stdout: READY + 'not an event\n' + MODIFY
+            }),
+            unexpectedOutput: 'warn'
+        }, function handler(ev) {
+            evs.push(ev.type);
+            check();
+        }, function onReady(err, obj) {
+            t.error(err, 'events should become ready');
+            t.tearDown(obj.stop);
+        });
+
+        vs.on('error', function (err) {
+            t.error(err, 'no error expected');
+        });
+        vs.on('warning', function (warning) {
+            warnings.push(warning);
+            check();
+        });
+
+        function check() {
+            if (evs.length < 1 || warnings.length < 2) {
+                return;
+            }
+
+            t.deepEqual(evs, ['modify'], 'event after the bad line');
+            t.deepEqual(warnings.map(function (warning) {
+                return [warning.source, warning.line];
+            }).sort(), [
+                ['stderr', 'something odd'],
+                ['stdout', 'not an event']
+            ], 'warnings');
+            t.ok(warnings.some(function (warning) {
+                return (warning.err instanceof Error);
+            }), 'stdout warning has the parse error');
+            t.deepEqual(vs.skipped, {stderr: 1, stdout: 1}, 'skipped');
+            t.notOk(vs.stopped, 'stream still running');
+            t.end();
+        }
+    });
+
+    suite.test('log skips without warning', function (t) {
+        const vs = vmadm.events({
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:events-log',
+            spawn: fakeSpawner([], {
+                keepOpen: true,
+                stderr: 'something odd\nand more\n',
+                stdout: READY
+            }),
+            unexpectedOutput: 'log'
+        }, function handler() {
+            t.fail('no events expected');
+        }, function onReady(err, obj) {
+            t.error(err, 'events should become ready');
+            setTimeout(function () {
+                t.deepEqual(vs.skipped, {stderr: 2, stdout: 0}, 'skipped');
+                obj.stop();
+                t.end();
+            }, 20);
+        });
+
+        vs.on('warning', function () {
+            t.fail('no warning expected');
+        });
+    });
+
+    suite.test('skipped lines are counted across reconnects', function (t) {
+        const calls = [];
+        let warnings = 0;
+
+        const vs = vmadm.events({
+            log: testutil.createBunyanLogger(t),
+            name: 'unit-test:events-reconnect-log',
+            reconnect: {jitter: 0, minDelay: 1},
+            spawn: sequenceSpawner(calls, [
+                {code: 1, stderr: 'something odd\n', stdout: READY},
+                {keepOpen: true, stderr: 'and more\n', stdout: READY}
+            ]),
+            unexpectedOutput: 'warn'
+        }, function handler() {
+        }, function onReady(err, obj) {
+            t.error(err, 'events should become ready');
+            t.tearDown(obj.stop);
+        });
+
+        vs.on('warning', function () {
+            warnings++;
+            if (warnings === 2) {
+                t.equal(calls.length, 2, 'vmadm was respawned');
+                t.deepEqual(vs.skipped, {stderr: 2, stdout: 0}, 'skipped');
+                t.end();
+            }
+        });
+    });
+
+    suite.test('invalid policy', function (t) {
+        t.throws(function () {
+            vmadm.events({
+                log: testutil.createBunyanLogger(t),
+                spawn: fakeSpawner([], {}),
+                unexpectedOutput: 'ignore'
+            }, function handler() {}, function onReady() {});
+        }, /opts.unexpectedOutput must be one of/, 'throws');
+        t.end();
+    });
+
+    suite.end();
+});
+
+
+tap.test('vmadm log records', function (suite) {
+    const REQ_ID = '5d2c3b34-4f8c-4a4e-a7b1-2f0b6a0e7c6d';
+
+    /*
+     * Returns a logger at trace level that saves the records logged by the
+     * "vmadm" child in "records".
+     */
+    function capturingLogger(records) {
+        return bunyan.createLogger({
+            name: 'unit',
+            streams: [ {
+                level: 'trace',
+                stream: {
+                    write: function (rec) {
+                        if (rec.component === 'vmadm') {
+                            records.push(rec);
+                        }
+                    }
+                },
+                type: 'raw'
+            } ]
+        });
+    }
+
+    function vmadmRecord(level, msg, fields) {
+        const rec = {
+            hostname: 'headnode',
+            level: level,
+            msg: msg,
+            name: 'vmadm',
+            pid: 1234,
+            req_id: REQ_ID,
+            time: new Date().toISOString(),
+            v: 0
+        };
+
+        Object.keys(fields || {}).forEach(function (k) {
+            rec[k] = fields[k];
+        });
+
+        return JSON.stringify(rec);
+    }
+
+    suite.test('stderr is re-emitted and returned', function (t) {
+        const calls = [];
+        const records = [];
+
+        vmadm.create({
+            alias: 'logged',
+            debugLevel: 'trace',
+            log: capturingLogger(records),
+            req_id: REQ_ID,
+            spawn: fakeSpawner(calls, {
+                stderr: [
+                    vmadmRecord(10, 'validating payload'),
+                    vmadmRecord(30, 'created zone', {zonename: VM_UUID}),
+                    'Successfully created VM ' + VM_UUID
+                ].join('\n') + '\n'
+            })
+        }, function onCreate(err, info, vmadmLog) {
+            t.error(err, 'create should succeed');
+            t.equal(info.uuid, VM_UUID, 'uuid from stderr');
+            t.equal(calls[0].env.VMADM_DEBUG_LEVEL, 'trace', 'debugLevel');
+            t.deepEqual(vmadmLog.map(function (rec) {
+                return rec.msg;
+            }), [
+                'validating payload',
+                'created zone',
+                'Successfully created VM ' + VM_UUID
+            ], 'vmadmLog passed on success');
+            t.equal(vmadmLog[1].zonename, VM_UUID, 'vmadmLog has the fields');
+
+            t.deepEqual(records.map(function (rec) {
+                return [rec.level, rec.msg, rec.req_id];
+            }), [
+                [10, 'validating payload', REQ_ID],
+                [30, 'created zone', REQ_ID],
+                [20, 'Successfully created VM ' + VM_UUID, REQ_ID]
+            ], 're-emitted records');
+            t.equal(records[1].zonename, VM_UUID, 'fields are kept');
+            t.equal(records[1].name, 'unit', 'logged by our logger');
+            t.end();
+        });
+    });
+
+    suite.test('operations without a result pass vmadmLog', function (t) {
+        vmadm.start({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner([], {
+                stderr: vmadmRecord(30, 'starting zone') + '\n' +
+                    'Successfully started VM ' + VM_UUID + '\n'
+            }),
+            uuid: VM_UUID,
+            zonesDir: mkZonesDir(t)
+        }, function onStart(err, result, vmadmLog) {
+            t.error(err, 'start should succeed');
+            t.equal(result, undefined, 'no result');
+            t.deepEqual(vmadmLog.map(function (rec) {
+                return rec.msg;
+            }), ['starting zone', 'Successfully started VM ' + VM_UUID],
+                'vmadmLog');
+            t.end();
+        });
+    });
+
+    suite.test('errors carry vmadmLog', function (t) {
+        const calls = [];
+
+        vmadm.lookup({}, {
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {
+                code: 1,
+                stderr: [
+                    vmadmRecord(50, 'lookup failed', {err: {message: 'EIO'}}),
+                    'Failed to lookup VMs: EIO',
+                    vmadmRecord(20, 'exiting')
+                ].join('\n') + '\n'
+            })
+        }, function onLookup(err) {
+            t.ok(err instanceof vmadm.errors.VmadmExecError, 'error');
+            t.equal(calls[0].env.VMADM_DEBUG_LEVEL, 'debug',
+                'default debugLevel');
+            t.equal(err.vmadmLog.length, 3, 'all lines in vmadmLog');
+            t.equal(err.vmadmLog[0].msg, 'lookup failed', 'bunyan record');
+            t.deepEqual(err.vmadmLog[1], {msg: 'Failed to lookup VMs: EIO'},
+                'plain text line');
+            t.equal(err.message, 'vmadm exited with code: 1 signal: null' +
+                ' -- Failed to lookup VMs: EIO', 'message skips records');
+            t.end();
+        });
+    });
+
+    suite.test('invalid debugLevel', function (t) {
+        t.throws(function () {
+            vmadm.lookup({}, {
+                debugLevel: 'verbose',
+                log: testutil.createBunyanLogger(t),
+                spawn: fakeSpawner([], {stdout: '[]'})
+            }, function () {
+                t.fail('should not be called');
+            });
+        }, /debugLevel/, 'throws');
+        t.end();
+    });
+
+    suite.end();
+});
+
+
+tap.test('promises', function (suite) {
+    suite.test('load resolves with the VM', function (t) {
+        const calls = [];
+
+        return vmadm.promises.load({
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner(calls, {
+                stdout: JSON.stringify({uuid: VM_UUID, state: 'running'})
+            }),
+            uuid: VM_UUID
+        }).then(function (vm) {
+            t.equal(vm.uuid, VM_UUID, 'should get VM back');
+            t.deepEqual(calls[0].args, ['get', VM_UUID], 'args');
+        });
+    });
+
+    suite.test('failures reject with the same error types', function (t) {
+        return vmadm.promises.lookup({}, {
+            log: testutil.createBunyanLogger(t),
+            spawn: fakeSpawner([], {code: 1, stderr: 'Failed\n'})
+        }).then(function () {
+            t.fail('lookup should fail');
+        }, function (err) {
+            t.ok(err instanceof vmadm.errors.VmadmExecError,
+                'VmadmExecError');
+        });
+    });
+
+    suite.test('events and receive have no promise form', function (t) {
+        t.equal(vmadm.promises.events, undefined, 'no events');
+        t.equal(vmadm.promises.receive, undefined, 'no receive');
+        t.equal(typeof (vmadm.promises.waitFor), 'function', 'waitFor');
+        t.end();
+    });
+
+    suite.end();
+});
+
+
+tap.test('retry', function (suite) {
+    const LOCKED = {code: 1, stderr: 'Failed: could not get lock on VM\n'};
+    const RETRY = {jitter: 0, minDelay: 1};
+
+    suite.test('transient failures of idempotent commands are retried',
+        function (t) {
+        const calls = [];
+
+        vmadm.lookup({}, {
+            log: testutil.createBunyanLogger(t),
+            req_id: 'retried',
+            retry: RETRY,
+            spawn: sequenceSpawner(calls, [LOCKED, {stdout: '[]'}])
+        }, function onLookup(err, vms) {
+            t.error(err, 'lookup should succeed');
+            t.deepEqual(vms, [], 'no VMs');
+            t.equal(calls.length, 2, 'vmadm run twice');
+            t.equal(calls[1].env.REQ_ID, 'retried', 'same req_id');
+            t.end();
+        });
+    });
+
+    suite.test('maxAttempts is honoured', function (t) {
+        const calls = [];
+
+        vmadm.lookup({}, {
+            log: testutil.createBunyanLogger(t),
+            retry: new vmadm.RetryPolicy({
+                jitter: 0,
+                maxAttempts: 2,
+                minDelay: 1
+            }),
+            spawn: sequenceSpawner(calls, [LOCKED])
+        }, function onLookup(err) {
+            t.ok(err instanceof vmadm.errors.VmadmExecError, 'last error');
+            t.equal(calls.length, 2, 'vmadm run twice');
+            t.end();
+        });
+    });
+
+    suite.test('other commands and failures are not retried', function (t) {
+        const calls = [];
+
+        vmadm.create({
+            alias: 'notretried',
+            log: testutil.createBunyanLogger(t),
+            retry: RETRY,
+            spawn: sequenceSpawner(calls, [LOCKED, {}])
+        }, function onCreate(err) {
+            t.ok(err, 'create is not retried');
+            t.equal(calls.length, 1, 'vmadm run once');
+            t.notOk(calls[0].stdin.join('').match(/retry/),
+                'retry not sent to vmadm');
+
+            vmadm.lookup({}, {
+                log: testutil.createBunyanLogger(t),
+                retry: RETRY,
+                spawn: sequenceSpawner(calls, [
+                    {code: 1, stderr: 'Invalid filter\n'}
+                ])
+            }, function onLookup(lookupErr) {
+                t.ok(lookupErr, 'lookup failed');
+                t.equal(calls.length, 2, 'permanent failure not retried');
+                t.end();
+            });
+        });
+    });
+
+    suite.test('abortSignal cancels the wait between attempts', function (t) {
+        const calls = [];
+        const signal = new FakeAbortSignal();
+
+        vmadm.lookup({}, {
+            abortSignal: signal,
+            log: testutil.createBunyanLogger(t),
+            retry: {jitter: 0, minDelay: 60000},
+            spawn: sequenceSpawner(calls, [LOCKED, {stdout: '[]'}])
+        }, function onLookup(err) {
+            t.ok(err instanceof vmadm.errors.VmadmCancelledError,
+                'VmadmCancelledError');
+            t.equal(calls.length, 1, 'vmadm not run again');
+            t.end();
+        });
+
+        setTimeout(function () {
+            signal.abort();
+        }, 50);
+    });
+
+    suite.end();
+});
+
+
+tap.test('createClient', function (suite) {
+    suite.test('client options are used for each call', function (t) {
+        const calls = [];
+        const client = vmadm.createClient({
+            defaults: {debugLevel: 'trace'},
+            log: testutil.createBunyanLogger(t),
+            vmadmPath: '/opt/client/vmadm'
+        });
+
+        client.load({
+            spawn: fakeSpawner(calls, {
+                stdout: JSON.stringify({uuid: VM_UUID})
+            }),
+            uuid: VM_UUID
+        }, function onLoad(err, vm) {
+            t.error(err, 'load should succeed without opts.log');
+            t.equal(vm.uuid, VM_UUID, 'should get VM back');
+            t.equal(calls[0].cmd, '/opt/client/vmadm', 'used vmadmPath');
+            t.equal(calls[0].env.VMADM_DEBUG_LEVEL, 'trace',
+                'used default debugLevel');
+            t.ok(/^[0-9a-f-]{36}$/.test(calls[0].env.REQ_ID),
+                'generated a req_id');
+            t.end();
+        });
+    });
+
+    suite.test('calls override the client options', function (t) {
+        const calls = [];
+        const client = vmadm.createClient({
+            defaults: {debugLevel: 'trace'},
+            log: testutil.createBunyanLogger(t),
+            vmadmPath: '/opt/client/vmadm'
+        });
+
+        client.promises.lookup({}, {
+            debugLevel: 'info',
+            req_id: 'caller',
+            spawn: fakeSpawner(calls, {stdout: '[]'}),
+            vmadmPath: '/opt/call/vmadm'
+        }).then(function (vms) {
+            t.deepEqual(vms, [], 'no VMs');
+            t.equal(calls[0].cmd, '/opt/call/vmadm', 'vmadmPath');
+            t.equal(calls[0].env.VMADM_DEBUG_LEVEL, 'info', 'debugLevel');
+            t.equal(calls[0].env.REQ_ID, 'caller', 'req_id');
+            t.end();
+        });
+    });
+
+    suite.test('invalid options', function (t) {
+        t.throws(function () {
+            vmadm.createClient({});
+        }, /opts.log/, 'log is required');
+        t.throws(function () {
+            vmadm.createClient({
+                defaults: {alias: 'web0'},
+                log: testutil.createBunyanLogger(t)
+            });
+        }, /not a supported default/, 'unknown default');
+        t.throws(function () {
+            vmadm.load({uuid: VM_UUID}, function () {});
+        }, /opts.log/, 'free functions still need opts.log');
+        t.end();
+    });
+
+    suite.end();
+});
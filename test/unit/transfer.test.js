@@ -0,0 +1,85 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+const tap = require('tap');
+
+const transfer = require('../../lib/transfer');
+
+const VM = {
+    alias: 'web00',
+    snapshots: [
+        {created_at: '2019-01-01T00:00:00.000Z', name: 'snap1'},
+        {created_at: '2019-01-02T00:00:00.000Z', name: 'snap2'}
+    ],
+    state: 'running',
+    uuid: '3a2c3a1e-09c5-4ad0-8f3d-2a5f3b7f6c01'
+};
+
+
+tap.test('ProgressStream', function (t) {
+    const progress = [];
+    const s = new transfer.ProgressStream();
+    let data = '';
+
+    s.on('progress', function (bytes) {
+        progress.push(bytes);
+    });
+    s.on('data', function (chunk) {
+        data += chunk.toString();
+    });
+    s.on('end', function () {
+        t.equal(data, 'abcdefg', 'data passed through');
+        t.deepEqual(progress, [3, 7], 'progress after each chunk');
+        t.equal(s.bytes, 7, 'bytes');
+        t.end();
+    });
+
+    s.write('abc');
+    s.end('defg');
+});
+
+tap.test('serializeVm and parseSentVm', function (t) {
+    const lines = transfer.serializeVm(VM);
+
+    t.equal(lines.length, 4, 'vm, two snapshots and end records');
+    t.notOk(JSON.parse(lines[0]).vm.snapshots,
+        'snapshots not in the vm record');
+    t.deepEqual(transfer.parseSentVm(lines.join('')), VM, 'round trip');
+
+    t.deepEqual(transfer.parseSentVm(transfer.serializeVm({
+        uuid: VM.uuid
+    }).join('')), {uuid: VM.uuid}, 'VM without snapshots');
+    t.end();
+});
+
+tap.test('parseSentVm errors', function (t) {
+    const data = transfer.serializeVm(VM).join('');
+
+    t.throws(function () {
+        transfer.parseSentVm('');
+    }, /empty send stream/, 'empty');
+    t.throws(function () {
+        transfer.parseSentVm('{"foo": 1}\n');
+    }, /not a send stream/, 'not a send stream');
+    t.throws(function () {
+        transfer.parseSentVm('{"type": "vm", "version": 1, "vm": {}}\n');
+    }, /no VM UUID/, 'no uuid');
+    t.throws(function () {
+        transfer.parseSentVm(data.split('\n').slice(0, 2).join('\n'));
+    }, /incomplete/, 'missing end record');
+    t.throws(function () {
+        transfer.parseSentVm(data.substr(0, data.length - 10));
+    }, /invalid record 4/, 'truncated record');
+    t.throws(function () {
+        transfer.parseSentVm(data + data);
+    }, /after the end/, 'trailing data');
+    t.end();
+});
@@ -0,0 +1,133 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+const tap = require('tap');
+
+const validate = require('../../lib/validate');
+
+const IMAGE_UUID = '643de2c0-672e-11e7-9a3f-ff62fd3708f8';
+
+
+tap.test('checkPayload', function (t) {
+    t.equal(validate.checkPayload('create', 'joyent', {
+        alias: 'web00',
+        autoboot: 'true',
+        brand: 'joyent',
+        image_uuid: IMAGE_UUID,
+        max_physical_memory: '512',
+        nics: [ {nic_tag: 'admin'} ],
+        resolvers: '8.8.8.8,8.8.4.4'
+    }), null, 'valid create');
+
+    t.deepEqual(validate.checkPayload('create', undefined, {
+        alias: 'web00',
+        bogus: true,
+        ram: -1
+    }, {strict: true}), {
+        bad_properties: ['bogus'],
+        bad_values: ['ram'],
+        missing_properties: ['brand', 'image_uuid']
+    }, 'invalid create');
+    t.deepEqual(validate.checkPayload('create', undefined, {
+        alias: 'web00',
+        bogus: true,
+        ram: -1
+    }), {
+        bad_properties: [],
+        bad_values: ['ram'],
+        missing_properties: []
+    }, 'unknown and missing properties only reported when strict');
+    t.equal(validate.checkPayload('create', 'kvm', {
+        brand: 'kvm',
+        cpu_burst_ratio: 0.5,
+        disk_driver: 'virtio',
+        nic_driver: 'virtio',
+        server_uuid: IMAGE_UUID,
+        zfs_filesystem_limit: 10
+    }), null, 'properties not in the table are passed through');
+
+    t.equal(validate.checkPayload('create', 'kvm', {brand: 'kvm'}), null,
+        'kvm does not need image_uuid');
+    t.deepEqual(validate.checkPayload('create', 'joyent', {
+        brand: 'joyent',
+        image_uuid: IMAGE_UUID,
+        vcpus: 2
+    }), {
+        bad_properties: ['vcpus'],
+        bad_values: [],
+        missing_properties: []
+    }, 'property not supported by the brand');
+
+    t.deepEqual(validate.checkPayload('create', 'solaris', {}),
+        {bad_brand: 'solaris'}, 'unknown brand');
+
+    t.equal(validate.checkPayload('update', 'joyent', {
+        set_tags: {role: 'db'},
+        uuid: IMAGE_UUID
+    }), null, 'valid update');
+    t.deepEqual(validate.checkPayload('update', 'joyent', {
+        brand: 'lx',
+        set_tags: ['role']
+    }), {
+        bad_properties: ['brand'],
+        bad_values: ['set_tags'],
+        missing_properties: []
+    }, 'invalid update');
+    t.equal(validate.checkPayload('update', undefined, {vcpus: 2}), null,
+        'unknown brand on update only checks the property');
+    t.end();
+});
+
+tap.test('validatePayload', function (t) {
+    const payload = {alias: 'web00'};
+
+    t.deepEqual(validate.validatePayload({
+        action: 'create',
+        brand: 'joyent',
+        payload: payload
+    }), {alias: 'web00', brand: 'joyent'}, 'brand added for create');
+    t.deepEqual(payload, {alias: 'web00'}, 'payload not modified');
+    t.equal(validate.validatePayload({
+        action: 'update',
+        brand: 'joyent',
+        payload: payload
+    }), payload, 'update payload sent as is');
+
+    t.throws(function () {
+        validate.validatePayload({action: 'update', payload: payload});
+    }, /opts.brand/, 'update requires brand');
+    t.throws(function () {
+        validate.validatePayload({action: 'delete', payload: payload});
+    }, /opts.action must be one of/, 'unknown action');
+    t.end();
+});
+
+tap.test('ValidationResult', function (t) {
+    const valid = new validate.ValidationResult({});
+    const invalid = new validate.ValidationResult({
+        bad_properties: ['bogus'],
+        bad_values: ['ram'],
+        missing_properties: ['brand']
+    });
+
+    t.ok(valid.valid, 'empty result is valid');
+    t.deepEqual(valid.badValues, [], 'no bad values');
+
+    t.notOk(invalid.valid, 'invalid');
+    t.equal(invalid.badBrand, undefined, 'badBrand');
+    t.deepEqual(invalid.badValues, ['ram'], 'badValues');
+    t.deepEqual(invalid.missingProperties, ['brand'], 'missingProperties');
+    t.deepEqual(invalid.unknownProperties, ['bogus'], 'unknownProperties');
+
+    t.notOk(new validate.ValidationResult({bad_brand: 'solaris'}).valid,
+        'bad brand is invalid');
+    t.end();
+});
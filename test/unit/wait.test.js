@@ -0,0 +1,228 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+
+const tap = require('tap');
+
+const errors = require('../../lib/errors');
+const waitForVm = require('../../lib/wait').waitForVm;
+
+const VM_A = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a001';
+const VM_B = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a002';
+
+
+/*
+ * Returns a backend whose events() becomes ready with "vms" when ready() is
+ * called. Events are sent with emit(ev), and the returned stream is "stream".
+ */
+function fakeBackend(vms) {
+    const backend = {
+        stopped: false,
+        stream: new EventEmitter()
+    };
+
+    backend.events = function (opts, handler, callback) {
+        backend.opts = opts;
+        backend.emit = handler;
+        backend.ready = function () {
+            callback(null, {
+                ev: {date: new Date(), type: 'ready', vms: vms},
+                stop: function () {
+                    backend.stopped = true;
+                }
+            });
+        };
+        return backend.stream;
+    };
+
+    return backend;
+}
+
+function vm(uuid, state, extra) {
+    const obj = {state: state, uuid: uuid};
+
+    Object.keys(extra || {}).forEach(function (k) {
+        obj[k] = extra[k];
+    });
+
+    return obj;
+}
+
+
+tap.test('VM already in the state', function (t) {
+    const backend = fakeBackend({[VM_A]: vm(VM_A, 'stopped')});
+
+    waitForVm(backend, {
+        req_id: 'req-1',
+        state: 'stopped',
+        uuid: VM_A
+    }, function (err, result) {
+        t.error(err, 'waitForVm');
+        t.deepEqual(result, vm(VM_A, 'stopped'), 'called back with the VM');
+        t.deepEqual(backend.opts, {
+            name: 'waitFor',
+            req_id: 'req-1',
+            uuid: VM_A
+        }, 'events options');
+        t.ok(backend.stopped, 'stream stopped');
+        t.end();
+    });
+    backend.ready();
+});
+
+tap.test('state reached by events', function (t) {
+    const backend = fakeBackend({[VM_A]: vm(VM_A, 'running')});
+    let called = 0;
+
+    waitForVm(backend, {state: 'stopped', uuid: VM_A}, function (err, result) {
+        called++;
+        t.error(err, 'waitForVm');
+        t.equal(result.state, 'stopped', 'called back with the VM');
+        t.ok(backend.stopped, 'stream stopped');
+    });
+    backend.ready();
+
+    backend.emit({type: 'modify', vm: vm(VM_B, 'stopped'), zonename: VM_B});
+    backend.emit({type: 'modify', vm: vm(VM_A, 'stopping'), zonename: VM_A});
+    t.equal(called, 0, 'not called back yet');
+
+    backend.emit({type: 'modify', vm: vm(VM_A, 'stopped'), zonename: VM_A});
+    backend.emit({type: 'modify', vm: vm(VM_A, 'stopped'), zonename: VM_A});
+    t.equal(called, 1, 'called back once');
+    t.end();
+});
+
+tap.test('predicate', function (t) {
+    const backend = fakeBackend([ vm(VM_A, 'running') ]);
+    const seen = [];
+
+    waitForVm(backend, {
+        predicate: function (v) {
+            seen.push(v ? v.state : undefined);
+            return (v === undefined);
+        },
+        uuid: VM_A
+    }, function (err, result) {
+        t.error(err, 'waitForVm');
+        t.equal(result, undefined, 'no VM once deleted');
+        t.deepEqual(seen, ['running', 'stopped', undefined], 'checked');
+        t.end();
+    });
+
+    // Events seen before ready are applied after it.
+    backend.emit({type: 'modify', vm: vm(VM_A, 'stopped'), zonename: VM_A});
+    backend.ready();
+    backend.emit({type: 'delete', vm: {}, zonename: VM_A});
+});
+
+tap.test('do_not_inventory VMs', function (t) {
+    const vms = {[VM_A]: vm(VM_A, 'running', {do_not_inventory: true})};
+    const backend = fakeBackend(vms);
+    const dniBackend = fakeBackend(vms);
+
+    waitForVm(backend, {
+        predicate: function (v) {
+            return (v === undefined);
+        },
+        uuid: VM_A
+    }, function (err, result) {
+        t.error(err, 'waitForVm');
+        t.equal(result, undefined, 'VM hidden without include_dni');
+
+        waitForVm(dniBackend, {
+            include_dni: true,
+            state: 'running',
+            uuid: VM_A
+        }, function (dniErr, dniResult) {
+            t.error(dniErr, 'waitForVm with include_dni');
+            t.equal(dniResult.uuid, VM_A, 'VM with include_dni');
+            t.end();
+        });
+        dniBackend.ready();
+    });
+    backend.ready();
+});
+
+tap.test('timeout', function (t) {
+    const backend = fakeBackend({});
+    const created = vm(VM_A, 'provisioning');
+
+    waitForVm(backend, {
+        state: 'running',
+        timeout: 50,
+        uuid: VM_A
+    }, function (err, result) {
+        t.ok(err instanceof errors.VmWaitTimeoutError, 'VmWaitTimeoutError');
+        t.equal(err.code, 'ETIMEDOUT', 'code');
+        t.equal(err.timeout, 50, 'timeout');
+        t.equal(err.uuid, VM_A, 'uuid');
+        t.equal(err.vm, created, 'last seen VM');
+        t.equal(err.message, 'timed out after 50ms waiting for VM ' + VM_A +
+            ' (state: provisioning)', 'message');
+        t.equal(result, undefined, 'no VM');
+        t.ok(backend.stopped, 'stream stopped');
+        t.end();
+    });
+    backend.ready();
+    backend.emit({type: 'create', vm: created, zonename: VM_A});
+});
+
+tap.test('timeout before ready', function (t) {
+    const backend = fakeBackend({});
+
+    waitForVm(backend, {
+        state: 'running',
+        timeout: 10,
+        uuid: VM_A
+    }, function (err) {
+        t.equal(err.message, 'timed out after 10ms waiting for VM ' + VM_A +
+            ' (does not exist)', 'message');
+        t.notOk(backend.stopped, 'stream not ready yet');
+
+        backend.ready();
+        t.ok(backend.stopped, 'stream stopped once ready');
+        t.end();
+    });
+});
+
+tap.test('stream errors', function (t) {
+    const backend = fakeBackend({});
+    const failing = {
+        events: function (_opts, _handler, callback) {
+            setImmediate(callback, new Error('Invalid command'));
+            return new EventEmitter();
+        }
+    };
+    const streamErr = new Error('vmadm aborted');
+
+    waitForVm(failing, {state: 'running', uuid: VM_A}, function (err) {
+        t.equal(err.message, 'Invalid command', 'error from events');
+
+        waitForVm(backend, {
+            state: 'running',
+            uuid: VM_A
+        }, function (streamCbErr) {
+            t.equal(streamCbErr, streamErr, 'error from the stream');
+            t.ok(backend.stopped, 'stream stopped');
+            t.end();
+        });
+        backend.ready();
+        backend.stream.emit('error', streamErr);
+    });
+});
+
+tap.test('bad options', function (t) {
+    t.throws(function () {
+        waitForVm(fakeBackend({}), {uuid: VM_A}, function () {});
+    }, /one of opts.predicate or opts.state is required/, 'no condition');
+    t.end();
+});
@@ -0,0 +1,191 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/* eslint-env es6 */
+
+'use strict';
+
+const stream = require('stream');
+
+const tap = require('tap');
+
+const watchEvents = require('../../lib/watch').watchEvents;
+
+const VM_A = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a001';
+const VM_B = '0a3a2e4c-6e1d-4c9a-9a43-6f5ab1f0a002';
+
+
+/*
+ * Returns a backend whose events() becomes ready when ready() is called.
+ * Events are sent with emit(ev), and the returned stream is "source", which
+ * can be paused like the SmartOS one.
+ */
+function fakeBackend() {
+    const backend = {
+        stopped: false,
+        source: new stream.PassThrough({objectMode: true})
+    };
+
+    backend.events = function (opts, handler, callback) {
+        backend.opts = opts;
+        backend.emit = handler;
+        backend.ready = function () {
+            callback(null, {
+                ev: {type: 'ready', vms: {}},
+                stop: function () {
+                    backend.stopped = true;
+                }
+            });
+        };
+        return backend.source;
+    };
+
+    return backend;
+}
+
+function modify(uuid) {
+    return {type: 'modify', vm: {uuid: uuid}, zonename: uuid};
+}
+
+
+tap.test('ready event first, then the events', function (t) {
+    const backend = fakeBackend();
+    const watcher = watchEvents(backend, {
+        highWaterMark: 4,
+        name: 'test'
+    });
+
+    t.equal(backend.opts, undefined, 'not started until read');
+
+    const it = watcher[Symbol.asyncIterator]();
+
+    it.next().then(function (first) {
+        t.deepEqual(backend.opts, {name: 'test'}, 'options for events');
+        t.deepEqual(first.value, {type: 'ready', vms: {}}, 'ready event');
+        return it.next();
+    }).then(function (second) {
+        t.deepEqual(second.value, modify(VM_A), 'event before ready');
+        return it.next();
+    }).then(function (third) {
+        t.deepEqual(third.value, modify(VM_B), 'event after ready');
+        // As breaking out of `for await` does.
+        return it.return();
+    }).then(function (last) {
+        t.ok(last.done, 'done');
+        t.ok(backend.stopped, 'events stopped');
+        t.end();
+    }).catch(t.threw);
+
+    setImmediate(function () {
+        backend.emit(modify(VM_A));
+        backend.ready();
+        backend.emit(modify(VM_B));
+    });
+});
+
+tap.test('backpressure pauses the events', function (t) {
+    const backend = fakeBackend();
+    const watcher = watchEvents(backend, {highWaterMark: 2});
+    let idx;
+
+    watcher.once('readable', function () {
+        for (idx = 0; idx < 4; idx++) {
+            backend.emit(modify(VM_A));
+        }
+        t.ok(backend.source.isPaused(), 'paused while the reader is behind');
+
+        watcher.on('data', function () {});
+        setImmediate(function () {
+            t.notOk(backend.source.isPaused(), 'resumed once read');
+            watcher.stop();
+        });
+    });
+    watcher.on('end', function () {
+        t.ok(backend.stopped, 'events stopped');
+        t.end();
+    });
+
+    watcher.read(0);
+    backend.ready();
+});
+
+tap.test('errors are thrown from the iterator', function (t) {
+    const backend = fakeBackend();
+    const failing = {
+        events: function (_opts, _handler, callback) {
+            setImmediate(callback, new Error('Invalid command'));
+            return new stream.PassThrough({objectMode: true});
+        }
+    };
+    const streamErr = new Error('vmadm aborted');
+    const it = watchEvents(backend, {})[Symbol.asyncIterator]();
+
+    watchEvents(failing, {})[Symbol.asyncIterator]().next().then(function () {
+        t.fail('should not have read anything');
+    }, function (err) {
+        t.equal(err.message, 'Invalid command', 'error from events');
+        return it.next();
+    }).then(function (first) {
+        t.equal(first.value.type, 'ready', 'ready event');
+        backend.source.emit('error', streamErr);
+        return it.next();
+    }).then(function () {
+        t.fail('should not have read anything');
+    }, function (err) {
+        t.equal(err, streamErr, 'error from the stream');
+        t.ok(backend.stopped, 'events stopped');
+        t.end();
+    }).catch(t.threw);
+
+    setImmediate(function () {
+        backend.ready();
+    });
+});
+
+tap.test('stopped before ready', function (t) {
+    const backend = fakeBackend();
+    const watcher = watchEvents(backend, {});
+
+    watcher.on('data', function () {
+        t.fail('should not have read anything');
+    });
+    watcher.on('end', function () {
+        backend.ready();
+        t.ok(backend.stopped, 'events stopped once ready');
+        t.end();
+    });
+
+    setImmediate(function () {
+        watcher.stop();
+    });
+});
+
+tap.test('ends with the event stream', function (t) {
+    const backend = fakeBackend();
+    const watcher = watchEvents(backend, {});
+    const types = [];
+
+    watcher.on('data', function (ev) {
+        types.push(ev.type);
+    });
+    watcher.on('end', function () {
+        t.deepEqual(types, ['ready', 'modify'], 'events read');
+        t.ok(backend.stopped, 'events stopped');
+        t.end();
+    });
+
+    setImmediate(function () {
+        backend.ready();
+        backend.emit(modify(VM_A));
+        // As a replay does at the end of the recording.
+        backend.source.end();
+        backend.source.resume();
+    });
+});